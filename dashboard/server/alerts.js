@@ -0,0 +1,218 @@
+// Alert rules engine. Rules compare any snapshot path against a threshold;
+// a rule fires once its condition has held for `for` seconds and resolves
+// as soon as it stops holding. Rules and events persist under the state dir.
+import { EventEmitter } from 'node:events'
+import { randomUUID } from 'node:crypto'
+import path from 'node:path'
+import { httpError } from './http.js'
+import { readJsonFile, writeJsonFile } from './storage.js'
+import { migratePath } from '../src/lib/schema.js'
+
+const MAX_EVENTS = 500
+
+export const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+}
+
+export const SEVERITIES = ['info', 'warning', 'critical']
+
+// The thresholds generate_json.sh uses for the `health` field
+const DEFAULT_RULES = [
+  { name: 'High CPU usage', metric: 'cpu.usage_percent', op: '>=', threshold: 80, for: 30, severity: 'warning' },
+  { name: 'CPU saturated', metric: 'cpu.usage_percent', op: '>=', threshold: 95, for: 30, severity: 'critical' },
+  { name: 'Memory almost full', metric: 'memory.usage_percent', op: '>=', threshold: 90, for: 60, severity: 'warning' },
+  { name: 'Root disk almost full', metric: 'disk.usage_percent', op: '>=', threshold: 90, for: 0, severity: 'warning' },
+]
+
+// "disk.filesystems.0.usage_percent" -> snapshot.disk.filesystems[0].usage_percent
+export function resolvePath(snapshot, metricPath) {
+  return metricPath.split('.').reduce((value, key) => value?.[key], snapshot)
+}
+
+const toComparable = (value) => {
+  const n = typeof value === 'number' ? value : parseFloat(value)
+  return Number.isFinite(n) ? n : value
+}
+
+export function validateRule(input, existing = {}) {
+  const rule = { ...existing, ...input }
+  if (typeof rule.metric !== 'string' || !/^[\w-]+(\.[\w-]+)*$/.test(rule.metric)) {
+    throw httpError(400, 'Rule needs a metric path such as "cpu.usage_percent"')
+  }
+  if (!OPERATORS[rule.op]) {
+    throw httpError(400, `Operator must be one of ${Object.keys(OPERATORS).join(' ')}`)
+  }
+  const threshold = typeof rule.threshold === 'number' || (typeof rule.threshold === 'string' && rule.threshold.trim())
+    ? Number(rule.threshold)
+    : NaN
+  if (!Number.isFinite(threshold)) {
+    throw httpError(400, 'Rule needs a numeric threshold')
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw httpError(400, `Severity must be one of ${SEVERITIES.join(', ')}`)
+  }
+  const forSeconds = Number(rule.for ?? 0)
+  if (!(forSeconds >= 0)) throw httpError(400, '"for" must be zero or more seconds')
+
+  return {
+    id: rule.id || randomUUID(),
+    name: String(rule.name || `${rule.metric} ${rule.op} ${rule.threshold}`),
+    metric: rule.metric,
+    op: rule.op,
+    threshold,
+    for: forSeconds,
+    severity: rule.severity,
+    enabled: rule.enabled !== false,
+    silenced_until: rule.silenced_until || null,
+  }
+}
+
+export function createAlertEngine({ dir }) {
+  const events = new EventEmitter()
+  const rulesFile = path.join(dir, 'rules.json')
+  const eventsFile = path.join(dir, 'events.json')
+  let rules = []
+  let history = []
+  // Per-rule evaluation state: { pendingSince, firing }
+  const state = new Map()
+
+  const saveRules = () => writeJsonFile(rulesFile, rules)
+  const saveEvents = () => writeJsonFile(eventsFile, history)
+
+  const load = async () => {
+    const stored = await readJsonFile(rulesFile, null)
+    // Rules saved against the old snapshot format keep working; ones that
+    // no longer validate (e.g. a non-numeric threshold) are dropped
+    rules = (stored || DEFAULT_RULES).flatMap(rule => {
+      try {
+        return [validateRule({ ...rule, metric: migratePath(rule.metric) })]
+      } catch (err) {
+        console.warn(`[alerts] dropping rule ${rule.name || rule.id}: ${err.message}`)
+        return []
+      }
+    })
+    history = await readJsonFile(eventsFile, [])
+    await saveRules()
+  }
+
+  const isSilenced = (rule, now) => rule.silenced_until && Date.parse(rule.silenced_until) > now
+
+  const record = (rule, status, value, now) => {
+    const event = {
+      id: randomUUID(),
+      rule_id: rule.id,
+      rule_name: rule.name,
+      metric: rule.metric,
+      op: rule.op,
+      threshold: rule.threshold,
+      severity: rule.severity,
+      status,
+      value,
+      at: new Date(now).toISOString(),
+      acknowledged: false,
+      silenced: Boolean(isSilenced(rule, now)),
+    }
+    history = [event, ...history].slice(0, MAX_EVENTS)
+    saveEvents().catch(err => console.error('[alerts] saving events:', err.message))
+    events.emit('event', event)
+  }
+
+  const evaluate = (snapshot, now = Date.now()) => {
+    for (const rule of rules) {
+      const s = state.get(rule.id) || { pendingSince: null, firing: false }
+      state.set(rule.id, s)
+
+      const value = toComparable(resolvePath(snapshot, rule.metric))
+      const holds = rule.enabled && value !== undefined && value !== null &&
+        OPERATORS[rule.op](value, rule.threshold)
+
+      if (holds) {
+        s.pendingSince ??= now
+        if (!s.firing && now - s.pendingSince >= rule.for * 1000) {
+          s.firing = true
+          record(rule, 'firing', value, now)
+        }
+      } else {
+        s.pendingSince = null
+        if (s.firing) {
+          s.firing = false
+          record(rule, 'resolved', value ?? null, now)
+        }
+      }
+    }
+  }
+
+  const findRule = (id) => {
+    const rule = rules.find(r => r.id === id)
+    if (!rule) throw httpError(404, 'No such rule')
+    return rule
+  }
+
+  const withState = (rule) => ({ ...rule, firing: state.get(rule.id)?.firing || false })
+
+  // Clients would keep showing an alert for a rule that no longer applies
+  const forget = (rule) => {
+    if (state.get(rule.id)?.firing) record(rule, 'resolved', null, Date.now())
+    state.delete(rule.id)
+  }
+
+  return {
+    on: (event, listener) => events.on(event, listener),
+    load,
+    evaluate,
+    listRules: () => rules.map(withState),
+    listEvents: () => history,
+
+    async createRule(input) {
+      const rule = validateRule({ ...input, id: undefined })
+      rules.push(rule)
+      await saveRules()
+      return withState(rule)
+    },
+
+    async updateRule(id, input) {
+      const previous = findRule(id)
+      const rule = validateRule({ ...input, id }, previous)
+      rules = rules.map(r => (r.id === id ? rule : r))
+      // Re-evaluate the changed rule from scratch
+      forget(previous)
+      await saveRules()
+      return withState(rule)
+    },
+
+    async deleteRule(id) {
+      const rule = findRule(id)
+      rules = rules.filter(r => r.id !== id)
+      forget(rule)
+      await saveRules()
+    },
+
+    // minutes <= 0 lifts the silence
+    async silenceRule(id, minutes) {
+      const rule = findRule(id)
+      rule.silenced_until = minutes > 0
+        ? new Date(Date.now() + minutes * 60 * 1000).toISOString()
+        : null
+      await saveRules()
+      return withState(rule)
+    },
+
+    async acknowledge(id) {
+      const event = history.find(e => e.id === id)
+      if (!event) throw httpError(404, 'No such event')
+      event.acknowledged = true
+      await saveEvents()
+      return event
+    },
+
+    async acknowledgeAll() {
+      for (const event of history) event.acknowledged = true
+      await saveEvents()
+    },
+  }
+}
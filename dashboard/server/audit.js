@@ -0,0 +1,47 @@
+// Append-only record of control actions (and refused attempts): who did
+// what to which target, from where, and whether it worked.
+import { mkdir, readFile, appendFile } from 'node:fs/promises'
+import path from 'node:path'
+
+// Entries kept in memory for /api/audit; the file keeps everything
+const MAX_RECENT = 500
+
+export function createAuditLog({ dir }) {
+  const file = path.join(dir, 'audit.ndjson')
+  let recent = []
+  let pending = Promise.resolve()
+
+  const load = async () => {
+    await mkdir(dir, { recursive: true })
+    let text = ''
+    try {
+      text = await readFile(file, 'utf8')
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+    recent = text.split('\n').filter(Boolean).slice(-MAX_RECENT).flatMap(line => {
+      try {
+        return [JSON.parse(line)]
+      } catch {
+        return []
+      }
+    }).reverse()
+  }
+
+  const record = (entry) => {
+    const full = { at: new Date().toISOString(), ...entry }
+    recent = [full, ...recent].slice(0, MAX_RECENT)
+    console.log(`[audit] ${full.user || 'anonymous'} ${full.action} ${full.target}: ${full.result}${full.error ? ` (${full.error})` : ''}`)
+    pending = pending
+      .then(() => appendFile(file, JSON.stringify(full) + '\n'))
+      .catch(err => console.error('[audit] writing log:', err.message))
+    return full
+  }
+
+  return {
+    load,
+    record,
+    list: (limit = 100) => recent.slice(0, limit),
+    close: () => pending,
+  }
+}
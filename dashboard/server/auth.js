@@ -0,0 +1,131 @@
+// Users, API tokens and browser sessions for the control API. Tokens are
+// created with `npm run users` and only their SHA-256 hash is stored.
+// Requests authenticate with "Authorization: Bearer <token>" or with the
+// session cookie issued by /api/auth/login.
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto'
+import { stat } from 'node:fs/promises'
+import path from 'node:path'
+import { httpError, parseCookies } from './http.js'
+import { readJsonFile, writeJsonFile } from './storage.js'
+
+export const ROLES = {
+  // Can see everything the dashboard shows, but not change anything
+  viewer: ['read'],
+  operator: ['read', 'control'],
+}
+
+export const SESSION_COOKIE = 'sysmon_session'
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000
+
+export const hashToken = (token) => createHash('sha256').update(token).digest('hex')
+
+const sameHash = (a, b) => a.length === b.length && timingSafeEqual(Buffer.from(a), Buffer.from(b))
+
+export function createUserStore({ dir }) {
+  const file = path.join(dir, 'users.json')
+
+  return {
+    file,
+    list: () => readJsonFile(file, []),
+
+    async create(name, role) {
+      if (!/^[\w.@-]+$/.test(name || '')) throw httpError(400, 'User names may use letters, digits and . _ @ -')
+      if (!ROLES[role]) throw httpError(400, `Role must be one of ${Object.keys(ROLES).join(', ')}`)
+      const users = await readJsonFile(file, [])
+      if (users.some(u => u.name === name)) throw httpError(409, `User ${name} already exists`)
+      const token = randomBytes(24).toString('base64url')
+      users.push({ name, role, token_hash: hashToken(token), created_at: new Date().toISOString() })
+      await writeJsonFile(file, users)
+      return token
+    },
+
+    async remove(name) {
+      const users = await readJsonFile(file, [])
+      if (!users.some(u => u.name === name)) throw httpError(404, `No user ${name}`)
+      await writeJsonFile(file, users.filter(u => u.name !== name))
+    },
+  }
+}
+
+export function createAuth({ dir }) {
+  const store = createUserStore({ dir })
+  let users = []
+  let loadedMtime = null
+  // session id -> { name, expires }
+  const sessions = new Map()
+
+  // Picks up users added or revoked with `npm run users` without a restart
+  const refresh = async () => {
+    let mtime = null
+    try {
+      mtime = (await stat(store.file)).mtimeMs
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+    if (mtime === loadedMtime) return
+    users = await store.list()
+    loadedMtime = mtime
+  }
+
+  const findByToken = (token) => {
+    const hash = hashToken(token)
+    return users.find(u => sameHash(u.token_hash, hash)) || null
+  }
+
+  const publicUser = (user) => ({ name: user.name, role: user.role, permissions: ROLES[user.role] || [] })
+
+  const authenticate = async (req) => {
+    await refresh()
+    const header = req.headers.authorization || ''
+    if (header.startsWith('Bearer ')) {
+      const user = findByToken(header.slice(7).trim())
+      return user && publicUser(user)
+    }
+    const id = parseCookies(req)[SESSION_COOKIE]
+    const session = id && sessions.get(id)
+    if (!session) return null
+    if (session.expires < Date.now()) {
+      sessions.delete(id)
+      return null
+    }
+    // Revoked users lose their sessions too
+    const user = users.find(u => u.name === session.name)
+    return user ? publicUser(user) : null
+  }
+
+  return {
+    authenticate,
+    enabled: async () => {
+      await refresh()
+      return users.length > 0
+    },
+
+    // Throws 401/403 unless the user holds the permission
+    authorize(user, permission) {
+      if (!users.length) throw httpError(403, 'Process control is disabled: no users configured (npm run users)')
+      if (!user) throw httpError(401, 'Sign in required')
+      if (!user.permissions.includes(permission)) throw httpError(403, `Role "${user.role}" may not ${permission}`)
+    },
+
+    async login(token) {
+      await refresh()
+      const user = typeof token === 'string' && findByToken(token.trim())
+      if (!user) throw httpError(401, 'Invalid token')
+      const id = randomBytes(32).toString('base64url')
+      sessions.set(id, { name: user.name, expires: Date.now() + SESSION_TTL_MS })
+      return { id, user: publicUser(user) }
+    },
+
+    logout(req) {
+      sessions.delete(parseCookies(req)[SESSION_COOKIE])
+    },
+
+    // HttpOnly + SameSite=Strict keeps the session out of scripts and
+    // off cross-site requests
+    cookie(id, req) {
+      const secure = req.headers['x-forwarded-proto'] === 'https' ? '; Secure' : ''
+      const maxAge = id ? SESSION_TTL_MS / 1000 : 0
+      return `${SESSION_COOKIE}=${id || ''}; Path=/api; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure}`
+    },
+  }
+}
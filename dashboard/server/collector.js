@@ -0,0 +1,132 @@
+// Periodically builds a snapshot and emits it. The base comes from a native
+// source reading /proc and /sys in-process, or from running generate_json.sh
+// (normalised to the current schema version) when no source is given.
+// Samplers then add what one reading cannot measure (rates and deltas
+// between cycles), and the enriched snapshot is written back so JSON polling
+// sees the same data.
+//
+// Each snapshot carries a `collector` section with the cost of producing it:
+// wall-clock latency, and CPU time used by this process and any child it
+// waited for (generate_json.sh and everything it forks, or nvidia-smi).
+// Cycles over budgetMs of CPU time are counted, so a monitor that shows up
+// in its own CPU graph is easy to spot.
+import { EventEmitter } from 'node:events'
+import { execFile } from 'node:child_process'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { performance } from 'node:perf_hooks'
+import { promisify } from 'node:util'
+import { normalizeSnapshot } from '../src/lib/schema.js'
+import { writeJsonFile } from './storage.js'
+
+const run = promisify(execFile)
+
+// Linux reports child CPU time in clock ticks, which are 100 per second
+const TICKS_PER_SEC = 100
+
+// CPU milliseconds used so far by this process and its reaped children.
+// Child time is only readable on Linux; elsewhere it counts as zero.
+async function cpuTimeMs() {
+  const own = process.cpuUsage()
+  let children = 0
+  try {
+    const stat = await readFile('/proc/self/stat', 'utf8')
+    // Fields after the command name, which may itself contain spaces
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ')
+    children = ((Number(fields[13]) + Number(fields[14])) / TICKS_PER_SEC) * 1000
+  } catch {
+    // Not Linux
+  }
+  return (own.user + own.system) / 1000 + children
+}
+
+const round = (n) => Math.round(n * 10) / 10
+
+// Each sampler is an async (snapshot) => snapshot; source is an
+// async () => snapshot
+export function createCollector({ source, generator, dataDir, interval, budgetMs, samplers = [] }) {
+  const events = new EventEmitter()
+  const file = path.join(dataDir, 'system_data.json')
+  let latest = null
+  let timer = null
+  const stats = { runs: 0, failures: 0, lastDurationMs: null, lastCpuMs: null, overBudget: 0, lastSuccess: null }
+  // CPU time and clock at the end of the previous cycle, for cpu_percent
+  let previous = null
+
+  const runScript = async () => {
+    await run('bash', [generator, dataDir], { timeout: interval * 5000 })
+    const { snapshot, errors } = normalizeSnapshot(JSON.parse(await readFile(file, 'utf8')))
+    if (!snapshot) throw new Error(`Unusable snapshot: ${errors[0].path} ${errors[0].message}`)
+    if (errors.length) {
+      events.emit('invalid', errors)
+    }
+    return snapshot
+  }
+
+  const collect = async () => {
+    const started = performance.now()
+    const cpuBefore = await cpuTimeMs()
+    let snapshot = source ? await source() : await runScript()
+    for (const sample of samplers) {
+      try {
+        snapshot = await sample(snapshot)
+      } catch (err) {
+        // One missing source should not cost the whole snapshot
+        events.emit('error', new Error(`${sample.name || 'sampler'}: ${err.message}`))
+      }
+    }
+
+    const cpuAfter = await cpuTimeMs()
+    const now = performance.now()
+    const cpuMs = cpuAfter - cpuBefore
+    stats.lastCpuMs = cpuMs
+    if (cpuMs > budgetMs) stats.overBudget++
+    snapshot = {
+      ...snapshot,
+      collector: {
+        source: source ? 'native' : 'script',
+        duration_ms: round(now - started),
+        cpu_ms: round(cpuMs),
+        // Everything the process did since the last cycle, serving included
+        cpu_percent: previous ? round(((cpuAfter - previous.cpu) / (now - previous.at)) * 100) : null,
+        rss_bytes: process.memoryUsage.rss(),
+        budget_cpu_ms: budgetMs,
+        over_budget_cycles: stats.overBudget,
+      },
+    }
+    previous = { cpu: cpuAfter, at: now }
+
+    await writeJsonFile(file, snapshot)
+    latest = snapshot
+    events.emit('snapshot', latest)
+  }
+
+  // setTimeout rather than setInterval so a slow run never overlaps the next
+  const tick = async () => {
+    const started = Date.now()
+    stats.runs++
+    try {
+      await collect()
+      stats.lastSuccess = Date.now()
+    } catch (err) {
+      stats.failures++
+      events.emit('error', err)
+    }
+    stats.lastDurationMs = Date.now() - started
+    if (timer) timer = setTimeout(tick, interval * 1000)
+  }
+
+  return {
+    on: (event, listener) => events.on(event, listener),
+    latest: () => latest,
+    stats: () => ({ ...stats }),
+    start() {
+      if (timer) return
+      timer = setTimeout(tick, 0)
+    },
+    stop() {
+      clearTimeout(timer)
+      timer = null
+    },
+  }
+}
@@ -0,0 +1,188 @@
+// Control groups and the containers running in them, read from the cgroup
+// v2 filesystem: CPU, memory, I/O and PID counts per group. CPU and I/O are
+// rates over the interval between two samples, like the disk sampler.
+// cgroup v1 hosts only report their version; their per-controller
+// hierarchies are not walked.
+import { readFile, readdir, access } from 'node:fs/promises'
+import path from 'node:path'
+
+// Levels below the root that are walked. Kubernetes pods sit four deep
+// (kubepods.slice/kubepods-burstable.slice/...pod.slice/cri-...scope).
+const MAX_DEPTH = 4
+// Most groups reported; containers are kept first, then the shallowest
+const MAX_GROUPS = 100
+// Container IDs are shown shortened, as docker ps does
+const SHORT_ID = 12
+
+// Scope or directory names container runtimes give their groups
+const RUNTIMES = [
+  { runtime: 'docker', pattern: /^docker-([0-9a-f]{64})\.scope$/ },
+  { runtime: 'docker', pattern: /^([0-9a-f]{64})$/, parent: 'docker' },
+  { runtime: 'podman', pattern: /^libpod-([0-9a-f]{64})\.scope$/ },
+  { runtime: 'containerd', pattern: /^cri-containerd-([0-9a-f]{64})\.scope$/ },
+  { runtime: 'cri-o', pattern: /^crio-([0-9a-f]{64})\.scope$/ },
+]
+
+// "usage_usec 123\nuser_usec 45" -> { usage_usec: 123, user_usec: 45 }
+export function parseFlatKeyed(text) {
+  const values = {}
+  for (const line of text.split('\n')) {
+    const [key, value] = line.trim().split(/\s+/)
+    if (key && value !== undefined) values[key] = Number(value)
+  }
+  return values
+}
+
+// "8:0 rbytes=1 wbytes=2 rios=3 wios=4 ..." per device -> totals
+export function parseIoStat(text) {
+  const totals = { rbytes: 0, wbytes: 0 }
+  for (const match of text.matchAll(/\b([rw]bytes)=(\d+)/g)) totals[match[1]] += Number(match[2])
+  return totals
+}
+
+// "max" means unlimited
+const limit = (text) => {
+  const value = text?.trim()
+  return !value || value === 'max' ? null : Number(value)
+}
+
+// cpu.max is "<quota> <period>" in microseconds, or "max <period>"
+const cpuLimit = (text) => {
+  const [quota, period] = (text || '').trim().split(/\s+/)
+  return quota && quota !== 'max' && Number(period) ? Math.round((Number(quota) / Number(period)) * 100) / 100 : null
+}
+
+function classify(group) {
+  const name = path.posix.basename(group)
+  const parent = path.posix.basename(path.posix.dirname(group))
+  for (const { runtime, pattern, parent: wanted } of RUNTIMES) {
+    const match = name.match(pattern)
+    if (match && (!wanted || parent === wanted)) return { kind: 'container', runtime, id: match[1] }
+  }
+  const suffix = name.match(/\.(slice|scope|service)$/)
+  return { kind: suffix ? suffix[1] : 'group' }
+}
+
+// Every group below the root, as paths relative to it
+async function walk(root, relative = '', depth = 0, found = []) {
+  if (depth >= MAX_DEPTH) return found
+  let entries
+  try {
+    entries = await readdir(path.join(root, relative), { withFileTypes: true })
+  } catch {
+    return found
+  }
+  await Promise.all(entries.filter(e => e.isDirectory()).map(e => {
+    const child = relative ? `${relative}/${e.name}` : e.name
+    found.push(child)
+    return walk(root, child, depth + 1, found)
+  }))
+  return found
+}
+
+async function readGroup(root, group) {
+  const read = (file) => readFile(path.join(root, group, file), 'utf8').catch(() => null)
+  const [cpuStat, cpuMax, memoryCurrent, memoryMax, ioStat, pidsCurrent, pidsMax] = await Promise.all([
+    read('cpu.stat'), read('cpu.max'), read('memory.current'), read('memory.max'),
+    read('io.stat'), read('pids.current'), read('pids.max'),
+  ])
+  return {
+    usageUsec: cpuStat ? parseFlatKeyed(cpuStat).usage_usec ?? null : null,
+    cpuLimit: cpuLimit(cpuMax),
+    memory: limit(memoryCurrent),
+    memoryLimit: limit(memoryMax),
+    io: ioStat === null ? null : parseIoStat(ioStat),
+    pids: limit(pidsCurrent),
+    pidsLimit: limit(pidsMax),
+  }
+}
+
+const round = (n) => Math.round(n * 10) / 10
+
+// Per-second change of a counter, null without an earlier reading or after a reset
+const rate = (now, before, seconds) => (
+  now === null || before === null || before === undefined || seconds <= 0 || now < before ? null : round((now - before) / seconds)
+)
+
+export function createContainerSampler({ sysRoot = '/sys', dockerRoot = '/var/lib/docker' } = {}) {
+  const root = path.join(sysRoot, 'fs/cgroup')
+  // group -> { at, usageUsec, io } from the previous sample
+  let previous = new Map()
+  // Container id -> { name, image } from Docker's own state, when readable
+  const dockerInfo = new Map()
+
+  const describeDocker = async (id) => {
+    if (!dockerInfo.has(id)) {
+      try {
+        const config = JSON.parse(await readFile(path.join(dockerRoot, 'containers', id, 'config.v2.json'), 'utf8'))
+        dockerInfo.set(id, { name: config.Name?.replace(/^\//, '') || null, image: config.Config?.Image || null })
+      } catch {
+        // Docker's state directory is not mounted or not readable
+        dockerInfo.set(id, { name: null, image: null })
+      }
+    }
+    return dockerInfo.get(id)
+  }
+
+  const version = async () => {
+    try {
+      await access(path.join(root, 'cgroup.controllers'))
+      return 2
+    } catch {
+      return access(root).then(() => 1, () => null)
+    }
+  }
+
+  return async function sampleContainers(snapshot) {
+    const cgroupVersion = await version()
+    if (cgroupVersion !== 2) return { ...snapshot, containers: { cgroup_version: cgroupVersion, groups: [] } }
+
+    const groups = (await walk(root)).map(group => ({ group, ...classify(group) }))
+    const containers = groups.filter(g => g.kind === 'container')
+    const chosen = [
+      ...containers,
+      ...groups.filter(g => g.kind !== 'container').sort((a, b) => a.group.split('/').length - b.group.split('/').length),
+    ].slice(0, MAX_GROUPS)
+
+    const at = Date.now()
+    const readings = await Promise.all(chosen.map(g => readGroup(root, g.group)))
+    const current = new Map()
+    const entries = await Promise.all(chosen.map(async (g, i) => {
+      const reading = readings[i]
+      // Empty scopes left behind by finished units
+      if (!reading.pids && g.kind !== 'container') return null
+      current.set(g.group, { at, usageUsec: reading.usageUsec, io: reading.io })
+      const before = previous.get(g.group)
+      const seconds = before ? (at - before.at) / 1000 : 0
+      const info = g.runtime === 'docker' ? await describeDocker(g.id) : {}
+      const cpuUsec = rate(reading.usageUsec, before?.usageUsec, seconds)
+      return {
+        path: `/${g.group}`,
+        name: info.name || (g.id ? g.id.slice(0, SHORT_ID) : path.posix.basename(g.group)),
+        kind: g.kind,
+        ...(g.runtime && { runtime: g.runtime, id: g.id.slice(0, SHORT_ID), image: info.image || null }),
+        // 100 is one core's worth, as in top
+        cpu_percent: cpuUsec === null ? null : round(cpuUsec / 10000),
+        cpu_limit_cores: reading.cpuLimit,
+        memory_bytes: reading.memory,
+        memory_limit_bytes: reading.memoryLimit,
+        io_read_bytes_per_sec: rate(reading.io?.rbytes ?? null, before?.io?.rbytes, seconds),
+        io_write_bytes_per_sec: rate(reading.io?.wbytes ?? null, before?.io?.wbytes, seconds),
+        pids: reading.pids,
+        pids_limit: reading.pidsLimit,
+      }
+    }))
+    previous = current
+    // Forget containers that are gone
+    const live = new Set(containers.map(g => g.id))
+    for (const id of dockerInfo.keys()) if (!live.has(id)) dockerInfo.delete(id)
+
+    return {
+      ...snapshot,
+      containers: {
+        cgroup_version: 2,
+        groups: entries.filter(Boolean).sort((a, b) => a.path.localeCompare(b.path)),
+      },
+    }
+  }
+}
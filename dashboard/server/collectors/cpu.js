@@ -0,0 +1,67 @@
+// CPU time breakdown from /proc/stat, overall and per core, measured as the
+// change in each counter since the previous sample.
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+// Column order of the "cpu" lines; guest time is already counted in user
+export const CPU_MODES = ['user', 'nice', 'system', 'idle', 'iowait', 'irq', 'softirq', 'steal']
+
+// "cpu3 10 0 5 ..." -> { name: 'cpu3', ticks: { user: 10, ... } }
+export function parseProcStat(text) {
+  const lines = []
+  for (const line of text.split('\n')) {
+    if (!line.startsWith('cpu')) continue
+    const [name, ...values] = line.trim().split(/\s+/)
+    const ticks = {}
+    CPU_MODES.forEach((mode, i) => {
+      ticks[mode] = Number(values[i]) || 0
+    })
+    lines.push({ name, ticks })
+  }
+  return lines
+}
+
+const round = (n) => Math.round(n * 10) / 10
+
+// Percent of elapsed time spent in each mode between two readings
+function breakdown(now, before) {
+  const delta = {}
+  let total = 0
+  for (const mode of CPU_MODES) {
+    // Counters can step backwards when a core goes offline and back
+    delta[mode] = Math.max(now[mode] - (before?.[mode] || 0), 0)
+    total += delta[mode]
+  }
+  const result = {}
+  for (const mode of CPU_MODES) result[mode] = total ? round((delta[mode] / total) * 100) : 0
+  result.usage_percent = total ? round(100 - ((delta.idle + delta.iowait) / total) * 100) : 0
+  return result
+}
+
+export function createCpuSampler({ procRoot = '/proc' } = {}) {
+  // name -> ticks from the previous sample; the first sample covers time since boot
+  let previous = new Map()
+
+  return async function sampleCpu(snapshot) {
+    const lines = parseProcStat(await readFile(path.join(procRoot, 'stat'), 'utf8'))
+    const current = new Map(lines.map(line => [line.name, line.ticks]))
+    const total = lines.find(line => line.name === 'cpu')
+    if (!total) return snapshot
+
+    const { usage_percent: usage, ...modes } = breakdown(total.ticks, previous.get('cpu'))
+    const perCore = lines
+      .filter(line => line.name !== 'cpu')
+      .map(line => ({ core: Number(line.name.slice(3)), ...breakdown(line.ticks, previous.get(line.name)) }))
+    previous = current
+
+    return {
+      ...snapshot,
+      cpu: {
+        ...snapshot.cpu,
+        usage_percent: usage,
+        breakdown: modes,
+        per_core: perCore,
+      },
+    }
+  }
+}
@@ -0,0 +1,81 @@
+// Per-device I/O from /proc/diskstats: throughput, IOPS, average await and
+// utilisation over the interval between two samples. Only whole devices
+// (those under /sys/block) are reported, so partitions are not counted twice.
+import { readFile, readdir } from 'node:fs/promises'
+import path from 'node:path'
+
+// /proc/diskstats sectors are 512 bytes whatever the device's block size
+const SECTOR_BYTES = 512
+
+// "8 0 sda 1 2 3 ..." -> { name: 'sda', reads, sectorsRead, ... }
+export function parseDiskstats(text) {
+  const devices = []
+  for (const line of text.split('\n')) {
+    const fields = line.trim().split(/\s+/)
+    if (fields.length < 14) continue
+    const n = fields.slice(3).map(Number)
+    devices.push({
+      name: fields[2],
+      reads: n[0],
+      sectorsRead: n[2],
+      readMs: n[3],
+      writes: n[4],
+      sectorsWritten: n[6],
+      writeMs: n[7],
+      ioMs: n[9],
+    })
+  }
+  return devices
+}
+
+const round = (n) => Math.round(n * 10) / 10
+
+function rates(now, before, seconds) {
+  // Null until there are two readings, or after the counters wrap
+  if (!before || seconds <= 0 || now.reads < before.reads || now.writes < before.writes) {
+    return { read_bytes_per_sec: null, write_bytes_per_sec: null, read_iops: null, write_iops: null, await_ms: null, util_percent: null }
+  }
+  const reads = now.reads - before.reads
+  const writes = now.writes - before.writes
+  const ios = reads + writes
+  return {
+    read_bytes_per_sec: round(((now.sectorsRead - before.sectorsRead) * SECTOR_BYTES) / seconds),
+    write_bytes_per_sec: round(((now.sectorsWritten - before.sectorsWritten) * SECTOR_BYTES) / seconds),
+    read_iops: round(reads / seconds),
+    write_iops: round(writes / seconds),
+    // Same as iostat's await: time per request including queueing
+    await_ms: ios ? round((now.readMs - before.readMs + now.writeMs - before.writeMs) / ios) : 0,
+    util_percent: Math.min(round(((now.ioMs - before.ioMs) / (seconds * 1000)) * 100), 100),
+  }
+}
+
+export function createDiskSampler({ procRoot = '/proc', sysRoot = '/sys' } = {}) {
+  // name -> { at, stats } from the previous sample
+  let previous = new Map()
+
+  return async function sampleDisks(snapshot) {
+    const [text, wholeDevices] = await Promise.all([
+      readFile(path.join(procRoot, 'diskstats'), 'utf8'),
+      readdir(path.join(sysRoot, 'block')),
+    ])
+    const at = Date.now()
+    const whole = new Set(wholeDevices)
+    // Unused loop and ram devices would only add noise
+    const stats = parseDiskstats(text).filter(d => whole.has(d.name) && d.reads + d.writes > 0)
+
+    const current = new Map()
+    const devices = stats.map(d => {
+      current.set(d.name, { at, stats: d })
+      const before = previous.get(d.name)
+      return {
+        name: d.name,
+        read_bytes: d.sectorsRead * SECTOR_BYTES,
+        written_bytes: d.sectorsWritten * SECTOR_BYTES,
+        ...rates(d, before?.stats, before ? (at - before.at) / 1000 : 0),
+      }
+    })
+    previous = current
+
+    return { ...snapshot, disk: { ...snapshot.disk, devices } }
+  }
+}
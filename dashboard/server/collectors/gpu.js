@@ -0,0 +1,215 @@
+// Every GPU on the host, whatever its vendor. NVIDIA cards are read with a
+// single nvidia-smi query per cycle covering all of them; AMD (amdgpu) and
+// Intel (i915, xe) cards are read from their DRM device in sysfs. Hosts
+// without nvidia-smi are detected on the first run and never forked again.
+// Cards nvidia-smi cannot see are still listed, with null readings.
+import { execFile } from 'node:child_process'
+import { readFile, readdir, realpath } from 'node:fs/promises'
+import path from 'node:path'
+import { promisify } from 'node:util'
+
+const run = promisify(execFile)
+
+const QUERY = 'pci.bus_id,name,utilization.gpu,temperature.gpu,memory.used,memory.total,fan.speed,power.draw,clocks.gr,clocks.max.gr'
+const MIB = 1024 * 1024
+
+// PCI vendor IDs of the GPUs we know how to read
+const VENDORS = { '0x10de': 'nvidia', '0x1002': 'amd', '0x8086': 'intel' }
+const VENDOR_NAMES = { nvidia: 'NVIDIA', amd: 'AMD', intel: 'Intel' }
+
+// Where distributions install the PCI ID database (pciutils / hwdata)
+const PCI_IDS = ['/usr/share/misc/pci.ids', '/usr/share/hwdata/pci.ids']
+
+const readText = (file) => readFile(file, 'utf8').then(text => text.trim(), () => null)
+
+const number = (text) => {
+  const value = Number(text?.trim())
+  return text?.trim() && Number.isFinite(value) ? value : null
+}
+
+const round = (n) => Math.round(n * 10) / 10
+
+// nvidia-smi prints "00000000:01:00.0", sysfs "0000:01:00.0"
+const slotKey = (slot) => slot.toLowerCase().slice(-12)
+
+// `nvidia-smi --query-gpu=<QUERY> --format=csv,noheader,nounits`, one line
+// per card. "nounits" leaves bare numbers, or "[N/A]" / "[Not Supported]".
+export function parseNvidiaSmi(text) {
+  return text.split('\n').filter(line => line.trim()).map(line => {
+    const [slot, name, utilization, temperature, memoryUsed, memoryTotal, fan, power, clock, maxClock] = line.split(',')
+    const memory = (value) => (number(value) === null ? null : number(value) * MIB)
+    return {
+      vendor: 'nvidia',
+      name: name.trim(),
+      driver: 'nvidia',
+      pci_slot: slotKey(slot.trim()),
+      utilization_percent: number(utilization),
+      temperature_celsius: number(temperature),
+      memory_used_bytes: memory(memoryUsed),
+      memory_total_bytes: memory(memoryTotal),
+      fan_percent: number(fan),
+      power_watts: number(power),
+      frequency_mhz: number(clock),
+      max_frequency_mhz: number(maxClock),
+    }
+  })
+}
+
+// amdgpu's pp_dpm_sclk lists the clock levels, marking the current one:
+// "0: 500Mhz\n1: 1200Mhz *" -> { current: 1200, max: 1200 }
+export function parseDpmClocks(text) {
+  const levels = [...(text || '').matchAll(/^\d+:\s*(\d+)Mhz(\s*\*)?/gim)]
+  if (!levels.length) return { current: null, max: null }
+  const current = levels.find(level => level[2])
+  return { current: current ? Number(current[1]) : null, max: Math.max(...levels.map(level => Number(level[1]))) }
+}
+
+// Name for a vendor:device pair from the PCI ID database, e.g.
+// "Navi 21 [Radeon RX 6800/6800 XT / 6900 XT]", from the first copy of the
+// database that lists it; null if none is installed or none knows the card
+async function lookupPciName(files, vendor, device) {
+  for (const file of files) {
+    const text = await readText(file)
+    if (!text) continue
+    const vendorAt = text.search(new RegExp(`^${vendor}  `, 'm'))
+    if (vendorAt < 0) continue
+    // Devices are indented by one tab under their vendor, until the next vendor
+    const rest = text.slice(vendorAt + 1)
+    const end = rest.search(/\n[0-9a-f]{4} {2}/)
+    const block = end < 0 ? rest : rest.slice(0, end)
+    const name = block.match(new RegExp(`^\\t${device}  (.+)$`, 'm'))?.[1]
+    if (name) return name
+  }
+  return null
+}
+
+// The first hwmon directory a driver registered under the device
+async function hwmonDir(device) {
+  const names = await readdir(path.join(device, 'hwmon')).catch(() => [])
+  return names.length ? path.join(device, 'hwmon', names.sort()[0]) : null
+}
+
+export function createGpuSampler({ sysRoot = '/sys', pciIds = PCI_IDS, interval = 3 } = {}) {
+  const drmDir = path.join(sysRoot, 'class', 'drm')
+  let nvidiaSmi = true
+  // PCI slot -> name, looked up once per card
+  const names = new Map()
+  // PCI slot -> { at, energy } for cards that only report energy used
+  let previousEnergy = new Map()
+
+  const queryNvidia = async () => {
+    if (!nvidiaSmi) return []
+    try {
+      const { stdout } = await run('nvidia-smi', [`--query-gpu=${QUERY}`, '--format=csv,noheader,nounits'], { timeout: interval * 1000 })
+      return parseNvidiaSmi(stdout)
+    } catch (err) {
+      if (err.code === 'ENOENT') nvidiaSmi = false
+      // No driver loaded, or the query timed out: no NVIDIA readings this cycle
+      return []
+    }
+  }
+
+  const cardName = async (slot, vendor, vendorId, deviceId) => {
+    if (!names.has(slot)) {
+      const model = deviceId ? await lookupPciName(pciIds, vendorId.slice(2), deviceId.slice(2)) : null
+      names.set(slot, model ? `${VENDOR_NAMES[vendor]} ${model}` : `${VENDOR_NAMES[vendor]} GPU ${vendorId.slice(2)}:${deviceId?.slice(2) || '????'}`)
+    }
+    return names.get(slot)
+  }
+
+  // Watts from power1_average / power1_input (microwatts), or from the
+  // change in energy1_input (microjoules) since the previous sample
+  const readPower = async (hwmon, slot, at, energyNow) => {
+    const watts = number(await readText(path.join(hwmon, 'power1_average'))) ?? number(await readText(path.join(hwmon, 'power1_input')))
+    if (watts !== null) return round(watts / 1e6)
+    const energy = number(await readText(path.join(hwmon, 'energy1_input')))
+    if (energy === null) return null
+    energyNow.set(slot, { at, energy })
+    const before = previousEnergy.get(slot)
+    const seconds = before ? (at - before.at) / 1000 : 0
+    return seconds > 0 && energy >= before.energy ? round((energy - before.energy) / 1e6 / seconds) : null
+  }
+
+  const readCard = async (card, at, energyNow) => {
+    const device = path.join(drmDir, card, 'device')
+    const vendorId = await readText(path.join(device, 'vendor'))
+    const vendor = VENDORS[vendorId]
+    if (!vendor) return null
+    const read = (file) => readText(path.join(device, file))
+    const [slotPath, driverPath, deviceId] = await Promise.all([
+      realpath(device).catch(() => null),
+      realpath(path.join(device, 'driver')).catch(() => null),
+      read('device'),
+    ])
+    if (!slotPath) return null
+    const slot = slotKey(path.basename(slotPath))
+    const driver = driverPath ? path.basename(driverPath) : null
+    const hwmon = await hwmonDir(device)
+    const hwmonValue = async (file, scale = 1) => {
+      const value = hwmon ? number(await readText(path.join(hwmon, file))) : null
+      return value === null ? null : round(value / scale)
+    }
+
+    const gpu = {
+      vendor,
+      name: await cardName(slot, vendor, vendorId, deviceId),
+      driver,
+      pci_slot: slot,
+      utilization_percent: null,
+      temperature_celsius: await hwmonValue('temp1_input', 1000),
+      memory_used_bytes: null,
+      memory_total_bytes: null,
+      fan_percent: null,
+      power_watts: hwmon ? await readPower(hwmon, slot, at, energyNow) : null,
+      frequency_mhz: null,
+      max_frequency_mhz: null,
+    }
+
+    if (driver === 'amdgpu') {
+      const [busy, used, total, sclk, pwm] = await Promise.all([
+        read('gpu_busy_percent'), read('mem_info_vram_used'), read('mem_info_vram_total'), read('pp_dpm_sclk'),
+        hwmonValue('pwm1'),
+      ])
+      const clocks = parseDpmClocks(sclk)
+      Object.assign(gpu, {
+        utilization_percent: number(busy),
+        memory_used_bytes: number(used),
+        memory_total_bytes: number(total),
+        // pwm1 runs from 0 to 255
+        fan_percent: pwm === null ? null : Math.round((pwm / 255) * 100),
+        frequency_mhz: clocks.current,
+        max_frequency_mhz: clocks.max,
+      })
+    } else if (driver === 'i915') {
+      const [current, max] = await Promise.all([
+        readText(path.join(drmDir, card, 'gt_act_freq_mhz')).then(value => value ?? readText(path.join(drmDir, card, 'gt_cur_freq_mhz'))),
+        readText(path.join(drmDir, card, 'gt_RP0_freq_mhz')),
+      ])
+      Object.assign(gpu, { frequency_mhz: number(current), max_frequency_mhz: number(max) })
+    } else if (driver === 'xe') {
+      const [current, max] = await Promise.all([read('tile0/gt0/freq0/act_freq'), read('tile0/gt0/freq0/rp0_freq')])
+      Object.assign(gpu, { frequency_mhz: number(current), max_frequency_mhz: number(max) })
+    }
+    return gpu
+  }
+
+  return async function sampleGpus(snapshot) {
+    const at = Date.now()
+    const energyNow = new Map()
+    const [nvidia, cards] = await Promise.all([
+      queryNvidia(),
+      readdir(drmDir)
+        .then(entries => entries.filter(name => /^card\d+$/.test(name)).sort((a, b) => Number(a.slice(4)) - Number(b.slice(4))))
+        .catch(() => []),
+    ])
+    const fromSysfs = (await Promise.all(cards.map(card => readCard(card, at, energyNow)))).filter(Boolean)
+    previousEnergy = energyNow
+
+    // Same order as generate_json.sh: nvidia-smi's cards, then the rest by
+    // DRM card number
+    const reported = new Set(nvidia.map(gpu => gpu.pci_slot))
+    const gpus = [...nvidia, ...fromSysfs.filter(gpu => !reported.has(gpu.pci_slot))]
+      .map((gpu, index) => ({ index, ...gpu }))
+    return { ...snapshot, gpu: gpus }
+  }
+}
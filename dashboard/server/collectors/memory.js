@@ -0,0 +1,144 @@
+// Why memory is tight, not just how full it is: the /proc/meminfo breakdown,
+// pressure stall information (PSI) for CPU, memory and I/O, swap traffic and
+// OOM kills from /proc/vmstat, and the processes with the most resident
+// memory.
+import { readFile, readdir } from 'node:fs/promises'
+import path from 'node:path'
+import { parseMeminfo } from './system.js'
+
+const TOP_PROCESSES = 10
+// Bounded so thousands of processes never exhaust file descriptors
+const BATCH_SIZE = 64
+const KIB = 1024
+const PRESSURE_RESOURCES = ['cpu', 'memory', 'io']
+
+const readText = (file) => readFile(file, 'utf8').then(text => text.trim(), () => null)
+
+const round = (n) => Math.round(n * 10) / 10
+
+// "some avg10=1.52 avg60=0.80 avg300=0.20 total=123456\nfull ..." ->
+// { some: { avg10, avg60, avg300, total_us }, full: { ... } or null }.
+// The cpu file has no "full" line before Linux 5.13.
+export function parsePressure(text) {
+  const result = { some: null, full: null }
+  for (const line of text.split('\n')) {
+    const [kind, ...fields] = line.trim().split(/\s+/)
+    if (kind !== 'some' && kind !== 'full') continue
+    const values = Object.fromEntries(fields.map(field => field.split('=')))
+    result[kind] = {
+      avg10: Number(values.avg10),
+      avg60: Number(values.avg60),
+      avg300: Number(values.avg300),
+      total_us: Number(values.total),
+    }
+  }
+  return result.some ? result : null
+}
+
+// "pswpin 12\npswpout 34" -> { pswpin: 12, pswpout: 34 }
+export function parseVmstat(text) {
+  const values = {}
+  for (const line of text.split('\n')) {
+    const [name, value] = line.split(' ')
+    if (name && value !== undefined) values[name] = Number(value)
+  }
+  return values
+}
+
+// The meminfo lines that say where memory is, in bytes. Cached includes
+// shared memory (tmpfs, shm), which cannot be dropped like the rest of the
+// page cache, so it is counted separately.
+export function memoryBreakdown(mem) {
+  const kib = (name) => (mem[name] || 0) * KIB
+  return {
+    free_bytes: kib('MemFree'),
+    anon_bytes: kib('AnonPages'),
+    page_cache_bytes: Math.max(kib('Cached') - kib('Shmem'), 0),
+    shmem_bytes: kib('Shmem'),
+    buffers_bytes: kib('Buffers'),
+    slab_reclaimable_bytes: kib('SReclaimable'),
+    slab_unreclaimable_bytes: kib('SUnreclaim'),
+    kernel_stack_bytes: kib('KernelStack'),
+    page_tables_bytes: kib('PageTables'),
+    mapped_bytes: kib('Mapped'),
+    dirty_bytes: kib('Dirty'),
+    writeback_bytes: kib('Writeback'),
+    swap_cached_bytes: kib('SwapCached'),
+    committed_bytes: kib('Committed_AS'),
+    commit_limit_bytes: kib('CommitLimit'),
+    hugepages_total: mem.HugePages_Total || 0,
+    hugepages_free: mem.HugePages_Free || 0,
+    hugepage_size_bytes: kib('Hugepagesize'),
+  }
+}
+
+// "Name:\tpostgres\n...VmRSS:\t 123 kB" -> { name, rss_bytes, swap_bytes }
+function parseStatus(text) {
+  const kib = (field) => Number(new RegExp(`^${field}:\\s+(\\d+) kB`, 'm').exec(text)?.[1] || 0) * KIB
+  return {
+    name: /^Name:\s+(.*)$/m.exec(text)?.[1] || '?',
+    rss_bytes: kib('VmRSS'),
+    swap_bytes: kib('VmSwap'),
+  }
+}
+
+export function createMemorySampler({ procRoot = '/proc' } = {}) {
+  // { at, pswpin, pswpout } from the previous sample
+  let previous = null
+
+  // Ranked by the resident page count in statm, a one-line file, so only
+  // the winners' larger status files are read for their names and sizes
+  const topProcesses = async () => {
+    const pids = (await readdir(procRoot)).filter(name => /^\d+$/.test(name))
+    const resident = []
+    for (let i = 0; i < pids.length; i += BATCH_SIZE) {
+      resident.push(...await Promise.all(pids.slice(i, i + BATCH_SIZE).map(pid => readText(path.join(procRoot, pid, 'statm'))
+        .then(text => ({ pid, pages: Number(text?.split(' ')[1]) || 0 })))))
+    }
+    const largest = resident.sort((a, b) => b.pages - a.pages).slice(0, TOP_PROCESSES).filter(p => p.pages > 0)
+    const processes = await Promise.all(largest.map(async ({ pid }) => {
+      const status = await readText(path.join(procRoot, pid, 'status'))
+      // Exited since it was ranked
+      return status ? { pid: Number(pid), ...parseStatus(status) } : null
+    }))
+    return processes.filter(Boolean).sort((a, b) => b.rss_bytes - a.rss_bytes)
+  }
+
+  return async function sampleMemory(snapshot) {
+    const at = Date.now()
+    const [meminfo, vmstat, pressure, top] = await Promise.all([
+      readText(path.join(procRoot, 'meminfo')),
+      readText(path.join(procRoot, 'vmstat')),
+      // Missing without CONFIG_PSI, unreadable when booted with psi=0
+      Promise.all(PRESSURE_RESOURCES.map(resource => readText(path.join(procRoot, 'pressure', resource)))),
+      topProcesses(),
+    ])
+    if (!meminfo) return snapshot
+
+    const vm = parseVmstat(vmstat || '')
+    const seconds = previous ? (at - previous.at) / 1000 : 0
+    // Counters reset only on reboot; a drop means we missed one
+    const rate = (name) => (seconds > 0 && vm[name] >= previous[name] ? round((vm[name] - previous[name]) / seconds) : null)
+    const swap = {
+      swap_in_pages: vm.pswpin ?? null,
+      swap_out_pages: vm.pswpout ?? null,
+      swap_in_pages_per_sec: rate('pswpin'),
+      swap_out_pages_per_sec: rate('pswpout'),
+    }
+    previous = { at, pswpin: vm.pswpin, pswpout: vm.pswpout }
+
+    const stalls = Object.fromEntries(PRESSURE_RESOURCES.map((resource, i) => [resource, pressure[i] ? parsePressure(pressure[i]) : null]))
+    return {
+      ...snapshot,
+      memory: {
+        ...snapshot.memory,
+        breakdown: memoryBreakdown(parseMeminfo(meminfo)),
+        ...swap,
+        // Since boot; the counter exists from Linux 4.13
+        oom_kills: vm.oom_kill ?? null,
+        top_processes: top,
+      },
+      ...(Object.values(stalls).some(Boolean) ? { pressure: stalls } : {}),
+    }
+  }
+}
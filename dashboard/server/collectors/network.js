@@ -0,0 +1,69 @@
+// Per-interface traffic from /sys/class/net/*/statistics. Counters are
+// cumulative since the interface came up, so rates are the change between
+// two samples divided by the time between the reads.
+import { readFile, readdir } from 'node:fs/promises'
+import path from 'node:path'
+
+export const NET_COUNTERS = [
+  'rx_bytes', 'tx_bytes',
+  'rx_packets', 'tx_packets',
+  'rx_errors', 'tx_errors',
+  'rx_dropped', 'tx_dropped',
+]
+
+const readValue = async (file) => {
+  try {
+    return (await readFile(file, 'utf8')).trim()
+  } catch {
+    return null
+  }
+}
+
+async function readInterface(dir, name) {
+  const counters = {}
+  await Promise.all(NET_COUNTERS.map(async (counter) => {
+    const value = Number(await readValue(path.join(dir, name, 'statistics', counter)))
+    counters[counter] = Number.isFinite(value) ? value : 0
+  }))
+  return { name, status: (await readValue(path.join(dir, name, 'operstate'))) || 'unknown', counters }
+}
+
+const round = (n) => Math.round(n * 10) / 10
+
+export function createNetworkSampler({ sysRoot = '/sys' } = {}) {
+  const dir = path.join(sysRoot, 'class', 'net')
+  // name -> { at, counters } from the previous sample
+  let previous = new Map()
+
+  return async function sampleNetwork(snapshot) {
+    const names = (await readdir(dir)).filter(name => name !== 'lo').sort()
+    const at = Date.now()
+    const interfaces = await Promise.all(names.map(name => readInterface(dir, name)))
+
+    const totals = { rx_bytes: 0, tx_bytes: 0, rx_bytes_per_sec: null, tx_bytes_per_sec: null }
+    const current = new Map()
+    const result = interfaces.map(({ name, status, counters }) => {
+      current.set(name, { at, counters })
+      totals.rx_bytes += counters.rx_bytes
+      totals.tx_bytes += counters.tx_bytes
+
+      const entry = { name, status, ...counters }
+      const before = previous.get(name)
+      const seconds = before ? (at - before.at) / 1000 : 0
+      for (const counter of NET_COUNTERS) {
+        // Null until there are two readings, or after a counter reset
+        const delta = before ? counters[counter] - before.counters[counter] : -1
+        entry[`${counter}_per_sec`] = seconds > 0 && delta >= 0 ? round(delta / seconds) : null
+      }
+      if (entry.rx_bytes_per_sec !== null) totals.rx_bytes_per_sec = round((totals.rx_bytes_per_sec || 0) + entry.rx_bytes_per_sec)
+      if (entry.tx_bytes_per_sec !== null) totals.tx_bytes_per_sec = round((totals.tx_bytes_per_sec || 0) + entry.tx_bytes_per_sec)
+      return entry
+    })
+    previous = current
+
+    return {
+      ...snapshot,
+      network: { ...snapshot.network, ...totals, interfaces: result },
+    }
+  }
+}
@@ -0,0 +1,195 @@
+// Batteries and power supplies. Laptops and most Linux devices publish them
+// under /sys/class/power_supply; Android does not let Termux read that, so
+// there the termux-api `termux-battery-status` command is asked instead.
+// Hosts without the command are detected on the first run and never forked
+// again; without the Termux:API app it hangs until the timeout, so after one
+// the command is left alone for a while, longer each time. The command can
+// be replaced (TERMUX_BATTERY_COMMAND) with a stub that prints the same JSON.
+import { execFile } from 'node:child_process'
+import { readFile, readdir } from 'node:fs/promises'
+import path from 'node:path'
+import { promisify } from 'node:util'
+
+const run = promisify(execFile)
+
+// Wait after a timed-out query before trying again, doubling up to the maximum
+const TERMUX_BACKOFF_MS = 60 * 1000
+const TERMUX_MAX_BACKOFF_MS = 60 * 60 * 1000
+
+const STATUSES = ['charging', 'discharging', 'full', 'not_charging', 'unknown']
+
+// termux-battery-status "plugged" values -> power_supply types
+const PLUG_TYPES = { PLUGGED_AC: 'Mains', PLUGGED_USB: 'USB', PLUGGED_WIRELESS: 'Wireless', PLUGGED_DOCK: 'Mains' }
+
+const readText = (file) => readFile(file, 'utf8').then(text => text.trim(), () => null)
+
+const number = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : null
+}
+
+const round = (n) => Math.round(n * 10) / 10
+
+// "Not charging", "NOT_CHARGING" -> "not_charging"; "Over voltage" -> "over_voltage"
+const keyword = (text) => (text ? text.trim().toLowerCase().replace(/[\s-]+/g, '_') : null)
+
+const status = (text) => {
+  const value = keyword(text)
+  return STATUSES.includes(value) ? value : 'unknown'
+}
+
+// Seconds until empty while discharging, or until full while charging
+const timeRemaining = (state, watts, energy, full) => {
+  if (!(watts > 0) || energy === null) return null
+  if (state === 'discharging') return Math.round((energy / watts) * 3600)
+  if (state === 'charging' && full !== null && full > energy) return Math.round(((full - energy) / watts) * 3600)
+  return null
+}
+
+// One /sys/class/power_supply/<name> directory of type Battery. Energy is
+// in µWh, or charge in µAh for drivers that only count charge; power in µW,
+// or current in µA times voltage in µV. Some drivers sign the current by
+// direction, so only its size is used.
+export function parseBatteryAttributes(id, attrs) {
+  const value = (name) => number(attrs[name])
+  const volts = (value('voltage_min_design') ?? value('voltage_now')) / 1e6 || null
+  const wattHours = (name) => {
+    const energy = value(`energy_${name}`)
+    if (energy !== null) return round(energy / 1e6)
+    const charge = value(`charge_${name}`)
+    return charge !== null && volts ? round((charge / 1e6) * volts) : null
+  }
+  const energy = wattHours('now')
+  const full = wattHours('full')
+  const design = wattHours('full_design')
+  const current = value('current_now')
+  const voltage = value('voltage_now')
+  const power = value('power_now') ?? (current !== null && voltage !== null ? (current * voltage) / 1e6 : null)
+  const watts = power === null ? null : round(Math.abs(power) / 1e6)
+  const state = status(attrs.status)
+  const capacity = value('capacity') ?? (energy !== null && full ? Math.round((energy / full) * 100) : null)
+  // Drivers that compute it themselves know better than a single reading
+  const reported = state === 'charging' ? value('time_to_full_now') : state === 'discharging' ? value('time_to_empty_now') : null
+  const temperature = value('temp')
+  const cycles = value('cycle_count')
+
+  return {
+    id,
+    model: [attrs.manufacturer, attrs.model_name].filter(Boolean).join(' ') || null,
+    percent: capacity === null ? null : Math.min(Math.max(capacity, 0), 100),
+    status: state,
+    health: keyword(attrs.health),
+    power_watts: watts,
+    energy_wh: energy,
+    energy_full_wh: full,
+    energy_full_design_wh: design,
+    time_remaining_seconds: reported > 0 ? reported : timeRemaining(state, watts, energy, full),
+    // Tenths of a degree
+    temperature_celsius: temperature === null ? null : round(temperature / 10),
+    // 0 is what drivers without a counter report
+    cycle_count: cycles > 0 ? cycles : null,
+  }
+}
+
+// `termux-battery-status` output. Newer termux-api versions add current
+// (µA), voltage (mV), charge_counter (µAh), energy (nWh) and cycle; Android
+// reports missing ones as 0 or Integer.MIN_VALUE.
+export function parseTermuxBattery(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    return null
+  }
+  const percent = number(data?.percentage)
+  if (percent === null) return null
+  const positive = (value) => (number(value) > 0 ? number(value) : null)
+
+  const state = status(data.status)
+  const volts = positive(data.voltage) === null ? null : positive(data.voltage) / 1000
+  const current = number(data.current) === -(2 ** 31) ? null : number(data.current)
+  const watts = current && volts ? round((Math.abs(current) / 1e6) * volts) : null
+  const charge = positive(data.charge_counter)
+  const energy = positive(data.energy) !== null
+    ? round(positive(data.energy) / 1e9)
+    : charge !== null && volts ? round((charge / 1e6) * volts) : null
+  // The counter only tells what is left; the full charge follows from the percentage
+  const full = energy !== null && percent > 0 ? round(energy / (percent / 100)) : null
+  const plugged = data.plugged && data.plugged !== 'UNPLUGGED' ? data.plugged : null
+
+  return {
+    ac_online: data.plugged ? plugged !== null : null,
+    adapters: plugged ? [{ id: plugged.toLowerCase(), type: PLUG_TYPES[plugged] || 'Unknown', online: true }] : [],
+    batteries: [{
+      id: 'battery',
+      model: null,
+      percent: Math.min(Math.max(percent, 0), 100),
+      status: state,
+      health: keyword(data.health),
+      power_watts: watts,
+      energy_wh: energy,
+      energy_full_wh: full,
+      energy_full_design_wh: null,
+      time_remaining_seconds: timeRemaining(state, watts, energy, full),
+      temperature_celsius: number(data.temperature) === null ? null : round(number(data.temperature)),
+      cycle_count: positive(data.cycle),
+    }],
+  }
+}
+
+// Every attribute file of one supply, as text
+async function readAttributes(dir) {
+  const files = await readdir(dir).catch(() => [])
+  const values = await Promise.all(files.map(file => readText(path.join(dir, file))))
+  return Object.fromEntries(files.map((file, i) => [file, values[i]]).filter(([, value]) => value !== null))
+}
+
+export function createPowerSampler({ sysRoot = '/sys', termuxBattery = 'termux-battery-status', interval = 3 } = {}) {
+  const supplyDir = path.join(sysRoot, 'class', 'power_supply')
+  let termux = Boolean(termuxBattery)
+  let termuxRetryAt = 0
+  let termuxBackoff = TERMUX_BACKOFF_MS
+
+  const readSysfs = async () => {
+    const names = (await readdir(supplyDir).catch(() => [])).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    const supplies = await Promise.all(names.map(async name => ({ name, attrs: await readAttributes(path.join(supplyDir, name)) })))
+    // scope "Device" marks the batteries of mice, keyboards and headsets
+    const batteries = supplies
+      .filter(({ attrs }) => attrs.type === 'Battery' && attrs.scope !== 'Device' && attrs.present !== '0')
+      .map(({ name, attrs }) => parseBatteryAttributes(name, attrs))
+    const adapters = supplies
+      .filter(({ attrs }) => attrs.type && attrs.type !== 'Battery' && attrs.online !== undefined)
+      .map(({ name, attrs }) => ({ id: name, type: attrs.type, online: attrs.online !== '0' }))
+    return {
+      ac_online: adapters.length ? adapters.some(a => a.online) : null,
+      adapters,
+      batteries,
+    }
+  }
+
+  const queryTermux = async () => {
+    if (!termux || Date.now() < termuxRetryAt) return null
+    try {
+      const { stdout } = await run(termuxBattery, [], { timeout: interval * 1000 })
+      termuxBackoff = TERMUX_BACKOFF_MS
+      return parseTermuxBattery(stdout)
+    } catch (err) {
+      if (err.code === 'ENOENT') termux = false
+      // Killed at the timeout: the Termux:API app is missing or not answering
+      if (err.killed) {
+        termuxRetryAt = Date.now() + termuxBackoff
+        termuxBackoff = Math.min(termuxBackoff * 2, TERMUX_MAX_BACKOFF_MS)
+      }
+      return null
+    }
+  }
+
+  return async function samplePower(snapshot) {
+    const sysfs = await readSysfs()
+    if (sysfs.batteries.length) return { ...snapshot, power: { source: 'sysfs', ...sysfs } }
+    const fromTermux = await queryTermux()
+    if (fromTermux) return { ...snapshot, power: { source: 'termux', ...fromTermux } }
+    return { ...snapshot, power: { source: sysfs.adapters.length ? 'sysfs' : null, ...sysfs } }
+  }
+}
@@ -0,0 +1,155 @@
+// Temperatures and fan speeds from every hwmon chip and thermal zone under
+// /sys/class, with the thresholds the drivers publish. Thermal zones that
+// also register an hwmon chip of the same name are reported once.
+import { readFile, readdir } from 'node:fs/promises'
+import path from 'node:path'
+
+// Sensors that stand for the CPU as a whole, best first
+const CPU_SENSORS = [
+  { chip: 'coretemp', label: /^package id 0$/i },
+  { chip: 'k10temp', label: /^tctl$/i },
+  { chip: 'zenpower', label: /^tdie$/i },
+  { chip: 'x86_pkg_temp' },
+  { chip: 'cpu_thermal' },
+  { chip: 'soc_thermal' },
+]
+
+const readValue = (file) => readFile(file, 'utf8').then(text => text.trim(), () => null)
+
+const number = (text) => {
+  if (text === null || text === '') return null
+  const value = Number(text)
+  return Number.isFinite(value) ? value : null
+}
+
+const round = (n) => Math.round(n * 10) / 10
+
+// Millidegrees to °C; drivers use 0 or less for "not set"
+const celsius = (text) => {
+  const value = number(text)
+  return value === null ? null : round(value / 1000)
+}
+const threshold = (text) => {
+  const value = celsius(text)
+  return value !== null && value > 0 ? value : null
+}
+
+// "temp1_input" and friends -> sorted unique channel names ["temp1", "temp2"]
+const channels = (files, prefix) => [...new Set(files
+  .map(file => file.match(new RegExp(`^(${prefix}\\d+)_input$`))?.[1])
+  .filter(Boolean))]
+  .sort((a, b) => Number(a.slice(prefix.length)) - Number(b.slice(prefix.length)))
+
+// Older drivers keep their attributes under device/ instead
+async function hwmonFiles(dir) {
+  const files = await readdir(dir).catch(() => [])
+  if (files.some(file => /^(temp|fan)\d+_input$/.test(file))) return { base: dir, files }
+  const base = path.join(dir, 'device')
+  return { base, files: await readdir(base).catch(() => []) }
+}
+
+async function readHwmon(dir) {
+  const chip = (await readValue(path.join(dir, 'name'))) || path.basename(dir)
+  const { base, files } = await hwmonFiles(dir)
+  const read = (file) => readValue(path.join(base, file))
+  const id = (channel) => `${path.basename(dir)}/${channel}`
+
+  const temperatures = await Promise.all(channels(files, 'temp').map(async (channel) => {
+    const [input, label, max, crit] = await Promise.all([
+      read(`${channel}_input`), read(`${channel}_label`), read(`${channel}_max`), read(`${channel}_crit`),
+    ])
+    return {
+      id: id(channel),
+      chip,
+      label: label || channel,
+      celsius: celsius(input),
+      high_celsius: threshold(max),
+      critical_celsius: threshold(crit),
+      source: 'hwmon',
+    }
+  }))
+
+  const fans = await Promise.all(channels(files, 'fan').map(async (channel) => {
+    const [input, label, min, max] = await Promise.all([
+      read(`${channel}_input`), read(`${channel}_label`), read(`${channel}_min`), read(`${channel}_max`),
+    ])
+    return {
+      id: id(channel),
+      chip,
+      label: label || channel,
+      rpm: number(input),
+      min_rpm: number(min) || null,
+      max_rpm: number(max) || null,
+    }
+  }))
+
+  return { chip, temperatures, fans }
+}
+
+// Trip points: "critical" is the shutdown limit; the lowest "hot" or
+// "passive" one is where the kernel starts throttling
+async function readThermalZone(dir) {
+  const files = await readdir(dir).catch(() => [])
+  const [type, temp] = await Promise.all([readValue(path.join(dir, 'type')), readValue(path.join(dir, 'temp'))])
+  let high = null
+  let critical = null
+  await Promise.all(files.filter(file => /^trip_point_\d+_type$/.test(file)).map(async (file) => {
+    const [kind, value] = await Promise.all([
+      readValue(path.join(dir, file)),
+      readValue(path.join(dir, file.replace(/_type$/, '_temp'))),
+    ])
+    const limit = threshold(value)
+    if (limit === null) return
+    if (kind === 'critical') critical = critical === null ? limit : Math.min(critical, limit)
+    else if (kind === 'hot' || kind === 'passive') high = high === null ? limit : Math.min(high, limit)
+  }))
+  const name = path.basename(dir)
+  return {
+    id: name,
+    chip: type || name,
+    label: type || name,
+    celsius: celsius(temp),
+    high_celsius: high,
+    critical_celsius: critical,
+    source: 'thermal',
+  }
+}
+
+// The reading that best represents the CPU package, if any
+export function cpuTemperature(temperatures) {
+  for (const { chip, label } of CPU_SENSORS) {
+    const found = temperatures.find(t => t.chip === chip && (!label || label.test(t.label)) && t.celsius !== null)
+    if (found) return found.celsius
+  }
+  return null
+}
+
+const listDir = (dir, pattern) => readdir(dir)
+  .then(names => names.filter(name => pattern.test(name)).sort((a, b) => a.localeCompare(b, undefined, { numeric: true })))
+  .catch(() => [])
+
+export function createSensorSampler({ sysRoot = '/sys' } = {}) {
+  const hwmonDir = path.join(sysRoot, 'class', 'hwmon')
+  const thermalDir = path.join(sysRoot, 'class', 'thermal')
+
+  return async function sampleSensors(snapshot) {
+    const [chips, zones] = await Promise.all([
+      listDir(hwmonDir, /^hwmon\d+$/).then(names => Promise.all(names.map(name => readHwmon(path.join(hwmonDir, name))))),
+      listDir(thermalDir, /^thermal_zone\d+$/).then(names => Promise.all(names.map(name => readThermalZone(path.join(thermalDir, name))))),
+    ])
+    const chipNames = new Set(chips.map(c => c.chip))
+    const temperatures = [
+      ...chips.flatMap(c => c.temperatures),
+      ...zones.filter(zone => !chipNames.has(zone.chip)),
+    ].filter(t => t.celsius !== null)
+    const fans = chips.flatMap(c => c.fans).filter(f => f.rpm !== null)
+
+    // Fill in the CPU reading when the script found none
+    const cpuTemp = snapshot.cpu.temperature_celsius ?? cpuTemperature(temperatures)
+    return {
+      ...snapshot,
+      cpu: { ...snapshot.cpu, temperature_celsius: cpuTemp },
+      sensors: { temperatures, fans },
+    }
+  }
+}
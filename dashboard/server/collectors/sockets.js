@@ -0,0 +1,126 @@
+// Sockets from /proc/net/{tcp,tcp6,udp,udp6,unix}. The sampler only counts
+// them per state for each snapshot; the Connections panel's full listing,
+// with owning processes, is built on request by ../connections.js from the
+// same parsers.
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { TCP_STATES } from '../../src/lib/sockets.js'
+
+export const INET_PROTOCOLS = ['tcp', 'tcp6', 'udp', 'udp6']
+
+// SS_* in the "St" column of /proc/net/unix
+const UNIX_STATES = { '01': 'unconn', '02': 'connecting', '03': 'established', '04': 'disconnecting' }
+const UNIX_TYPES = { '0001': 'stream', '0002': 'dgram', '0005': 'seqpacket' }
+// __SO_ACCEPTCON in the "Flags" column: the socket is listening
+const ACCEPT_CONNECTIONS = 0x10000
+
+// /proc/net follows the network namespace of whoever reads it, so inside a
+// container the host's sockets are only visible through its init process
+export const netDir = (procRoot) => (procRoot === '/proc' ? path.join(procRoot, 'net') : path.join(procRoot, '1', 'net'))
+
+const readText = (file) => readFile(file, 'utf8').catch(() => null)
+
+// The kernel prints each 32-bit word of the address in host (little-endian)
+// byte order: "0100007F" is 127.0.0.1
+const wordBytes = (hex) => [6, 4, 2, 0].map(i => parseInt(hex.slice(i, i + 2), 16))
+
+// Shortest IPv6 form: the longest run of zero groups becomes "::"
+function formatIpv6(bytes) {
+  if (bytes.slice(0, 10).every(b => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff) {
+    return `::ffff:${bytes.slice(12).join('.')}`
+  }
+  const groups = []
+  for (let i = 0; i < 16; i += 2) groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16))
+  let best = { at: -1, length: 1 }
+  for (let i = 0; i < 8; i++) {
+    let length = 0
+    while (groups[i + length] === '0') length++
+    if (length > best.length) best = { at: i, length }
+  }
+  if (best.at < 0) return groups.join(':')
+  return `${groups.slice(0, best.at).join(':')}::${groups.slice(best.at + best.length).join(':')}`
+}
+
+// "0100007F:0035" -> { address: '127.0.0.1', port: 53 }
+export function decodeAddress(text) {
+  const [hex, port] = text.split(':')
+  const bytes = []
+  for (let i = 0; i < hex.length; i += 8) bytes.push(...wordBytes(hex.slice(i, i + 8)))
+  return { address: bytes.length === 4 ? bytes.join('.') : formatIpv6(bytes), port: parseInt(port, 16) }
+}
+
+// One line per socket after the header:
+// "sl local_address rem_address st tx_queue:rx_queue tr tm->when retrnsmt uid timeout inode ..."
+export function parseInetSockets(text, protocol) {
+  const udp = protocol.startsWith('udp')
+  return text.split('\n').slice(1).filter(line => line.trim()).map(line => {
+    const fields = line.trim().split(/\s+/)
+    const local = decodeAddress(fields[1])
+    const remote = decodeAddress(fields[2])
+    // UDP has no connection states beyond "connected" (1) and not (7)
+    const state = udp ? (fields[3] === '01' ? 'established' : 'unconn') : TCP_STATES[fields[3]] || 'unknown'
+    return {
+      protocol,
+      state,
+      local_address: local.address,
+      local_port: local.port,
+      remote_address: remote.address,
+      remote_port: remote.port,
+      uid: Number(fields[7]),
+      inode: Number(fields[9]),
+    }
+  })
+}
+
+// "Num RefCount Protocol Flags Type St Inode Path", Path only when bound;
+// abstract names start with "@"
+export function parseUnixSockets(text) {
+  return text.split('\n').slice(1).filter(line => line.trim()).map(line => {
+    const fields = line.trim().split(/\s+/)
+    const listening = (parseInt(fields[3], 16) & ACCEPT_CONNECTIONS) !== 0
+    return {
+      protocol: 'unix',
+      type: UNIX_TYPES[fields[4]] || 'unknown',
+      state: listening ? 'listen' : UNIX_STATES[fields[5]] || 'unknown',
+      local_address: fields.slice(7).join(' ') || null,
+      local_port: null,
+      remote_address: null,
+      remote_port: null,
+      inode: Number(fields[6]),
+    }
+  })
+}
+
+// Every socket in the namespace, parsed
+export async function readSockets(procRoot) {
+  const dir = netDir(procRoot)
+  const [unix, ...inet] = await Promise.all([
+    readText(path.join(dir, 'unix')),
+    ...INET_PROTOCOLS.map(protocol => readText(path.join(dir, protocol))),
+  ])
+  return [
+    // IPv6 files are missing when the kernel has IPv6 disabled
+    ...INET_PROTOCOLS.flatMap((protocol, i) => (inet[i] ? parseInetSockets(inet[i], protocol) : [])),
+    ...(unix ? parseUnixSockets(unix) : []),
+  ]
+}
+
+export function createSocketSampler({ procRoot = '/proc' } = {}) {
+  return async function sampleSockets(snapshot) {
+    const sockets = await readSockets(procRoot)
+    if (!sockets.length) return snapshot
+    const tcp = Object.fromEntries(Object.values(TCP_STATES).map(state => [state, 0]))
+    let udp = 0
+    let unix = 0
+    for (const socket of sockets) {
+      if (socket.protocol.startsWith('tcp')) {
+        if (socket.state in tcp) tcp[socket.state]++
+      } else if (socket.protocol === 'unix') unix++
+      else udp++
+    }
+    return {
+      ...snapshot,
+      network: { ...snapshot.network, sockets: { tcp, udp, unix } },
+    }
+  }
+}
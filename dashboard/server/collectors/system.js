@@ -0,0 +1,191 @@
+// The base of each snapshot, read straight from /proc and /sys instead of
+// running generate_json.sh: host identity, memory, filesystems, root disk
+// I/O and process counts. CPU usage, network totals, the GPU and temperature
+// are left to their own samplers, which fill in the placeholders set here.
+import { readFile, readdir, realpath, statfs, access } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { SCHEMA_VERSION } from '../../src/lib/schema.js'
+
+// /sys/block/*/stat sectors are 512 bytes whatever the device's block size
+const SECTOR_BYTES = 512
+
+const readText = (file) => readFile(file, 'utf8').then(text => text.trim(), () => null)
+
+// "MemTotal:  16318412 kB" -> { MemTotal: 16318412, ... } in KiB
+export function parseMeminfo(text) {
+  const values = {}
+  for (const line of text.split('\n')) {
+    const match = line.match(/^(\w+(?:\(\w+\))?):\s+(\d+)/)
+    if (match) values[match[1]] = Number(match[2])
+  }
+  return values
+}
+
+// /proc/mounts escapes spaces and tabs in paths as octal, e.g. "\040"
+const unescapeMount = (value) => value.replace(/\\([0-7]{3})/g, (_, octal) => String.fromCharCode(parseInt(octal, 8)))
+
+export function parseMounts(text) {
+  return text.split('\n').filter(Boolean).map(line => {
+    const [device, mount, type] = line.split(' ')
+    return { device: unescapeMount(device), mount: unescapeMount(mount), type }
+  })
+}
+
+// Used space the way df reports it: blocks reserved for root count as
+// neither used nor available, and the percentage rounds up
+async function usage(mount) {
+  const s = await statfs(mount)
+  const used = (s.blocks - s.bfree) * s.bsize
+  const available = s.bavail * s.bsize
+  const inodesUsed = s.files - s.ffree
+  return {
+    total_bytes: s.blocks * s.bsize,
+    used_bytes: used,
+    available_bytes: available,
+    usage_percent: used + available > 0 ? Math.ceil((used / (used + available)) * 100) : 0,
+    // btrfs and some FUSE mounts have no fixed inode table
+    inodes_total: s.files > 0 ? s.files : null,
+    inodes_used: s.files > 0 ? inodesUsed : null,
+    inodes_usage_percent: s.files > 0 ? Math.ceil((inodesUsed / s.files) * 100) : null,
+  }
+}
+
+export function createSystemSource({ procRoot = '/proc', sysRoot = '/sys', hostRoot = '/' } = {}) {
+  // '' when reporting on the filesystem we run in
+  const root = hostRoot.replace(/\/+$/, '')
+  // CPU model, core count and kernel do not change while we run
+  let fixed = null
+
+  // Mount point as the host sees it; null for mounts outside HOST_ROOT
+  const hostMount = (mount) => {
+    if (!root) return mount
+    if (mount === root) return '/'
+    return mount.startsWith(`${root}/`) ? mount.slice(root.length) : null
+  }
+
+  const readFixed = async () => {
+    const [cpuinfo, kernel] = await Promise.all([
+      readText(path.join(procRoot, 'cpuinfo')),
+      readText(path.join(procRoot, 'sys/kernel/osrelease')),
+    ])
+    const model = cpuinfo?.match(/^model name\s*:\s*(.*)$/m)?.[1].slice(0, 40)
+    const cores = cpuinfo?.match(/^processor\s*:/gm)?.length || os.cpus().length || 1
+    return { model: model || 'Unknown', cores, kernel: kernel || os.release() }
+  }
+
+  // Sectors read and written on the device holding the root filesystem.
+  // A partition's sysfs entry sits inside its disk's, so nvme0n1p2 and
+  // mmcblk0p1 resolve to their disk as well as sda1 does.
+  const rootDeviceIo = async (mounts) => {
+    const target = root || '/'
+    const holder = mounts
+      .filter(m => target === m.mount || target.startsWith(m.mount === '/' ? '/' : `${m.mount}/`))
+      .sort((a, b) => b.mount.length - a.mount.length)[0]
+    if (!holder?.device.startsWith('/dev/')) return { read: null, written: null }
+    try {
+      let name = path.basename(await realpath(holder.device))
+      const entry = path.join(sysRoot, 'class/block', name)
+      if (await access(path.join(entry, 'partition')).then(() => true, () => false)) {
+        name = path.basename(path.dirname(await realpath(entry)))
+      }
+      const fields = (await readFile(path.join(sysRoot, 'block', name, 'stat'), 'utf8')).trim().split(/\s+/).map(Number)
+      return { read: fields[2] * SECTOR_BYTES, written: fields[6] * SECTOR_BYTES }
+    } catch {
+      return { read: null, written: null }
+    }
+  }
+
+  const filesystems = async (mounts) => {
+    const seen = new Map()
+    for (const m of mounts) {
+      const mount = m.device.startsWith('/dev/') ? hostMount(m.mount) : null
+      // Later mounts hide earlier ones on the same point
+      if (mount) seen.set(mount, m)
+    }
+    const result = await Promise.all([...seen].map(async ([mount, m]) => {
+      try {
+        return { mount, device: m.device, ...(await usage(m.mount)) }
+      } catch {
+        // Gone or not readable from here
+        return null
+      }
+    }))
+    return result.filter(Boolean)
+  }
+
+  return async function readSystem() {
+    fixed ??= await readFixed()
+    const [hostname, uptime, loadavg, meminfo, mountsText, stat, entries] = await Promise.all([
+      root ? readText(path.join(root, 'etc/hostname')) : null,
+      readText(path.join(procRoot, 'uptime')),
+      readText(path.join(procRoot, 'loadavg')),
+      readFile(path.join(procRoot, 'meminfo'), 'utf8'),
+      // Our own mount namespace, as df would see it
+      readFile('/proc/self/mounts', 'utf8').catch(() => ''),
+      readText(path.join(procRoot, 'stat')),
+      readdir(path.join(procRoot)),
+    ])
+
+    const mem = parseMeminfo(meminfo)
+    const total = (mem.MemTotal || 0) * 1024
+    const available = (mem.MemAvailable || 0) * 1024
+    const used = total - available
+
+    const mounts = parseMounts(mountsText)
+    const [rootUsage, io, fsList] = await Promise.all([
+      usage(root || '/'),
+      rootDeviceIo(mounts),
+      filesystems(mounts),
+    ])
+    const { inodes_total: _total, inodes_used: _used, inodes_usage_percent: _percent, ...rootSpace } = rootUsage
+    const load = (loadavg || '').split(/\s+/).slice(0, 3).map(Number)
+
+    return {
+      schema_version: SCHEMA_VERSION,
+      timestamp: new Date().toISOString(),
+      hostname: hostname || os.hostname() || 'localhost',
+      kernel: fixed.kernel,
+      uptime_seconds: Math.floor(Number(uptime?.split(' ')[0]) || 0),
+      load_avg: load.length === 3 && load.every(Number.isFinite) ? load : [0, 0, 0],
+      cpu: {
+        // Measured by the CPU sampler from /proc/stat deltas
+        usage_percent: 0,
+        model: fixed.model,
+        cores: fixed.cores,
+        temperature_celsius: null,
+      },
+      memory: {
+        total_bytes: total,
+        used_bytes: used,
+        available_bytes: available,
+        cached_bytes: (mem.Cached || 0) * 1024,
+        usage_percent: total > 0 ? Math.floor((used / total) * 100) : 0,
+        swap_total_bytes: (mem.SwapTotal || 0) * 1024,
+        swap_used_bytes: ((mem.SwapTotal || 0) - (mem.SwapFree || 0)) * 1024,
+      },
+      disk: {
+        ...rootSpace,
+        read_bytes: io.read,
+        written_bytes: io.written,
+        filesystems: fsList.length ? fsList : [{ mount: '/', ...rootSpace }],
+      },
+      // Filled in by the network and GPU samplers
+      network: { rx_bytes: 0, tx_bytes: 0, interfaces: [] },
+      gpu: [],
+      processes: {
+        total: entries.filter(name => /^\d+$/.test(name)).length,
+        running: Number(stat?.match(/^procs_running (\d+)/m)?.[1]) || 0,
+      },
+    }
+  }
+}
+
+// The same thresholds generate_json.sh used, applied once CPU usage is known
+export async function sampleHealth(snapshot) {
+  const cpu = snapshot.cpu.usage_percent
+  const health = cpu >= 95
+    ? 'Critical'
+    : cpu >= 80 || snapshot.memory.usage_percent >= 90 || snapshot.disk.usage_percent >= 90 ? 'Warning' : 'Good'
+  return { ...snapshot, health }
+}
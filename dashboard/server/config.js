@@ -0,0 +1,50 @@
+// Runtime settings for the collector service, read once from the environment.
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const repoRoot = fileURLToPath(new URL('../../', import.meta.url))
+
+export const config = {
+  host: process.env.COLLECTOR_HOST || '127.0.0.1',
+  port: Number(process.env.COLLECTOR_PORT) || 3001,
+  // Seconds between snapshots
+  interval: Number(process.env.COLLECTOR_INTERVAL) || 3,
+  // Where system_data.json is written, so JSON polling keeps working
+  dataDir: process.env.DATA_DIR || path.join(repoRoot, 'dashboard/public/data'),
+  // Persistent state such as metric history
+  stateDir: process.env.STATE_DIR || path.join(repoRoot, 'state'),
+  // native reads /proc and /sys in-process; script runs the generator
+  // every cycle, as the collector did before
+  source: process.env.COLLECTOR_SOURCE === 'script' ? 'script' : 'native',
+  generator: process.env.GENERATOR || path.join(repoRoot, 'generate_json.sh'),
+  // CPU milliseconds one cycle may use before it counts as over budget
+  budgetMs: Number(process.env.COLLECTOR_BUDGET_MS) || 30,
+  // Host filesystems when running in a container (see docker-compose.yml).
+  // generate_json.sh reads the same variables from the environment.
+  procRoot: process.env.HOST_PROC || '/proc',
+  sysRoot: process.env.HOST_SYS || '/sys',
+  hostRoot: process.env.HOST_ROOT || '/',
+  // Battery readings on Android (termux-api); point it at a stub script to
+  // try the Termux path elsewhere
+  termuxBattery: process.env.TERMUX_BATTERY_COMMAND || 'termux-battery-status',
+  // Docker's state directory, for container names and images (optional)
+  dockerRoot: process.env.DOCKER_ROOT || '/var/lib/docker',
+  // systemd units the dashboard may restart, e.g. "nginx.service,postgresql.service"
+  controlUnits: (process.env.CONTROL_UNITS || '').split(',').map(unit => unit.trim()).filter(Boolean),
+  // Session recording: start at launch, rotate at this size, gzip rotated
+  // files, and keep this many finished files
+  record: process.env.RECORD === '1',
+  recordMaxBytes: (Number(process.env.RECORD_MAX_MB) || 64) * 1024 * 1024,
+  recordGzip: process.env.RECORD_GZIP !== '0',
+  recordKeep: Number(process.env.RECORD_KEEP) || 20,
+  // AI insights provider: gemini, openai (or any compatible server), local
+  // (Ollama) or mock. The key stays in the collector.
+  insights: {
+    provider: process.env.INSIGHTS_PROVIDER || 'mock',
+    url: process.env.INSIGHTS_URL || null,
+    model: process.env.INSIGHTS_MODEL || null,
+    apiKey: process.env.INSIGHTS_API_KEY || null,
+    // Seconds to wait for the model
+    timeout: Number(process.env.INSIGHTS_TIMEOUT) || 60,
+  },
+}
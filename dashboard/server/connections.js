@@ -0,0 +1,78 @@
+// Open sockets with the process that owns each one, like `ss -tunaxp`.
+// Owners are found by matching socket inodes against the "socket:[inode]"
+// links in every /proc/<pid>/fd; without root only our own user's
+// processes can be read, so other sockets stay unattributed.
+import { readdir, readFile, readlink } from 'node:fs/promises'
+import path from 'node:path'
+import { readSockets } from './collectors/sockets.js'
+
+// Requests closer together than this share one sample
+const MIN_SAMPLE_MS = 1000
+// Bounded so thousands of processes never exhaust file descriptors
+const BATCH_SIZE = 64
+
+export function createConnectionTable({ procRoot = '/proc' } = {}) {
+  let last = null
+  let pending = null
+
+  // pid, command and the socket inodes it holds open
+  const readOwner = async (pid) => {
+    const fdDir = path.join(procRoot, pid, 'fd')
+    try {
+      const fds = await readdir(fdDir)
+      const links = await Promise.all(fds.map(fd => readlink(path.join(fdDir, fd)).catch(() => '')))
+      const inodes = links.map(link => /^socket:\[(\d+)\]$/.exec(link)?.[1]).filter(Boolean).map(Number)
+      if (!inodes.length) return null
+      const command = (await readFile(path.join(procRoot, pid, 'comm'), 'utf8')).trim()
+      return { pid: Number(pid), command, inodes }
+    } catch {
+      // Exited, or another user's process
+      return null
+    }
+  }
+
+  // inode -> { pid, command }. A socket shared after fork goes to the
+  // lowest pid, usually the parent that opened it.
+  const socketOwners = async () => {
+    const pids = (await readdir(procRoot)).filter(name => /^\d+$/.test(name)).sort((a, b) => a - b)
+    const owners = new Map()
+    for (let i = 0; i < pids.length; i += BATCH_SIZE) {
+      for (const owner of await Promise.all(pids.slice(i, i + BATCH_SIZE).map(readOwner))) {
+        if (!owner) continue
+        for (const inode of owner.inodes) {
+          if (!owners.has(inode)) owners.set(inode, { pid: owner.pid, command: owner.command })
+        }
+      }
+    }
+    return owners
+  }
+
+  const sample = async () => {
+    const now = Date.now()
+    const [sockets, owners] = await Promise.all([readSockets(procRoot), socketOwners()])
+    const connections = sockets.map(socket => {
+      // Inode 0: TIME_WAIT and other sockets no longer attached to a file
+      const owner = socket.inode ? owners.get(socket.inode) : null
+      return { ...socket, pid: owner?.pid ?? null, command: owner?.command ?? null }
+    })
+    return {
+      timestamp: new Date(now).toISOString(),
+      // Whether every process could be read, so missing owners mean none
+      complete: typeof process.getuid !== 'function' || process.getuid() === 0,
+      connections,
+    }
+  }
+
+  return {
+    async list() {
+      if (last && Date.now() - last.at < MIN_SAMPLE_MS) return last.result
+      // Concurrent callers wait for the sample already in flight
+      pending ??= sample().finally(() => {
+        pending = null
+      })
+      const result = await pending
+      last = { at: Date.now(), result }
+      return result
+    },
+  }
+}
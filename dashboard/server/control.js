@@ -0,0 +1,93 @@
+// Process and service actions behind the control API. Callers are expected
+// to have checked permissions; this module only validates its inputs.
+import { execFile } from 'node:child_process'
+import { readlink } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { promisify } from 'node:util'
+import { httpError } from './http.js'
+
+const run = promisify(execFile)
+
+export const SIGNALS = ['SIGTERM', 'SIGKILL', 'SIGINT', 'SIGHUP', 'SIGSTOP', 'SIGCONT']
+
+function parsePid(value) {
+  const pid = Number(value)
+  if (!Number.isInteger(pid) || pid <= 0) throw httpError(400, `Invalid pid: ${value}`)
+  // Signalling init or ourselves would take the host or the dashboard down
+  if (pid === 1 || pid === process.pid) throw httpError(403, `Refusing to act on pid ${pid}`)
+  return pid
+}
+
+function systemError(err, pid) {
+  if (err.code === 'ESRCH') return httpError(404, `No such process: ${pid}`)
+  if (err.code === 'EPERM' || err.code === 'EACCES') {
+    return httpError(403, `Not permitted to change pid ${pid} (the collector runs as ${os.userInfo().username})`)
+  }
+  return err
+}
+
+// The process list's PIDs are only ours to signal if procRoot shows our own
+// PID namespace: its "self" link then names this process. A host /proc
+// mounted into a container without `pid: host` has no "self" for us.
+async function sharesPidNamespace(procRoot) {
+  if (path.resolve(procRoot) === '/proc') return true
+  return readlink(path.join(procRoot, 'self')).then(link => link === String(process.pid), () => false)
+}
+
+export function createControl({ units = [], procRoot = '/proc' } = {}) {
+  let ownProcesses = null
+
+  // { allowed, reason } for signalling and renicing listed processes
+  const processControl = async () => {
+    ownProcesses ??= sharesPidNamespace(procRoot)
+    return await ownProcesses
+      ? { allowed: true, reason: null }
+      : { allowed: false, reason: `Process control is off: the process list comes from ${procRoot}, another PID namespace than the collector's, so its PIDs would reach the wrong processes (run the container with pid: host)` }
+  }
+
+  const ensureProcessControl = async () => {
+    const { allowed, reason } = await processControl()
+    if (!allowed) throw httpError(403, reason)
+  }
+
+  return {
+    units: () => units,
+    processControl,
+
+    async signal(pidValue, signal) {
+      await ensureProcessControl()
+      const pid = parsePid(pidValue)
+      if (!SIGNALS.includes(signal)) throw httpError(400, `Signal must be one of ${SIGNALS.join(', ')}`)
+      try {
+        process.kill(pid, signal)
+      } catch (err) {
+        throw systemError(err, pid)
+      }
+      return { pid, signal }
+    },
+
+    async renice(pidValue, niceValue) {
+      await ensureProcessControl()
+      const pid = parsePid(pidValue)
+      const nice = Number(niceValue)
+      if (!Number.isInteger(nice) || nice < -20 || nice > 19) throw httpError(400, 'Nice value must be an integer from -20 to 19')
+      try {
+        os.setPriority(pid, nice)
+      } catch (err) {
+        throw systemError(err, pid)
+      }
+      return { pid, nice: os.getPriority(pid) }
+    },
+
+    async restartUnit(unit) {
+      if (!units.includes(unit)) throw httpError(403, `${unit} is not listed in CONTROL_UNITS`)
+      try {
+        await run('systemctl', ['restart', unit], { timeout: 60000 })
+      } catch (err) {
+        throw httpError(502, `systemctl restart ${unit} failed: ${(err.stderr || err.message).trim()}`)
+      }
+      return { unit, restarted: true }
+    },
+  }
+}
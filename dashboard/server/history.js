@@ -0,0 +1,171 @@
+// Metric history: raw samples plus 1-minute and 1-hour rollups, held in
+// memory and appended to one NDJSON file per tier under the state directory.
+import { mkdir, readFile, appendFile, writeFile, rename } from 'node:fs/promises'
+import path from 'node:path'
+import { extractMetrics } from '../src/lib/metrics.js'
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+// Upper bound on points returned when the caller does not pass a step
+const MAX_POINTS = 500
+const COMPACT_EVERY_MS = 10 * MINUTE
+
+const TIERS = [
+  { name: 'raw', resolution: 0, retention: DAY },
+  { name: '1m', resolution: MINUTE, retention: 7 * DAY },
+  { name: '1h', resolution: HOUR, retention: 365 * DAY },
+]
+
+// Aggregates are stored as [avg, min, max, count]; raw samples as plain numbers
+const asAggregate = (value) => (Array.isArray(value) ? value : [value, value, value, 1])
+
+function mergeInto(acc, values) {
+  for (const [name, value] of Object.entries(values)) {
+    const [avg, min, max, n] = asAggregate(value)
+    const a = acc[name] || (acc[name] = { sum: 0, min: Infinity, max: -Infinity, n: 0 })
+    a.sum += avg * n
+    a.min = Math.min(a.min, min)
+    a.max = Math.max(a.max, max)
+    a.n += n
+  }
+}
+
+function finish(acc) {
+  const values = {}
+  for (const [name, a] of Object.entries(acc)) {
+    values[name] = [+(a.sum / a.n).toFixed(2), a.min, a.max, a.n]
+  }
+  return values
+}
+
+// Accumulates records into fixed buckets and flushes each one once it closes
+function createRollup(resolution, onFlush) {
+  let open = null
+  return (t, values) => {
+    const start = Math.floor(t / resolution) * resolution
+    if (open && open.t !== start) {
+      onFlush(open.t, finish(open.acc))
+      open = null
+    }
+    if (!open) open = { t: start, acc: {} }
+    mergeInto(open.acc, values)
+  }
+}
+
+export function createHistoryStore({ dir }) {
+  const tiers = TIERS.map(tier => ({
+    ...tier,
+    file: path.join(dir, `${tier.name}.ndjson`),
+    records: [],
+    pending: Promise.resolve(),
+  }))
+  const [raw, minute, hour] = tiers
+  let compactTimer = null
+
+  // Serialise file writes per tier so appends never race a compaction
+  const enqueue = (tier, task) => {
+    tier.pending = tier.pending.then(task).catch(err => {
+      console.error(`[history] ${tier.name}:`, err.message)
+    })
+    return tier.pending
+  }
+
+  const append = (tier, record) => {
+    tier.records.push(record)
+    enqueue(tier, () => appendFile(tier.file, JSON.stringify(record) + '\n'))
+  }
+
+  const rollHour = createRollup(HOUR, (t, values) => append(hour, { t, m: values }))
+  const rollMinute = createRollup(MINUTE, (t, values) => {
+    append(minute, { t, m: values })
+    rollHour(t, values)
+  })
+
+  const prune = (tier, now = Date.now()) => {
+    const cutoff = now - tier.retention
+    const first = tier.records.findIndex(r => r.t >= cutoff)
+    tier.records = first === -1 ? [] : tier.records.slice(first)
+  }
+
+  const compact = () => Promise.all(tiers.map(tier => {
+    prune(tier)
+    return enqueue(tier, async () => {
+      const tmp = `${tier.file}.tmp`
+      await writeFile(tmp, tier.records.map(r => JSON.stringify(r) + '\n').join(''))
+      await rename(tmp, tier.file)
+    })
+  }))
+
+  const load = async () => {
+    await mkdir(dir, { recursive: true })
+    for (const tier of tiers) {
+      let text = ''
+      try {
+        text = await readFile(tier.file, 'utf8')
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err
+      }
+      for (const line of text.split('\n')) {
+        if (!line) continue
+        try {
+          tier.records.push(JSON.parse(line))
+        } catch {
+          // Skip a line truncated by a crash mid-append
+        }
+      }
+    }
+    await compact()
+    compactTimer = setInterval(compact, COMPACT_EVERY_MS)
+    compactTimer.unref()
+  }
+
+  const add = (snapshot, t = Date.now()) => {
+    const values = extractMetrics(snapshot)
+    if (!Object.keys(values).length) return
+    append(raw, { t, m: values })
+    rollMinute(t, values)
+  }
+
+  const pickTier = (from, step, now) => {
+    const covering = tiers.filter(tier => now - from <= tier.retention)
+    return covering.find(tier => tier.resolution <= step) || covering[0] || hour
+  }
+
+  // Returns { tier, step, series: { metric: [{ t, avg, min, max }] } }
+  const query = ({ metrics, from, to, step }) => {
+    const now = Date.now()
+    const stepMs = step ? step * 1000 : Math.max(Math.ceil((to - from) / MAX_POINTS), 1000)
+    const tier = pickTier(from, stepMs, now)
+    const records = tier.records.filter(r => r.t >= from && r.t <= to)
+    const bucketMs = Math.max(stepMs, tier.resolution)
+
+    const series = {}
+    for (const name of metrics) {
+      const buckets = new Map()
+      for (const record of records) {
+        if (record.m[name] === undefined) continue
+        const start = Math.floor(record.t / bucketMs) * bucketMs
+        if (!buckets.has(start)) buckets.set(start, {})
+        mergeInto(buckets.get(start), { [name]: record.m[name] })
+      }
+      series[name] = [...buckets].map(([t, acc]) => {
+        const [avg, min, max] = finish(acc)[name]
+        return { t, avg, min, max }
+      })
+    }
+
+    return { tier: tier.name, step: bucketMs / 1000, series }
+  }
+
+  return {
+    load,
+    add,
+    query,
+    close: () => {
+      clearInterval(compactTimer)
+      return Promise.all(tiers.map(tier => tier.pending))
+    },
+  }
+}
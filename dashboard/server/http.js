@@ -0,0 +1,121 @@
+// Minimal routing helpers for the collector's HTTP API.
+
+const MAX_BODY_BYTES = 1024 * 1024
+
+export function httpError(status, message) {
+  return Object.assign(new Error(message), { status })
+}
+
+export function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    ...headers,
+  })
+  res.end(JSON.stringify(body))
+}
+
+export function parseCookies(req) {
+  const cookies = {}
+  for (const pair of (req.headers.cookie || '').split(';')) {
+    const i = pair.indexOf('=')
+    if (i <= 0) continue
+    try {
+      cookies[pair.slice(0, i).trim()] = decodeURIComponent(pair.slice(i + 1).trim())
+    } catch {
+      // Someone else's cookie with a malformed escape; not ours to read
+    }
+  }
+  return cookies
+}
+
+// The browser's address; trusts X-Forwarded-For only from the local proxy
+export function clientAddress(req) {
+  const remote = req.socket.remoteAddress || ''
+  const forwarded = req.headers['x-forwarded-for']
+  const local = remote === '127.0.0.1' || remote === '::1' || remote === '::ffff:127.0.0.1'
+  return local && forwarded ? forwarded.split(',')[0].trim() : remote
+}
+
+export async function readJson(req) {
+  let size = 0
+  const chunks = []
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > MAX_BODY_BYTES) throw httpError(413, 'Request body too large')
+    chunks.push(chunk)
+  }
+  if (!size) return {}
+  let body
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString('utf8'))
+  } catch {
+    throw httpError(400, 'Request body is not valid JSON')
+  }
+  // Handlers destructure the body, so null, arrays and bare values are refused
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'Request body must be a JSON object')
+  }
+  return body
+}
+
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value)
+  } catch {
+    throw httpError(400, `Malformed path segment: ${value}`)
+  }
+}
+
+// Matches "/api/alerts/rules/:id" style patterns, returning the params or null
+function match(pattern, pathname) {
+  const want = pattern.split('/')
+  const got = pathname.split('/')
+  if (want.length !== got.length) return null
+  const params = {}
+  for (let i = 0; i < want.length; i++) {
+    if (want[i].startsWith(':')) params[want[i].slice(1)] = decodeParam(got[i])
+    else if (want[i] !== got[i]) return null
+  }
+  return params
+}
+
+export function createRouter() {
+  const routes = []
+
+  const add = (method) => (pattern, handler) => {
+    routes.push({ method, pattern, handler })
+  }
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    try {
+      let route = null
+      let params = null
+      for (const r of routes) {
+        if (r.method !== req.method) continue
+        params = match(r.pattern, url.pathname)
+        if (params) {
+          route = r
+          break
+        }
+      }
+      if (!route) return sendJson(res, 404, { error: 'Not found' })
+
+      await route.handler(req, res, url, params)
+    } catch (err) {
+      const status = err.status || 500
+      if (status >= 500) console.error(`[http] ${req.method} ${url.pathname}:`, err)
+      if (!res.headersSent) sendJson(res, status, { error: err.message })
+      else res.end()
+    }
+  }
+
+  return {
+    get: add('GET'),
+    post: add('POST'),
+    put: add('PUT'),
+    delete: add('DELETE'),
+    handle,
+  }
+}
@@ -0,0 +1,307 @@
+// Collector service: gathers snapshots and pushes them to dashboards over SSE.
+import http from 'node:http'
+import path from 'node:path'
+import { createReadStream } from 'node:fs'
+import { once } from 'node:events'
+import { pipeline } from 'node:stream'
+import { config } from './config.js'
+import { createCollector } from './collector.js'
+import { createCpuSampler } from './collectors/cpu.js'
+import { createMemorySampler } from './collectors/memory.js'
+import { createNetworkSampler } from './collectors/network.js'
+import { createSocketSampler } from './collectors/sockets.js'
+import { createDiskSampler } from './collectors/disk.js'
+import { createContainerSampler } from './collectors/containers.js'
+import { createSensorSampler } from './collectors/sensors.js'
+import { createPowerSampler } from './collectors/power.js'
+import { createGpuSampler } from './collectors/gpu.js'
+import { createSystemSource, sampleHealth } from './collectors/system.js'
+import { createEventStream } from './stream.js'
+import { createHistoryStore } from './history.js'
+import { METRICS } from '../src/lib/metrics.js'
+import { analyzeSession, ANALYZED_METRICS } from '../src/lib/analysis.js'
+import { sessionFromHistory } from '../src/lib/report.js'
+import { createAlertEngine } from './alerts.js'
+import { renderMetrics, CONTENT_TYPE } from './prometheus.js'
+import { createProcessTable } from './processes.js'
+import { createConnectionTable } from './connections.js'
+import { createAuth } from './auth.js'
+import { createAuditLog } from './audit.js'
+import { createControl } from './control.js'
+import { createRecorder } from './recorder.js'
+import { createInsights } from './insights.js'
+import { createLayoutStore } from './layouts.js'
+import { SNAPSHOT_SCHEMA } from '../src/lib/schema.js'
+import { createRouter, sendJson, readJson, httpError, clientAddress } from './http.js'
+
+const native = config.source === 'native'
+const collector = createCollector({
+  ...config,
+  source: native ? createSystemSource(config) : null,
+  samplers: [
+    createCpuSampler(config),
+    createMemorySampler(config),
+    createNetworkSampler(config),
+    createSocketSampler(config),
+    createDiskSampler(config),
+    createContainerSampler(config),
+    createSensorSampler(config),
+    createPowerSampler(config),
+    // generate_json.sh already queries the GPU and sets health itself
+    ...(native ? [createGpuSampler(config), sampleHealth] : []),
+  ],
+})
+const history = createHistoryStore({ dir: path.join(config.stateDir, 'history') })
+const alerts = createAlertEngine({ dir: path.join(config.stateDir, 'alerts') })
+const processes = createProcessTable({ procRoot: config.procRoot, passwdFile: path.join(config.hostRoot, 'etc', 'passwd') })
+const connections = createConnectionTable({ procRoot: config.procRoot })
+const auth = createAuth({ dir: path.join(config.stateDir, 'auth') })
+const audit = createAuditLog({ dir: path.join(config.stateDir, 'audit') })
+const control = createControl({ units: config.controlUnits, procRoot: config.procRoot })
+const recorder = createRecorder({
+  dir: path.join(config.stateDir, 'recordings'),
+  maxBytes: config.recordMaxBytes,
+  gzip: config.recordGzip,
+  keep: config.recordKeep,
+})
+const insights = createInsights({ ...config.insights, history })
+const layouts = createLayoutStore({ dir: path.join(config.stateDir, 'layouts') })
+const stream = createEventStream({ replay: ['snapshot'] })
+const router = createRouter()
+
+router.get('/api/stream', (req, res) => stream.handle(req, res))
+
+router.get('/api/snapshot', (req, res) => {
+  const snapshot = collector.latest()
+  if (!snapshot) return sendJson(res, 503, { error: 'No snapshot collected yet' })
+  sendJson(res, 200, snapshot)
+})
+
+// Accepts epoch milliseconds or anything Date.parse understands
+const parseTime = (value, fallback) => {
+  if (!value) return fallback
+  const t = /^\d+$/.test(value) ? Number(value) : Date.parse(value)
+  if (Number.isNaN(t)) throw httpError(400, `Invalid time: ${value}`)
+  return t
+}
+
+router.get('/api/history', (req, res, url) => {
+  const params = url.searchParams
+  const metrics = (params.get('metric') || 'cpu').split(',')
+  const unknown = metrics.filter(name => !METRICS[name])
+  if (unknown.length) throw httpError(400, `Unknown metric: ${unknown.join(', ')}`)
+
+  const to = parseTime(params.get('to'), Date.now())
+  const from = parseTime(params.get('from'), to - 60 * 60 * 1000)
+  const step = params.has('step') ? Number(params.get('step')) : null
+  if (from >= to) throw httpError(400, '"from" must be before "to"')
+  if (step !== null && !(step > 0)) throw httpError(400, '"step" must be a positive number of seconds')
+
+  sendJson(res, 200, { from, to, ...history.query({ metrics, from, to, step }) })
+})
+
+// Rule-based findings (spikes, trends, sustained I/O wait) over stored
+// history, by default the last 24 hours
+router.get('/api/findings', (req, res, url) => {
+  const params = url.searchParams
+  const to = parseTime(params.get('to'), Date.now())
+  const from = parseTime(params.get('from'), to - 24 * 60 * 60 * 1000)
+  if (from >= to) throw httpError(400, '"from" must be before "to"')
+
+  const session = sessionFromHistory(history.query({ metrics: ANALYZED_METRICS, from, to }), null)
+  sendJson(res, 200, { from, to, findings: analyzeSession(session) })
+})
+
+// Once users exist, changes need a signed-in user with the permission:
+// "read" for acknowledging and asking for analysis, "control" for
+// anything shared such as rules and layouts. Without users the dashboard
+// stays open, as before.
+const requires = (permission, handler) => async (req, res, url, params) => {
+  if (await auth.enabled()) auth.authorize(await auth.authenticate(req), permission)
+  return handler(req, res, url, params)
+}
+
+router.get('/api/alerts/rules', (req, res) => sendJson(res, 200, alerts.listRules()))
+
+router.post('/api/alerts/rules', requires('control', async (req, res) => {
+  sendJson(res, 201, await alerts.createRule(await readJson(req)))
+}))
+
+router.put('/api/alerts/rules/:id', requires('control', async (req, res, url, { id }) => {
+  sendJson(res, 200, await alerts.updateRule(id, await readJson(req)))
+}))
+
+router.delete('/api/alerts/rules/:id', requires('control', async (req, res, url, { id }) => {
+  await alerts.deleteRule(id)
+  sendJson(res, 200, { deleted: id })
+}))
+
+router.post('/api/alerts/rules/:id/silence', requires('control', async (req, res, url, { id }) => {
+  const { minutes } = await readJson(req)
+  sendJson(res, 200, await alerts.silenceRule(id, Number(minutes) || 0))
+}))
+
+router.get('/api/alerts/events', (req, res) => sendJson(res, 200, alerts.listEvents()))
+
+router.post('/api/alerts/events/ack', requires('read', async (req, res) => {
+  await alerts.acknowledgeAll()
+  sendJson(res, 200, alerts.listEvents())
+}))
+
+router.post('/api/alerts/events/:id/ack', requires('read', async (req, res, url, { id }) => {
+  sendJson(res, 200, await alerts.acknowledge(id))
+}))
+
+router.get('/api/processes', async (req, res) => sendJson(res, 200, await processes.list()))
+
+router.get('/api/connections', async (req, res) => sendJson(res, 200, await connections.list()))
+
+router.post('/api/auth/login', async (req, res) => {
+  const { token } = await readJson(req)
+  try {
+    const { id, user } = await auth.login(token)
+    audit.record({ user: user.name, role: user.role, action: 'login', target: 'session', result: 'ok', ip: clientAddress(req) })
+    sendJson(res, 200, user, { 'Set-Cookie': auth.cookie(id, req) })
+  } catch (err) {
+    audit.record({ user: null, action: 'login', target: 'session', result: 'denied', error: err.message, ip: clientAddress(req) })
+    throw err
+  }
+})
+
+router.post('/api/auth/logout', (req, res) => {
+  auth.logout(req)
+  sendJson(res, 200, { user: null }, { 'Set-Cookie': auth.cookie(null, req) })
+})
+
+router.get('/api/auth/me', async (req, res) => {
+  sendJson(res, 200, {
+    user: await auth.authenticate(req),
+    control: { enabled: await auth.enabled(), units: control.units(), processes: await control.processControl() },
+  })
+})
+
+// Wraps a control action with authorisation and an audit entry, whether
+// it succeeds, fails or is refused
+const controlled = (action, perform) => async (req, res, url, params) => {
+  const user = await auth.authenticate(req)
+  const body = await readJson(req)
+  const entry = {
+    user: user?.name ?? null,
+    role: user?.role ?? null,
+    action,
+    target: params.pid ?? params.unit ?? 'recorder',
+    params: body,
+    ip: clientAddress(req),
+  }
+  try {
+    auth.authorize(user, 'control')
+    const result = await perform(params, body)
+    audit.record({ ...entry, result: 'ok' })
+    processes.invalidate()
+    sendJson(res, 200, result)
+  } catch (err) {
+    audit.record({ ...entry, result: err.status === 401 || err.status === 403 ? 'denied' : 'failed', error: err.message })
+    throw err
+  }
+}
+
+router.post('/api/processes/:pid/signal', controlled('signal', ({ pid }, { signal }) => control.signal(pid, signal)))
+router.post('/api/processes/:pid/renice', controlled('renice', ({ pid }, { nice }) => control.renice(pid, nice)))
+router.post('/api/services/:unit/restart', controlled('restart', ({ unit }) => control.restartUnit(unit)))
+
+router.get('/api/recordings', async (req, res) => {
+  sendJson(res, 200, { ...recorder.status(), files: await recorder.list() })
+})
+
+router.get('/api/recordings/:name', async (req, res, url, { name }) => {
+  const file = await recorder.file(name)
+  // Opened before the headers go out, so a file pruned in between is still a 404
+  const stream = createReadStream(file)
+  await once(stream, 'open').catch(() => {
+    throw httpError(404, 'No such recording')
+  })
+  res.writeHead(200, {
+    'Content-Type': name.endsWith('.gz') ? 'application/gzip' : 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="${name}"`,
+  })
+  // Ends the response, rather than the process, if the read fails midway
+  pipeline(stream, res, (err) => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error(`[recordings] sending ${name}:`, err.message)
+  })
+})
+
+router.post('/api/recordings/start', controlled('record-start', () => recorder.start()))
+router.post('/api/recordings/stop', controlled('record-stop', () => recorder.stop()))
+
+router.get('/api/insights', (req, res) => sendJson(res, 200, insights.info()))
+
+router.post('/api/insights', requires('read', async (req, res) => {
+  sendJson(res, 200, await insights.analyze(collector.latest()))
+}))
+
+router.get('/api/layouts', (req, res) => sendJson(res, 200, layouts.list()))
+
+router.put('/api/layouts/:name', requires('control', async (req, res, url, { name }) => {
+  sendJson(res, 200, await layouts.put(name, await readJson(req)))
+}))
+
+router.delete('/api/layouts/:name', requires('control', async (req, res, url, { name }) => {
+  await layouts.remove(name)
+  sendJson(res, 200, { deleted: name })
+}))
+
+router.get('/api/audit', async (req, res, url) => {
+  auth.authorize(await auth.authenticate(req), 'read')
+  sendJson(res, 200, audit.list(Number(url.searchParams.get('limit')) || 100))
+})
+
+router.get('/api/schema', (req, res) => sendJson(res, 200, SNAPSHOT_SCHEMA))
+
+router.get('/metrics', (req, res) => {
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPE })
+  res.end(renderMetrics(collector.latest(), { collector: collector.stats(), clients: stream.size() }))
+})
+
+router.get('/api/health', (req, res) => {
+  sendJson(res, 200, {
+    status: 'ok',
+    clients: stream.size(),
+    last_snapshot: collector.latest()?.timestamp || null,
+  })
+})
+
+collector.on('snapshot', (snapshot) => {
+  stream.broadcast('snapshot', snapshot)
+  history.add(snapshot)
+  recorder.record(snapshot)
+  alerts.evaluate(snapshot)
+})
+alerts.on('event', (event) => stream.broadcast('alert', event))
+collector.on('error', (err) => console.error('[collector]', err.message))
+collector.on('invalid', (errors) => {
+  console.warn(`[collector] snapshot failed validation: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`)
+})
+
+const server = http.createServer(router.handle)
+await history.load()
+await alerts.load()
+await audit.load()
+await layouts.load()
+if (config.record) await recorder.start()
+server.listen(config.port, config.host, () => {
+  console.log(`Collector listening on http://${config.host}:${config.port} (${config.source}, every ${config.interval}s)`)
+  collector.start()
+})
+
+const shutdown = () => {
+  collector.stop()
+  stream.close()
+  server.close(async () => {
+    await history.close()
+    await audit.close()
+    await recorder.close()
+    process.exit(0)
+  })
+}
+process.on('SIGINT', shutdown)
+process.on('SIGTERM', shutdown)
@@ -0,0 +1,274 @@
+// AI insights: sends the latest snapshot plus a summary of recent history to
+// a language model and returns its analysis as markdown. Requests go out
+// from the collector, so provider keys never reach the browser.
+import { httpError } from './http.js'
+import { formatBytes, formatRate, formatDuration, formatMetric } from '../src/lib/format.js'
+import { METRIC_INFO } from '../src/lib/metrics.js'
+import { analyzeSession, ANALYZED_METRICS } from '../src/lib/analysis.js'
+import { sessionFromHistory } from '../src/lib/report.js'
+
+// One analysis at a time, and not more often than this
+const COOLDOWN_MS = 15 * 1000
+
+// History summarised in the prompt so the model sees trends, not one instant
+const RECENT_METRICS = ['cpu', 'cpu_iowait', 'memory', 'swap_used', 'pressure_memory', 'pressure_io', 'disk', 'network_rx_rate', 'network_tx_rate', 'cpu_temp']
+const RECENT_MS = 60 * 60 * 1000
+// Window the rule-based findings are computed over
+const FINDINGS_MS = 24 * RECENT_MS
+
+// Section headings the prompt asks for; the dashboard shows one card each
+export const SECTIONS = [
+  'System Health Summary',
+  'Performance Analysis',
+  'Potential Issues',
+  'Optimization Recommendations',
+  'Security Observations',
+  'Resource Predictions',
+]
+
+const DEFAULTS = {
+  gemini: { url: 'https://generativelanguage.googleapis.com/v1beta', model: 'gemini-2.5-flash' },
+  openai: { url: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+  local: { url: 'http://127.0.0.1:11434', model: 'llama3.2' },
+  mock: { url: null, model: 'rules' },
+}
+
+const INSTRUCTIONS = `You are an expert system administrator and performance analyst. Analyze the system data below.
+Reply in markdown with exactly these level-2 headings, in this order:
+${SECTIONS.map(s => `## ${s}`).join('\n')}
+Under "System Health Summary" start with one of Excellent, Good, Fair or Poor and a brief explanation.
+Use short bullet points, cite the numbers you rely on, and be concise but thorough.`
+
+const pct = (value) => (value === null || value === undefined ? 'N/A' : `${Math.round(value * 10) / 10}%`)
+
+// Plain-text system description for the prompt; recent is [{ label, avg, max }]
+// and findings come from analyzeSession
+export function describeSystem(snapshot, recent, findings = []) {
+  const s = snapshot
+  const lines = [
+    `Host: ${s.hostname} (kernel ${s.kernel || 'unknown'}), up ${formatDuration(s.uptime_seconds)}`,
+    `CPU: ${s.cpu?.model || 'unknown'}, ${s.cpu?.cores ?? '?'} cores, usage ${pct(s.cpu?.usage_percent)}, load average ${(s.load_avg || []).join(' / ')}`,
+  ]
+  if (s.cpu?.breakdown) {
+    const b = s.cpu.breakdown
+    lines.push(`CPU time: user ${pct(b.user)}, system ${pct(b.system)}, iowait ${pct(b.iowait)}, steal ${pct(b.steal)}`)
+  }
+  if (s.cpu?.temperature_celsius !== null && s.cpu?.temperature_celsius !== undefined) {
+    lines.push(`CPU temperature: ${s.cpu.temperature_celsius}°C`)
+  }
+  lines.push(
+    `Memory: ${formatBytes(s.memory?.used_bytes)} of ${formatBytes(s.memory?.total_bytes)} used (${pct(s.memory?.usage_percent)}), swap ${formatBytes(s.memory?.swap_used_bytes)} of ${formatBytes(s.memory?.swap_total_bytes)}`,
+  )
+  if (s.memory?.breakdown) {
+    const b = s.memory.breakdown
+    lines.push(`Memory breakdown: apps ${formatBytes(b.anon_bytes)}, page cache ${formatBytes(b.page_cache_bytes)}, shared ${formatBytes(b.shmem_bytes)}, slab ${formatBytes(b.slab_reclaimable_bytes + b.slab_unreclaimable_bytes)}, dirty ${formatBytes(b.dirty_bytes)}, committed ${formatBytes(b.committed_bytes)} of ${formatBytes(b.commit_limit_bytes)} limit`)
+    lines.push(`Swapping: ${s.memory.swap_in_pages_per_sec ?? 'N/A'} pages/s in, ${s.memory.swap_out_pages_per_sec ?? 'N/A'} pages/s out; OOM kills since boot: ${s.memory.oom_kills ?? 'N/A'}`)
+  }
+  for (const p of (s.memory?.top_processes || []).slice(0, 5)) {
+    lines.push(`Large process ${p.name} (pid ${p.pid}): ${formatBytes(p.rss_bytes)} resident, ${formatBytes(p.swap_bytes)} swapped`)
+  }
+  for (const [resource, stall] of Object.entries(s.pressure || {})) {
+    if (stall) lines.push(`Pressure ${resource} (avg10/avg60/avg300): some ${stall.some.avg10}/${stall.some.avg60}/${stall.some.avg300}%${stall.full ? `, full ${stall.full.avg10}/${stall.full.avg60}/${stall.full.avg300}%` : ''}`)
+  }
+  for (const fs of s.disk?.filesystems || []) {
+    const inodes = fs.inodes_usage_percent !== null && fs.inodes_usage_percent !== undefined ? `, inodes ${pct(fs.inodes_usage_percent)}` : ''
+    lines.push(`Filesystem ${fs.mount}: ${formatBytes(fs.used_bytes)} of ${formatBytes(fs.total_bytes)} (${pct(fs.usage_percent)})${inodes}`)
+  }
+  for (const dev of s.disk?.devices || []) {
+    lines.push(`Disk ${dev.name}: read ${formatRate(dev.read_bytes_per_sec)}, write ${formatRate(dev.write_bytes_per_sec)}, await ${dev.await_ms ?? 'N/A'} ms, util ${pct(dev.util_percent)}`)
+  }
+  for (const iface of s.network?.interfaces || []) {
+    const rates = iface.rx_bytes_per_sec !== undefined
+      ? `, down ${formatRate(iface.rx_bytes_per_sec)}, up ${formatRate(iface.tx_bytes_per_sec)}, errors ${iface.rx_errors}/${iface.tx_errors}, drops ${iface.rx_dropped}/${iface.tx_dropped}`
+      : ''
+    lines.push(`Interface ${iface.name}: ${iface.status}${rates}`)
+  }
+  const sockets = s.network?.sockets
+  if (sockets) {
+    const tcp = Object.entries(sockets.tcp).filter(([, count]) => count > 0).map(([state, count]) => `${state} ${count}`).join(', ')
+    lines.push(`Sockets: TCP ${tcp || 'none'}; UDP ${sockets.udp}; Unix ${sockets.unix}`)
+  }
+  for (const gpu of s.gpu || []) {
+    lines.push(`GPU ${gpu.index}: ${gpu.name}, usage ${pct(gpu.utilization_percent)}, ${formatBytes(gpu.memory_used_bytes)} of ${formatBytes(gpu.memory_total_bytes)}, ${gpu.temperature_celsius ?? 'N/A'}°C`)
+  }
+  for (const battery of s.power?.batteries || []) {
+    const left = battery.time_remaining_seconds === null ? '' : `, ${formatDuration(battery.time_remaining_seconds)} to ${battery.status === 'charging' ? 'full' : 'empty'}`
+    lines.push(`Battery ${battery.id}: ${pct(battery.percent)}, ${battery.status.replace('_', ' ')}, ${battery.power_watts ?? 'N/A'} W, health ${battery.health ?? 'N/A'}${left}`)
+  }
+  lines.push(`Processes: ${s.processes?.total ?? '?'} total, ${s.processes?.running ?? '?'} running`)
+
+  if (recent.length) {
+    lines.push('', 'Last hour (avg / max):')
+    for (const { label, avg, max } of recent) lines.push(`${label}: ${avg} / ${max}`)
+  }
+  if (findings.length) {
+    lines.push('', 'Rule-based findings over the last 24 hours:')
+    for (const f of findings) lines.push(`[${f.severity}] ${f.title}: ${f.detail}`)
+  }
+  return lines.join('\n')
+}
+
+// Offline stand-in that applies a few fixed rules to the numbers, so the
+// panel can be developed and tested without a model or network access
+function mockAnalysis(snapshot, findings) {
+  const s = snapshot
+  const issues = findings.filter(f => f.kind !== 'trend').map(f => `${f.title}: ${f.detail}`)
+  const predictions = findings.filter(f => f.kind === 'trend').map(f => `${f.title}. ${f.detail}`)
+  const tips = []
+  if (s.cpu?.usage_percent >= 80) {
+    issues.push(`CPU is busy at ${pct(s.cpu.usage_percent)}.`)
+    tips.push('Check the Processes card for the top CPU consumers.')
+  }
+  if (s.cpu?.breakdown?.iowait >= 10) {
+    issues.push(`I/O wait is ${pct(s.cpu.breakdown.iowait)}, so processes are stalled on storage.`)
+    tips.push('Look at the per-device panel in the Disk card for a saturated device.')
+  }
+  if (s.memory?.usage_percent >= 85) {
+    issues.push(`Memory is ${pct(s.memory.usage_percent)} used.`)
+    tips.push('Find large resident processes or add memory.')
+  }
+  if (s.pressure?.memory?.some.avg10 >= 10) {
+    issues.push(`Tasks spent ${pct(s.pressure.memory.some.avg10)} of the last 10 seconds waiting for memory.`)
+    tips.push(`Reclaim or swapping is slowing work down; ${s.memory?.top_processes?.[0] ? `${s.memory.top_processes[0].name} holds the most memory (${formatBytes(s.memory.top_processes[0].rss_bytes)}).` : 'look for large resident processes.'}`)
+  }
+  for (const fs of s.disk?.filesystems || []) {
+    if (fs.usage_percent >= 85) {
+      issues.push(`${fs.mount} is ${pct(fs.usage_percent)} full.`)
+      tips.push(`Free space on ${fs.mount} (old logs, caches, container images).`)
+    }
+  }
+  const health = issues.length === 0 ? 'Good' : issues.length < 3 ? 'Fair' : 'Poor'
+  const bullets = (items, fallback) => (items.length ? items : [fallback]).map(item => `- ${item}`).join('\n')
+
+  return [
+    '## System Health Summary',
+    `**${health}**: ${issues.length ? `${issues.length === 1 ? '1 item needs' : `${issues.length} items need`} attention.` : 'all readings are within normal ranges.'}`,
+    '## Performance Analysis',
+    bullets([
+      `CPU usage ${pct(s.cpu?.usage_percent)} with load average ${(s.load_avg || []).join(' / ')} on ${s.cpu?.cores ?? '?'} cores.`,
+      `Memory ${pct(s.memory?.usage_percent)} used; swap ${formatBytes(s.memory?.swap_used_bytes)} in use.`,
+      `Root filesystem ${pct(s.disk?.usage_percent)} full.`,
+    ], ''),
+    '## Potential Issues',
+    bullets(issues, 'None detected.'),
+    '## Optimization Recommendations',
+    bullets(tips, 'No changes needed right now.'),
+    '## Security Observations',
+    bullets([], 'The mock provider does not assess security; configure a model provider for this section.'),
+    '## Resource Predictions',
+    bullets(predictions, 'No steady trends towards a limit in the last 24 hours.'),
+  ].join('\n\n')
+}
+
+async function post(url, headers, body, timeoutMs) {
+  let response
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    })
+  } catch (err) {
+    throw httpError(502, `Provider unreachable: ${err.name === 'TimeoutError' ? 'timed out' : err.message}`)
+  }
+  const payload = await response.json().catch(() => null)
+  if (!response.ok) {
+    throw httpError(502, `Provider error (${response.status}): ${payload?.error?.message || payload?.error || response.statusText}`)
+  }
+  return payload
+}
+
+const PROVIDERS = {
+  async gemini({ url, model, apiKey, timeoutMs }, prompt) {
+    // Key in a header rather than the query string, so it stays out of logs
+    const body = await post(`${url}/models/${model}:generateContent`, { 'x-goog-api-key': apiKey }, {
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: { temperature: 0.7, maxOutputTokens: 2048 },
+    }, timeoutMs)
+    return body?.candidates?.[0]?.content?.parts?.map(part => part.text).join('') || ''
+  },
+
+  async openai({ url, model, apiKey, timeoutMs }, prompt) {
+    const body = await post(`${url}/chat/completions`, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, {
+      model,
+      temperature: 0.7,
+      messages: [{ role: 'user', content: prompt }],
+    }, timeoutMs)
+    return body?.choices?.[0]?.message?.content || ''
+  },
+
+  // Ollama's native API; llama.cpp, LM Studio and vLLM speak the openai one
+  async local({ url, model, timeoutMs }, prompt) {
+    const body = await post(`${url}/api/chat`, {}, {
+      model,
+      stream: false,
+      messages: [{ role: 'user', content: prompt }],
+    }, timeoutMs)
+    return body?.message?.content || ''
+  },
+
+  async mock(options, prompt, { snapshot, findings }) {
+    return mockAnalysis(snapshot, findings)
+  },
+}
+
+// Last hour of history as display strings
+function summarizeRecent(history) {
+  const to = Date.now()
+  const { series } = history.query({ metrics: RECENT_METRICS, from: to - RECENT_MS, to, step: RECENT_MS / 1000 })
+  return RECENT_METRICS.filter(name => series[name]?.length).map(name => {
+    const { label, unit } = METRIC_INFO[name]
+    const points = series[name]
+    const avg = points.reduce((sum, p) => sum + p.avg, 0) / points.length
+    return { label, avg: formatMetric(avg, unit), max: formatMetric(Math.max(...points.map(p => p.max)), unit) }
+  })
+}
+
+function recentFindings(history) {
+  const to = Date.now()
+  return analyzeSession(sessionFromHistory(history.query({ metrics: ANALYZED_METRICS, from: to - FINDINGS_MS, to }), null))
+}
+
+export function createInsights({ provider, url, model, apiKey, timeout, history }) {
+  const settings = {
+    provider,
+    url: (url || DEFAULTS[provider]?.url || '').replace(/\/$/, ''),
+    model: model || DEFAULTS[provider]?.model,
+    apiKey,
+    timeoutMs: timeout * 1000,
+  }
+  let running = null
+  let lastRun = 0
+
+  const configured = () => Boolean(PROVIDERS[provider]) && (provider !== 'gemini' || Boolean(apiKey))
+
+  return {
+    // What the dashboard may know: never the key
+    info: () => ({ provider, model: settings.model, configured: configured() }),
+
+    async analyze(snapshot) {
+      if (!PROVIDERS[provider]) throw httpError(503, `Unknown insights provider "${provider}"`)
+      if (!configured()) throw httpError(503, `The ${provider} provider needs INSIGHTS_API_KEY`)
+      if (!snapshot) throw httpError(503, 'No snapshot collected yet')
+      if (running) return running
+      if (Date.now() - lastRun < COOLDOWN_MS) {
+        throw httpError(429, 'An analysis was just run; try again in a few seconds')
+      }
+
+      const findings = recentFindings(history)
+      const prompt = `${INSTRUCTIONS}\n\nSYSTEM DATA:\n${describeSystem(snapshot, summarizeRecent(history), findings)}`
+      running = (async () => {
+        try {
+          const markdown = (await PROVIDERS[provider](settings, prompt, { snapshot, findings })).trim()
+          if (!markdown) throw httpError(502, 'The provider returned an empty response')
+          return { provider, model: settings.model, markdown, snapshot_timestamp: snapshot.timestamp, generated_at: new Date().toISOString() }
+        } finally {
+          running = null
+          lastRun = Date.now()
+        }
+      })()
+      return running
+    },
+  }
+}
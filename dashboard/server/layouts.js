@@ -0,0 +1,46 @@
+// Named dashboard layouts shared through the collector, so a team can pick
+// each other's views. Stored as one JSON file under the state directory.
+import path from 'node:path'
+import { httpError } from './http.js'
+import { readJsonFile, writeJsonFile } from './storage.js'
+import { normalizeLayout } from '../src/lib/layout.js'
+
+const MAX_LAYOUTS = 100
+
+export function createLayoutStore({ dir }) {
+  const file = path.join(dir, 'layouts.json')
+  let layouts = []
+
+  const save = () => writeJsonFile(file, layouts)
+
+  return {
+    async load() {
+      layouts = (await readJsonFile(file, []))
+        .map(stored => {
+          const layout = normalizeLayout(stored)
+          return layout && { ...layout, updated: stored.updated || null }
+        })
+        .filter(Boolean)
+    },
+
+    list: () => layouts,
+
+    // Creates or replaces the layout with this name
+    async put(name, input) {
+      const layout = normalizeLayout({ ...input, name })
+      if (!layout) throw httpError(400, 'A layout needs a name and at least one known widget')
+      const updated = { ...layout, updated: new Date().toISOString() }
+      const exists = layouts.some(l => l.name === layout.name)
+      if (!exists && layouts.length >= MAX_LAYOUTS) throw httpError(409, `At most ${MAX_LAYOUTS} layouts can be shared`)
+      layouts = exists ? layouts.map(l => (l.name === layout.name ? updated : l)) : [...layouts, updated]
+      await save()
+      return updated
+    },
+
+    async remove(name) {
+      if (!layouts.some(l => l.name === name)) throw httpError(404, 'No such layout')
+      layouts = layouts.filter(l => l.name !== name)
+      await save()
+    },
+  }
+}
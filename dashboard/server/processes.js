@@ -0,0 +1,134 @@
+// Process table read straight from /proc: the same columns as
+// `ps -eo pid,ppid,user,%cpu,%mem,rss,stat,command`, with CPU% measured
+// between consecutive samples the way top does.
+import { readdir, readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+// USER_HZ; fixed at 100 on every architecture Linux exports to userspace
+const CLOCK_TICKS = 100
+// Requests closer together than this share one sample
+const MIN_SAMPLE_MS = 1000
+// Bounded so thousands of processes never exhaust file descriptors
+const BATCH_SIZE = 64
+
+// "1234 (my (odd) name) S 1 ..." -> fields after the command name
+function parseStat(text) {
+  const close = text.lastIndexOf(')')
+  const fields = text.slice(close + 2).split(' ')
+  return {
+    name: text.slice(text.indexOf('(') + 1, close),
+    state: fields[0],
+    ppid: Number(fields[1]),
+    ticks: Number(fields[11]) + Number(fields[12]),
+    nice: Number(fields[16]),
+    startTicks: Number(fields[19]),
+  }
+}
+
+function parseStatus(text) {
+  const uid = /^Uid:\s+(\d+)/m.exec(text)
+  const rss = /^VmRSS:\s+(\d+)\s+kB/m.exec(text)
+  return { uid: uid ? Number(uid[1]) : null, rssBytes: rss ? Number(rss[1]) * 1024 : 0 }
+}
+
+async function loadUsers(passwdFile) {
+  const users = new Map()
+  try {
+    for (const line of (await readFile(passwdFile, 'utf8')).split('\n')) {
+      const [name, , uid] = line.split(':')
+      if (name && uid) users.set(Number(uid), name)
+    }
+  } catch {
+    // No passwd (minimal containers): fall back to numeric uids
+  }
+  return users
+}
+
+export function createProcessTable({ procRoot = '/proc', passwdFile = '/etc/passwd' } = {}) {
+  // pid -> { ticks, startTicks } from the previous sample
+  let previous = new Map()
+  let previousAt = null
+  let users = null
+  let last = null
+  let pending = null
+
+  const readProcess = async (pid) => {
+    const dir = path.join(procRoot, pid)
+    try {
+      const [stat, status, cmdline] = await Promise.all([
+        readFile(path.join(dir, 'stat'), 'utf8'),
+        readFile(path.join(dir, 'status'), 'utf8'),
+        readFile(path.join(dir, 'cmdline'), 'utf8'),
+      ])
+      return { pid: Number(pid), ...parseStat(stat), ...parseStatus(status), cmdline }
+    } catch {
+      // Exited while we were reading it
+      return null
+    }
+  }
+
+  const sample = async () => {
+    users ??= await loadUsers(passwdFile)
+    const now = Date.now()
+    const [entries, meminfo, uptime] = await Promise.all([
+      readdir(procRoot),
+      readFile(path.join(procRoot, 'meminfo'), 'utf8'),
+      readFile(path.join(procRoot, 'uptime'), 'utf8'),
+    ])
+    const memTotal = Number(/^MemTotal:\s+(\d+)/m.exec(meminfo)?.[1] || 0) * 1024
+    const uptimeTicks = parseFloat(uptime) * CLOCK_TICKS
+    const elapsedTicks = previousAt === null ? null : ((now - previousAt) / 1000) * CLOCK_TICKS
+
+    const pids = entries.filter(name => /^\d+$/.test(name))
+    const raw = []
+    for (let i = 0; i < pids.length; i += BATCH_SIZE) {
+      raw.push(...await Promise.all(pids.slice(i, i + BATCH_SIZE).map(readProcess)))
+    }
+
+    const current = new Map()
+    const processes = []
+    for (const p of raw) {
+      if (!p) continue
+      current.set(p.pid, { ticks: p.ticks, startTicks: p.startTicks })
+      const before = previous.get(p.pid)
+      // Same pid but a different start time means the pid was reused
+      const cpu = before && before.startTicks === p.startTicks && elapsedTicks
+        ? (p.ticks - before.ticks) / elapsedTicks
+        : p.ticks / Math.max(uptimeTicks - p.startTicks, 1)
+      processes.push({
+        pid: p.pid,
+        ppid: p.ppid,
+        user: users.get(p.uid) ?? String(p.uid ?? '?'),
+        cpu_percent: Math.round(cpu * 1000) / 10,
+        mem_percent: memTotal ? Math.round((p.rssBytes / memTotal) * 1000) / 10 : 0,
+        rss_bytes: p.rssBytes,
+        state: p.state,
+        nice: p.nice,
+        name: p.name,
+        // Kernel threads have no command line; show them as ps does
+        command: p.cmdline.replace(/\0+$/, '').replace(/\0/g, ' ') || `[${p.name}]`,
+      })
+    }
+
+    previous = current
+    previousAt = now
+    return { timestamp: new Date(now).toISOString(), processes }
+  }
+
+  return {
+    async list() {
+      if (last && Date.now() - last.at < MIN_SAMPLE_MS) return last.result
+      // Concurrent callers wait for the sample already in flight
+      pending ??= sample().finally(() => {
+        pending = null
+      })
+      const result = await pending
+      last = { at: Date.now(), result }
+      return result
+    },
+    // Forces the next list() to resample, e.g. after a process was killed
+    invalidate() {
+      last = null
+    },
+  }
+}
@@ -0,0 +1,221 @@
+// Renders the latest snapshot in the Prometheus text exposition format.
+import { parseNumber as toNumber } from '../src/lib/schema.js'
+
+const PREFIX = 'sysmon_'
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+const LOAD_PERIODS = ['1m', '5m', '15m']
+
+const escapeLabel = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n')
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`)
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+// Collects samples grouped by metric family so HELP/TYPE are written once
+function createWriter() {
+  const families = new Map()
+
+  const add = (name, type, help, value, labels = {}) => {
+    if (value === null || value === undefined || !Number.isFinite(value)) return
+    const fullName = PREFIX + name
+    if (!families.has(fullName)) families.set(fullName, { type, help, samples: [] })
+    families.get(fullName).samples.push(`${fullName}${formatLabels(labels)} ${value}`)
+  }
+
+  const render = () => {
+    const lines = []
+    for (const [name, family] of families) {
+      lines.push(`# HELP ${name} ${family.help}`, `# TYPE ${name} ${family.type}`, ...family.samples)
+    }
+    return lines.join('\n') + '\n'
+  }
+
+  return { add, render }
+}
+
+const percentToRatio = (value) => {
+  const n = toNumber(value)
+  // toFixed drops float noise such as 0.026000000000000002
+  return n === null ? null : Number((n / 100).toFixed(4))
+}
+
+const wattHoursToJoules = (value) => {
+  const n = toNumber(value)
+  return n === null ? null : Math.round(n * 3600)
+}
+
+export function renderMetrics(snapshot, { collector, clients } = {}) {
+  const w = createWriter()
+
+  if (snapshot) {
+    const s = snapshot
+    w.add('info', 'gauge', 'Host identity; always 1.', 1, {
+      hostname: s.hostname || '',
+      kernel: s.kernel || '',
+      cpu_model: s.cpu?.model || '',
+    })
+    w.add('snapshot_timestamp_seconds', 'gauge', 'When the snapshot was taken.', Date.parse(s.timestamp) / 1000)
+    for (const status of ['Good', 'Warning', 'Critical']) {
+      w.add('health_status', 'gauge', 'Overall health; 1 for the current status.', s.health === status ? 1 : 0, { status })
+    }
+
+    LOAD_PERIODS.forEach((period, i) => {
+      w.add('load_average', 'gauge', 'System load average.', toNumber(s.load_avg?.[i]), { period })
+    })
+    w.add('uptime_seconds', 'gauge', 'Time since boot.', toNumber(s.uptime_seconds))
+
+    // CPU
+    w.add('cpu_usage_ratio', 'gauge', 'CPU busy time as a fraction of total (0-1).', percentToRatio(s.cpu?.usage_percent))
+    w.add('cpu_cores', 'gauge', 'Number of logical CPUs.', toNumber(s.cpu?.cores))
+    w.add('cpu_temperature_celsius', 'gauge', 'CPU temperature.', toNumber(s.cpu?.temperature_celsius))
+    for (const [mode, value] of Object.entries(s.cpu?.breakdown || {})) {
+      w.add('cpu_mode_ratio', 'gauge', 'Share of CPU time per mode over the last interval (0-1).', percentToRatio(value), { mode })
+    }
+    for (const core of s.cpu?.per_core || []) {
+      w.add('cpu_core_usage_ratio', 'gauge', 'Per-core busy time as a fraction of total (0-1).', percentToRatio(core.usage_percent), { core: String(core.core) })
+    }
+
+    // Memory
+    w.add('memory_total_bytes', 'gauge', 'Total physical memory.', toNumber(s.memory?.total_bytes))
+    w.add('memory_used_bytes', 'gauge', 'Memory in use (total minus available).', toNumber(s.memory?.used_bytes))
+    w.add('memory_available_bytes', 'gauge', 'Memory available for new work.', toNumber(s.memory?.available_bytes))
+    w.add('memory_cached_bytes', 'gauge', 'Page cache.', toNumber(s.memory?.cached_bytes))
+    w.add('memory_usage_ratio', 'gauge', 'Memory in use as a fraction of total (0-1).', percentToRatio(s.memory?.usage_percent))
+    w.add('swap_total_bytes', 'gauge', 'Swap size.', toNumber(s.memory?.swap_total_bytes))
+    w.add('swap_used_bytes', 'gauge', 'Swap in use.', toNumber(s.memory?.swap_used_bytes))
+    w.add('swap_in_pages_total', 'counter', 'Pages swapped in since boot.', toNumber(s.memory?.swap_in_pages))
+    w.add('swap_out_pages_total', 'counter', 'Pages swapped out since boot.', toNumber(s.memory?.swap_out_pages))
+    w.add('oom_kills_total', 'counter', 'Processes killed by the out-of-memory killer since boot.', toNumber(s.memory?.oom_kills))
+    for (const [key, value] of Object.entries(s.memory?.breakdown || {})) {
+      if (!key.endsWith('_bytes')) continue
+      w.add('memory_breakdown_bytes', 'gauge', 'Memory by /proc/meminfo category.', toNumber(value), { kind: key.slice(0, -'_bytes'.length) })
+    }
+    w.add('memory_hugepages', 'gauge', 'Huge pages reserved.', toNumber(s.memory?.breakdown?.hugepages_total))
+    w.add('memory_hugepages_free', 'gauge', 'Reserved huge pages not in use.', toNumber(s.memory?.breakdown?.hugepages_free))
+
+    // Pressure stall information
+    for (const [resource, stall] of Object.entries(s.pressure || {})) {
+      for (const scope of ['some', 'full']) {
+        const averages = stall?.[scope]
+        if (!averages) continue
+        w.add('pressure_stalled_seconds_total', 'counter', 'Time tasks spent waiting for the resource; "full" when no task could run.',
+          toNumber(averages.total_us) === null ? null : averages.total_us / 1e6, { resource, scope })
+        for (const window of ['10', '60', '300']) {
+          w.add('pressure_stalled_ratio', 'gauge', 'Share of recent time tasks waited for the resource (0-1).',
+            percentToRatio(averages[`avg${window}`]), { resource, scope, window: `${window}s` })
+        }
+      }
+    }
+
+    // Filesystems and disk I/O
+    for (const fs of s.disk?.filesystems || []) {
+      const labels = { mountpoint: fs.mount, device: fs.device || '' }
+      w.add('filesystem_size_bytes', 'gauge', 'Filesystem size.', toNumber(fs.total_bytes), labels)
+      w.add('filesystem_used_bytes', 'gauge', 'Filesystem space used.', toNumber(fs.used_bytes), labels)
+      w.add('filesystem_avail_bytes', 'gauge', 'Filesystem space available.', toNumber(fs.available_bytes), labels)
+      w.add('filesystem_usage_ratio', 'gauge', 'Filesystem space used as a fraction of size (0-1).', percentToRatio(fs.usage_percent), labels)
+      w.add('filesystem_inodes', 'gauge', 'Inodes on the filesystem.', toNumber(fs.inodes_total), labels)
+      w.add('filesystem_inodes_used', 'gauge', 'Inodes in use.', toNumber(fs.inodes_used), labels)
+    }
+    for (const dev of s.disk?.devices || []) {
+      const labels = { device: dev.name }
+      w.add('disk_device_read_bytes_total', 'counter', 'Bytes read from the device since boot.', toNumber(dev.read_bytes), labels)
+      w.add('disk_device_written_bytes_total', 'counter', 'Bytes written to the device since boot.', toNumber(dev.written_bytes), labels)
+      w.add('disk_device_read_iops', 'gauge', 'Reads completed per second over the last interval.', toNumber(dev.read_iops), labels)
+      w.add('disk_device_write_iops', 'gauge', 'Writes completed per second over the last interval.', toNumber(dev.write_iops), labels)
+      w.add('disk_device_await_seconds', 'gauge', 'Average time per request over the last interval, including queueing.', dev.await_ms === null || dev.await_ms === undefined ? null : dev.await_ms / 1000, labels)
+      w.add('disk_device_utilization_ratio', 'gauge', 'Fraction of the last interval the device was busy (0-1).', percentToRatio(dev.util_percent), labels)
+    }
+    w.add('disk_read_bytes_total', 'counter', 'Bytes read from the root device since boot.', toNumber(s.disk?.read_bytes))
+    w.add('disk_written_bytes_total', 'counter', 'Bytes written to the root device since boot.', toNumber(s.disk?.written_bytes))
+
+    // Network
+    w.add('network_receive_bytes_total', 'counter', 'Bytes received on all non-loopback interfaces.', toNumber(s.network?.rx_bytes))
+    w.add('network_transmit_bytes_total', 'counter', 'Bytes sent on all non-loopback interfaces.', toNumber(s.network?.tx_bytes))
+    for (const iface of s.network?.interfaces || []) {
+      const labels = { interface: iface.name }
+      w.add('network_up', 'gauge', 'Interface operational state; 1 when up.', iface.status === 'up' ? 1 : 0, labels)
+      w.add('network_interface_receive_bytes_total', 'counter', 'Bytes received on the interface.', toNumber(iface.rx_bytes), labels)
+      w.add('network_interface_transmit_bytes_total', 'counter', 'Bytes sent on the interface.', toNumber(iface.tx_bytes), labels)
+      w.add('network_interface_receive_packets_total', 'counter', 'Packets received on the interface.', toNumber(iface.rx_packets), labels)
+      w.add('network_interface_transmit_packets_total', 'counter', 'Packets sent on the interface.', toNumber(iface.tx_packets), labels)
+      w.add('network_interface_receive_errors_total', 'counter', 'Receive errors on the interface.', toNumber(iface.rx_errors), labels)
+      w.add('network_interface_transmit_errors_total', 'counter', 'Transmit errors on the interface.', toNumber(iface.tx_errors), labels)
+      w.add('network_interface_receive_drops_total', 'counter', 'Received packets dropped on the interface.', toNumber(iface.rx_dropped), labels)
+      w.add('network_interface_transmit_drops_total', 'counter', 'Outgoing packets dropped on the interface.', toNumber(iface.tx_dropped), labels)
+    }
+    const sockets = s.network?.sockets
+    for (const [state, count] of Object.entries(sockets?.tcp || {})) {
+      w.add('tcp_connections', 'gauge', 'Open TCP sockets (IPv4 and IPv6) by state.', toNumber(count), { state })
+    }
+    w.add('udp_sockets', 'gauge', 'Open UDP sockets (IPv4 and IPv6).', toNumber(sockets?.udp))
+    w.add('unix_sockets', 'gauge', 'Open Unix domain sockets.', toNumber(sockets?.unix))
+
+    // GPUs
+    for (const gpu of s.gpu || []) {
+      const labels = { gpu: String(gpu.index), name: gpu.name, vendor: gpu.vendor }
+      w.add('gpu_utilization_ratio', 'gauge', 'GPU busy time as a fraction (0-1).', percentToRatio(gpu.utilization_percent), labels)
+      w.add('gpu_temperature_celsius', 'gauge', 'GPU temperature.', toNumber(gpu.temperature_celsius), labels)
+      w.add('gpu_memory_used_bytes', 'gauge', 'GPU memory in use.', toNumber(gpu.memory_used_bytes), labels)
+      w.add('gpu_memory_total_bytes', 'gauge', 'GPU memory size.', toNumber(gpu.memory_total_bytes), labels)
+      w.add('gpu_fan_ratio', 'gauge', 'GPU fan speed as a fraction of maximum (0-1).', percentToRatio(gpu.fan_percent), labels)
+      w.add('gpu_power_watts', 'gauge', 'GPU power draw.', toNumber(gpu.power_watts), labels)
+      w.add('gpu_frequency_hertz', 'gauge', 'GPU core clock.', gpu.frequency_mhz === null || gpu.frequency_mhz === undefined ? null : gpu.frequency_mhz * 1e6, labels)
+    }
+
+    // Sensors
+    for (const t of s.sensors?.temperatures || []) {
+      const labels = { id: t.id, chip: t.chip, sensor: t.label }
+      w.add('sensor_temperature_celsius', 'gauge', 'Temperature per hwmon sensor or thermal zone.', toNumber(t.celsius), labels)
+      w.add('sensor_temperature_high_celsius', 'gauge', 'Temperature at which the sensor reads high.', toNumber(t.high_celsius), labels)
+      w.add('sensor_temperature_critical_celsius', 'gauge', 'Temperature at which the sensor reads critical.', toNumber(t.critical_celsius), labels)
+    }
+    for (const fan of s.sensors?.fans || []) {
+      w.add('sensor_fan_rpm', 'gauge', 'Fan speed.', toNumber(fan.rpm), { id: fan.id, chip: fan.chip, sensor: fan.label })
+    }
+
+    // Power supplies
+    w.add('power_ac_online', 'gauge', 'Whether any AC adapter or charger is connected; 1 when online.',
+      typeof s.power?.ac_online === 'boolean' ? Number(s.power.ac_online) : null)
+    for (const adapter of s.power?.adapters || []) {
+      w.add('power_supply_online', 'gauge', 'Power supply state; 1 when online.', Number(adapter.online), { supply: adapter.id, type: adapter.type })
+    }
+    for (const battery of s.power?.batteries || []) {
+      const labels = { battery: battery.id }
+      w.add('battery_charge_ratio', 'gauge', 'Battery charge as a fraction of full (0-1).', percentToRatio(battery.percent), labels)
+      w.add('battery_charging', 'gauge', 'Battery state; 1 while charging.', battery.status === 'charging' ? 1 : 0, labels)
+      w.add('battery_power_watts', 'gauge', 'Power flowing into or out of the battery.', toNumber(battery.power_watts), labels)
+      w.add('battery_energy_joules', 'gauge', 'Energy left in the battery.', wattHoursToJoules(battery.energy_wh), labels)
+      w.add('battery_energy_full_joules', 'gauge', 'Energy the battery holds when full.', wattHoursToJoules(battery.energy_full_wh), labels)
+      w.add('battery_energy_full_design_joules', 'gauge', 'Energy the battery was designed to hold.', wattHoursToJoules(battery.energy_full_design_wh), labels)
+      w.add('battery_time_remaining_seconds', 'gauge', 'Estimated time until empty while discharging, or until full while charging.', toNumber(battery.time_remaining_seconds), labels)
+      w.add('battery_temperature_celsius', 'gauge', 'Battery temperature.', toNumber(battery.temperature_celsius), labels)
+      w.add('battery_cycles_total', 'counter', 'Charge cycles the battery has been through.', toNumber(battery.cycle_count), labels)
+    }
+
+    // Processes
+    w.add('processes', 'gauge', 'Number of processes.', toNumber(s.processes?.total))
+    w.add('processes_running', 'gauge', 'Number of runnable processes.', toNumber(s.processes?.running))
+  }
+
+  // The exporter's own health
+  if (collector) {
+    w.add('collector_runs_total', 'counter', 'Collection cycles started.', collector.runs)
+    w.add('collector_failures_total', 'counter', 'Collection cycles that failed.', collector.failures)
+    w.add('collector_last_duration_seconds', 'gauge', 'Duration of the last collection cycle.',
+      collector.lastDurationMs === null ? null : collector.lastDurationMs / 1000)
+    w.add('collector_last_cpu_seconds', 'gauge', 'CPU time the last collection cycle used, child processes included.',
+      collector.lastCpuMs === null ? null : collector.lastCpuMs / 1000)
+    w.add('collector_over_budget_total', 'counter', 'Collection cycles that used more CPU time than their budget.', collector.overBudget)
+    w.add('collector_last_success_timestamp_seconds', 'gauge', 'When a collection last succeeded.',
+      collector.lastSuccess === null ? null : collector.lastSuccess / 1000)
+  }
+  w.add('collector_stream_clients', 'gauge', 'Dashboards connected to the live stream.', clients)
+
+  return w.render()
+}
@@ -0,0 +1,120 @@
+// Session recording: every snapshot is appended as one NDJSON line to a
+// file under the state directory. Files rotate at a size limit, rotated
+// files are optionally gzipped, and only the newest few are kept.
+import { mkdir, appendFile, readdir, stat, unlink } from 'node:fs/promises'
+import { createReadStream, createWriteStream } from 'node:fs'
+import { createGzip } from 'node:zlib'
+import { pipeline } from 'node:stream/promises'
+import path from 'node:path'
+import { httpError } from './http.js'
+
+const NAME_PATTERN = /^session-\d{8}-\d{6}-\d+\.ndjson(\.gz)?$/
+
+// 2026-10-19T15:30:00Z -> "20261019-153000"
+const stamp = (date) => date.toISOString().slice(0, 19).replace(/-|:/g, '').replace('T', '-')
+
+export function createRecorder({ dir, maxBytes, gzip, keep }) {
+  // { prefix, part, name, bytes, started } while recording
+  let active = null
+  // Appends and rotations run one at a time, in order
+  let queue = Promise.resolve()
+
+  const enqueue = (task) => {
+    queue = queue.then(task).catch(err => console.error('[recorder]', err.message))
+    return queue
+  }
+
+  const segmentName = (prefix, part) => `session-${prefix}-${part}.ndjson`
+
+  const prune = async () => {
+    const files = (await list()).filter(f => !f.active)
+    for (const old of files.slice(keep)) {
+      await unlink(path.join(dir, old.name))
+    }
+  }
+
+  // Finishes the current file: compress it if configured, then prune
+  const closeSegment = async (segment) => {
+    if (gzip && segment.bytes > 0) {
+      const file = path.join(dir, segment.name)
+      await pipeline(createReadStream(file), createGzip(), createWriteStream(`${file}.gz`))
+      await unlink(file)
+    }
+    await prune()
+  }
+
+  const status = () => (active
+    ? { recording: true, name: active.name, started: active.started, bytes: active.bytes }
+    : { recording: false })
+
+  async function list() {
+    let names = []
+    try {
+      names = (await readdir(dir)).filter(name => NAME_PATTERN.test(name))
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+    const files = await Promise.all(names.map(async (name) => {
+      const info = await stat(path.join(dir, name))
+      return { name, bytes: info.size, modified: info.mtime.toISOString(), active: name === active?.name }
+    }))
+    // Newest first; names sort by start time, then part number
+    return files.sort((a, b) => b.name.localeCompare(a.name, 'en', { numeric: true }))
+  }
+
+  return {
+    status,
+    list,
+
+    async start() {
+      if (active) return status()
+      await mkdir(dir, { recursive: true })
+      const started = new Date()
+      const prefix = stamp(started)
+      active = { prefix, part: 1, name: segmentName(prefix, 1), bytes: 0, started: started.toISOString() }
+      return status()
+    },
+
+    async stop() {
+      if (!active) return status()
+      // Queued so snapshots already handed to record() still land in the file
+      await enqueue(async () => {
+        const segment = active
+        active = null
+        if (segment) await closeSegment(segment)
+      })
+      return status()
+    },
+
+    record(snapshot) {
+      if (!active) return
+      const line = JSON.stringify(snapshot) + '\n'
+      enqueue(async () => {
+        const segment = active
+        if (!segment) return
+        await appendFile(path.join(dir, segment.name), line)
+        segment.bytes += Buffer.byteLength(line)
+        if (segment.bytes < maxBytes) return
+        active = { ...segment, part: segment.part + 1, name: segmentName(segment.prefix, segment.part + 1), bytes: 0 }
+        await closeSegment(segment)
+      })
+    },
+
+    // Absolute path of a recording, refusing anything outside the directory
+    async file(name) {
+      if (!NAME_PATTERN.test(name)) throw httpError(404, 'No such recording')
+      const file = path.join(dir, name)
+      try {
+        await stat(file)
+      } catch {
+        throw httpError(404, 'No such recording')
+      }
+      return file
+    },
+
+    close: () => enqueue(async () => {
+      if (active) await closeSegment(active)
+      active = null
+    }),
+  }
+}
@@ -0,0 +1,29 @@
+// Small JSON file helpers for collector state.
+import { mkdir, readFile, writeFile, rename } from 'node:fs/promises'
+import path from 'node:path'
+
+export async function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'))
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback
+    throw err
+  }
+}
+
+const queues = new Map()
+
+// Write to a temp file then rename, so readers never see a partial file.
+// Writes to the same file are queued so they cannot interleave.
+export function writeJsonFile(file, data) {
+  const body = JSON.stringify(data, null, 2)
+  const write = async () => {
+    await mkdir(path.dirname(file), { recursive: true })
+    const tmp = `${file}.tmp`
+    await writeFile(tmp, body)
+    await rename(tmp, file)
+  }
+  const next = (queues.get(file) || Promise.resolve()).then(write, write)
+  queues.set(file, next)
+  return next
+}
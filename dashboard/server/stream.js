@@ -0,0 +1,51 @@
+// Server-Sent Events fan-out: every connected dashboard receives each snapshot.
+
+const HEARTBEAT_MS = 15000
+const RETRY_MS = 3000
+
+const format = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+
+// Events named in `replay` are re-sent to each new subscriber, latest value only
+export function createEventStream({ replay = [] } = {}) {
+  const clients = new Set()
+  const latest = new Map()
+
+  const heartbeat = setInterval(() => {
+    for (const res of clients) res.write(': ping\n\n')
+  }, HEARTBEAT_MS)
+  heartbeat.unref()
+
+  const handle = (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no',
+    })
+    res.write(`retry: ${RETRY_MS}\n\n`)
+    for (const [event, data] of latest) res.write(format(event, data))
+
+    clients.add(res)
+    req.on('close', () => clients.delete(res))
+  }
+
+  const broadcast = (event, data) => {
+    if (replay.includes(event)) latest.set(event, data)
+    const message = format(event, data)
+    for (const res of clients) res.write(message)
+  }
+
+  const close = () => {
+    clearInterval(heartbeat)
+    for (const res of clients) res.end()
+    clients.clear()
+  }
+
+  return {
+    handle,
+    broadcast,
+    close,
+    size: () => clients.size,
+  }
+}
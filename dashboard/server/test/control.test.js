@@ -0,0 +1,36 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm, symlink } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { createControl } from '../control.js'
+
+test('processes listed from our own /proc may be controlled', async () => {
+  assert.deepEqual(await createControl().processControl(), { allowed: true, reason: null })
+})
+
+test('a /proc mounted elsewhere counts as ours when its self link is this process', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'sysmon-control-'))
+  try {
+    await symlink('/proc', path.join(dir, 'proc'))
+    const control = createControl({ procRoot: path.join(dir, 'proc') })
+    assert.equal((await control.processControl()).allowed, true)
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('signals and renices are refused for another PID namespace', async () => {
+  // No self link, like a host /proc seen from a container without pid: host
+  const dir = await mkdtemp(path.join(tmpdir(), 'sysmon-control-'))
+  try {
+    const control = createControl({ procRoot: dir })
+    const { allowed, reason } = await control.processControl()
+    assert.equal(allowed, false)
+    assert.match(reason, /another PID namespace/)
+    await assert.rejects(control.signal(process.pid, 'SIGCONT'), { status: 403, message: reason })
+    await assert.rejects(control.renice(process.pid, 0), { status: 403 })
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { createGpuSampler, parseDpmClocks, parseNvidiaSmi } from '../collectors/gpu.js'
+
+// A sysfs tree with an Intel i915, an NVIDIA, an AMD and an Intel xe card,
+// and a stub nvidia-smi that replies with a captured query
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'gpu')
+const MIB = 1024 * 1024
+
+// Two copies of the PCI ID database; only the second knows the AMD card
+const sampler = (sysDir = 'sys') => createGpuSampler({
+  sysRoot: path.join(fixtures, sysDir),
+  pciIds: [path.join(fixtures, 'missing.ids'), path.join(fixtures, 'pci.ids.old'), path.join(fixtures, 'pci.ids.new')],
+})
+
+let pathBefore
+
+before(() => {
+  pathBefore = process.env.PATH
+  process.env.PATH = `${path.join(fixtures, 'bin')}${path.delimiter}${pathBefore}`
+})
+
+after(() => {
+  process.env.PATH = pathBefore
+})
+
+test('parseNvidiaSmi reads one card per line and scales memory to bytes', async () => {
+  const [rtx, tesla] = parseNvidiaSmi(await readFile(path.join(fixtures, 'nvidia-smi.csv'), 'utf8'))
+  assert.deepEqual(rtx, {
+    vendor: 'nvidia',
+    name: 'NVIDIA GeForce RTX 3080',
+    driver: 'nvidia',
+    pci_slot: '0000:01:00.0',
+    utilization_percent: 35,
+    temperature_celsius: 61,
+    memory_used_bytes: 2345 * MIB,
+    memory_total_bytes: 10240 * MIB,
+    fan_percent: 45,
+    power_watts: 112.34,
+    frequency_mhz: 1710,
+    max_frequency_mhz: 2100,
+  })
+  // Passively cooled: no fan reading
+  assert.equal(tesla.fan_percent, null)
+  assert.equal(tesla.memory_used_bytes, 0)
+})
+
+test('parseNvidiaSmi returns nothing for empty output', () => {
+  assert.deepEqual(parseNvidiaSmi('\n'), [])
+})
+
+test('parseDpmClocks finds the current and highest clock levels', () => {
+  assert.deepEqual(parseDpmClocks('0: 500Mhz\n1: 1500Mhz *\n2: 2250Mhz\n'), { current: 1500, max: 2250 })
+  assert.deepEqual(parseDpmClocks('0: 500Mhz\n1: 800Mhz\n'), { current: null, max: 800 })
+  assert.deepEqual(parseDpmClocks(null), { current: null, max: null })
+})
+
+test('createGpuSampler lists nvidia-smi cards first, then the rest by DRM card number', async () => {
+  const { gpu } = await sampler()({})
+  assert.deepEqual(gpu.map(g => [g.index, g.driver, g.pci_slot]), [
+    [0, 'nvidia', '0000:01:00.0'],
+    [1, 'nvidia', '0000:02:00.0'],
+    [2, 'i915', '0000:00:02.0'],
+    [3, 'amdgpu', '0000:03:00.0'],
+    [4, 'xe', '0000:04:00.0'],
+  ])
+})
+
+test('createGpuSampler reads amdgpu, i915 and xe cards from sysfs', async () => {
+  const { gpu } = await sampler()({})
+  const [i915, amd, xe] = gpu.slice(2)
+
+  assert.deepEqual(amd, {
+    index: 3,
+    vendor: 'amd',
+    name: 'AMD Navi 21 [Radeon RX 6800/6800 XT / 6900 XT]',
+    driver: 'amdgpu',
+    pci_slot: '0000:03:00.0',
+    utilization_percent: 42,
+    temperature_celsius: 54,
+    memory_used_bytes: 2147483648,
+    memory_total_bytes: 17163091968,
+    fan_percent: 40,
+    power_watts: 87,
+    frequency_mhz: 1500,
+    max_frequency_mhz: 2250,
+  })
+
+  assert.equal(i915.name, 'Intel TigerLake-LP GT2 [Iris Xe Graphics]')
+  assert.equal(i915.frequency_mhz, 650)
+  assert.equal(i915.max_frequency_mhz, 1300)
+  // Only energy1_input: watts need a second sample
+  assert.equal(i915.power_watts, null)
+
+  assert.equal(xe.name, 'Intel DG2 [Arc A770]')
+  assert.equal(xe.frequency_mhz, 1200)
+  assert.equal(xe.max_frequency_mhz, 2400)
+  assert.equal(xe.temperature_celsius, null)
+})
+
+test('createGpuSampler still reports nvidia-smi cards without a DRM class directory', async () => {
+  const { gpu } = await sampler('missing')({})
+  assert.deepEqual(gpu.map(g => g.name), ['NVIDIA GeForce RTX 3080', 'Tesla T4'])
+})
@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { createInsights, SECTIONS } from '../insights.js'
+import { createHistoryStore } from '../history.js'
+import { demoSnapshot } from '../../src/lib/demo.js'
+
+let dir
+let history
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'sysmon-insights-'))
+  history = createHistoryStore({ dir })
+  await history.load()
+  const now = Date.now()
+  for (let i = 10; i > 0; i--) history.add(demoSnapshot(), now - i * 3000)
+})
+
+after(async () => {
+  await history.close()
+  await rm(dir, { recursive: true, force: true })
+})
+
+const mock = () => createInsights({ provider: 'mock', history, timeout: 5 })
+
+test('the mock provider is configured without a key', () => {
+  assert.deepEqual(mock().info(), { provider: 'mock', model: 'rules', configured: true })
+})
+
+test('analyze answers every section for a snapshot', async () => {
+  const snapshot = { ...demoSnapshot(), memory: { ...demoSnapshot().memory, usage_percent: 93 } }
+  const result = await mock().analyze(snapshot)
+
+  assert.equal(result.provider, 'mock')
+  assert.equal(result.model, 'rules')
+  assert.equal(result.snapshot_timestamp, snapshot.timestamp)
+  assert.ok(!Number.isNaN(Date.parse(result.generated_at)))
+  const headings = result.markdown.split('\n').filter(line => line.startsWith('## ')).map(line => line.slice(3))
+  assert.deepEqual(headings, SECTIONS)
+  assert.match(result.markdown, /Memory is 93% used/)
+})
+
+test('analyze refuses to run before a snapshot exists', async () => {
+  await assert.rejects(mock().analyze(null), { status: 503, message: 'No snapshot collected yet' })
+})
+
+test('analyze is rate limited', async () => {
+  const insights = mock()
+  await insights.analyze(demoSnapshot())
+  await assert.rejects(insights.analyze(demoSnapshot()), { status: 429 })
+})
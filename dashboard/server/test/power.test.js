@@ -0,0 +1,121 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { createPowerSampler, parseBatteryAttributes, parseTermuxBattery } from '../collectors/power.js'
+
+// Stub termux-battery-status commands: one replies with output captured on
+// a phone, the other hangs like the real one without the Termux:API app
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'power')
+const stub = (name) => path.join(fixtures, 'bin', name)
+// No power_supply directory, so the sampler falls back to Termux
+const sysRoot = path.join(fixtures, 'missing')
+
+test('parseBatteryAttributes reads a battery that reports energy and power', () => {
+  const battery = parseBatteryAttributes('BAT0', {
+    type: 'Battery',
+    status: 'Discharging',
+    capacity: '60',
+    energy_now: '30000000',
+    energy_full: '50000000',
+    energy_full_design: '57000000',
+    power_now: '10000000',
+    manufacturer: 'SMP',
+    model_name: '5B10W13975',
+    cycle_count: '0',
+  })
+  assert.deepEqual(battery, {
+    id: 'BAT0',
+    model: 'SMP 5B10W13975',
+    percent: 60,
+    status: 'discharging',
+    health: null,
+    power_watts: 10,
+    energy_wh: 30,
+    energy_full_wh: 50,
+    energy_full_design_wh: 57,
+    time_remaining_seconds: 3 * 3600,
+    temperature_celsius: null,
+    cycle_count: null,
+  })
+})
+
+test('parseBatteryAttributes converts charge and signed current to energy and power', () => {
+  const battery = parseBatteryAttributes('BAT1', {
+    type: 'Battery',
+    status: 'Charging',
+    health: 'Good',
+    charge_now: '2000000',
+    charge_full: '4000000',
+    voltage_min_design: '7600000',
+    voltage_now: '8000000',
+    current_now: '-1500000',
+    temp: '285',
+    cycle_count: '140',
+  })
+  assert.equal(battery.energy_wh, 15.2)
+  assert.equal(battery.energy_full_wh, 30.4)
+  assert.equal(battery.power_watts, 12)
+  assert.equal(battery.percent, 50)
+  assert.equal(battery.health, 'good')
+  assert.equal(battery.time_remaining_seconds, 4560)
+  assert.equal(battery.temperature_celsius, 28.5)
+  assert.equal(battery.cycle_count, 140)
+})
+
+test('parseBatteryAttributes prefers the time the driver reports', () => {
+  const battery = parseBatteryAttributes('BAT0', {
+    status: 'Discharging',
+    energy_now: '30000000',
+    power_now: '10000000',
+    time_to_empty_now: '7200',
+  })
+  assert.equal(battery.time_remaining_seconds, 7200)
+})
+
+test('parseTermuxBattery reads captured termux-battery-status output', async () => {
+  const power = parseTermuxBattery(await readFile(path.join(fixtures, 'termux-battery-status.json'), 'utf8'))
+  assert.deepEqual(power, {
+    ac_online: true,
+    adapters: [{ id: 'plugged_usb', type: 'USB', online: true }],
+    batteries: [{
+      id: 'battery',
+      model: null,
+      percent: 64,
+      status: 'charging',
+      health: 'good',
+      power_watts: 5,
+      energy_wh: 11.3,
+      energy_full_wh: 17.7,
+      energy_full_design_wh: null,
+      time_remaining_seconds: 4608,
+      temperature_celsius: 31.2,
+      cycle_count: 212,
+    }],
+  })
+})
+
+test('parseTermuxBattery rejects output without a percentage', () => {
+  assert.equal(parseTermuxBattery('not json'), null)
+  assert.equal(parseTermuxBattery('{"status": "FULL"}'), null)
+})
+
+test('createPowerSampler asks termux-battery-status when sysfs has no battery', async () => {
+  const sample = createPowerSampler({ sysRoot, termuxBattery: stub('termux-battery-status') })
+  const { power } = await sample({})
+  assert.equal(power.source, 'termux')
+  assert.equal(power.batteries[0].percent, 64)
+})
+
+test('createPowerSampler stops asking a command that timed out', async () => {
+  const sample = createPowerSampler({ sysRoot, termuxBattery: stub('termux-battery-status-hang'), interval: 0.2 })
+  const first = await sample({})
+  assert.equal(first.power.source, null)
+
+  // Backing off: answered without waiting for the command again
+  const started = Date.now()
+  const second = await sample({})
+  assert.equal(second.power.source, null)
+  assert.ok(Date.now() - started < 150, 'the second sample should not fork the command')
+})
@@ -0,0 +1,28 @@
+// Manages control API users: npm run users -- <add NAME ROLE | remove NAME | list>
+// The token is printed once on creation; only its hash is kept.
+import path from 'node:path'
+import { config } from './config.js'
+import { createUserStore, ROLES } from './auth.js'
+
+const store = createUserStore({ dir: path.join(config.stateDir, 'auth') })
+const [command, name, role] = process.argv.slice(2)
+
+try {
+  if (command === 'add') {
+    const token = await store.create(name, role)
+    console.log(`Created ${role} "${name}". Token (shown only once):\n\n  ${token}\n`)
+  } else if (command === 'remove') {
+    await store.remove(name)
+    console.log(`Removed "${name}"; their sessions end on their next request.`)
+  } else if (command === 'list') {
+    const users = await store.list()
+    if (!users.length) console.log('No users; process control is disabled.')
+    for (const user of users) console.log(`${user.name}\t${user.role}\t${user.created_at}`)
+  } else {
+    console.log(`Usage: npm run users -- add NAME ROLE | remove NAME | list\nRoles: ${Object.keys(ROLES).join(', ')}`)
+    process.exitCode = command ? 1 : 0
+  }
+} catch (err) {
+  console.error(err.message)
+  process.exitCode = 1
+}
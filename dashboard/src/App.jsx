@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useCallback } from 'react'
 import { Line, Doughnut, Bar } from 'react-chartjs-2'
 import {
   Chart as ChartJS,
@@ -27,21 +27,80 @@ import {
   TrendingUp,
   TrendingDown,
   Zap,
+  BatteryMedium,
   Server,
+  Box,
+  Cable,
   Wifi,
-  Monitor,
   Settings,
   Bell,
   Moon,
   Sun,
-  ChevronDown,
-  ChevronUp,
   BarChart3,
   PieChart,
   Layers,
+  FileBarChart,
+  History,
+  ListTree,
   Eye,
   EyeOff,
+  Sparkles,
+  SearchCheck,
+  LayoutGrid,
 } from 'lucide-react'
+import { useSnapshotFeed } from './hooks/useSnapshotFeed'
+import { useMetricHistory, TIME_RANGES } from './hooks/useMetricHistory'
+import { useHashView } from './hooks/useHashView'
+import { useReplay } from './hooks/useReplay'
+import { useRecordings } from './hooks/useRecordings'
+import { useAlerts } from './hooks/useAlerts'
+import { useFleet, LOCAL_AGENT } from './hooks/useFleet'
+import { useProcesses } from './hooks/useProcesses'
+import { useConnections } from './hooks/useConnections'
+import { useControl } from './hooks/useControl'
+import { useInsights } from './hooks/useInsights'
+import { useFindings } from './hooks/useFindings'
+import { useLayouts } from './hooks/useLayouts'
+import { useConnection } from './hooks/useConnection'
+import { usePreferences } from './hooks/usePreferences'
+import NotificationDrawer from './components/NotificationDrawer'
+import FleetView from './components/FleetView'
+import ReportsView from './components/ReportsView'
+import ReplayPanel from './components/ReplayPanel'
+import SchemaBanner from './components/SchemaBanner'
+import ProcessExplorer from './components/ProcessExplorer'
+import ConnectionsPanel from './components/ConnectionsPanel'
+import ContainersPanel from './components/ContainersPanel'
+import ThermalsPanel from './components/ThermalsPanel'
+import GpuPanel from './components/GpuPanel'
+import PowerPanel from './components/PowerPanel'
+import InsightsPanel from './components/InsightsPanel'
+import FindingsList from './components/FindingsList'
+import WidgetGrid from './components/WidgetGrid'
+import LayoutBar from './components/LayoutBar'
+import ConnectionBanner, { SampleAge } from './components/ConnectionBanner'
+import PreferencesPanel from './components/PreferencesPanel'
+import { CoreHeatmap, CpuBreakdownChart } from './components/CpuDetails'
+import { CPU_BANDS } from './lib/cpu'
+import { MEMORY_BANDS, memoryBands } from './lib/memory'
+import { CONNECTION_BANDS, connectionBands } from './lib/sockets'
+import { findingMarkers, markersFor } from './lib/chartMarkers'
+import { METRICS } from './lib/metrics'
+import NetworkInterfaces from './components/NetworkInterfaces'
+import DiskDevices from './components/DiskDevices'
+import MemoryDetails from './components/MemoryDetails'
+import {
+  QuickStat,
+  CollapsibleCard,
+  ProgressBar,
+  MiniStat,
+  InfoCard,
+  LegendItem,
+} from './components/ui'
+import { normalizeSnapshot, SCHEMA_VERSION } from './lib/schema'
+import { REFRESH_INTERVALS } from './lib/preferences'
+import { isDemoMode } from './lib/demo'
+import { formatBytes, formatCount, formatDuration, formatRate, formatTemp, formatValue } from './lib/format'
 import './App.css'
 
 ChartJS.register(
@@ -60,67 +119,202 @@ ChartJS.register(
 function App() {
   const [data, setData] = useState(null)
   const [loading, setLoading] = useState(true)
-  const [lastUpdate, setLastUpdate] = useState(null)
+  // Timestamp (ms) of the last usable snapshot, by the host's own clock
+  const [sampleTime, setSampleTime] = useState(null)
   const [error, setError] = useState(null)
-  const [autoRefresh, setAutoRefresh] = useState(true)
-  const [refreshInterval, setRefreshInterval] = useState(3)
-  const [darkMode, setDarkMode] = useState(true)
-  const [expandedSections, setExpandedSections] = useState({
-    cpu: true,
-    memory: true,
-    disk: true,
-    network: true,
-    gpu: true,
-    system: true,
-  })
+  // { errors, fatal, migratedFrom } for the last payload received
+  const [validation, setValidation] = useState(null)
+  const { preferences, setPreference, theme } = usePreferences()
+  const { autoRefresh, refreshInterval } = preferences
+  const [showPreferences, setShowPreferences] = useState(false)
+  const layouts = useLayouts()
+  const [showLayout, setShowLayout] = useState(false)
+  // Cards that are on the grid and not collapsed
+  const expandedSections = Object.fromEntries(layouts.layout.widgets.map(w => [w.id, !w.collapsed]))
   const [selectedMetric, setSelectedMetric] = useState('cpu')
   const [showHistory, setShowHistory] = useState(true)
   const [cpuHistory, setCpuHistory] = useState([])
   const [memHistory, setMemHistory] = useState([])
+  const [breakdownHistory, setBreakdownHistory] = useState([])
+  // Recent memory composition in bytes per MEMORY_BANDS key
+  const [memBandHistory, setMemBandHistory] = useState([])
+  // Interface name -> recent { rx, tx } rates for the sparklines
+  const [netHistory, setNetHistory] = useState({})
+  // Block device name -> recent { read, write } rates
+  const [diskHistory, setDiskHistory] = useState({})
+  // Sensor id -> recent readings in °C
+  const [sensorHistory, setSensorHistory] = useState({})
+  // GPU PCI slot -> recent { usage, temp }
+  const [gpuHistory, setGpuHistory] = useState({})
+  // Recent { percent, watts } across all batteries
+  const [powerHistory, setPowerHistory] = useState([])
+  // Recent TCP socket counts per CONNECTION_BANDS key
+  const [connHistory, setConnHistory] = useState([])
+  const [timeRange, setTimeRange] = useState(() => (
+    TIME_RANGES.some(r => r.id === preferences.defaultRange) ? preferences.defaultRange : 'live'
+  ))
+  const rangeHistory = useMetricHistory(timeRange, CHART_METRICS)
+  const alerts = useAlerts()
+  const [showNotifications, setShowNotifications] = useState(false)
+  const [view, setView] = useHashView()
+  const [activeHost, setActiveHost] = useState(LOCAL_AGENT)
+  const fleet = useFleet({ enabled: autoRefresh && view === 'fleet', interval: refreshInterval })
+  const control = useControl()
+  const [showReplay, setShowReplay] = useState(false)
+  const recordings = useRecordings({ enabled: showReplay && activeHost.local })
+
+  const handleSnapshot = useCallback((payload) => {
+    const { snapshot: json, errors, migratedFrom } = normalizeSnapshot(payload)
+    setValidation({ errors, fatal: !json, migratedFrom })
+    setLoading(false)
+    // Keep showing the last usable snapshot rather than a broken one
+    if (!json) return
 
-  const fetchData = useCallback(async () => {
-    try {
-      const response = await fetch('/data/system_data.json?' + Date.now())
-      if (!response.ok) throw new Error('Data not found')
-      const json = await response.json()
-      setData(json)
-      setLastUpdate(new Date())
-      setError(null)
-      setLoading(false)
-
-      // Update history
-      setCpuHistory(prev => {
-        const newHistory = [...prev, json.cpu?.current || 0].slice(-30)
-        return newHistory
-      })
-      setMemHistory(prev => {
-        const newHistory = [...prev, json.memory?.percent || 0].slice(-30)
-        return newHistory
-      })
-    } catch (err) {
-      console.error('Error fetching data:', err)
-      setData(getDemoData())
-      setLastUpdate(new Date())
-      setLoading(false)
+    setData(json)
+    const sampled = Date.parse(json.timestamp)
+    setSampleTime(Number.isFinite(sampled) ? sampled : null)
+    setError(null)
+
+    // Update history
+    setCpuHistory(prev => {
+      const newHistory = [...prev, json.cpu?.usage_percent || 0].slice(-30)
+      return newHistory
+    })
+    setMemHistory(prev => {
+      const newHistory = [...prev, json.memory?.usage_percent || 0].slice(-30)
+      return newHistory
+    })
+    // Only the collector service measures the breakdown
+    const breakdown = json.cpu?.breakdown
+    if (breakdown) {
+      setBreakdownHistory(prev => [...prev, { ...breakdown, irq: +(breakdown.irq + breakdown.softirq).toFixed(1) }].slice(-30))
+    }
+    const bands = memoryBands(json.memory)
+    if (bands) setMemBandHistory(prev => [...prev, bands].slice(-30))
+    setNetHistory(prev => {
+      const next = {}
+      for (const iface of json.network?.interfaces || []) {
+        if (iface.rx_bytes_per_sec === null || iface.rx_bytes_per_sec === undefined) continue
+        next[iface.name] = [...(prev[iface.name] || []), { rx: iface.rx_bytes_per_sec, tx: iface.tx_bytes_per_sec || 0 }].slice(-30)
+      }
+      return next
+    })
+    setDiskHistory(prev => {
+      const next = {}
+      for (const dev of json.disk?.devices || []) {
+        if (dev.read_bytes_per_sec === null) continue
+        next[dev.name] = [...(prev[dev.name] || []), { read: dev.read_bytes_per_sec, write: dev.write_bytes_per_sec }].slice(-30)
+      }
+      return next
+    })
+    setSensorHistory(prev => {
+      const next = {}
+      for (const t of json.sensors?.temperatures || []) {
+        next[t.id] = [...(prev[t.id] || []), t.celsius].slice(-30)
+      }
+      return next
+    })
+    setGpuHistory(prev => {
+      const next = {}
+      for (const gpu of json.gpu || []) {
+        const key = gpu.pci_slot || String(gpu.index)
+        next[key] = [...(prev[key] || []), { usage: gpu.utilization_percent ?? null, temp: gpu.temperature_celsius ?? null }].slice(-30)
+      }
+      return next
+    })
+    if (json.power?.batteries?.length) {
+      setPowerHistory(prev => [...prev, { percent: METRICS.battery(json), watts: METRICS.battery_power(json) }].slice(-30))
     }
+    const connections = connectionBands(json.network?.sockets)
+    if (connections) setConnHistory(prev => [...prev, connections].slice(-30))
   }, [])
 
-  useEffect(() => {
-    fetchData()
-    let interval
-    if (autoRefresh) {
-      interval = setInterval(fetchData, refreshInterval * 1000)
+  const clearHistories = useCallback(() => {
+    setCpuHistory([])
+    setMemHistory([])
+    setBreakdownHistory([])
+    setMemBandHistory([])
+    setNetHistory({})
+    setDiskHistory({})
+    setSensorHistory({})
+    setGpuHistory({})
+    setPowerHistory([])
+    setConnHistory([])
+  }, [])
+
+  // Replayed snapshots go through the same path as live ones
+  const replay = useReplay({
+    onFrame: handleSnapshot,
+    onReset: clearHistories,
+  })
+
+  // The process list comes from the local collector only
+  const processList = useProcesses({
+    enabled: autoRefresh && view === 'host' && activeHost.local && expandedSections.processes && !replay.active,
+    interval: refreshInterval,
+  })
+  // Sockets with their owners, likewise only from the local collector
+  const connectionList = useConnections({
+    enabled: autoRefresh && view === 'host' && activeHost.local && expandedSections.connections && !replay.active,
+    interval: refreshInterval,
+  })
+  // Findings cover the chart's range, or the last day while live
+  const findingsRange = TIME_RANGES.find(r => r.id === timeRange)?.seconds || FINDINGS_LIVE_SECONDS
+  const findings = useFindings({
+    enabled: autoRefresh && view === 'host' && activeHost.local && !replay.active && (expandedSections.findings || expandedSections.performance),
+    seconds: findingsRange,
+  })
+  const insights = useInsights({ enabled: view === 'host' && activeHost.local && expandedSections.insights })
+
+  const handleFetchError = useCallback((err) => {
+    console.error('Error fetching data:', err)
+    setLoading(false)
+    // A file that is not JSON at all is a schema problem, not a missing file
+    if (err instanceof SyntaxError) {
+      setValidation({ errors: [{ path: '(root)', message: `not valid JSON: ${err.message}` }], fatal: true, migratedFrom: null })
+      setError('The snapshot is not valid JSON')
+      return
     }
-    return () => clearInterval(interval)
-  }, [fetchData, autoRefresh, refreshInterval])
+    // Keep the last real snapshot on screen; the connection banner says how old it is
+    setError(err.message)
+  }, [])
 
-  const toggleSection = (section) => {
-    setExpandedSections(prev => ({
-      ...prev,
-      [section]: !prev[section]
-    }))
+  const { transport, refresh: fetchData, failures, retryAt } = useSnapshotFeed({
+    enabled: autoRefresh && view === 'host' && !replay.active,
+    interval: refreshInterval,
+    snapshotUrl: activeHost.url,
+    streamUrl: activeHost.local ? undefined : null,
+    demo: DEMO_MODE,
+    onSnapshot: handleSnapshot,
+    onError: handleFetchError,
+    onAlert: alerts.receive,
+  })
+  const connection = useConnection({
+    enabled: transport !== 'paused',
+    demo: DEMO_MODE,
+    failures,
+    sampleTime,
+    interval: refreshInterval,
+  })
+  // Cards holding data that is no longer current are greyed out
+  const outdated = connection === 'stale' || connection === 'disconnected'
+
+  const selectHost = (agent) => {
+    setActiveHost(agent)
+    setView('host')
+    if (agent.url === activeHost.url) return
+    setData(null)
+    setSampleTime(null)
+    setError(null)
+    setValidation(null)
+    clearHistories()
+    // Stored history only exists for the local collector
+    setTimeRange('live')
+    setLoading(true)
   }
 
+  const toggleSection = layouts.toggleCollapsed
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 flex items-center justify-center">
@@ -142,33 +336,479 @@ function App() {
     return 'from-green-500/20 to-green-600/20 border-green-500/50'
   }
 
+  const isLive = timeRange === 'live' || !activeHost.local || replay.active
+  // Rates need the collector service; plain JSON polling only has totals
+  const hasNetRates = typeof data?.network?.rx_bytes_per_sec === 'number'
+  const rangeSeries = rangeHistory.series || {}
+  const rangeTimes = (rangeSeries.cpu || rangeSeries.memory || []).map(p => p.t)
+  // Avg/Max/Min over whatever window the chart shows
+  const cpuStats = isLive ? summarize(cpuHistory) : summarizeSeries(rangeSeries.cpu || [])
+  const breakdownPoints = isLive
+    ? breakdownHistory.map((b, i) => ({ label: String(i), ...b }))
+    : (rangeSeries.cpu_user || []).map(({ t }) => {
+      const point = { label: formatTimeLabel(t, timeRange) }
+      for (const band of CPU_BANDS) point[band.key] = rangeSeries[band.metric]?.find(p => p.t === t)?.avg ?? 0
+      return point
+    })
+  const memBandPoints = isLive
+    ? memBandHistory.map((b, i) => ({ label: String(i), ...b }))
+    : (rangeSeries.memory_anon || []).map(({ t }) => {
+      const point = { label: formatTimeLabel(t, timeRange) }
+      for (const band of MEMORY_BANDS) point[band.key] = rangeSeries[band.metric]?.find(p => p.t === t)?.avg ?? 0
+      return point
+    })
+  const cpuPoints = isLive ? cpuHistory : (rangeSeries.cpu || []).map(p => p.avg)
+  const memPoints = isLive ? memHistory : (rangeSeries.memory || []).map(p => p.avg)
+  const powerPoints = isLive
+    ? powerHistory.map((p, i) => ({ label: String(i), ...p }))
+    : (rangeSeries.battery || []).map(({ t, avg }) => ({
+      label: formatTimeLabel(t, timeRange),
+      percent: avg,
+      watts: rangeSeries.battery_power?.find(p => p.t === t)?.avg ?? null,
+    }))
+  const connPoints = isLive
+    ? connHistory.map((c, i) => ({ label: String(i), ...c }))
+    : (rangeSeries.tcp_established || []).map(({ t }) => {
+      const point = { label: formatTimeLabel(t, timeRange) }
+      for (const band of CONNECTION_BANDS) point[band.key] = rangeSeries[band.metric]?.find(p => p.t === t)?.avg ?? 0
+      return point
+    })
+
   const liveChartData = {
-    labels: Array(Math.max(cpuHistory.length, 1)).fill('').map((_, i) => i.toString()),
+    labels: isLive
+      ? Array(Math.max(cpuHistory.length, 1)).fill('').map((_, i) => i.toString())
+      : rangeTimes.map(t => formatTimeLabel(t, timeRange)),
     datasets: [
       {
         label: 'CPU %',
-        data: cpuHistory.length ? cpuHistory : [0],
+        data: cpuPoints.length ? cpuPoints : [0],
         borderColor: 'rgb(59, 130, 246)',
         backgroundColor: 'rgba(59, 130, 246, 0.1)',
         fill: true,
         tension: 0.4,
+        pointRadius: isLive ? 3 : 0,
       },
       {
         label: 'Memory %',
-        data: memHistory.length ? memHistory : [0],
+        data: memPoints.length ? memPoints : [0],
         borderColor: 'rgb(139, 92, 246)',
         backgroundColor: 'rgba(139, 92, 246, 0.1)',
         fill: true,
         tension: 0.4,
+        pointRadius: isLive ? 3 : 0,
       }
     ]
   }
 
+  // Everything the layout can place on the grid, keyed by widget id (see lib/layout)
+  const widgets = {
+    'quick-cpu': (
+      <QuickStat
+        icon={<Cpu className="w-5 h-5" />}
+        label="CPU"
+        value={`${data?.cpu?.usage_percent || 0}%`}
+        color="blue"
+        trend={data?.cpu?.usage_percent > 50 ? 'up' : 'down'}
+        onClick={() => setSelectedMetric('cpu')}
+        selected={selectedMetric === 'cpu'}
+      />
+    ),
+    'quick-memory': (
+      <QuickStat
+        icon={<MemoryStick className="w-5 h-5" />}
+        label="Memory"
+        value={`${data?.memory?.usage_percent || 0}%`}
+        color="purple"
+        onClick={() => setSelectedMetric('memory')}
+        selected={selectedMetric === 'memory'}
+      />
+    ),
+    'quick-disk': (
+      <QuickStat
+        icon={<HardDrive className="w-5 h-5" />}
+        label="Disk"
+        value={`${data?.disk?.usage_percent || 0}%`}
+        color="cyan"
+        onClick={() => setSelectedMetric('disk')}
+        selected={selectedMetric === 'disk'}
+      />
+    ),
+    'quick-temp': (
+      <QuickStat
+        icon={<Thermometer className="w-5 h-5" />}
+        label="CPU Temp"
+        value={formatTemp(data?.cpu?.temperature_celsius)}
+        color="red"
+      />
+    ),
+    'quick-network': (
+      <QuickStat
+        icon={<Network className="w-5 h-5" />}
+        label="Network"
+        value={hasNetRates ? `↓${formatRate(data.network.rx_bytes_per_sec)}` : `↓${formatBytes(data?.network?.rx_bytes ?? 0)}`}
+        color="green"
+        onClick={() => setSelectedMetric('network')}
+        selected={selectedMetric === 'network'}
+      />
+    ),
+    'quick-processes': (
+      <QuickStat
+        icon={<Server className="w-5 h-5" />}
+        label="Processes"
+        value={data?.processes?.total || 0}
+        color="orange"
+      />
+    ),
+    performance: (
+      <div className={`p-6 rounded-2xl border ${theme.card}`}>
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-3">
+            <div className={`p-2 ${theme.dark ? 'bg-blue-500/20' : 'bg-blue-100'} rounded-lg`}>
+              <BarChart3 className="w-5 h-5 text-blue-500" />
+            </div>
+            <h2 className={`text-xl font-semibold ${theme.text}`}>
+              Live Performance
+            </h2>
+            <span className="flex items-center gap-1 text-xs text-green-400 bg-green-500/20 px-2 py-1 rounded-full">
+              <span className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></span>
+              {transport === 'stream' ? 'Live' : transport === 'polling' ? 'Polling' : transport === 'demo' ? 'Demo' : 'Paused'}
+            </span>
+          </div>
+          <div className="flex items-center gap-2">
+            {/* Time range picker */}
+            {activeHost.local && (
+              <div className={`flex rounded-lg overflow-hidden border ${theme.border}`}>
+                {TIME_RANGES.map(range => (
+                  <button
+                    key={range.id}
+                    onClick={() => setTimeRange(range.id)}
+                    className={`px-3 py-1 text-sm transition-colors ${timeRange === range.id
+                        ? 'bg-blue-600 text-white'
+                        : theme.button
+                      }`}
+                  >
+                    {range.label}
+                  </button>
+                ))}
+              </div>
+            )}
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              className={`px-3 py-1 text-sm rounded-lg ${theme.button}`}
+            >
+              {showHistory ? 'Hide' : 'Show'} History
+            </button>
+          </div>
+        </div>
+        {showHistory && (
+          <div className="h-48 relative">
+            <Line
+              data={liveChartData}
+              options={liveChartOptions(theme, !isLive, isLive ? [] : markersFor(findings.findings, rangeTimes, MARKED_METRICS))}
+              plugins={[findingMarkers]}
+            />
+            {!isLive && (rangeHistory.loading || rangeHistory.error || !rangeTimes.length) && (
+              <div className={`absolute inset-0 flex items-center justify-center text-sm ${theme.muted}`}>
+                {rangeHistory.loading
+                  ? 'Loading history...'
+                  : rangeHistory.error
+                    ? `History unavailable: ${rangeHistory.error}`
+                    : 'No samples recorded in this range yet'}
+              </div>
+            )}
+          </div>
+        )}
+        <div className="flex items-center gap-6 mt-4">
+          <LegendItem color="rgb(59, 130, 246)" label="CPU" />
+          <LegendItem color="rgb(139, 92, 246)" label="Memory" />
+        </div>
+      </div>
+    ),
+    cpu: (
+      <CollapsibleCard
+        title="CPU Utilization"
+        icon={<Cpu className="w-5 h-5 text-blue-400" />}
+        color="blue"
+        expanded={expandedSections.cpu}
+        onToggle={() => toggleSection('cpu')}
+      >
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className={`text-3xl font-bold ${theme.text}`}>
+                {data?.cpu?.usage_percent || 0}%
+              </p>
+              <p className={`text-sm ${theme.muted}`}>
+                {data?.cpu?.model || 'Unknown CPU'}
+              </p>
+            </div>
+            <div className="text-right">
+              <p className={`text-sm ${theme.muted}`}>
+                {data?.cpu?.cores || 0} cores
+              </p>
+              <p className={`text-sm ${theme.muted}`}>
+                Temp: {formatTemp(data?.cpu?.temperature_celsius)}
+              </p>
+            </div>
+          </div>
+          <ProgressBar value={data?.cpu?.usage_percent || 0} color="blue" />
+          <div className="grid grid-cols-3 gap-3">
+            <MiniStat label={`Avg (${rangeLabel(timeRange, isLive)})`} value={`${cpuStats.avg}%`} />
+            <MiniStat label="Max" value={`${cpuStats.max}%`} />
+            <MiniStat label="Min" value={`${cpuStats.min}%`} />
+          </div>
+          {data?.cpu?.per_core?.length > 0 && (
+            <div>
+              <p className={`text-xs mb-2 ${theme.muted}`}>Per core</p>
+              <CoreHeatmap cores={data.cpu.per_core} />
+            </div>
+          )}
+          {breakdownPoints.length > 0 ? (
+            <div className="h-40">
+              <CpuBreakdownChart points={breakdownPoints} showTimeAxis={!isLive} />
+            </div>
+          ) : !data?.cpu?.breakdown && (
+            <p className={`text-xs ${theme.faint}`}>
+              Per-core usage and the time breakdown need the collector service (npm run server).
+            </p>
+          )}
+        </div>
+      </CollapsibleCard>
+    ),
+    memory: (
+      <CollapsibleCard
+        title="Memory Usage"
+        icon={<MemoryStick className="w-5 h-5 text-purple-400" />}
+        color="purple"
+        expanded={expandedSections.memory}
+        onToggle={() => toggleSection('memory')}
+      >
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className={`text-3xl font-bold ${theme.text}`}>
+                {data?.memory?.usage_percent || 0}%
+              </p>
+              <p className={`text-sm ${theme.muted}`}>
+                {formatBytes(data?.memory?.used_bytes ?? 0)} / {formatBytes(data?.memory?.total_bytes ?? 0)}
+              </p>
+            </div>
+          </div>
+          <ProgressBar value={data?.memory?.usage_percent || 0} color="purple" />
+          <div className="grid grid-cols-2 gap-3">
+            <MiniStat label="Available" value={formatBytes(data?.memory?.available_bytes)} />
+            <MiniStat label="Cached" value={formatBytes(data?.memory?.cached_bytes)} />
+            <MiniStat label="Swap" value={formatBytes(data?.memory?.swap_used_bytes)} />
+            <MiniStat label="Total" value={formatBytes(data?.memory?.total_bytes)} />
+          </div>
+          <MemoryDetails memory={data?.memory} pressure={data?.pressure} points={memBandPoints} showTimeAxis={!isLive} />
+        </div>
+      </CollapsibleCard>
+    ),
+    disk: (
+      <CollapsibleCard
+        title="Disk Storage"
+        icon={<HardDrive className="w-5 h-5 text-cyan-400" />}
+        color="cyan"
+        expanded={expandedSections.disk}
+        onToggle={() => toggleSection('disk')}
+      >
+        <div className="space-y-4">
+          {(data?.disk?.filesystems?.length ? data.disk.filesystems : [{ mount: '/', usage_percent: data?.disk?.usage_percent || 0, used_bytes: data?.disk?.used_bytes, total_bytes: data?.disk?.total_bytes }]).slice(0, 3).map((fs, idx) => (
+            <div key={idx}>
+              <div className="flex justify-between text-sm mb-1">
+                <span className={theme.muted}>{fs.mount}</span>
+                <span className={theme.text}>{formatBytes(fs.used_bytes)} / {formatBytes(fs.total_bytes)}</span>
+              </div>
+              <ProgressBar
+                value={fs.usage_percent}
+                color={fs.usage_percent > 90 ? 'red' : fs.usage_percent > 70 ? 'yellow' : 'cyan'}
+                showPercent
+              />
+              {fs.inodes_total > 0 && (
+                <p className={`text-xs mt-1 ${fs.inodes_usage_percent > 90 ? 'text-red-400' : theme.faint}`}>
+                  Inodes {formatCount(fs.inodes_used)} / {formatCount(fs.inodes_total)} ({formatValue(fs.inodes_usage_percent, '%')})
+                </p>
+              )}
+            </div>
+          ))}
+          {data?.disk?.devices?.length > 0 ? (
+            <div className="pt-2 border-t border-slate-700">
+              <DiskDevices devices={data.disk.devices} history={diskHistory} />
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 gap-3 pt-2 border-t border-slate-700">
+              <MiniStat label="Read" value={formatBytes(data?.disk?.read_bytes)} />
+              <MiniStat label="Written" value={formatBytes(data?.disk?.written_bytes)} />
+            </div>
+          )}
+        </div>
+      </CollapsibleCard>
+    ),
+    network: (
+      <CollapsibleCard
+        title="Network"
+        icon={<Wifi className="w-5 h-5 text-green-400" />}
+        color="green"
+        expanded={expandedSections.network}
+        onToggle={() => toggleSection('network')}
+      >
+        <div className="space-y-4">
+          <div className="flex items-center justify-between p-3 bg-gradient-to-r from-green-500/10 to-transparent rounded-lg">
+            <div className="flex items-center gap-2">
+              <TrendingDown className="w-4 h-4 text-green-400" />
+              <span className={theme.subtle}>Download</span>
+            </div>
+            <span className={`font-mono font-bold text-right ${theme.text}`}>
+              {hasNetRates && <>{formatRate(data.network.rx_bytes_per_sec)}<br /></>}
+              <span className={hasNetRates ? `text-xs font-normal ${theme.muted}` : ''}>
+                {formatBytes(data?.network?.rx_bytes ?? 0)}{hasNetRates && ' since boot'}
+              </span>
+            </span>
+          </div>
+          <div className="flex items-center justify-between p-3 bg-gradient-to-r from-blue-500/10 to-transparent rounded-lg">
+            <div className="flex items-center gap-2">
+              <TrendingUp className="w-4 h-4 text-blue-400" />
+              <span className={theme.subtle}>Upload</span>
+            </div>
+            <span className={`font-mono font-bold text-right ${theme.text}`}>
+              {hasNetRates && <>{formatRate(data.network.tx_bytes_per_sec)}<br /></>}
+              <span className={hasNetRates ? `text-xs font-normal ${theme.muted}` : ''}>
+                {formatBytes(data?.network?.tx_bytes ?? 0)}{hasNetRates && ' since boot'}
+              </span>
+            </span>
+          </div>
+          <div className="pt-2 border-t border-slate-700">
+            <NetworkInterfaces interfaces={data?.network?.interfaces || []} history={netHistory} />
+          </div>
+        </div>
+      </CollapsibleCard>
+    ),
+    gpu: (
+      <CollapsibleCard
+        title={data?.gpu?.length > 1 ? `GPUs (${data.gpu.length})` : 'GPU'}
+        icon={<Zap className="w-5 h-5 text-orange-400" />}
+        color="orange"
+        expanded={expandedSections.gpu}
+        onToggle={() => toggleSection('gpu')}
+      >
+        <GpuPanel gpus={data?.gpu || []} history={gpuHistory} />
+      </CollapsibleCard>
+    ),
+    thermals: (
+      <CollapsibleCard
+        title="Thermals"
+        icon={<Thermometer className="w-5 h-5 text-red-400" />}
+        color="red"
+        expanded={expandedSections.thermals}
+        onToggle={() => toggleSection('thermals')}
+      >
+        <ThermalsPanel sensors={data?.sensors} history={sensorHistory} />
+      </CollapsibleCard>
+    ),
+    power: (
+      <CollapsibleCard
+        title="Power"
+        icon={<BatteryMedium className="w-5 h-5 text-green-400" />}
+        color="green"
+        expanded={expandedSections.power}
+        onToggle={() => toggleSection('power')}
+      >
+        <PowerPanel power={data?.power} points={powerPoints} />
+      </CollapsibleCard>
+    ),
+    system: (
+      <CollapsibleCard
+        title="System Information"
+        icon={<Server className="w-5 h-5 text-slate-400" />}
+        color="slate"
+        expanded={expandedSections.system}
+        onToggle={() => toggleSection('system')}
+      >
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+          <InfoCard label="Hostname" value={data?.hostname || 'N/A'} />
+          <InfoCard label="Kernel" value={data?.kernel?.split('-')[0] || 'N/A'} />
+          <InfoCard label="Uptime" value={formatDuration(data?.uptime_seconds)} />
+          <InfoCard label="Load Avg" value={formatValue(data?.load_avg?.[0])} />
+          <InfoCard label="Processes" value={`${data?.processes?.total || 0} (${data?.processes?.running || 0} running)`} />
+          <InfoCard label="CPU Cores" value={data?.cpu?.cores || 'N/A'} />
+        </div>
+        {data?.collector && (
+          <p className={`mt-3 text-xs ${theme.faint}`}>
+            Collector ({data.collector.source}): {data.collector.cpu_ms} ms CPU and {data.collector.duration_ms} ms per snapshot
+            {' '}(budget {data.collector.budget_cpu_ms} ms)
+            {data.collector.cpu_percent !== null && `, ${data.collector.cpu_percent}% of a core overall`}
+            {data.collector.cpu_ms > data.collector.budget_cpu_ms && <span className="text-orange-400"> • over budget</span>}
+          </p>
+        )}
+      </CollapsibleCard>
+    ),
+    processes: activeHost.local && (
+      <CollapsibleCard
+        title="Processes"
+        icon={<ListTree className="w-5 h-5 text-orange-400" />}
+        color="orange"
+        expanded={expandedSections.processes}
+        onToggle={() => toggleSection('processes')}
+      >
+        <ProcessExplorer {...processList} control={control} />
+      </CollapsibleCard>
+    ),
+    connections: activeHost.local && (
+      <CollapsibleCard
+        title="Connections"
+        icon={<Cable className="w-5 h-5 text-blue-400" />}
+        color="blue"
+        expanded={expandedSections.connections}
+        onToggle={() => toggleSection('connections')}
+      >
+        <ConnectionsPanel {...connectionList} sockets={data?.network?.sockets} points={connPoints} showTimeAxis={!isLive} />
+      </CollapsibleCard>
+    ),
+    containers: (
+      <CollapsibleCard
+        title={`Containers${data?.containers ? ` (${data.containers.groups.filter(g => g.kind === 'container').length})` : ''}`}
+        icon={<Box className="w-5 h-5 text-cyan-400" />}
+        color="cyan"
+        expanded={expandedSections.containers}
+        onToggle={() => toggleSection('containers')}
+      >
+        <ContainersPanel containers={data?.containers} />
+      </CollapsibleCard>
+    ),
+    findings: activeHost.local && !replay.active && (
+      <CollapsibleCard
+        title={`Findings (${isLive ? 'last 24h' : rangeLabel(timeRange, isLive)})`}
+        icon={<SearchCheck className="w-5 h-5 text-yellow-400" />}
+        color="yellow"
+        expanded={expandedSections.findings}
+        onToggle={() => toggleSection('findings')}
+      >
+        {findings.error && <p className="text-sm text-red-400 mb-3">Findings unavailable: {findings.error}</p>}
+        {findings.loaded && (
+          <FindingsList
+            findings={findings.findings}
+            empty="No spikes, trends or sustained I/O wait in this range."
+           
+          />
+        )}
+      </CollapsibleCard>
+    ),
+    insights: activeHost.local && (
+      <CollapsibleCard
+        title="AI Insights"
+        icon={<Sparkles className="w-5 h-5 text-purple-400" />}
+        color="purple"
+        expanded={expandedSections.insights}
+        onToggle={() => toggleSection('insights')}
+      >
+        <InsightsPanel {...insights} />
+      </CollapsibleCard>
+    ),
+  }
+
   return (
-    <div className={`min-h-screen transition-colors duration-300 ${darkMode
-        ? 'bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900'
-        : 'bg-gradient-to-br from-slate-100 via-white to-slate-100'
-      } p-4 md:p-6`}>
+    <div className={`min-h-screen transition-colors duration-300 ${theme.page} p-4 md:p-6`}>
       {/* Header */}
       <header className="mb-6">
         <div className="flex flex-col md:flex-row items-start md:items-center justify-between gap-4">
@@ -177,36 +817,37 @@ function App() {
               <div className="p-3 bg-gradient-to-br from-blue-500 to-purple-600 rounded-xl shadow-lg shadow-blue-500/25">
                 <Activity className="w-8 h-8 text-white" />
               </div>
-              <div className="absolute -top-1 -right-1 w-3 h-3 bg-green-500 rounded-full animate-pulse"></div>
+              <div className={`absolute -top-1 -right-1 w-3 h-3 ${CONNECTION_DOTS[connection]} rounded-full animate-pulse`} title={connection}></div>
             </div>
             <div>
-              <h1 className={`text-2xl md:text-3xl font-bold ${darkMode ? 'text-white' : 'text-slate-900'}`}>
+              <h1 className={`text-2xl md:text-3xl font-bold ${theme.text}`}>
                 System Monitor
               </h1>
-              <p className={`${darkMode ? 'text-slate-400' : 'text-slate-600'} text-sm`}>
-                {data?.hostname || 'localhost'} • {data?.kernel?.split('-')[0] || 'Unknown'}
+              <p className={`${theme.muted} text-sm`}>
+                {view === 'fleet'
+                  ? `${fleet.agents.length} hosts`
+                  : view === 'reports'
+                    ? 'Reports'
+                    : `${data?.hostname || activeHost.name} • ${data?.kernel?.split('-')[0] || 'Unknown'}`}
               </p>
             </div>
           </div>
 
           <div className="flex items-center gap-3 flex-wrap">
             {/* Refresh controls */}
-            <div className={`flex items-center gap-2 px-3 py-2 ${darkMode ? 'bg-slate-800/50' : 'bg-white shadow'
-              } rounded-lg border ${darkMode ? 'border-slate-700' : 'border-slate-200'}`}>
-              <Clock className={`w-4 h-4 ${darkMode ? 'text-slate-400' : 'text-slate-600'}`} />
-              <span className={`text-xs ${darkMode ? 'text-slate-300' : 'text-slate-700'}`}>
-                {lastUpdate?.toLocaleTimeString()}
+            <div className={`flex items-center gap-2 px-3 py-2 rounded-lg border ${theme.card}`}>
+              <Clock className={`w-4 h-4 ${theme.muted}`} />
+              <span className={`text-xs ${theme.subtle}`}>
+                <SampleAge time={sampleTime} />
               </span>
             </div>
 
             {/* Auto-refresh toggle */}
             <button
-              onClick={() => setAutoRefresh(!autoRefresh)}
+              onClick={() => setPreference('autoRefresh', !autoRefresh)}
               className={`flex items-center gap-2 px-3 py-2 rounded-lg transition-all ${autoRefresh
                   ? 'bg-green-500/20 text-green-400 border border-green-500/30'
-                  : darkMode
-                    ? 'bg-slate-700 text-slate-300 border border-slate-600'
-                    : 'bg-slate-200 text-slate-700 border border-slate-300'
+                  : `border ${theme.button}`
                 }`}
             >
               {autoRefresh ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4" />}
@@ -218,18 +859,66 @@ function App() {
             {/* Refresh interval */}
             <select
               value={refreshInterval}
-              onChange={(e) => setRefreshInterval(Number(e.target.value))}
-              className={`px-3 py-2 rounded-lg text-xs ${darkMode
-                  ? 'bg-slate-700 text-slate-300 border-slate-600'
-                  : 'bg-white text-slate-700 border-slate-300'
-                } border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+              onChange={(e) => setPreference('refreshInterval', Number(e.target.value))}
+              className={`px-3 py-2 rounded-lg text-xs ${theme.button} border focus:outline-none focus:ring-2 focus:ring-blue-500`}
             >
-              <option value={1}>1s</option>
-              <option value={3}>3s</option>
-              <option value={5}>5s</option>
-              <option value={10}>10s</option>
+              {REFRESH_INTERVALS.map(s => <option key={s} value={s}>{s}s</option>)}
             </select>
 
+            {/* Fleet / single host */}
+            <button
+              onClick={() => setView(view === 'fleet' ? 'host' : 'fleet')}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg transition-all ${view === 'fleet'
+                  ? 'bg-blue-500/20 text-blue-400 border border-blue-500/30'
+                  : `border ${theme.button}`
+                }`}
+            >
+              <Layers className="w-4 h-4" />
+              <span className="text-xs font-medium">Fleet</span>
+            </button>
+
+            {/* Replay */}
+            <button
+              onClick={() => {
+                setView('host')
+                setShowReplay(!showReplay)
+              }}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg transition-all ${showReplay || replay.active
+                  ? 'bg-purple-500/20 text-purple-400 border border-purple-500/30'
+                  : `border ${theme.button}`
+                }`}
+            >
+              <History className="w-4 h-4" />
+              <span className="text-xs font-medium">Replay</span>
+            </button>
+
+            {/* Reports */}
+            <button
+              onClick={() => setView(view === 'reports' ? 'host' : 'reports')}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg transition-all ${view === 'reports'
+                  ? 'bg-blue-500/20 text-blue-400 border border-blue-500/30'
+                  : `border ${theme.button}`
+                }`}
+            >
+              <FileBarChart className="w-4 h-4" />
+              <span className="text-xs font-medium">Reports</span>
+            </button>
+
+            {/* Layout */}
+            <button
+              onClick={() => {
+                setView('host')
+                setShowLayout(!showLayout)
+              }}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg transition-all ${showLayout
+                  ? 'bg-blue-500/20 text-blue-400 border border-blue-500/30'
+                  : `border ${theme.button}`
+                }`}
+            >
+              <LayoutGrid className="w-4 h-4" />
+              <span className="text-xs font-medium">Layout</span>
+            </button>
+
             {/* Manual refresh */}
             <button
               onClick={fetchData}
@@ -238,489 +927,222 @@ function App() {
               <RefreshCw className="w-5 h-5 text-white" />
             </button>
 
-            {/* Dark mode toggle */}
+            {/* Dark mode toggle; other themes are in Preferences */}
             <button
-              onClick={() => setDarkMode(!darkMode)}
-              className={`p-2 rounded-lg transition-colors ${darkMode
-                  ? 'bg-slate-700 hover:bg-slate-600 text-yellow-400'
-                  : 'bg-slate-200 hover:bg-slate-300 text-slate-700'
-                }`}
+              onClick={() => setPreference('theme', theme.dark ? 'light' : 'dark')}
+              className={`p-2 rounded-lg transition-colors ${theme.inset} ${theme.cardHover} ${theme.dark ? 'text-yellow-400' : theme.subtle}`}
             >
-              {darkMode ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
+              {theme.dark ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
             </button>
           </div>
         </div>
       </header>
 
-      {/* Status Banner */}
-      <div className={`mb-6 p-4 rounded-xl backdrop-blur-sm flex items-center justify-between bg-gradient-to-r ${getHealthColor()} border`}>
-        <div className="flex items-center gap-3">
-          {data?.health === 'Good' ? (
-            <CheckCircle className="w-6 h-6 text-green-400" />
-          ) : data?.health === 'Critical' ? (
-            <AlertTriangle className="w-6 h-6 text-red-400" />
-          ) : (
-            <AlertTriangle className="w-6 h-6 text-yellow-400" />
+      {view === 'reports' ? (
+        <ReportsView hostname={data?.hostname} />
+      ) : view === 'fleet' ? (
+        <FleetView fleet={fleet} onSelect={selectHost} />
+      ) : (
+        <>
+          {/* Stale, unreachable or demo data */}
+          {!replay.active && (
+            <ConnectionBanner
+              state={connection}
+              source={activeHost.name}
+              error={error}
+              sampleTime={sampleTime}
+              retryAt={retryAt}
+              failures={failures}
+              onRetry={fetchData}
+            />
           )}
-          <div>
-            <span className="text-white font-medium">
-              System Status: <span className="font-bold">{data?.health || 'Good'}</span>
-            </span>
-            <p className={`text-xs ${darkMode ? 'text-slate-400' : 'text-slate-600'}`}>
-              Uptime: {data?.uptime || 'Unknown'} • Load: {data?.load_avg || '0 0 0'}
-            </p>
-          </div>
-        </div>
-        <div className="flex items-center gap-2">
-          <Bell className="w-5 h-5 text-slate-400 cursor-pointer hover:text-white transition-colors" />
-          <Settings className="w-5 h-5 text-slate-400 cursor-pointer hover:text-white transition-colors" />
-        </div>
-      </div>
 
-      {/* Quick Stats */}
-      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3 mb-6">
-        <QuickStat
-          icon={<Cpu className="w-5 h-5" />}
-          label="CPU"
-          value={`${data?.cpu?.current || 0}%`}
-          color="blue"
-          trend={data?.cpu?.current > 50 ? 'up' : 'down'}
-          darkMode={darkMode}
-          onClick={() => setSelectedMetric('cpu')}
-          selected={selectedMetric === 'cpu'}
-        />
-        <QuickStat
-          icon={<MemoryStick className="w-5 h-5" />}
-          label="Memory"
-          value={`${data?.memory?.percent || 0}%`}
-          color="purple"
-          darkMode={darkMode}
-          onClick={() => setSelectedMetric('memory')}
-          selected={selectedMetric === 'memory'}
-        />
-        <QuickStat
-          icon={<HardDrive className="w-5 h-5" />}
-          label="Disk"
-          value={`${data?.disk?.percent || 0}%`}
-          color="cyan"
-          darkMode={darkMode}
-          onClick={() => setSelectedMetric('disk')}
-          selected={selectedMetric === 'disk'}
-        />
-        <QuickStat
-          icon={<Thermometer className="w-5 h-5" />}
-          label="CPU Temp"
-          value={data?.cpu?.temperature || 'N/A'}
-          color="red"
-          darkMode={darkMode}
-        />
-        <QuickStat
-          icon={<Network className="w-5 h-5" />}
-          label="Network"
-          value={`↓${data?.network?.rx_total?.split(' ')[0] || '0'}`}
-          color="green"
-          darkMode={darkMode}
-          onClick={() => setSelectedMetric('network')}
-          selected={selectedMetric === 'network'}
-        />
-        <QuickStat
-          icon={<Server className="w-5 h-5" />}
-          label="Processes"
-          value={data?.processes?.total || 0}
-          color="orange"
-          darkMode={darkMode}
-        />
-      </div>
+          {/* Recording replay */}
+          {(showReplay || replay.active) && activeHost.local && (
+            <ReplayPanel
+              replay={replay}
+              recordings={recordings}
+              canRecord={control.canControl}
+              onClose={() => setShowReplay(false)}
+             
+            />
+          )}
 
-      {/* Live Chart */}
-      <div className={`mb-6 p-6 rounded-2xl ${darkMode ? 'bg-slate-800/50' : 'bg-white shadow-lg'
-        } border ${darkMode ? 'border-slate-700' : 'border-slate-200'}`}>
-        <div className="flex items-center justify-between mb-4">
-          <div className="flex items-center gap-3">
-            <div className={`p-2 ${darkMode ? 'bg-blue-500/20' : 'bg-blue-100'} rounded-lg`}>
-              <BarChart3 className="w-5 h-5 text-blue-500" />
-            </div>
-            <h2 className={`text-xl font-semibold ${darkMode ? 'text-white' : 'text-slate-900'}`}>
-              Live Performance
-            </h2>
-            <span className="flex items-center gap-1 text-xs text-green-400 bg-green-500/20 px-2 py-1 rounded-full">
-              <span className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></span>
-              Live
-            </span>
-          </div>
-          <button
-            onClick={() => setShowHistory(!showHistory)}
-            className={`px-3 py-1 text-sm rounded-lg ${darkMode ? 'bg-slate-700 text-slate-300' : 'bg-slate-100 text-slate-700'
-              }`}
-          >
-            {showHistory ? 'Hide' : 'Show'} History
-          </button>
-        </div>
-        {showHistory && (
-          <div className="h-48">
-            <Line data={liveChartData} options={liveChartOptions(darkMode)} />
-          </div>
-        )}
-        <div className="flex items-center gap-6 mt-4">
-          <LegendItem color="rgb(59, 130, 246)" label="CPU" />
-          <LegendItem color="rgb(139, 92, 246)" label="Memory" />
-        </div>
-      </div>
+          {/* Layout editing */}
+          {showLayout && (
+            <LayoutBar
+              layouts={layouts}
+              available={Object.keys(widgets).filter(id => widgets[id] && expandedSections[id] === undefined)}
+              onClose={() => setShowLayout(false)}
+             
+            />
+          )}
 
-      {/* Main Grid */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
-        {/* CPU Section */}
-        <CollapsibleCard
-          title="CPU Utilization"
-          icon={<Cpu className="w-5 h-5 text-blue-400" />}
-          color="blue"
-          expanded={expandedSections.cpu}
-          onToggle={() => toggleSection('cpu')}
-          darkMode={darkMode}
-        >
-          <div className="space-y-4">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className={`text-3xl font-bold ${darkMode ? 'text-white' : 'text-slate-900'}`}>
-                  {data?.cpu?.current || 0}%
-                </p>
-                <p className={`text-sm ${darkMode ? 'text-slate-400' : 'text-slate-600'}`}>
-                  {data?.cpu?.model || 'Unknown CPU'}
-                </p>
-              </div>
-              <div className="text-right">
-                <p className={`text-sm ${darkMode ? 'text-slate-400' : 'text-slate-600'}`}>
-                  {data?.cpu?.cores || 0} cores
-                </p>
-                <p className={`text-sm ${darkMode ? 'text-slate-400' : 'text-slate-600'}`}>
-                  Temp: {data?.cpu?.temperature || 'N/A'}
-                </p>
-              </div>
-            </div>
-            <ProgressBar value={data?.cpu?.current || 0} color="blue" darkMode={darkMode} />
-            <div className="grid grid-cols-3 gap-3">
-              <MiniStat label="Avg" value={`${data?.cpu?.avg || 0}%`} darkMode={darkMode} />
-              <MiniStat label="Max" value={`${data?.cpu?.max || 0}%`} darkMode={darkMode} />
-              <MiniStat label="Min" value={`${data?.cpu?.min || 0}%`} darkMode={darkMode} />
-            </div>
-          </div>
-        </CollapsibleCard>
-
-        {/* Memory Section */}
-        <CollapsibleCard
-          title="Memory Usage"
-          icon={<MemoryStick className="w-5 h-5 text-purple-400" />}
-          color="purple"
-          expanded={expandedSections.memory}
-          onToggle={() => toggleSection('memory')}
-          darkMode={darkMode}
-        >
-          <div className="space-y-4">
-            <div className="flex items-center justify-between">
+          {/* Snapshot validation problems */}
+          {validation?.errors.length > 0 && <SchemaBanner validation={validation} />}
+
+          {/* Status Banner */}
+          <div className={`mb-6 p-4 rounded-xl backdrop-blur-sm flex items-center justify-between bg-gradient-to-r ${getHealthColor()} border`}>
+            <div className="flex items-center gap-3">
+              {data?.health === 'Good' ? (
+                <CheckCircle className="w-6 h-6 text-green-400" />
+              ) : data?.health === 'Critical' ? (
+                <AlertTriangle className="w-6 h-6 text-red-400" />
+              ) : (
+                <AlertTriangle className="w-6 h-6 text-yellow-400" />
+              )}
               <div>
-                <p className={`text-3xl font-bold ${darkMode ? 'text-white' : 'text-slate-900'}`}>
-                  {data?.memory?.percent || 0}%
-                </p>
-                <p className={`text-sm ${darkMode ? 'text-slate-400' : 'text-slate-600'}`}>
-                  {data?.memory?.used || 0} GB / {data?.memory?.total || 0} GB
+                <span className="text-white font-medium">
+                  System Status: <span className="font-bold">{data?.health || 'Good'}</span>
+                </span>
+                <p className={`text-xs ${theme.muted}`}>
+                  Uptime: {formatDuration(data?.uptime_seconds)} • Load: {data?.load_avg?.join(' ') || '0 0 0'}
                 </p>
               </div>
             </div>
-            <ProgressBar value={data?.memory?.percent || 0} color="purple" darkMode={darkMode} />
-            <div className="grid grid-cols-2 gap-3">
-              <MiniStat label="Available" value={`${data?.memory?.available || 0} GB`} darkMode={darkMode} />
-              <MiniStat label="Cached" value={`${data?.memory?.cached || 0} GB`} darkMode={darkMode} />
-              <MiniStat label="Swap" value={`${data?.memory?.swap_used || 0} MB`} darkMode={darkMode} />
-              <MiniStat label="Total" value={`${data?.memory?.total || 0} GB`} darkMode={darkMode} />
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setShowNotifications(true)}
+                className="relative text-slate-400 hover:text-white transition-colors"
+                title="Notifications"
+              >
+                <Bell className="w-5 h-5" />
+                {alerts.unacknowledged > 0 && (
+                  <span className="absolute -top-2 -right-2 min-w-4 h-4 px-1 text-[10px] leading-4 font-bold text-white bg-red-500 rounded-full">
+                    {alerts.unacknowledged}
+                  </span>
+                )}
+              </button>
+              <button
+                onClick={() => setShowPreferences(true)}
+                className="text-slate-400 hover:text-white transition-colors"
+                title="Preferences"
+              >
+                <Settings className="w-5 h-5" />
+              </button>
             </div>
           </div>
-        </CollapsibleCard>
-      </div>
 
-      {/* Second Row */}
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
-        {/* Disk */}
-        <CollapsibleCard
-          title="Disk Storage"
-          icon={<HardDrive className="w-5 h-5 text-cyan-400" />}
-          color="cyan"
-          expanded={expandedSections.disk}
-          onToggle={() => toggleSection('disk')}
-          darkMode={darkMode}
-        >
-          <div className="space-y-4">
-            {(data?.disk?.filesystems || [{ mount: '/', percent: data?.disk?.percent || 0, used: data?.disk?.used || '0G', total: data?.disk?.total || '0G' }]).slice(0, 3).map((fs, idx) => (
-              <div key={idx}>
-                <div className="flex justify-between text-sm mb-1">
-                  <span className={darkMode ? 'text-slate-400' : 'text-slate-600'}>{fs.mount}</span>
-                  <span className={darkMode ? 'text-white' : 'text-slate-900'}>{fs.used} / {fs.total}</span>
-                </div>
-                <ProgressBar
-                  value={fs.percent}
-                  color={fs.percent > 90 ? 'red' : fs.percent > 70 ? 'yellow' : 'cyan'}
-                  darkMode={darkMode}
-                  showPercent
-                />
-              </div>
-            ))}
-            <div className="grid grid-cols-2 gap-3 pt-2 border-t border-slate-700">
-              <MiniStat label="Read" value={`${data?.disk?.read || 0} MB`} darkMode={darkMode} />
-              <MiniStat label="Written" value={`${data?.disk?.written || 0} MB`} darkMode={darkMode} />
-            </div>
-          </div>
-        </CollapsibleCard>
-
-        {/* Network */}
-        <CollapsibleCard
-          title="Network"
-          icon={<Wifi className="w-5 h-5 text-green-400" />}
-          color="green"
-          expanded={expandedSections.network}
-          onToggle={() => toggleSection('network')}
-          darkMode={darkMode}
-        >
-          <div className="space-y-4">
-            <div className="flex items-center justify-between p-3 bg-gradient-to-r from-green-500/10 to-transparent rounded-lg">
-              <div className="flex items-center gap-2">
-                <TrendingDown className="w-4 h-4 text-green-400" />
-                <span className={darkMode ? 'text-slate-300' : 'text-slate-700'}>Download</span>
-              </div>
-              <span className={`font-mono font-bold ${darkMode ? 'text-white' : 'text-slate-900'}`}>
-                {data?.network?.rx_total || '0 MB'}
-              </span>
-            </div>
-            <div className="flex items-center justify-between p-3 bg-gradient-to-r from-blue-500/10 to-transparent rounded-lg">
-              <div className="flex items-center gap-2">
-                <TrendingUp className="w-4 h-4 text-blue-400" />
-                <span className={darkMode ? 'text-slate-300' : 'text-slate-700'}>Upload</span>
-              </div>
-              <span className={`font-mono font-bold ${darkMode ? 'text-white' : 'text-slate-900'}`}>
-                {data?.network?.tx_total || '0 MB'}
-              </span>
-            </div>
-            <div className="space-y-2 pt-2 border-t border-slate-700">
-              {(data?.network?.interfaces || []).map((iface, idx) => (
-                <div key={idx} className="flex justify-between text-sm">
-                  <span className={darkMode ? 'text-slate-400' : 'text-slate-600'}>{iface.name}</span>
-                  <span className={`flex items-center gap-1 ${iface.status === 'up' ? 'text-green-400' : 'text-slate-500'
-                    }`}>
-                    <span className={`w-2 h-2 rounded-full ${iface.status === 'up' ? 'bg-green-500' : 'bg-slate-500'
-                      }`}></span>
-                    {iface.status}
-                  </span>
-                </div>
-              ))}
-            </div>
+          {/* Widgets */}
+          <div
+            className={`transition-all ${outdated ? 'opacity-50 grayscale' : ''}`}
+            title={outdated ? 'This data is not current' : undefined}
+          >
+            <WidgetGrid
+              layout={layouts.layout}
+              widgets={widgets}
+              editing={showLayout}
+              onMove={layouts.move}
+              onResize={layouts.resize}
+              onRemove={layouts.remove}
+             
+            />
           </div>
-        </CollapsibleCard>
-
-        {/* GPU */}
-        <CollapsibleCard
-          title="GPU"
-          icon={<Zap className="w-5 h-5 text-orange-400" />}
-          color="orange"
-          expanded={expandedSections.gpu}
-          onToggle={() => toggleSection('gpu')}
-          darkMode={darkMode}
-        >
-          {data?.gpu?.available ? (
-            <div className="space-y-4">
-              <p className={`text-sm ${darkMode ? 'text-slate-300' : 'text-slate-700'} truncate`}>
-                {data?.gpu?.name}
-              </p>
-              <div>
-                <div className="flex justify-between text-sm mb-1">
-                  <span className={darkMode ? 'text-slate-400' : 'text-slate-600'}>Utilization</span>
-                  <span className={darkMode ? 'text-white' : 'text-slate-900'}>{data?.gpu?.utilization || 0}%</span>
-                </div>
-                <ProgressBar value={data?.gpu?.utilization || 0} color="orange" darkMode={darkMode} />
-              </div>
-              <div className="grid grid-cols-2 gap-3">
-                <MiniStat label="Temp" value={`${data?.gpu?.temperature || 'N/A'}°C`} darkMode={darkMode} />
-                <MiniStat label="Memory" value={`${data?.gpu?.memory_used || 0} MB`} darkMode={darkMode} />
-                <MiniStat label="Fan" value={`${data?.gpu?.fan || 'N/A'}%`} darkMode={darkMode} />
-                <MiniStat label="Power" value={`${data?.gpu?.power || 'N/A'} W`} darkMode={darkMode} />
-              </div>
-            </div>
-          ) : (
-            <div className={`flex flex-col items-center justify-center h-32 ${darkMode ? 'text-slate-500' : 'text-slate-400'
-              }`}>
-              <Monitor className="w-12 h-12 mb-2 opacity-50" />
-              <p>No GPU detected</p>
-            </div>
-          )}
-        </CollapsibleCard>
-      </div>
+        </>
+      )}
 
-      {/* System Info */}
-      <CollapsibleCard
-        title="System Information"
-        icon={<Server className="w-5 h-5 text-slate-400" />}
-        color="slate"
-        expanded={expandedSections.system}
-        onToggle={() => toggleSection('system')}
-        darkMode={darkMode}
-      >
-        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
-          <InfoCard label="Hostname" value={data?.hostname || 'N/A'} darkMode={darkMode} />
-          <InfoCard label="Kernel" value={data?.kernel?.split('-')[0] || 'N/A'} darkMode={darkMode} />
-          <InfoCard label="Uptime" value={data?.uptime || 'N/A'} darkMode={darkMode} />
-          <InfoCard label="Load Avg" value={data?.load_avg?.split(' ')[0] || 'N/A'} darkMode={darkMode} />
-          <InfoCard label="Processes" value={`${data?.processes?.total || 0} (${data?.processes?.running || 0} running)`} darkMode={darkMode} />
-          <InfoCard label="CPU Cores" value={data?.cpu?.cores || 'N/A'} darkMode={darkMode} />
-        </div>
-      </CollapsibleCard>
+      <NotificationDrawer
+        open={showNotifications}
+        onClose={() => setShowNotifications(false)}
+        alerts={alerts}
+       
+      />
+
+      <PreferencesPanel
+        open={showPreferences}
+        onClose={() => setShowPreferences(false)}
+        layouts={layouts}
+        cards={Object.keys(widgets).filter(id => widgets[id])}
+      />
 
       {/* Footer */}
-      <footer className={`mt-8 text-center ${darkMode ? 'text-slate-500' : 'text-slate-400'} text-sm`}>
-        <p>System Monitor Dashboard • {autoRefresh ? `Auto-refreshes every ${refreshInterval}s` : 'Paused'}</p>
-        <p className="mt-1">Press <kbd className={`px-2 py-1 rounded ${darkMode ? 'bg-slate-700' : 'bg-slate-200'}`}>j</kbd> in terminal to generate new data</p>
+      <footer className={`mt-8 text-center ${theme.faint} text-sm`}>
+        <p>System Monitor Dashboard • {transport === 'stream'
+          ? 'Streaming from collector'
+          : transport === 'polling'
+            ? `Auto-refreshes every ${refreshInterval}s`
+            : transport === 'demo' ? 'Demo data' : 'Paused'}
+          {' '}• Schema v{SCHEMA_VERSION}{validation?.migratedFrom ? ` (converted from v${validation.migratedFrom})` : ''}</p>
+        <p className="mt-1">Press <kbd className={`px-2 py-1 rounded ${theme.inset}`}>j</kbd> in terminal to generate new data</p>
       </footer>
     </div>
   )
 }
 
-// Components
-function QuickStat({ icon, label, value, color, trend, darkMode, onClick, selected }) {
-  const colorClasses = {
-    blue: 'from-blue-500/20 to-blue-600/20 border-blue-500/30 hover:border-blue-500',
-    purple: 'from-purple-500/20 to-purple-600/20 border-purple-500/30 hover:border-purple-500',
-    cyan: 'from-cyan-500/20 to-cyan-600/20 border-cyan-500/30 hover:border-cyan-500',
-    red: 'from-red-500/20 to-red-600/20 border-red-500/30 hover:border-red-500',
-    green: 'from-green-500/20 to-green-600/20 border-green-500/30 hover:border-green-500',
-    orange: 'from-orange-500/20 to-orange-600/20 border-orange-500/30 hover:border-orange-500',
-  }
-
-  return (
-    <div
-      onClick={onClick}
-      className={`p-4 rounded-xl bg-gradient-to-br ${colorClasses[color]} border backdrop-blur-sm cursor-pointer transition-all hover:scale-105 ${selected ? 'ring-2 ring-offset-2 ring-offset-slate-900 ring-blue-500' : ''
-        }`}
-    >
-      <div className={`flex items-center gap-2 ${darkMode ? 'text-slate-400' : 'text-slate-600'} mb-2`}>
-        {icon}
-        <span className="text-xs font-medium">{label}</span>
-        {trend && (
-          trend === 'up'
-            ? <TrendingUp className="w-3 h-3 text-red-400 ml-auto" />
-            : <TrendingDown className="w-3 h-3 text-green-400 ml-auto" />
-        )}
-      </div>
-      <p className={`text-xl font-bold ${darkMode ? 'text-white' : 'text-slate-900'}`}>{value}</p>
-    </div>
-  )
+// Generated data instead of fetching, opted into with ?demo
+const DEMO_MODE = isDemoMode()
+const CONNECTION_DOTS = {
+  connected: 'bg-green-500',
+  stale: 'bg-yellow-500',
+  disconnected: 'bg-red-500',
+  demo: 'bg-purple-500',
 }
 
-function CollapsibleCard({ title, icon, color, expanded, onToggle, children, darkMode }) {
-  const colorClasses = {
-    blue: 'bg-blue-500/20',
-    purple: 'bg-purple-500/20',
-    cyan: 'bg-cyan-500/20',
-    green: 'bg-green-500/20',
-    orange: 'bg-orange-500/20',
-    slate: 'bg-slate-500/20',
-    red: 'bg-red-500/20',
-  }
-
-  return (
-    <div className={`rounded-2xl ${darkMode ? 'bg-slate-800/50' : 'bg-white shadow-lg'
-      } border ${darkMode ? 'border-slate-700' : 'border-slate-200'} overflow-hidden transition-all`}>
-      <div
-        className="flex items-center justify-between p-4 cursor-pointer hover:bg-slate-700/30 transition-colors"
-        onClick={onToggle}
-      >
-        <div className="flex items-center gap-3">
-          <div className={`p-2 ${colorClasses[color]} rounded-lg`}>
-            {icon}
-          </div>
-          <h2 className={`text-lg font-semibold ${darkMode ? 'text-white' : 'text-slate-900'}`}>
-            {title}
-          </h2>
-        </div>
-        {expanded ? <ChevronUp className="w-5 h-5 text-slate-400" /> : <ChevronDown className="w-5 h-5 text-slate-400" />}
-      </div>
-      {expanded && (
-        <div className="p-4 pt-0">
-          {children}
-        </div>
-      )}
-    </div>
-  )
-}
+// Metrics plotted on the Live Performance chart, the CPU breakdown, the
+// memory composition, the Power card and the connection states
+const CHART_METRICS = [
+  'cpu', 'memory',
+  ...CPU_BANDS.map(band => band.metric),
+  ...MEMORY_BANDS.map(band => band.metric),
+  'battery', 'battery_power',
+  ...CONNECTION_BANDS.map(band => band.metric),
+]
+// Findings marked on the Live Performance chart
+const MARKED_METRICS = ['cpu', 'memory', 'cpu_iowait']
+const FINDINGS_LIVE_SECONDS = 24 * 60 * 60
 
-function ProgressBar({ value, color, darkMode, showPercent }) {
-  const colorClasses = {
-    blue: 'bg-blue-500',
-    purple: 'bg-purple-500',
-    cyan: 'bg-cyan-500',
-    green: 'bg-green-500',
-    orange: 'bg-orange-500',
-    red: 'bg-red-500',
-    yellow: 'bg-yellow-500',
+function summarize(values) {
+  if (!values.length) return { avg: 0, max: 0, min: 0 }
+  return {
+    avg: Math.round(values.reduce((sum, v) => sum + v, 0) / values.length),
+    max: Math.max(...values),
+    min: Math.min(...values),
   }
-
-  return (
-    <div className="relative">
-      <div className={`h-2 ${darkMode ? 'bg-slate-700' : 'bg-slate-200'} rounded-full overflow-hidden`}>
-        <div
-          className={`h-full ${colorClasses[color]} rounded-full transition-all duration-500`}
-          style={{ width: `${Math.min(value, 100)}%` }}
-        />
-      </div>
-      {showPercent && (
-        <span className={`absolute right-0 -top-5 text-xs ${darkMode ? 'text-slate-400' : 'text-slate-600'}`}>
-          {value}%
-        </span>
-      )}
-    </div>
-  )
 }
 
-function MiniStat({ label, value, darkMode }) {
-  return (
-    <div className={`p-2 ${darkMode ? 'bg-slate-700/50' : 'bg-slate-100'} rounded-lg text-center`}>
-      <p className={`text-xs ${darkMode ? 'text-slate-400' : 'text-slate-600'} uppercase`}>{label}</p>
-      <p className={`font-bold text-sm ${darkMode ? 'text-white' : 'text-slate-900'}`}>{value}</p>
-    </div>
-  )
+// Same for rolled-up history, using each bucket's own min and max
+function summarizeSeries(points) {
+  if (!points.length) return { avg: 0, max: 0, min: 0 }
+  return {
+    avg: Math.round(points.reduce((sum, p) => sum + p.avg, 0) / points.length),
+    max: Math.max(...points.map(p => p.max)),
+    min: Math.min(...points.map(p => p.min)),
+  }
 }
 
-function InfoCard({ label, value, darkMode }) {
-  return (
-    <div className={`p-3 ${darkMode ? 'bg-slate-700/30' : 'bg-slate-50'} rounded-lg`}>
-      <p className={`text-xs ${darkMode ? 'text-slate-500' : 'text-slate-400'} uppercase mb-1`}>{label}</p>
-      <p className={`text-sm font-medium truncate ${darkMode ? 'text-white' : 'text-slate-900'}`} title={value}>
-        {value}
-      </p>
-    </div>
-  )
-}
+const rangeLabel = (rangeId, isLive) => (isLive ? 'live' : TIME_RANGES.find(r => r.id === rangeId)?.label)
 
-function LegendItem({ color, label }) {
-  return (
-    <div className="flex items-center gap-2">
-      <span className="w-3 h-3 rounded-full" style={{ backgroundColor: color }}></span>
-      <span className="text-sm text-slate-400">{label}</span>
-    </div>
-  )
+function formatTimeLabel(t, rangeId) {
+  const date = new Date(t)
+  if (rangeId === '7d') {
+    return date.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })
+  }
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
 }
 
 // Chart options
-const liveChartOptions = (darkMode) => ({
+const liveChartOptions = (theme, showTimeAxis = false, markers = []) => ({
   responsive: true,
   maintainAspectRatio: false,
   plugins: {
     legend: { display: false },
+    findingMarkers: { markers },
   },
   scales: {
     y: {
       beginAtZero: true,
       max: 100,
-      grid: { color: darkMode ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.05)' },
-      ticks: { color: darkMode ? 'rgba(255,255,255,0.5)' : 'rgba(0,0,0,0.5)' },
+      grid: { color: theme.chart.grid },
+      ticks: { color: theme.chart.tick },
     },
     x: {
-      display: false,
+      display: showTimeAxis,
+      grid: { display: false },
+      ticks: {
+        color: theme.chart.tick,
+        maxTicksLimit: 8,
+        maxRotation: 0,
+      },
     },
   },
   animation: {
@@ -728,62 +1150,4 @@ const liveChartOptions = (darkMode) => ({
   },
 })
 
-// Demo data
-function getDemoData() {
-  return {
-    timestamp: new Date().toISOString(),
-    hostname: 'localhost',
-    kernel: '5.15.0-generic',
-    uptime: '2 days, 3 hours',
-    load_avg: '0.52 0.48 0.45',
-    health: 'Good',
-    cpu: {
-      current: Math.floor(Math.random() * 30) + 10,
-      avg: 25,
-      max: 85,
-      min: 5,
-      model: 'Intel Core i7',
-      temperature: '45°C',
-      cores: 8,
-      history: Array(20).fill(0).map(() => Math.floor(Math.random() * 40) + 10),
-      timestamps: Array(20).fill(0).map((_, i) => `${i}:00`),
-    },
-    memory: {
-      total: 16,
-      used: 8.5,
-      available: 7.5,
-      cached: 3.2,
-      percent: 53,
-      swap_used: 128,
-    },
-    disk: {
-      total: '256G',
-      used: '128G',
-      percent: 50,
-      read: 1024,
-      written: 512,
-      filesystems: [
-        { mount: '/', percent: 50, used: '128G', total: '256G' },
-        { mount: '/home', percent: 35, used: '175G', total: '500G' },
-      ],
-    },
-    network: {
-      rx_total: '1.5 GB',
-      tx_total: '256 MB',
-      rx_rate: '1.2',
-      interfaces: [
-        { name: 'eth0', status: 'up' },
-        { name: 'wlan0', status: 'down' },
-      ],
-    },
-    gpu: {
-      available: false,
-    },
-    processes: {
-      total: 245,
-      running: 3,
-    },
-  }
-}
-
 export default App
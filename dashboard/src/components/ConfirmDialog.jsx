@@ -0,0 +1,64 @@
+import { useState } from 'react'
+import { AlertTriangle, X } from 'lucide-react'
+import { useTheme } from '../hooks/usePreferences'
+
+// Modal confirmation for actions with side effects. onConfirm may be async;
+// the dialog stays open with the error if it throws.
+function ConfirmDialog({ title, confirmLabel = 'Confirm', danger = false, onConfirm, onClose, children }) {
+  const theme = useTheme()
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const confirm = async () => {
+    setBusy(true)
+    setError(null)
+    try {
+      await onConfirm()
+      onClose()
+    } catch (err) {
+      setError(err.message)
+      setBusy(false)
+    }
+  }
+
+  const muted = theme.muted
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={busy ? undefined : onClose}></div>
+      <div className={`relative w-full max-w-md rounded-2xl border shadow-2xl ${theme.panel}`}>
+        <div className="flex items-center justify-between p-4 border-b border-slate-700/50">
+          <div className="flex items-center gap-2">
+            <AlertTriangle className={`w-5 h-5 ${danger ? 'text-red-400' : 'text-yellow-400'}`} />
+            <h2 className={`text-lg font-semibold ${theme.text}`}>{title}</h2>
+          </div>
+          <button onClick={onClose} disabled={busy} className={`p-1 rounded-lg hover:bg-slate-700/50 ${muted}`}>
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <div className={`p-4 space-y-3 text-sm ${theme.subtle}`}>
+          {children}
+          {error && <p className="text-red-400">{error}</p>}
+        </div>
+        <div className="flex justify-end gap-2 p-4 pt-0">
+          <button
+            onClick={onClose}
+            disabled={busy}
+            className={`px-4 py-2 text-sm rounded-lg ${theme.button}`}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={confirm}
+            disabled={busy}
+            className={`px-4 py-2 text-sm rounded-lg text-white disabled:opacity-50 ${danger ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}`}
+          >
+            {busy ? 'Working...' : confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ConfirmDialog
@@ -0,0 +1,78 @@
+import { useState, useEffect } from 'react'
+import { WifiOff, Clock, FlaskConical, RefreshCw } from 'lucide-react'
+import { useTheme } from '../hooks/usePreferences'
+import { formatAge } from '../lib/format'
+
+const STATES = {
+  stale: { className: 'bg-yellow-500/10 border-yellow-500/50', iconClass: 'text-yellow-400', Icon: Clock },
+  disconnected: { className: 'bg-red-500/10 border-red-500/50', iconClass: 'text-red-400', Icon: WifiOff },
+  demo: { className: 'bg-purple-500/10 border-purple-500/50', iconClass: 'text-purple-400', Icon: FlaskConical },
+}
+
+// Re-renders every second so ages and countdowns stay current
+function useNow() {
+  const [now, setNow] = useState(Date.now)
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+  return now
+}
+
+// "12s ago" for the last good snapshot, ticking on its own so the rest of
+// the page does not re-render every second
+export function SampleAge({ time }) {
+  const now = useNow()
+  if (time === null) return 'No data yet'
+  return <span title={new Date(time).toLocaleString()}>{formatAge((now - time) / 1000)} ago</span>
+}
+
+// Explains why the numbers below may not be current: the source stopped
+// answering, its data stopped advancing, or they are generated demo data.
+// Nothing is shown while connected.
+function ConnectionBanner({ state, source, error, sampleTime, retryAt, failures, onRetry }) {
+  const theme = useTheme()
+  const now = useNow()
+  const style = STATES[state]
+  if (!style) return null
+
+  const age = sampleTime === null ? null : formatAge((now - sampleTime) / 1000)
+  const content = {
+    disconnected: {
+      title: `Cannot get data from ${source}`,
+      detail: [
+        error,
+        age ? `showing data from ${age} ago` : 'no data received yet',
+        retryAt && `${failures} failed attempt${failures === 1 ? '' : 's'}, retrying in ${formatAge(Math.max(retryAt - now, 0) / 1000)}`,
+      ].filter(Boolean).join(' • '),
+    },
+    stale: {
+      title: age ? `Data is ${age} old` : 'Waiting for a valid snapshot',
+      detail: `${source} answers, but its snapshot has stopped advancing. Check that the collector or generate_json.sh is still running.`,
+    },
+    demo: {
+      title: 'Demo mode',
+      detail: 'These numbers are generated in the browser, not measured. Remove ?demo from the URL to see this host.',
+    },
+  }[state]
+
+  return (
+    <div className={`mb-6 p-4 rounded-xl flex items-center gap-3 border ${style.className}`}>
+      <style.Icon className={`w-6 h-6 shrink-0 ${style.iconClass}`} />
+      <div className="flex-1 min-w-0">
+        <p className={`font-medium ${theme.text}`}>{content.title}</p>
+        <p className={`text-xs ${theme.muted}`}>{content.detail}</p>
+      </div>
+      {state !== 'demo' && (
+        <button
+          onClick={onRetry}
+          className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium border ${theme.button}`}
+        >
+          <RefreshCw className="w-3 h-3" /> Retry now
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default ConnectionBanner
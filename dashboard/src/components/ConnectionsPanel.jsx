@@ -0,0 +1,229 @@
+import { useState, useMemo } from 'react'
+import { Line } from 'react-chartjs-2'
+import { Search } from 'lucide-react'
+import { useTheme } from '../hooks/usePreferences'
+import { CONNECTION_BANDS, connectionBands } from '../lib/sockets'
+
+const ROW_HEIGHT = 28
+const VISIBLE_ROWS = 12
+// Rows rendered above and below the viewport so fast scrolling stays smooth
+const OVERSCAN = 8
+
+const GRID = 'grid grid-cols-[3.5rem_6.5rem_minmax(0,1fr)_minmax(0,1fr)_minmax(0,12rem)] gap-2 items-center px-3'
+
+const PROTOCOLS = [
+  { id: 'inet', label: 'TCP & UDP', test: s => s.protocol !== 'unix' },
+  { id: 'tcp', label: 'TCP', test: s => s.protocol.startsWith('tcp') },
+  { id: 'udp', label: 'UDP', test: s => s.protocol.startsWith('udp') },
+  { id: 'unix', label: 'Unix', test: s => s.protocol === 'unix' },
+  { id: 'all', label: 'All', test: () => true },
+]
+
+const STATE_CLASSES = {
+  listen: 'text-blue-400',
+  established: 'text-green-400',
+  time_wait: 'text-yellow-400',
+  close_wait: 'text-red-400',
+}
+
+// "127.0.0.1:53", "[::1]:631", "*" for an unset port, the path for Unix
+const endpoint = (address, port) => {
+  if (port === null) return address ?? ''
+  const host = address.includes(':') ? `[${address}]` : address
+  return `${host}:${port === 0 ? '*' : port}`
+}
+
+// Listening sockets first, then by protocol and local port
+const compareSockets = (a, b) => ((b.state === 'listen') - (a.state === 'listen'))
+  || a.protocol.localeCompare(b.protocol)
+  || (a.local_port ?? 0) - (b.local_port ?? 0)
+  || String(a.local_address).localeCompare(String(b.local_address))
+
+// points: [{ label, established, listen, ... }] per CONNECTION_BANDS key
+function StateChart({ points, showTimeAxis }) {
+  const theme = useTheme()
+  const tick = theme.chart.tick
+  const data = {
+    labels: points.map(p => p.label),
+    datasets: CONNECTION_BANDS.map(band => ({
+      label: band.label,
+      data: points.map(p => p[band.key] ?? 0),
+      borderColor: `rgb(${band.color})`,
+      backgroundColor: `rgba(${band.color}, 0.15)`,
+      borderWidth: 1.5,
+      fill: false,
+      tension: 0.3,
+      pointRadius: 0,
+    })),
+  }
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { display: true, position: 'bottom', labels: { color: tick, boxWidth: 10, font: { size: 10 } } },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        grid: { color: theme.chart.grid },
+        ticks: { color: tick, maxTicksLimit: 5, precision: 0 },
+      },
+      x: {
+        display: showTimeAxis,
+        grid: { display: false },
+        ticks: { color: tick, maxTicksLimit: 6, maxRotation: 0 },
+      },
+    },
+    animation: { duration: 300 },
+  }
+  return <Line data={data} options={options} />
+}
+
+// Open sockets and their owning processes from the collector's
+// /api/connections, with TCP state counts over the live window or the
+// selected history range.
+function ConnectionsPanel({ connections, complete, error, loading, sockets, points, showTimeAxis }) {
+  const theme = useTheme()
+  const [protocol, setProtocol] = useState('inet')
+  // A CONNECTION_BANDS key, or null for every state
+  const [band, setBand] = useState(null)
+  const [port, setPort] = useState('')
+  const [query, setQuery] = useState('')
+  const [scrollTop, setScrollTop] = useState(0)
+
+  const rows = useMemo(() => {
+    const byProtocol = PROTOCOLS.find(p => p.id === protocol).test
+    const states = CONNECTION_BANDS.find(b => b.key === band)?.states
+    const portNumber = port.trim() ? Number(port) : null
+    const needle = query.trim().toLowerCase()
+    return (connections || [])
+      .filter(byProtocol)
+      .filter(s => !states || states.includes(s.state))
+      .filter(s => portNumber === null || s.local_port === portNumber || s.remote_port === portNumber)
+      .filter(s => !needle || `${s.pid ?? ''} ${s.command ?? ''}`.toLowerCase().includes(needle))
+      .sort(compareSockets)
+  }, [connections, protocol, band, port, query])
+
+  const counts = connectionBands(sockets)
+  const first = Math.max(Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN, 0)
+  const last = Math.min(first + VISIBLE_ROWS + OVERSCAN * 2, rows.length)
+  const inputClass = `px-3 py-2 rounded-lg border text-sm focus:outline-none ${theme.field} ${theme.text}`
+
+  return (
+    <div className="space-y-3">
+      {/* TCP state counts; clicking one filters the table */}
+      {counts && (
+        <div className="flex flex-wrap gap-2">
+          {CONNECTION_BANDS.map(b => (
+            <button
+              key={b.key}
+              onClick={() => setBand(band === b.key ? null : b.key)}
+              className={`px-3 py-1.5 rounded-lg text-xs font-medium border transition-all ${band === b.key
+                  ? 'bg-blue-500/20 text-blue-400 border-blue-500/30'
+                  : theme.button
+                }`}
+            >
+              <span className="inline-block w-2 h-2 rounded-full mr-1.5" style={{ backgroundColor: `rgb(${b.color})` }} />
+              {b.label} <span className="font-mono">{counts[b.key]}</span>
+            </button>
+          ))}
+          <span className={`self-center text-xs ${theme.muted}`}>
+            UDP {sockets.udp} • Unix {sockets.unix}
+          </span>
+        </div>
+      )}
+
+      {points.length > 0 && (
+        <div className="h-40">
+          <StateChart points={points} showTimeAxis={showTimeAxis} />
+        </div>
+      )}
+
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center gap-3">
+        <div className={`flex items-center gap-2 flex-1 min-w-48 ${inputClass}`}>
+          <Search className={`w-4 h-4 ${theme.muted}`} />
+          <input
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            placeholder="Filter by process name or PID"
+            className="flex-1 bg-transparent focus:outline-none"
+          />
+        </div>
+        <input
+          value={port}
+          onChange={e => setPort(e.target.value.replace(/\D/g, ''))}
+          placeholder="Port"
+          inputMode="numeric"
+          className={`w-24 font-mono ${inputClass}`}
+        />
+        <select value={protocol} onChange={e => setProtocol(e.target.value)} className={inputClass}>
+          {PROTOCOLS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+        <span className={`text-xs ${theme.muted}`}>
+          {rows.length} of {connections?.length || 0} sockets
+        </span>
+      </div>
+      {!complete && (
+        <p className={`text-xs ${theme.faint}`}>
+          Only sockets of the collector's own user are matched to processes; run it as root to attribute the rest.
+        </p>
+      )}
+      {error && connections && <p className="text-xs text-yellow-400">Showing the last list received: {error}</p>}
+
+      {/* Table */}
+      {loading && <p className={`text-sm py-6 text-center ${theme.muted}`}>Loading sockets...</p>}
+      {!connections && error && (
+        <p className={`text-sm py-6 text-center ${theme.muted}`}>
+          Socket list unavailable: {error}. It needs the collector service (<code>npm run server</code>).
+        </p>
+      )}
+      {connections && (
+        <div className={`rounded-lg border overflow-hidden ${theme.border}`}>
+          <div className={`${GRID} h-9 text-xs font-semibold ${theme.tableHead}`}>
+            <span>Proto</span>
+            <span>State</span>
+            <span>Local</span>
+            <span>Remote</span>
+            <span>Process</span>
+          </div>
+          <div
+            className="overflow-y-auto"
+            style={{ height: ROW_HEIGHT * Math.min(Math.max(rows.length, 2), VISIBLE_ROWS) }}
+            onScroll={e => setScrollTop(e.currentTarget.scrollTop)}
+          >
+            <div style={{ height: rows.length * ROW_HEIGHT, position: 'relative' }}>
+              {rows.slice(first, last).map((s, i) => {
+                const local = endpoint(s.local_address, s.local_port)
+                const remote = endpoint(s.remote_address, s.remote_port)
+                return (
+                  <div
+                    key={`${s.protocol} ${s.inode} ${local} ${remote}`}
+                    className={`${GRID} absolute inset-x-0 text-xs font-mono border-t ${theme.row}`}
+                    style={{ top: (first + i) * ROW_HEIGHT, height: ROW_HEIGHT }}
+                  >
+                    <span className={theme.muted} title={s.type}>{s.protocol}</span>
+                    <span className={STATE_CLASSES[s.state] || theme.muted}>{s.state}</span>
+                    <span className={`truncate ${theme.text}`} title={local}>{local || '(unnamed)'}</span>
+                    <span className={`truncate ${theme.muted}`} title={remote}>{remote}</span>
+                    <span className={`truncate ${s.pid ? theme.text : theme.faint}`} title={s.pid ? `pid ${s.pid}` : undefined}>
+                      {s.pid ? `${s.command} (${s.pid})` : '—'}
+                    </span>
+                  </div>
+                )
+              })}
+            </div>
+            {!rows.length && (
+              <p className={`text-sm py-6 text-center ${theme.muted}`}>
+                {connections.length ? 'No matching sockets.' : 'No sockets reported.'}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ConnectionsPanel
@@ -0,0 +1,151 @@
+import { useState } from 'react'
+import { Search, Box, ListTree, ArrowUp, ArrowDown } from 'lucide-react'
+import { useTheme } from '../hooks/usePreferences'
+import { formatBytes, formatRate, formatValue } from '../lib/format'
+
+const COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'cpu_percent', label: 'CPU%', numeric: true },
+  { key: 'memory_bytes', label: 'Memory', numeric: true },
+  { key: 'io', label: 'I/O read / write', numeric: true },
+  { key: 'pids', label: 'PIDs', numeric: true },
+]
+const GRID = 'grid grid-cols-[minmax(0,1fr)_5rem_11rem_11rem_5rem] gap-2 items-center px-3'
+
+const RUNTIME_CLASSES = {
+  docker: 'bg-blue-500/20 text-blue-400',
+  podman: 'bg-purple-500/20 text-purple-400',
+  containerd: 'bg-cyan-500/20 text-cyan-400',
+  'cri-o': 'bg-green-500/20 text-green-400',
+}
+
+const sortValue = (group, key) => (key === 'io'
+  ? (group.io_read_bytes_per_sec ?? 0) + (group.io_write_bytes_per_sec ?? 0)
+  : group[key] ?? -1)
+
+// "1.2 GiB / 2.0 GiB" with a limit, plain bytes without
+const withLimit = (value, max, format) => (max === null || max === undefined ? format(value) : `${format(value)} / ${format(max)}`)
+
+// cgroup v2 groups and the containers in them, from the collector's
+// containers section. Groups are listed as a tree by path unless sorted.
+function ContainersPanel({ containers }) {
+  const theme = useTheme()
+  const [onlyContainers, setOnlyContainers] = useState(true)
+  const [query, setQuery] = useState('')
+  // null keeps the cgroup tree order
+  const [sort, setSort] = useState(null)
+
+  if (!containers) {
+    return <p className={`text-sm ${theme.muted}`}>Container stats come from the collector service (npm run server).</p>
+  }
+  if (containers.cgroup_version !== 2) {
+    return (
+      <p className={`text-sm ${theme.muted}`}>
+        {containers.cgroup_version === 1
+          ? 'This host uses cgroup v1, which is not supported. Boot with systemd.unified_cgroup_hierarchy=1 to use cgroup v2.'
+          : 'No cgroup filesystem found. In Docker, mount the host /sys and set HOST_SYS.'}
+      </p>
+    )
+  }
+
+  const needle = query.trim().toLowerCase()
+  const rows = containers.groups
+    .filter(g => !onlyContainers || g.kind === 'container')
+    .filter(g => !needle || `${g.name} ${g.path} ${g.image || ''} ${g.id || ''}`.toLowerCase().includes(needle))
+  if (sort) {
+    rows.sort((a, b) => {
+      const result = sort.key === 'name' ? a.name.localeCompare(b.name) : sortValue(a, sort.key) - sortValue(b, sort.key)
+      return sort.dir === 'asc' ? result : -result
+    })
+  }
+  const count = containers.groups.filter(g => g.kind === 'container').length
+
+  const toggleSort = (key) => setSort(prev => {
+    if (prev?.key !== key) return { key, dir: key === 'name' ? 'asc' : 'desc' }
+    // Third click goes back to the tree
+    return prev.dir === (key === 'name' ? 'asc' : 'desc') ? { key, dir: prev.dir === 'asc' ? 'desc' : 'asc' } : null
+  })
+
+  return (
+    <div className="space-y-3">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center gap-3">
+        <div className={`flex items-center gap-2 flex-1 min-w-48 px-3 py-2 rounded-lg border ${theme.field}`}>
+          <Search className={`w-4 h-4 ${theme.muted}`} />
+          <input
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            placeholder="Filter by name, image or cgroup path"
+            className={`flex-1 bg-transparent text-sm focus:outline-none ${theme.text}`}
+          />
+        </div>
+        <span className={`text-xs ${theme.muted}`}>
+          {count} container{count === 1 ? '' : 's'} • {containers.groups.length} groups
+        </span>
+        <button
+          onClick={() => setOnlyContainers(!onlyContainers)}
+          className={`flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-medium transition-all ${onlyContainers
+              ? 'bg-blue-500/20 text-blue-400 border border-blue-500/30'
+              : `border ${theme.button}`
+            }`}
+        >
+          {onlyContainers ? <Box className="w-4 h-4" /> : <ListTree className="w-4 h-4" />}
+          {onlyContainers ? 'Containers' : 'All groups'}
+        </button>
+      </div>
+
+      {/* Table */}
+      <div className={`rounded-lg border overflow-hidden ${theme.border}`}>
+        <div className={`${GRID} h-9 text-xs font-semibold ${theme.tableHead}`}>
+          {COLUMNS.map(column => (
+            <button
+              key={column.key}
+              onClick={() => toggleSort(column.key)}
+              className={`flex items-center gap-1 ${column.numeric ? 'justify-end' : ''} hover:text-blue-400`}
+            >
+              {column.label}
+              {sort?.key === column.key && (sort.dir === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+            </button>
+          ))}
+        </div>
+        <div className="max-h-96 overflow-y-auto">
+          {rows.length === 0 && (
+            <p className={`px-3 py-4 text-sm ${theme.muted}`}>
+              {onlyContainers ? 'No containers running.' : 'No groups match.'}
+            </p>
+          )}
+          {rows.map(g => (
+            <div
+              key={g.path}
+              className={`${GRID} py-1.5 text-xs font-mono border-t ${theme.row}`}
+            >
+              <span
+                className="flex items-center gap-2 min-w-0"
+                style={{ paddingLeft: sort || onlyContainers ? 0 : (g.path.split('/').length - 2) * 12 }}
+                title={g.path}
+              >
+                <span className={`truncate ${theme.text}`}>{g.name}</span>
+                {g.runtime && (
+                  <span className={`shrink-0 px-1.5 rounded text-[10px] ${RUNTIME_CLASSES[g.runtime] || 'bg-slate-500/20 text-slate-400'}`}>
+                    {g.runtime}
+                  </span>
+                )}
+                {g.image && <span className={`truncate ${theme.faint}`}>{g.image}</span>}
+              </span>
+              <span className={`text-right ${g.cpu_percent > 80 ? 'text-red-400' : theme.text}`} title={g.cpu_limit_cores ? `Limited to ${g.cpu_limit_cores} cores` : undefined}>
+                {formatValue(g.cpu_percent)}
+              </span>
+              <span className={`text-right ${theme.muted}`}>{withLimit(g.memory_bytes, g.memory_limit_bytes, formatBytes)}</span>
+              <span className={`text-right ${theme.muted}`}>
+                {formatRate(g.io_read_bytes_per_sec)} / {formatRate(g.io_write_bytes_per_sec)}
+              </span>
+              <span className={`text-right ${theme.muted}`}>{withLimit(g.pids, g.pids_limit, formatValue)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ContainersPanel
@@ -0,0 +1,68 @@
+import { Line } from 'react-chartjs-2'
+import { CPU_BANDS } from '../lib/cpu'
+import { useTheme } from '../hooks/usePreferences'
+
+// Green when idle through to red when saturated
+const heatColor = (percent) => `hsl(${Math.round((1 - Math.min(percent, 100) / 100) * 120)}, 70%, 40%)`
+
+export function CoreHeatmap({ cores }) {
+  const theme = useTheme()
+  return (
+    <div className="grid gap-1" style={{ gridTemplateColumns: 'repeat(auto-fill, minmax(2.75rem, 1fr))' }}>
+      {cores.map(core => (
+        <div
+          key={core.core}
+          className="rounded-md px-1 py-1.5 text-center text-white"
+          style={{ backgroundColor: heatColor(core.usage_percent) }}
+          title={`CPU ${core.core}: user ${core.user}%, system ${core.system}%, iowait ${core.iowait}%, irq ${+(core.irq + core.softirq).toFixed(1)}%, steal ${core.steal}%`}
+        >
+          <p className={`text-[10px] leading-none ${theme.dark ? 'text-white/70' : 'text-white/80'}`}>{core.core}</p>
+          <p className="text-xs font-bold leading-tight">{Math.round(core.usage_percent)}%</p>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// points: [{ label, user, nice, system, iowait, irq, steal }]
+export function CpuBreakdownChart({ points, showTimeAxis }) {
+  const theme = useTheme()
+  const tick = theme.chart.tick
+  const data = {
+    labels: points.map(p => p.label),
+    datasets: CPU_BANDS.map(band => ({
+      label: band.label,
+      data: points.map(p => p[band.key] ?? 0),
+      borderColor: `rgb(${band.color})`,
+      backgroundColor: `rgba(${band.color}, 0.5)`,
+      borderWidth: 1,
+      fill: true,
+      tension: 0.3,
+      pointRadius: 0,
+    })),
+  }
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { display: true, position: 'bottom', labels: { color: tick, boxWidth: 10, font: { size: 10 } } },
+      tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.y}%` } },
+    },
+    scales: {
+      y: {
+        stacked: true,
+        beginAtZero: true,
+        grid: { color: theme.chart.grid },
+        ticks: { color: tick, callback: (v) => `${v}%` },
+      },
+      x: {
+        display: showTimeAxis,
+        grid: { display: false },
+        ticks: { color: tick, maxTicksLimit: 6, maxRotation: 0 },
+      },
+    },
+    animation: { duration: 300 },
+  }
+  return <Line data={data} options={options} />
+}
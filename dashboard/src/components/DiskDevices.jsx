@@ -0,0 +1,96 @@
+import { useState } from 'react'
+import { Line } from 'react-chartjs-2'
+import { MiniStat, ProgressBar } from './ui'
+import { formatRate, formatValue } from '../lib/format'
+import { useTheme } from '../hooks/usePreferences'
+
+const READ_COLOR = '6, 182, 212'
+const WRITE_COLOR = '168, 85, 247'
+
+function ThroughputChart({ samples }) {
+  const theme = useTheme()
+  const tick = theme.chart.tick
+  const dataset = (label, color, key) => ({
+    label,
+    data: samples.map(s => s[key]),
+    borderColor: `rgb(${color})`,
+    backgroundColor: `rgba(${color}, 0.15)`,
+    borderWidth: 1.5,
+    fill: true,
+    tension: 0.3,
+    pointRadius: 0,
+  })
+  const data = {
+    labels: samples.map((_, i) => String(i)),
+    datasets: [dataset('Read', READ_COLOR, 'read'), dataset('Write', WRITE_COLOR, 'write')],
+  }
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { display: true, position: 'bottom', labels: { color: tick, boxWidth: 10, font: { size: 10 } } },
+      tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${formatRate(ctx.parsed.y)}` } },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        grid: { color: theme.chart.grid },
+        ticks: { color: tick, maxTicksLimit: 4, callback: (v) => formatRate(v) },
+      },
+      x: { display: false },
+    },
+    animation: { duration: 300 },
+  }
+  return <Line data={data} options={options} />
+}
+
+// Tabs per block device with its current rates and a throughput chart.
+// history maps device name -> [{ read, write }] in bytes/s.
+function DiskDevices({ devices, history }) {
+  const theme = useTheme()
+  const [selected, setSelected] = useState(null)
+  const device = devices.find(d => d.name === selected) || devices[0]
+  if (!device) return null
+  const samples = history[device.name] || []
+
+  return (
+    <div className="space-y-3">
+      {devices.length > 1 && (
+        <div className="flex flex-wrap gap-1">
+          {devices.map(d => (
+            <button
+              key={d.name}
+              onClick={() => setSelected(d.name)}
+              className={`px-2 py-1 rounded-md text-xs font-mono transition-all ${d.name === device.name
+                  ? 'bg-cyan-500/20 text-cyan-400 border border-cyan-500/30'
+                  : `border ${theme.button}`
+                }`}
+            >
+              {d.name}
+            </button>
+          ))}
+        </div>
+      )}
+      <div>
+        <div className="flex justify-between text-sm mb-1">
+          <span className={theme.muted}>{device.name} busy</span>
+        </div>
+        <ProgressBar value={device.util_percent ?? 0} color={device.util_percent > 90 ? 'red' : device.util_percent > 60 ? 'yellow' : 'cyan'} showPercent />
+      </div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+        <MiniStat label="Read/s" value={formatRate(device.read_bytes_per_sec)} />
+        <MiniStat label="Write/s" value={formatRate(device.write_bytes_per_sec)} />
+        <MiniStat label="IOPS r/w" value={device.read_iops === null ? 'N/A' : `${Math.round(device.read_iops)}/${Math.round(device.write_iops)}`} />
+        <MiniStat label="Await" value={formatValue(device.await_ms, ' ms')} />
+      </div>
+      {samples.length > 1 && (
+        <div className="h-32">
+          <ThroughputChart samples={samples} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DiskDevices
@@ -0,0 +1,42 @@
+import { AlertTriangle, AlertOctagon, TrendingUp, Info } from 'lucide-react'
+import { useTheme } from '../hooks/usePreferences'
+
+const SEVERITY_STYLES = {
+  critical: { className: 'text-red-400', Icon: AlertOctagon },
+  warning: { className: 'text-yellow-400', Icon: AlertTriangle },
+  info: { className: 'text-blue-400', Icon: Info },
+}
+
+const stamp = (t) => new Date(t).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+
+// Findings from analysis.js, most severe first, each with its explanation
+function FindingsList({ findings, empty = 'Nothing unusual found.' }) {
+  const theme = useTheme()
+  const muted = theme.muted
+  if (!findings.length) return <p className={`text-sm ${muted}`}>{empty}</p>
+
+  return (
+    <ul className="space-y-3">
+      {findings.map(finding => {
+        const style = SEVERITY_STYLES[finding.severity]
+        const Icon = finding.kind === 'trend' ? TrendingUp : style.Icon
+        return (
+          <li key={finding.id} className={`flex gap-3 p-3 rounded-lg ${theme.well}`}>
+            <Icon className={`w-5 h-5 shrink-0 mt-0.5 ${style.className}`} />
+            <div className="min-w-0">
+              <p className={`text-sm font-medium ${theme.text}`}>{finding.title}</p>
+              <p className={`text-xs ${muted}`}>
+                {finding.kind === 'trend' && finding.eta
+                  ? `Projected ${stamp(finding.eta)}`
+                  : finding.start === finding.end ? stamp(finding.start) : `${stamp(finding.start)} to ${stamp(finding.end)}`}
+              </p>
+              <p className={`text-sm mt-1 ${theme.subtle}`}>{finding.detail}</p>
+            </div>
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
+
+export default FindingsList
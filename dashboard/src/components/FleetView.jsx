@@ -0,0 +1,182 @@
+import { useState } from 'react'
+import { Server, Plus, Trash2, WifiOff, Clock, CheckCircle, AlertTriangle, Loader } from 'lucide-react'
+import { ProgressBar } from './ui'
+import { useTheme } from '../hooks/usePreferences'
+
+const STATUS = {
+  ok: { label: 'Online', className: 'bg-green-500/20 text-green-400 border-green-500/30', Icon: CheckCircle },
+  stale: { label: 'Stale', className: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30', Icon: Clock },
+  unreachable: { label: 'Unreachable', className: 'bg-red-500/20 text-red-400 border-red-500/30', Icon: WifiOff },
+  loading: { label: 'Connecting', className: 'bg-slate-500/20 text-slate-400 border-slate-500/30', Icon: Loader },
+}
+
+const HEALTH_TEXT = {
+  Good: 'text-green-400',
+  Warning: 'text-yellow-400',
+  Critical: 'text-red-400',
+}
+
+function FleetView({ fleet, onSelect }) {
+  const theme = useTheme()
+  const [name, setName] = useState('')
+  const [url, setUrl] = useState('')
+
+  const counts = fleet.agents.reduce((acc, agent) => {
+    const status = fleet.hosts[agent.url]?.status || 'loading'
+    acc[status] = (acc[status] || 0) + 1
+    return acc
+  }, {})
+
+  const submit = (e) => {
+    e.preventDefault()
+    if (!url.trim()) return
+    fleet.addAgent(name, url)
+    setName('')
+    setUrl('')
+  }
+
+  const input = `px-3 py-2 rounded-lg text-sm border focus:outline-none focus:ring-2 focus:ring-blue-500 ${theme.field} ${theme.text}`
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <h2 className={`text-xl font-semibold ${theme.text}`}>
+          Fleet Overview
+        </h2>
+        {Object.entries(counts).map(([status, count]) => (
+          <span key={status} className={`text-xs px-2 py-1 rounded-full border ${STATUS[status].className}`}>
+            {count} {STATUS[status].label.toLowerCase()}
+          </span>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+        {fleet.agents.map(agent => (
+          <HostCard
+            key={agent.url}
+            agent={agent}
+            host={fleet.hosts[agent.url]}
+            onSelect={() => onSelect(agent)}
+            onRemove={agent.local || agent.shared ? null : () => fleet.removeAgent(agent.url)}
+          />
+        ))}
+      </div>
+
+      <form
+        onSubmit={submit}
+        className={`flex flex-col md:flex-row gap-3 p-4 rounded-2xl border border-dashed ${theme.border}`}
+      >
+        <input className={`${input} md:w-48`} placeholder="Name" value={name} onChange={e => setName(e.target.value)} />
+        <input
+          className={`${input} flex-1 font-mono`}
+          placeholder="http://host:8080 or full URL to system_data.json"
+          value={url}
+          onChange={e => setUrl(e.target.value)}
+        />
+        <button
+          type="submit"
+          className="flex items-center justify-center gap-1 px-4 py-2 text-sm rounded-lg bg-blue-600 hover:bg-blue-700 text-white"
+        >
+          <Plus className="w-4 h-4" /> Add host
+        </button>
+      </form>
+    </div>
+  )
+}
+
+function HostCard({ agent, host, onSelect, onRemove }) {
+  const theme = useTheme()
+  const status = STATUS[host?.status || 'loading']
+  const data = host?.data
+  const muted = theme.muted
+  const dimmed = host?.status === 'stale' || host?.status === 'unreachable'
+
+  return (
+    <div
+      onClick={onSelect}
+      className={`p-4 rounded-2xl border cursor-pointer transition-all hover:scale-[1.02] ${theme.card} hover:border-blue-500/50`}
+    >
+      <div className="flex items-start justify-between gap-2 mb-3">
+        <div className="flex items-center gap-3 min-w-0">
+          <div className="p-2 bg-slate-500/20 rounded-lg">
+            <Server className="w-5 h-5 text-slate-400" />
+          </div>
+          <div className="min-w-0">
+            <p className={`font-semibold truncate ${theme.text}`}>
+              {data?.hostname || agent.name}
+            </p>
+            <p className={`text-xs truncate ${muted}`} title={agent.url}>{agent.name}</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-1 shrink-0">
+          <span className={`flex items-center gap-1 text-xs px-2 py-1 rounded-full border ${status.className}`}>
+            <status.Icon className="w-3 h-3" /> {status.label}
+          </span>
+          {onRemove && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation()
+                onRemove()
+              }}
+              className={`p-1 rounded ${muted} hover:text-red-400`}
+              title="Remove host"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {data ? (
+        <div className={`space-y-3 ${dimmed ? 'opacity-50 grayscale' : ''}`}>
+          <div className="flex items-center gap-2 text-sm">
+            {data.health === 'Good'
+              ? <CheckCircle className="w-4 h-4 text-green-400" />
+              : <AlertTriangle className={`w-4 h-4 ${HEALTH_TEXT[data.health] || 'text-yellow-400'}`} />}
+            <span className={HEALTH_TEXT[data.health] || muted}>{data.health || 'Unknown'}</span>
+            <span className={`ml-auto text-xs ${muted}`}>Load {data.load_avg?.[0] ?? '?'}</span>
+          </div>
+          <HostMetric label="CPU" value={data.cpu?.usage_percent} color="blue" />
+          <HostMetric label="Memory" value={data.memory?.usage_percent} color="purple" />
+          <HostMetric label="Disk" value={data.disk?.usage_percent} color="cyan" />
+        </div>
+      ) : (
+        <p className={`text-sm py-6 text-center ${muted}`}>
+          {host?.status === 'unreachable' ? 'No data received from this host' : 'Waiting for first snapshot...'}
+        </p>
+      )}
+
+      {(host?.error || host?.status === 'stale') && (
+        <p className={`mt-3 text-xs ${host.status === 'stale' ? 'text-yellow-400' : 'text-red-400'}`}>
+          {host.status === 'stale'
+            ? `Last snapshot ${data?.timestamp ? new Date(data.timestamp).toLocaleString() : 'unknown'}`
+            : host.error}
+        </p>
+      )}
+      {host?.schemaErrors?.length > 0 && (
+        <p
+          className="mt-1 text-xs text-yellow-400"
+          title={host.schemaErrors.map(e => `${e.path}: ${e.message}`).join('\n')}
+        >
+          Snapshot failed validation ({host.schemaErrors.length} problem{host.schemaErrors.length === 1 ? '' : 's'})
+        </p>
+      )}
+    </div>
+  )
+}
+
+function HostMetric({ label, value, color }) {
+  const theme = useTheme()
+  const percent = Number(value) || 0
+  return (
+    <div>
+      <div className="flex justify-between text-xs mb-1">
+        <span className={theme.muted}>{label}</span>
+        <span className={theme.text}>{percent}%</span>
+      </div>
+      <ProgressBar value={percent} color={percent > 90 ? 'red' : percent > 70 ? 'yellow' : color} />
+    </div>
+  )
+}
+
+export default FleetView
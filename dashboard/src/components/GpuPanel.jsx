@@ -0,0 +1,113 @@
+import { useState } from 'react'
+import { Monitor } from 'lucide-react'
+import { useTheme } from '../hooks/usePreferences'
+import { MiniStat, ProgressBar, Sparkline } from './ui'
+import { formatBytes, formatTemp, formatValue } from '../lib/format'
+
+const USAGE_COLOR = 'rgb(249, 115, 22)'
+const TEMP_COLOR = 'rgb(239, 68, 68)'
+
+const VENDOR_CLASSES = {
+  nvidia: 'bg-green-500/20 text-green-400',
+  amd: 'bg-red-500/20 text-red-400',
+  intel: 'bg-blue-500/20 text-blue-400',
+}
+
+// "1.2 GiB / 8.0 GiB", or just the used figure when the size is unknown
+const memory = (gpu) => (gpu.memory_total_bytes === null || gpu.memory_total_bytes === undefined
+  ? formatBytes(gpu.memory_used_bytes)
+  : `${formatBytes(gpu.memory_used_bytes)} / ${formatBytes(gpu.memory_total_bytes)}`)
+
+const clock = (gpu) => (gpu.frequency_mhz === null || gpu.frequency_mhz === undefined
+  ? 'N/A'
+  : `${gpu.frequency_mhz}${gpu.max_frequency_mhz ? ` / ${gpu.max_frequency_mhz}` : ''} MHz`)
+
+// One tab per card in the snapshot's gpu array. history maps PCI slot ->
+// recent { usage, temp } readings.
+function GpuPanel({ gpus, history }) {
+  const theme = useTheme()
+  const [selected, setSelected] = useState(0)
+
+  if (!gpus.length) {
+    return (
+      <div className={`flex flex-col items-center justify-center h-32 ${theme.faint}`}>
+        <Monitor className="w-12 h-12 mb-2 opacity-50" />
+        <p>No GPU detected</p>
+      </div>
+    )
+  }
+
+  // Cards can disappear between snapshots
+  const gpu = gpus[Math.min(selected, gpus.length - 1)]
+  const samples = history[gpu.pci_slot || String(gpu.index)] || []
+  const usage = samples.map(s => s.usage).filter(v => v !== null)
+  const temps = samples.map(s => s.temp).filter(v => v !== null)
+
+  return (
+    <div className="space-y-4">
+      {gpus.length > 1 && (
+        <div className={`flex gap-1 p-1 rounded-lg overflow-x-auto ${theme.inset}`}>
+          {gpus.map(g => (
+            <button
+              key={g.pci_slot || g.index}
+              onClick={() => setSelected(g.index)}
+              title={g.name}
+              className={`px-3 py-1 rounded-md text-xs font-medium whitespace-nowrap transition-colors ${g.index === gpu.index
+                  ? 'bg-orange-500/20 text-orange-400'
+                  : `${theme.muted} ${theme.cardHover}`
+                }`}
+            >
+              GPU {g.index}
+              {g.utilization_percent !== null && g.utilization_percent !== undefined && ` • ${g.utilization_percent}%`}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center gap-2 min-w-0">
+        <span className={`shrink-0 px-1.5 rounded text-[10px] uppercase ${VENDOR_CLASSES[gpu.vendor] || 'bg-slate-500/20 text-slate-400'}`}>
+          {gpu.vendor}
+        </span>
+        <p className={`text-sm truncate ${theme.text}`} title={`${gpu.name}${gpu.pci_slot ? ` (${gpu.pci_slot}, ${gpu.driver || 'no driver'})` : ''}`}>
+          {gpu.name}
+        </p>
+      </div>
+
+      <div>
+        <div className="flex justify-between text-sm mb-1">
+          <span className={theme.muted}>Utilization</span>
+          <span className={theme.text}>{formatValue(gpu.utilization_percent, '%')}</span>
+        </div>
+        <ProgressBar value={gpu.utilization_percent || 0} color="orange" />
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <MiniStat label="Temp" value={formatTemp(gpu.temperature_celsius)} />
+        <MiniStat label="Memory" value={memory(gpu)} />
+        <MiniStat label="Fan" value={formatValue(gpu.fan_percent, '%')} />
+        <MiniStat label="Power" value={formatValue(gpu.power_watts, ' W')} />
+        <div className="col-span-2">
+          <MiniStat label="Clock" value={clock(gpu)} />
+        </div>
+      </div>
+
+      {/* Recent history for the selected card */}
+      {(usage.length > 1 || temps.length > 1) && (
+        <div className={`flex flex-wrap items-center gap-x-4 gap-y-2 text-xs ${theme.muted}`}>
+          {usage.length > 1 && (
+            <span className="flex items-center gap-2">
+              Usage <Sparkline series={[{ color: USAGE_COLOR, values: usage }]} width={90} height={20} />
+            </span>
+          )}
+          {temps.length > 1 && (
+            <span className="flex items-center gap-2">
+              Temp <Sparkline series={[{ color: TEMP_COLOR, values: temps }]} width={90} height={20} min={Math.max(Math.min(...temps) - 5, 0)} />
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default GpuPanel
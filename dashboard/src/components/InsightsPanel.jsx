@@ -0,0 +1,57 @@
+import { useMemo } from 'react'
+import { Sparkles, RefreshCw } from 'lucide-react'
+import Markdown from './Markdown'
+import { splitSections } from '../lib/markdown'
+import { useTheme } from '../hooks/usePreferences'
+
+// Runs an analysis on the collector and shows the reply, one card per
+// section heading
+function InsightsPanel({ info, result, error, loading, analyze }) {
+  const theme = useTheme()
+  const sections = useMemo(() => (result ? splitSections(result.markdown) : []), [result])
+  const muted = theme.muted
+  const ready = info?.configured
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+        <p className={`text-xs ${muted}`}>
+          {info
+            ? <>Provider <span className="font-mono">{info.provider}</span> • model <span className="font-mono">{info.model}</span>{!ready && ' (not configured)'}</>
+            : 'Checking the collector...'}
+          {result && <> • generated {new Date(result.generated_at).toLocaleString()} from the snapshot at {new Date(result.snapshot_timestamp).toLocaleTimeString()}</>}
+        </p>
+        <button
+          onClick={analyze}
+          disabled={!ready || loading}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium bg-purple-600 hover:bg-purple-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+          {loading ? 'Analyzing...' : result ? 'Analyze again' : 'Analyze'}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+      {!result && !error && !loading && (
+        <p className={`text-sm ${muted}`}>
+          Sends the current snapshot and the last hour of history to the configured model for a health review.
+        </p>
+      )}
+
+      {sections.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {sections.map((section, i) => (
+            <div key={i} className={`p-4 rounded-lg ${theme.well}`}>
+              {section.title && (
+                <h3 className={`text-sm font-semibold mb-2 ${theme.dark ? 'text-purple-300' : 'text-purple-700'}`}>{section.title}</h3>
+              )}
+              <Markdown blocks={section.blocks} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default InsightsPanel
@@ -0,0 +1,118 @@
+import { useState } from 'react'
+import { LayoutGrid, Save, Server, Trash2, Link, RotateCcw, X } from 'lucide-react'
+import { WIDGETS } from '../lib/layout'
+import { useTheme } from '../hooks/usePreferences'
+
+const SOURCE_LABELS = {
+  default: 'built-in',
+  local: 'this browser',
+  server: 'shared on the collector',
+  shared: 'from a link',
+  unsaved: 'not saved',
+}
+
+// Editing controls for the host view's layout: pick, save, share and
+// delete named layouts, and add widgets that are not on the grid.
+function LayoutBar({ layouts, available, onClose }) {
+  const theme = useTheme()
+  const { layout } = layouts
+  const [name, setName] = useState(layout.source === 'default' ? '' : layout.name)
+  const [message, setMessage] = useState(null)
+  const muted = theme.muted
+  const field = `px-2 py-1.5 rounded-lg text-xs border ${theme.button}`
+  const button = `flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium disabled:opacity-50 border ${theme.button}`
+  const trimmed = name.trim()
+  // An empty grid is not a layout worth saving
+  const canSave = Boolean(trimmed) && layout.widgets.length > 0
+
+  const open = (value) => {
+    const [source, ...rest] = value.split(':')
+    layouts.select(source, rest.join(':'))
+    setName(source === 'default' ? '' : rest.join(':'))
+    setMessage(null)
+  }
+
+  const share = async () => {
+    const url = layouts.shareUrl()
+    try {
+      await navigator.clipboard.writeText(url)
+      setMessage('Share link copied to the clipboard')
+    } catch {
+      // Clipboard needs a secure context; show the link to copy by hand
+      setMessage(url)
+    }
+  }
+
+  return (
+    <div className={`mb-6 p-4 rounded-xl border ${theme.card}`}>
+      <div className="flex items-center justify-between gap-3 mb-3">
+        <h2 className={`flex items-center gap-2 font-semibold ${theme.text}`}>
+          <LayoutGrid className="w-5 h-5 text-blue-400" />
+          {layout.name}
+          <span className={`text-xs font-normal ${muted}`}>
+            {SOURCE_LABELS[layout.source]}{layouts.modified && ', modified'}
+          </span>
+        </h2>
+        <button onClick={onClose} className={button}>
+          <X className="w-3 h-3" /> Done
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select value="" onChange={e => open(e.target.value)} className={field}>
+          <option value="" disabled>Open layout...</option>
+          <option value="default:Default">Default</option>
+          {layouts.saved.length > 0 && (
+            <optgroup label="This browser">
+              {layouts.saved.map(l => <option key={l.name} value={`local:${l.name}`}>{l.name}</option>)}
+            </optgroup>
+          )}
+          {layouts.server.length > 0 && (
+            <optgroup label="Shared on the collector">
+              {layouts.server.map(l => <option key={l.name} value={`server:${l.name}`}>{l.name}</option>)}
+            </optgroup>
+          )}
+        </select>
+        <input
+          value={name}
+          onChange={e => setName(e.target.value)}
+          placeholder="Layout name"
+          maxLength={60}
+          className={`${field} w-40`}
+        />
+        <button onClick={() => layouts.saveLocal(trimmed)} disabled={!canSave} className={button}>
+          <Save className="w-3 h-3" /> Save in browser
+        </button>
+        <button onClick={() => layouts.saveServer(trimmed)} disabled={!canSave} className={button}>
+          <Server className="w-3 h-3" /> Save to collector
+        </button>
+        {(layout.source === 'local' || layout.source === 'server') && (
+          <button onClick={() => layouts.removeSaved(layout.source, layout.name)} className={button}>
+            <Trash2 className="w-3 h-3" /> Delete
+          </button>
+        )}
+        <button onClick={share} className={button}>
+          <Link className="w-3 h-3" /> Share link
+        </button>
+        <button onClick={layouts.reset} className={button}>
+          <RotateCcw className="w-3 h-3" /> Reset
+        </button>
+        {available.length > 0 && (
+          <select value="" onChange={e => layouts.add(e.target.value)} className={`${field} md:ml-auto`}>
+            <option value="" disabled>Add widget...</option>
+            {available.map(id => <option key={id} value={id}>{WIDGETS[id].title}</option>)}
+          </select>
+        )}
+      </div>
+
+      <p className={`text-xs mt-3 ${muted}`}>
+        Drag a widget onto another to move it there; use − and + to change its width.
+      </p>
+      {(message || layouts.error) && (
+        <p className={`text-xs mt-1 break-all ${layouts.error ? 'text-red-400' : 'text-green-400'}`}>{layouts.error || message}</p>
+      )}
+    </div>
+  )
+}
+
+export default LayoutBar
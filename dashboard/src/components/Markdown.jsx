@@ -0,0 +1,36 @@
+import { parseInline } from '../lib/markdown'
+import { useTheme } from '../hooks/usePreferences'
+
+function Inline({ text }) {
+  return parseInline(text).map((part, i) => {
+    if (part.type === 'bold') return <strong key={i}>{part.text}</strong>
+    if (part.type === 'italic') return <em key={i}>{part.text}</em>
+    if (part.type === 'code') return <code key={i} className="font-mono text-[0.9em] px-1 rounded bg-slate-500/20">{part.text}</code>
+    return part.text
+  })
+}
+
+// Renders blocks from parseMarkdown
+function Markdown({ blocks }) {
+  const theme = useTheme()
+  return (
+    <div className={`space-y-2 text-sm ${theme.subtle}`}>
+      {blocks.map((block, i) => {
+        if (block.type === 'heading') {
+          return <p key={i} className={`font-semibold ${theme.text}`}><Inline text={block.text} /></p>
+        }
+        if (block.type === 'list') {
+          const List = block.ordered ? 'ol' : 'ul'
+          return (
+            <List key={i} className={`pl-5 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>
+              {block.items.map((item, j) => <li key={j}><Inline text={item} /></li>)}
+            </List>
+          )
+        }
+        return <p key={i}><Inline text={block.text} /></p>
+      })}
+    </div>
+  )
+}
+
+export default Markdown
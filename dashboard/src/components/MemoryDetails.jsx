@@ -0,0 +1,178 @@
+import { Line } from 'react-chartjs-2'
+import { useTheme } from '../hooks/usePreferences'
+import { MiniStat } from './ui'
+import { MEMORY_BANDS } from '../lib/memory'
+import { formatBytes, formatCount, formatValue } from '../lib/format'
+
+const PRESSURE_RESOURCES = [
+  { key: 'cpu', label: 'CPU' },
+  { key: 'memory', label: 'Memory' },
+  { key: 'io', label: 'I/O' },
+]
+
+// Share of time stalled (some, last 10 s) at which a gauge changes colour
+const PRESSURE_LEVELS = [
+  { below: 5, text: 'text-green-400', stroke: 'stroke-green-500' },
+  { below: 20, text: 'text-yellow-400', stroke: 'stroke-yellow-500' },
+  { below: 50, text: 'text-orange-400', stroke: 'stroke-orange-500' },
+  { below: Infinity, text: 'text-red-400', stroke: 'stroke-red-500' },
+]
+
+const pressureLevel = (percent) => PRESSURE_LEVELS.find(level => percent < level.below)
+
+// points: [{ label, anon, shmem, slab, other, buffers, page_cache }] in bytes
+function CompositionChart({ points, total, showTimeAxis }) {
+  const theme = useTheme()
+  const tick = theme.chart.tick
+  const data = {
+    labels: points.map(p => p.label),
+    datasets: MEMORY_BANDS.map(band => ({
+      label: band.label,
+      data: points.map(p => p[band.key] ?? 0),
+      borderColor: `rgb(${band.color})`,
+      backgroundColor: `rgba(${band.color}, 0.5)`,
+      borderWidth: 1,
+      fill: true,
+      tension: 0.3,
+      pointRadius: 0,
+    })),
+  }
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { display: true, position: 'bottom', labels: { color: tick, boxWidth: 10, font: { size: 10 } } },
+      tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${formatBytes(ctx.parsed.y)}` } },
+    },
+    scales: {
+      y: {
+        stacked: true,
+        beginAtZero: true,
+        max: total || undefined,
+        grid: { color: theme.chart.grid },
+        ticks: { color: tick, maxTicksLimit: 5, callback: (v) => formatBytes(v, 0) },
+      },
+      x: {
+        display: showTimeAxis,
+        grid: { display: false },
+        ticks: { color: tick, maxTicksLimit: 6, maxRotation: 0 },
+      },
+    },
+    animation: { duration: 300 },
+  }
+  return <Line data={data} options={options} />
+}
+
+function PressureGauge({ label, stall }) {
+  const theme = useTheme()
+  const arc = 'M 8 40 A 32 32 0 0 1 72 40'
+  if (!stall) {
+    return (
+      <div className={`flex flex-col items-center p-2 rounded-lg ${theme.inset}`}>
+        <p className={`text-xs ${theme.muted}`}>{label}</p>
+        <p className={`text-sm ${theme.faint}`}>N/A</p>
+      </div>
+    )
+  }
+  const level = pressureLevel(stall.some.avg10)
+  return (
+    <div
+      className={`flex flex-col items-center p-2 rounded-lg ${theme.inset}`}
+      title={`some: ${stall.some.avg10}% / ${stall.some.avg60}% / ${stall.some.avg300}% over 10 s / 60 s / 300 s`
+        + (stall.full ? `\nfull: ${stall.full.avg10}% / ${stall.full.avg60}% / ${stall.full.avg300}%` : '')}
+    >
+      <svg width="80" height="46" viewBox="0 0 80 46">
+        <path d={arc} pathLength="100" fill="none" strokeWidth="7" strokeLinecap="round" className={theme.stroke} />
+        <path d={arc} pathLength="100" fill="none" strokeWidth="7" strokeLinecap="round" strokeDasharray={`${Math.min(stall.some.avg10, 100)} 100`} className={level.stroke} />
+        <text x="40" y="40" textAnchor="middle" className={`text-sm font-bold fill-current ${level.text}`}>
+          {Math.round(stall.some.avg10)}%
+        </text>
+      </svg>
+      <p className={`text-xs ${theme.text}`}>{label}</p>
+      <p className={`text-[10px] ${theme.faint}`}>
+        1m {stall.some.avg60}%{stall.full && ` • full ${stall.full.avg10}%`}
+      </p>
+    </div>
+  )
+}
+
+// The collector's memory breakdown, PSI and largest processes under the
+// Memory card's usage bar. points covers the live window or the selected
+// history range.
+function MemoryDetails({ memory, pressure, points, showTimeAxis }) {
+  const theme = useTheme()
+
+  if (!memory?.breakdown) {
+    return (
+      <p className={`text-xs ${theme.faint}`}>
+        The memory breakdown, pressure and largest processes need the collector service (npm run server).
+      </p>
+    )
+  }
+
+  const b = memory.breakdown
+  const swapRate = memory.swap_in_pages_per_sec === null && memory.swap_out_pages_per_sec === null
+    ? 'N/A'
+    : `${formatCount(memory.swap_in_pages_per_sec ?? 0)} / ${formatCount(memory.swap_out_pages_per_sec ?? 0)}`
+  const processes = memory.top_processes || []
+
+  return (
+    <div className="space-y-4">
+      {points.length > 0 && (
+        <div className="h-44">
+          <CompositionChart points={points} total={memory.total_bytes} showTimeAxis={showTimeAxis} />
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        <MiniStat label="Dirty" value={formatBytes(b.dirty_bytes + b.writeback_bytes)} />
+        <MiniStat label="Committed" value={`${formatBytes(b.committed_bytes, 0)} / ${formatBytes(b.commit_limit_bytes, 0)}`} />
+        <MiniStat label="Swap in / out (pg/s)" value={swapRate} />
+        <MiniStat label="OOM kills" value={formatValue(memory.oom_kills)} />
+      </div>
+      {b.hugepages_total > 0 && (
+        <p className={`text-xs ${theme.muted}`}>
+          Huge pages: {b.hugepages_total - b.hugepages_free} of {b.hugepages_total} in use ({formatBytes(b.hugepage_size_bytes)} each)
+        </p>
+      )}
+
+      {/* Pressure stall information */}
+      <div>
+        <h4 className={`text-xs font-semibold uppercase tracking-wide mb-2 ${theme.muted}`}>Pressure (time stalled, 10 s)</h4>
+        {pressure ? (
+          <div className="grid grid-cols-3 gap-2">
+            {PRESSURE_RESOURCES.map(r => <PressureGauge key={r.key} label={r.label} stall={pressure[r.key]} />)}
+          </div>
+        ) : (
+          <p className={`text-xs ${theme.faint}`}>Not available: the kernel was built without PSI or booted with psi=0.</p>
+        )}
+      </div>
+
+      {/* Largest resident sets */}
+      {processes.length > 0 && (
+        <div>
+          <h4 className={`text-xs font-semibold uppercase tracking-wide mb-2 ${theme.muted}`}>Largest processes</h4>
+          <div className="space-y-1.5">
+            {processes.map(p => (
+              <div key={p.pid} className="text-xs">
+                <div className="flex justify-between gap-2">
+                  <span className={`truncate ${theme.text}`} title={`pid ${p.pid}`}>{p.name}</span>
+                  <span className={`font-mono shrink-0 ${theme.muted}`}>
+                    {formatBytes(p.rss_bytes)}
+                    {p.swap_bytes > 0 && <span className="text-orange-400"> +{formatBytes(p.swap_bytes)} swap</span>}
+                  </span>
+                </div>
+                <div className={`h-1 mt-0.5 rounded-full overflow-hidden ${theme.track}`}>
+                  <div className="h-full bg-purple-500 rounded-full" style={{ width: `${Math.min((p.rss_bytes / memory.total_bytes) * 100, 100)}%` }} />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MemoryDetails
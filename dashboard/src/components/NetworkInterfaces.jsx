@@ -0,0 +1,66 @@
+import { ArrowDown, ArrowUp } from 'lucide-react'
+import { Sparkline } from './ui'
+import { formatRate } from '../lib/format'
+import { useTheme } from '../hooks/usePreferences'
+
+const RX_COLOR = 'rgb(34, 197, 94)'
+const TX_COLOR = 'rgb(59, 130, 246)'
+
+const perSec = (value) => (value === null || value === undefined ? 'N/A' : `${value}/s`)
+
+// One row per interface: state, current rates and a sparkline of recent
+// throughput. history maps interface name -> [{ rx, tx }] in bytes/s.
+function NetworkInterfaces({ interfaces, history }) {
+  const theme = useTheme()
+  const muted = theme.muted
+  const strong = theme.text
+
+  return (
+    <div className={`divide-y ${theme.divide}`}>
+      {interfaces.map(iface => {
+        const samples = history[iface.name] || []
+        const faults = (iface.rx_errors_per_sec || 0) + (iface.tx_errors_per_sec || 0) + (iface.rx_dropped_per_sec || 0) + (iface.tx_dropped_per_sec || 0)
+        return (
+          <div key={iface.name} className="py-2 space-y-1">
+            <div className="flex items-center justify-between gap-3 text-sm">
+              <span className={`flex items-center gap-2 min-w-0 ${strong}`}>
+                <span className={`w-2 h-2 shrink-0 rounded-full ${iface.status === 'up' ? 'bg-green-500' : 'bg-slate-500'}`} title={iface.status}></span>
+                <span className="truncate font-mono">{iface.name}</span>
+              </span>
+              {samples.length > 1 && (
+                <Sparkline
+                  series={[
+                    { color: RX_COLOR, values: samples.map(s => s.rx) },
+                    { color: TX_COLOR, values: samples.map(s => s.tx) },
+                  ]}
+                />
+              )}
+            </div>
+            {iface.rx_bytes_per_sec !== undefined ? (
+              <div className={`grid grid-cols-2 gap-x-3 text-xs font-mono ${muted}`}>
+                <span className="flex items-center gap-1">
+                  <ArrowDown className="w-3 h-3 text-green-400" />
+                  <span className={strong}>{formatRate(iface.rx_bytes_per_sec)}</span>
+                  <span>{perSec(iface.rx_packets_per_sec)} pkts</span>
+                </span>
+                <span className="flex items-center gap-1">
+                  <ArrowUp className="w-3 h-3 text-blue-400" />
+                  <span className={strong}>{formatRate(iface.tx_bytes_per_sec)}</span>
+                  <span>{perSec(iface.tx_packets_per_sec)} pkts</span>
+                </span>
+                <span className={`col-span-2 ${faults > 0 ? 'text-red-400' : ''}`}>
+                  errors {iface.rx_errors}/{iface.tx_errors}, drops {iface.rx_dropped}/{iface.tx_dropped}
+                  {faults > 0 && ` (+${Math.round(faults * 10) / 10}/s)`}
+                </span>
+              </div>
+            ) : (
+              <p className={`text-xs ${muted}`}>{iface.status}</p>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default NetworkInterfaces
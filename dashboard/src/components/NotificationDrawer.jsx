@@ -0,0 +1,262 @@
+import { useState } from 'react'
+import {
+  X,
+  Bell,
+  BellOff,
+  Check,
+  CheckCheck,
+  Plus,
+  Trash2,
+  AlertTriangle,
+  CheckCircle,
+} from 'lucide-react'
+import { useTheme } from '../hooks/usePreferences'
+
+const SEVERITY_CLASSES = {
+  info: 'bg-blue-500/20 text-blue-400 border-blue-500/30',
+  warning: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30',
+  critical: 'bg-red-500/20 text-red-400 border-red-500/30',
+}
+
+const SILENCE_OPTIONS = [
+  { minutes: 15, label: '15m' },
+  { minutes: 60, label: '1h' },
+  { minutes: 24 * 60, label: '24h' },
+]
+
+const EMPTY_RULE = { name: '', metric: 'cpu.usage_percent', op: '>=', threshold: 80, for: 30, severity: 'warning' }
+
+function NotificationDrawer({ open, onClose, alerts }) {
+  const theme = useTheme()
+  const [tab, setTab] = useState('events')
+
+  if (!open) return null
+
+  const panel = theme.panel
+  const muted = theme.muted
+  const strong = theme.text
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={onClose}></div>
+      <aside className={`relative w-full max-w-md h-full flex flex-col border-l ${panel} shadow-2xl`}>
+        <div className="flex items-center justify-between p-4 border-b border-slate-700/50">
+          <div className="flex items-center gap-2">
+            <Bell className="w-5 h-5 text-blue-400" />
+            <h2 className={`text-lg font-semibold ${strong}`}>Notifications</h2>
+          </div>
+          <button onClick={onClose} className={`p-1 rounded-lg hover:bg-slate-700/50 ${muted}`}>
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex gap-2 p-4 pb-0">
+          {['events', 'rules'].map(id => (
+            <button
+              key={id}
+              onClick={() => setTab(id)}
+              className={`px-3 py-1 text-sm rounded-lg capitalize ${tab === id
+                  ? 'bg-blue-600 text-white'
+                  : theme.button
+                }`}
+            >
+              {id}
+            </button>
+          ))}
+        </div>
+
+        {alerts.error && (
+          <p className="mx-4 mt-4 p-3 text-sm rounded-lg bg-red-500/10 border border-red-500/30 text-red-400">
+            {alerts.error}
+          </p>
+        )}
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-3">
+          {tab === 'events'
+            ? <EventList alerts={alerts} />
+            : <RuleList alerts={alerts} />}
+        </div>
+      </aside>
+    </div>
+  )
+}
+
+function EventList({ alerts }) {
+  const theme = useTheme()
+  const muted = theme.muted
+
+  if (!alerts.events.length) {
+    return <p className={`text-sm text-center py-8 ${muted}`}>No alert events yet</p>
+  }
+
+  return (
+    <>
+      <div className="flex justify-end">
+        <button
+          onClick={() => alerts.acknowledgeAll()}
+          className={`flex items-center gap-1 text-xs ${muted} hover:text-blue-400`}
+        >
+          <CheckCheck className="w-4 h-4" /> Acknowledge all
+        </button>
+      </div>
+      {alerts.events.map(event => (
+        <div
+          key={event.id}
+          className={`p-3 rounded-lg border ${theme.well} ${theme.border} ${event.acknowledged || event.silenced ? 'opacity-60' : ''}`}
+        >
+          <div className="flex items-start justify-between gap-2">
+            <div className="flex items-center gap-2 min-w-0">
+              {event.status === 'firing'
+                ? <AlertTriangle className="w-4 h-4 shrink-0 text-red-400" />
+                : <CheckCircle className="w-4 h-4 shrink-0 text-green-400" />}
+              <span className={`text-sm font-medium truncate ${theme.text}`}>
+                {event.rule_name}
+              </span>
+            </div>
+            <span className={`text-xs px-2 py-0.5 rounded-full border ${SEVERITY_CLASSES[event.severity]}`}>
+              {event.severity}
+            </span>
+          </div>
+          <p className={`text-xs mt-1 ${muted}`}>
+            {event.status === 'firing' ? 'Firing' : 'Resolved'} • {event.metric} = {String(event.value)} ({event.op} {String(event.threshold)})
+          </p>
+          <div className="flex items-center justify-between mt-2">
+            <span className={`text-xs ${muted}`}>
+              {new Date(event.at).toLocaleString()}{event.silenced ? ' • silenced' : ''}
+            </span>
+            {!event.acknowledged && event.status === 'firing' && (
+              <button
+                onClick={() => alerts.acknowledge(event.id)}
+                className="flex items-center gap-1 text-xs text-blue-400 hover:text-blue-300"
+              >
+                <Check className="w-3 h-3" /> Acknowledge
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+    </>
+  )
+}
+
+function RuleList({ alerts }) {
+  const theme = useTheme()
+  const [draft, setDraft] = useState(EMPTY_RULE)
+  const muted = theme.muted
+  const input = `px-2 py-1 rounded-lg text-sm border focus:outline-none focus:ring-2 focus:ring-blue-500 ${theme.field} ${theme.text}`
+
+  const update = (field) => (e) => setDraft(prev => ({ ...prev, [field]: e.target.value }))
+
+  const submit = async (e) => {
+    e.preventDefault()
+    try {
+      await alerts.createRule({ ...draft, for: Number(draft.for) })
+      setDraft(EMPTY_RULE)
+    } catch {
+      // Error is shown by the drawer
+    }
+  }
+
+  return (
+    <>
+      {alerts.rules.map(rule => {
+        const silenced = rule.silenced_until && new Date(rule.silenced_until) > new Date()
+        return (
+          <div
+            key={rule.id}
+            className={`p-3 rounded-lg border ${theme.well} ${theme.border}`}
+          >
+            <div className="flex items-start justify-between gap-2">
+              <label className="flex items-center gap-2 min-w-0">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={() => alerts.updateRule(rule.id, { enabled: !rule.enabled })}
+                />
+                <span className={`text-sm font-medium truncate ${theme.text}`}>
+                  {rule.name}
+                </span>
+              </label>
+              <div className="flex items-center gap-2">
+                {rule.firing && <span className="w-2 h-2 bg-red-500 rounded-full animate-pulse"></span>}
+                <span className={`text-xs px-2 py-0.5 rounded-full border ${SEVERITY_CLASSES[rule.severity]}`}>
+                  {rule.severity}
+                </span>
+              </div>
+            </div>
+            <p className={`text-xs mt-1 font-mono ${muted}`}>
+              {rule.metric} {rule.op} {String(rule.threshold)} for {rule.for}s
+            </p>
+            <div className="flex items-center justify-between mt-2">
+              <div className="flex items-center gap-1">
+                {silenced ? (
+                  <button
+                    onClick={() => alerts.silenceRule(rule.id, 0)}
+                    className="flex items-center gap-1 text-xs text-yellow-400 hover:text-yellow-300"
+                    title={`Silenced until ${new Date(rule.silenced_until).toLocaleString()}`}
+                  >
+                    <BellOff className="w-3 h-3" /> Unsilence
+                  </button>
+                ) : (
+                  <>
+                    <BellOff className={`w-3 h-3 ${muted}`} />
+                    {SILENCE_OPTIONS.map(option => (
+                      <button
+                        key={option.minutes}
+                        onClick={() => alerts.silenceRule(rule.id, option.minutes)}
+                        className={`text-xs px-1 ${muted} hover:text-blue-400`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </>
+                )}
+              </div>
+              <button
+                onClick={() => alerts.deleteRule(rule.id)}
+                className={`p-1 rounded ${muted} hover:text-red-400`}
+                title="Delete rule"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )
+      })}
+
+      <form
+        onSubmit={submit}
+        className={`p-3 rounded-lg border border-dashed space-y-2 ${theme.border}`}
+      >
+        <p className={`text-sm font-medium ${theme.text}`}>New rule</p>
+        <input className={`${input} w-full`} placeholder="Name (optional)" value={draft.name} onChange={update('name')} />
+        <input
+          className={`${input} w-full font-mono`}
+          placeholder="Metric path, e.g. disk.filesystems.0.usage_percent"
+          value={draft.metric}
+          onChange={update('metric')}
+        />
+        <div className="grid grid-cols-4 gap-2">
+          <select className={input} value={draft.op} onChange={update('op')}>
+            {['>', '>=', '<', '<=', '==', '!='].map(op => <option key={op}>{op}</option>)}
+          </select>
+          <input className={input} placeholder="Threshold" value={draft.threshold} onChange={update('threshold')} />
+          <input className={input} type="number" min="0" title="For (seconds)" value={draft.for} onChange={update('for')} />
+          <select className={input} value={draft.severity} onChange={update('severity')}>
+            <option value="info">info</option>
+            <option value="warning">warning</option>
+            <option value="critical">critical</option>
+          </select>
+        </div>
+        <button
+          type="submit"
+          className="flex items-center gap-1 px-3 py-1 text-sm rounded-lg bg-blue-600 hover:bg-blue-700 text-white"
+        >
+          <Plus className="w-4 h-4" /> Add rule
+        </button>
+      </form>
+    </>
+  )
+}
+
+export default NotificationDrawer
@@ -0,0 +1,181 @@
+import { Line } from 'react-chartjs-2'
+import { Battery, BatteryCharging, BatteryFull, BatteryLow, BatteryMedium, Plug, PlugZap, Unplug } from 'lucide-react'
+import { useTheme } from '../hooks/usePreferences'
+import { MiniStat, ProgressBar } from './ui'
+import { formatDuration, formatTemp, formatValue } from '../lib/format'
+
+const CHARGE_COLOR = '34, 197, 94'
+const POWER_COLOR = '234, 179, 8'
+
+const STATUS_LABELS = {
+  charging: 'Charging',
+  discharging: 'Discharging',
+  full: 'Full',
+  not_charging: 'Not charging',
+  unknown: 'Unknown',
+}
+
+// Below these the bar turns yellow, then red
+const LOW_PERCENT = 30
+const CRITICAL_PERCENT = 10
+
+const levelColor = (percent) => (percent === null ? 'green' : percent <= CRITICAL_PERCENT ? 'red' : percent <= LOW_PERCENT ? 'yellow' : 'green')
+
+function BatteryIcon({ battery }) {
+  const className = `w-10 h-10 shrink-0 ${battery.percent !== null && battery.percent <= CRITICAL_PERCENT ? 'text-red-400' : 'text-green-400'}`
+  if (battery.status === 'charging') return <BatteryCharging className={className} />
+  if (battery.status === 'full' || battery.percent >= 90) return <BatteryFull className={className} />
+  if (battery.percent === null) return <Battery className={className} />
+  return battery.percent > LOW_PERCENT ? <BatteryMedium className={className} /> : <BatteryLow className={className} />
+}
+
+// "2h 10m to empty", "45m to full"
+const remaining = (battery) => {
+  if (battery.time_remaining_seconds === null || battery.time_remaining_seconds === undefined) return 'N/A'
+  return `${formatDuration(battery.time_remaining_seconds)} to ${battery.status === 'charging' ? 'full' : 'empty'}`
+}
+
+// Full capacity left compared with when new
+const wear = (battery) => (battery.energy_full_wh && battery.energy_full_design_wh
+  ? `${Math.round((battery.energy_full_wh / battery.energy_full_design_wh) * 100)}%`
+  : 'N/A')
+
+// "+12.4 W" while charging, "-8.1 W" on battery
+const flow = (battery) => {
+  if (battery.power_watts === null || battery.power_watts === undefined) return 'N/A'
+  const sign = battery.status === 'charging' ? '+' : battery.status === 'discharging' ? '-' : ''
+  return `${sign}${battery.power_watts} W`
+}
+
+function ChargeChart({ points }) {
+  const theme = useTheme()
+  const tick = theme.chart.tick
+  const data = {
+    labels: points.map(p => p.label),
+    datasets: [
+      {
+        label: 'Charge',
+        data: points.map(p => p.percent),
+        borderColor: `rgb(${CHARGE_COLOR})`,
+        backgroundColor: `rgba(${CHARGE_COLOR}, 0.15)`,
+        borderWidth: 1.5,
+        fill: true,
+        tension: 0.3,
+        pointRadius: 0,
+        yAxisID: 'y',
+      },
+      {
+        label: 'Charge rate',
+        data: points.map(p => p.watts),
+        borderColor: `rgb(${POWER_COLOR})`,
+        borderWidth: 1.5,
+        fill: false,
+        tension: 0.3,
+        pointRadius: 0,
+        yAxisID: 'watts',
+      },
+    ],
+  }
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { display: true, position: 'bottom', labels: { color: tick, boxWidth: 10, font: { size: 10 } } },
+      tooltip: {
+        callbacks: {
+          label: (ctx) => (ctx.dataset.yAxisID === 'y'
+            ? `Charge: ${ctx.parsed.y.toFixed(1)}%`
+            : `${ctx.parsed.y < 0 ? 'Discharging' : 'Charging'}: ${Math.abs(ctx.parsed.y).toFixed(1)} W`),
+        },
+      },
+    },
+    scales: {
+      y: {
+        min: 0,
+        max: 100,
+        grid: { color: theme.chart.grid },
+        ticks: { color: tick, maxTicksLimit: 5, callback: (v) => `${v}%` },
+      },
+      // Above zero while charging, below while on battery
+      watts: {
+        position: 'right',
+        grid: { display: false },
+        ticks: { color: tick, maxTicksLimit: 5, callback: (v) => `${v} W` },
+      },
+      x: { display: false },
+    },
+    animation: { duration: 300 },
+  }
+  return <Line data={data} options={options} />
+}
+
+// Batteries and adapters from the collector's power section, with a chart
+// of charge and charge rate. points are { label, percent, watts } for the
+// live window or the selected history range.
+function PowerPanel({ power, points }) {
+  const theme = useTheme()
+
+  if (!power) {
+    return <p className={`text-sm ${theme.muted}`}>Battery readings come from the collector service (npm run server).</p>
+  }
+  if (!power.batteries.length && !power.adapters?.length) {
+    return (
+      <div className={`flex flex-col items-center justify-center h-32 ${theme.faint}`}>
+        <Plug className="w-12 h-12 mb-2 opacity-50" />
+        <p>No battery or power supply found</p>
+        <p className="text-xs mt-1">On Android, install termux-api and the Termux:API app.</p>
+      </div>
+    )
+  }
+
+  const AcIcon = power.ac_online ? PlugZap : Unplug
+  const charted = points.filter(p => p.percent !== null)
+
+  return (
+    <div className="space-y-4">
+      <div className={`flex items-center gap-2 text-sm ${theme.muted}`}>
+        <AcIcon className={`w-4 h-4 ${power.ac_online ? 'text-green-400' : theme.faint}`} />
+        {power.ac_online === null ? 'AC status unknown' : power.ac_online ? 'On AC power' : 'On battery'}
+        {power.adapters?.filter(a => a.online).map(a => (
+          <span key={a.id} className={`px-1.5 rounded text-[10px] uppercase ${theme.inset}`} title={a.id}>{a.type}</span>
+        ))}
+        <span className={`ml-auto text-xs ${theme.faint}`}>via {power.source === 'termux' ? 'termux-battery-status' : '/sys/class/power_supply'}</span>
+      </div>
+
+      {power.batteries.map(battery => (
+        <div key={battery.id} className={`p-3 rounded-lg space-y-3 ${theme.inset}`}>
+          <div className="flex items-center gap-3">
+            <BatteryIcon battery={battery} />
+            <div className="min-w-0 flex-1">
+              <div className="flex justify-between items-baseline">
+                <p className={`text-sm truncate ${theme.text}`} title={battery.model || battery.id}>
+                  {battery.model || battery.id}
+                </p>
+                <span className={`text-2xl font-bold ${theme.text}`}>{formatValue(battery.percent, '%')}</span>
+              </div>
+              <p className={`text-xs mb-1 ${theme.muted}`}>{STATUS_LABELS[battery.status]} • {remaining(battery)}</p>
+              <ProgressBar value={battery.percent || 0} color={levelColor(battery.percent)} />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+            <MiniStat label="Power" value={flow(battery)} />
+            <MiniStat label="Health" value={battery.health ? battery.health.replace(/_/g, ' ') : 'N/A'} />
+            <MiniStat label="Capacity" value={wear(battery)} />
+            <MiniStat label="Temp" value={formatTemp(battery.temperature_celsius)} />
+            <MiniStat label="Cycles" value={formatValue(battery.cycle_count)} />
+          </div>
+        </div>
+      ))}
+
+      {/* Charge and discharge over time */}
+      {charted.length > 1 && (
+        <div className="h-40">
+          <ChargeChart points={charted} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PowerPanel
@@ -0,0 +1,123 @@
+import { X, Settings, RotateCcw } from 'lucide-react'
+import { usePreferences, useTheme } from '../hooks/usePreferences'
+import { THEME_OPTIONS, BYTE_UNIT_OPTIONS, TEMPERATURE_OPTIONS, REFRESH_INTERVALS } from '../lib/preferences'
+import { TIME_RANGES } from '../hooks/useMetricHistory'
+import { WIDGETS } from '../lib/layout'
+
+// Settings drawer: theme, units, refresh and which cards the host view
+// shows. Everything is kept in this browser.
+function PreferencesPanel({ open, onClose, layouts, cards }) {
+  const { preferences, setPreference, reset } = usePreferences()
+  const theme = useTheme()
+
+  if (!open) return null
+
+  const panel = theme.panel
+  const field = `w-full px-2 py-1.5 rounded-lg text-sm border ${theme.button}`
+  const shown = new Set(layouts.layout.widgets.map(w => w.id))
+
+  const choice = (key, options, label) => (
+    <div>
+      <span className={`block text-xs mb-1 ${theme.muted}`}>{label}</span>
+      <div className={`flex rounded-lg overflow-hidden border ${theme.border}`}>
+        {options.map(option => (
+          <button
+            key={option.id}
+            onClick={() => setPreference(key, option.id)}
+            className={`flex-1 px-2 py-1.5 text-xs transition-colors ${preferences[key] === option.id
+                ? 'bg-blue-600 text-white'
+                : theme.button
+              }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={onClose}></div>
+      <aside className={`relative w-full max-w-md h-full flex flex-col border-l ${panel} shadow-2xl`}>
+        <div className="flex items-center justify-between p-4 border-b border-slate-700/50">
+          <div className="flex items-center gap-2">
+            <Settings className="w-5 h-5 text-blue-400" />
+            <h2 className={`text-lg font-semibold ${theme.text}`}>Preferences</h2>
+          </div>
+          <button onClick={onClose} className={`p-1 rounded-lg hover:bg-slate-700/50 ${theme.muted}`}>
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-5">
+          {/* Appearance */}
+          <section className="space-y-3">
+            <h3 className={`text-sm font-semibold ${theme.text}`}>Appearance</h3>
+            {choice('theme', THEME_OPTIONS, 'Theme')}
+            {choice('bytes', BYTE_UNIT_OPTIONS, 'Sizes')}
+            {choice('temperature', TEMPERATURE_OPTIONS, 'Temperatures')}
+          </section>
+
+          {/* Refresh */}
+          <section className="space-y-3">
+            <h3 className={`text-sm font-semibold ${theme.text}`}>Refresh</h3>
+            <label className={`flex items-center gap-2 text-sm ${theme.muted}`}>
+              <input
+                type="checkbox"
+                checked={preferences.autoRefresh}
+                onChange={e => setPreference('autoRefresh', e.target.checked)}
+              />
+              Refresh automatically
+            </label>
+            <label className="block">
+              <span className={`block text-xs mb-1 ${theme.muted}`}>Interval when polling</span>
+              <select
+                value={preferences.refreshInterval}
+                onChange={e => setPreference('refreshInterval', Number(e.target.value))}
+                className={field}
+              >
+                {REFRESH_INTERVALS.map(s => <option key={s} value={s}>{s}s</option>)}
+              </select>
+            </label>
+            <label className="block">
+              <span className={`block text-xs mb-1 ${theme.muted}`}>Performance chart opens with</span>
+              <select value={preferences.defaultRange} onChange={e => setPreference('defaultRange', e.target.value)} className={field}>
+                {TIME_RANGES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+              </select>
+            </label>
+          </section>
+
+          {/* Card visibility, stored in the current layout */}
+          <section className="space-y-2">
+            <h3 className={`text-sm font-semibold ${theme.text}`}>Cards</h3>
+            <p className={`text-xs ${theme.faint}`}>Changes the layout "{layouts.layout.name}".</p>
+            <div className="grid grid-cols-2 gap-1">
+              {cards.map(id => (
+                <label key={id} className={`flex items-center gap-2 text-sm ${theme.muted}`}>
+                  <input
+                    type="checkbox"
+                    checked={shown.has(id)}
+                    onChange={e => (e.target.checked ? layouts.add(id) : layouts.remove(id))}
+                  />
+                  {WIDGETS[id].title}
+                </label>
+              ))}
+            </div>
+          </section>
+        </div>
+
+        <div className="p-4 border-t border-slate-700/50">
+          <button
+            onClick={reset}
+            className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium border ${theme.button}`}
+          >
+            <RotateCcw className="w-3 h-3" /> Restore defaults
+          </button>
+        </div>
+      </aside>
+    </div>
+  )
+}
+
+export default PreferencesPanel
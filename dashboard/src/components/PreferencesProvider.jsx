@@ -0,0 +1,67 @@
+import { useState, useEffect, useSyncExternalStore } from 'react'
+import { PreferencesContext } from '../hooks/usePreferences'
+import { DEFAULT_PREFERENCES, normalizePreferences } from '../lib/preferences'
+import { resolveTheme } from '../lib/theme'
+import { setUnits } from '../lib/format'
+
+const STORAGE_KEY = 'dashboard-preferences'
+
+const DARK_QUERY = '(prefers-color-scheme: dark)'
+const CONTRAST_QUERY = '(prefers-contrast: more)'
+
+function loadPreferences() {
+  try {
+    return normalizePreferences(JSON.parse(localStorage.getItem(STORAGE_KEY)))
+  } catch {
+    return DEFAULT_PREFERENCES
+  }
+}
+
+const subscribeOs = (onChange) => {
+  const queries = [DARK_QUERY, CONTRAST_QUERY].map(q => window.matchMedia(q))
+  queries.forEach(q => q.addEventListener('change', onChange))
+  return () => queries.forEach(q => q.removeEventListener('change', onChange))
+}
+
+// Formatters read units from module state so every caller follows the
+// preference; it is set when preferences change, never during render
+const applyUnits = (preferences) => setUnits({ bytes: preferences.bytes, temperature: preferences.temperature })
+
+const initialPreferences = loadPreferences()
+applyUnits(initialPreferences)
+
+// "dark|contrast" as a string so the snapshot compares by value
+const osSnapshot = () => `${window.matchMedia(DARK_QUERY).matches}|${window.matchMedia(CONTRAST_QUERY).matches}`
+
+// Holds the user's preferences in local storage and resolves the theme,
+// including "Follow OS", for everything below it
+function PreferencesProvider({ children }) {
+  const [preferences, setPreferences] = useState(initialPreferences)
+  const [osDark, osContrast] = useSyncExternalStore(subscribeOs, osSnapshot).split('|')
+  const theme = resolveTheme(preferences.theme, { dark: osDark === 'true', moreContrast: osContrast === 'true' })
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences))
+  }, [preferences])
+
+  useEffect(() => {
+    document.documentElement.style.colorScheme = theme.dark ? 'dark' : 'light'
+  }, [theme.dark])
+
+  const value = {
+    preferences,
+    theme,
+    setPreference: (key, next) => {
+      const updated = normalizePreferences({ ...preferences, [key]: next })
+      applyUnits(updated)
+      setPreferences(updated)
+    },
+    reset: () => {
+      applyUnits(DEFAULT_PREFERENCES)
+      setPreferences(DEFAULT_PREFERENCES)
+    },
+  }
+  return <PreferencesContext.Provider value={value}>{children}</PreferencesContext.Provider>
+}
+
+export default PreferencesProvider
@@ -0,0 +1,193 @@
+import { useState } from 'react'
+import { LogIn, LogOut, Lock, RotateCcw, ShieldCheck, ShieldAlert } from 'lucide-react'
+import ConfirmDialog from './ConfirmDialog'
+import { useTheme } from '../hooks/usePreferences'
+
+const SIGNAL_LABELS = {
+  SIGTERM: { title: 'Terminate process', verb: 'Terminate', hint: 'asks the process to exit cleanly' },
+  SIGKILL: { title: 'Kill process', verb: 'Kill', hint: 'stops the process immediately; unsaved work is lost' },
+}
+
+const RESULT_CLASSES = {
+  ok: 'text-green-400',
+  denied: 'text-yellow-400',
+  failed: 'text-red-400',
+}
+
+// Sign-in state plus the service restart control
+export function SessionBar({ control }) {
+  const theme = useTheme()
+  const [token, setToken] = useState('')
+  const [error, setError] = useState(null)
+  const [unit, setUnit] = useState('')
+  const [confirmUnit, setConfirmUnit] = useState(null)
+  const muted = theme.muted
+
+  if (!control.enabled) {
+    return (
+      <p className={`flex items-center gap-2 text-xs ${muted}`}>
+        <Lock className="w-3 h-3" /> Read-only: no control users are configured on the collector (npm run users).
+      </p>
+    )
+  }
+
+  if (!control.user) {
+    const submit = async (e) => {
+      e.preventDefault()
+      try {
+        await control.login(token)
+        setToken('')
+        setError(null)
+      } catch (err) {
+        setError(err.message)
+      }
+    }
+    return (
+      <form onSubmit={submit} className="flex flex-wrap items-center gap-2">
+        <Lock className={`w-4 h-4 ${muted}`} />
+        <input
+          type="password"
+          value={token}
+          onChange={e => setToken(e.target.value)}
+          placeholder="Access token"
+          autoComplete="current-password"
+          className={`px-3 py-1.5 rounded-lg text-xs border font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 ${theme.field} ${theme.text}`}
+        />
+        <button type="submit" className="flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-blue-600 hover:bg-blue-700 text-white">
+          <LogIn className="w-3 h-3" /> Sign in to manage processes
+        </button>
+        {error && <span className="text-xs text-red-400">{error}</span>}
+      </form>
+    )
+  }
+
+  const units = control.units
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs">
+      {control.canControl
+        ? <ShieldCheck className="w-4 h-4 text-green-400" />
+        : <ShieldAlert className="w-4 h-4 text-yellow-400" />}
+      <span className={theme.subtle}>
+        {control.user.name} <span className={muted}>({control.user.role}{control.canControl ? '' : ', read-only'})</span>
+      </span>
+      <button onClick={control.logout} className={`flex items-center gap-1 ${muted} hover:text-blue-400`}>
+        <LogOut className="w-3 h-3" /> Sign out
+      </button>
+      {control.canControl && control.processRefusal && (
+        <span className="flex items-center gap-1 text-yellow-400">
+          <ShieldAlert className="w-3 h-3" /> {control.processRefusal}
+        </span>
+      )}
+      {control.canControl && units.length > 0 && (
+        <div className="flex items-center gap-2 ml-auto">
+          <select
+            value={unit || units[0]}
+            onChange={e => setUnit(e.target.value)}
+            className={`px-2 py-1.5 rounded-lg border ${theme.button}`}
+          >
+            {units.map(u => <option key={u} value={u}>{u}</option>)}
+          </select>
+          <button
+            onClick={() => setConfirmUnit(unit || units[0])}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-orange-500/20 text-orange-400 border border-orange-500/30 hover:bg-orange-500/30"
+          >
+            <RotateCcw className="w-3 h-3" /> Restart service
+          </button>
+        </div>
+      )}
+      {confirmUnit && (
+        <ConfirmDialog
+          title="Restart service"
+          confirmLabel="Restart"
+          danger
+          onConfirm={() => control.restartUnit(confirmUnit)}
+          onClose={() => setConfirmUnit(null)}
+        >
+          <p>Run <code className="font-mono">systemctl restart {confirmUnit}</code> on this host?</p>
+          <p className={muted}>The service is briefly unavailable while it restarts. This is recorded in the audit log.</p>
+        </ConfirmDialog>
+      )}
+    </div>
+  )
+}
+
+// Confirmation for a signal or renice on one process
+export function ProcessActionDialog({ action, control, onDone, onClose }) {
+  const theme = useTheme()
+  const { process: p } = action
+  const [nice, setNice] = useState(String(p.nice ?? 0))
+  const muted = theme.muted
+
+  const details = (
+    <div className={`p-3 rounded-lg font-mono text-xs space-y-1 ${theme.inset}`}>
+      <p>PID {p.pid} • {p.user}</p>
+      <p className="break-all">{p.command}</p>
+    </div>
+  )
+
+  if (action.type === 'renice') {
+    return (
+      <ConfirmDialog
+        title="Change priority"
+        confirmLabel="Renice"
+        onConfirm={async () => {
+          await control.renice(p.pid, Number(nice))
+          onDone()
+        }}
+        onClose={onClose}
+      >
+        {details}
+        <label className="flex items-center justify-between gap-3">
+          <span>Nice value <span className={muted}>(-20 highest priority, 19 lowest; now {p.nice ?? '?'})</span></span>
+          <input
+            type="number"
+            min={-20}
+            max={19}
+            value={nice}
+            onChange={e => setNice(e.target.value)}
+            className={`w-20 px-2 py-1 rounded-lg border text-right ${theme.field}`}
+          />
+        </label>
+      </ConfirmDialog>
+    )
+  }
+
+  const label = SIGNAL_LABELS[action.signal]
+  return (
+    <ConfirmDialog
+      title={label.title}
+      confirmLabel={label.verb}
+      danger
+      onConfirm={async () => {
+        await control.signal(p.pid, action.signal)
+        onDone()
+      }}
+      onClose={onClose}
+    >
+      <p>Send {action.signal} to this process? It {label.hint}.</p>
+      {details}
+    </ConfirmDialog>
+  )
+}
+
+export function AuditLog({ entries }) {
+  const theme = useTheme()
+  const muted = theme.muted
+  if (!entries.length) return null
+  return (
+    <div>
+      <h3 className={`text-xs font-semibold uppercase tracking-wide mb-2 ${muted}`}>Recent actions</h3>
+      <ul className="space-y-1 text-xs font-mono">
+        {entries.map((entry, idx) => (
+          <li key={`${entry.at}-${idx}`} className="flex flex-wrap gap-x-2">
+            <span className={muted}>{new Date(entry.at).toLocaleString()}</span>
+            <span className={theme.text}>{entry.user || 'anonymous'}</span>
+            <span>{entry.action} {entry.target}{entry.params?.signal ? ` ${entry.params.signal}` : ''}{entry.params?.nice !== undefined ? ` nice=${entry.params.nice}` : ''}</span>
+            <span className={RESULT_CLASSES[entry.result] || muted}>{entry.result}</span>
+            {entry.error && <span className={muted}>{entry.error}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
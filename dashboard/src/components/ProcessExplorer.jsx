@@ -0,0 +1,257 @@
+import { useState, useMemo } from 'react'
+import { Search, ListTree, List, ChevronRight, ChevronDown, ArrowUp, ArrowDown, Square, XOctagon, Gauge } from 'lucide-react'
+import { formatBytes } from '../lib/format'
+import { SessionBar, ProcessActionDialog, AuditLog } from './ProcessControls'
+import { useTheme } from '../hooks/usePreferences'
+
+const ROW_HEIGHT = 32
+const VISIBLE_ROWS = 14
+// Rows rendered above and below the viewport so fast scrolling stays smooth
+const OVERSCAN = 8
+
+const COLUMNS = [
+  { key: 'pid', label: 'PID', numeric: true },
+  { key: 'ppid', label: 'PPID', numeric: true },
+  { key: 'user', label: 'User' },
+  { key: 'cpu_percent', label: 'CPU%', numeric: true },
+  { key: 'mem_percent', label: 'MEM%', numeric: true },
+  { key: 'rss_bytes', label: 'RSS', numeric: true },
+  { key: 'state', label: 'State' },
+  { key: 'command', label: 'Command' },
+]
+const GRID = 'grid grid-cols-[4.5rem_4.5rem_7rem_4.5rem_4.5rem_5.5rem_3.5rem_minmax(0,1fr)] gap-2 items-center px-3'
+// Same columns plus one for the row actions
+const GRID_WITH_ACTIONS = 'grid grid-cols-[4.5rem_4.5rem_7rem_4.5rem_4.5rem_5.5rem_3.5rem_minmax(0,1fr)_4.5rem] gap-2 items-center px-3'
+
+const STATES = {
+  R: 'Running',
+  S: 'Sleeping',
+  D: 'Disk sleep',
+  Z: 'Zombie',
+  T: 'Stopped',
+  t: 'Traced',
+  I: 'Idle',
+  X: 'Dead',
+}
+
+const compareBy = (key, dir) => (a, b) => {
+  const x = a[key]
+  const y = b[key]
+  const result = typeof x === 'number' ? x - y : String(x).localeCompare(String(y))
+  return dir === 'asc' ? result : -result
+}
+
+// Same idea as search_processes: a case-insensitive regex over the ps line
+function compileSearch(query) {
+  if (!query.trim()) return { test: null, error: null }
+  try {
+    const regex = new RegExp(query, 'i')
+    return { test: p => regex.test(`${p.pid} ${p.ppid} ${p.user} ${p.command}`), error: null }
+  } catch (err) {
+    return { test: null, error: err.message }
+  }
+}
+
+// Depth-first parent/child ordering. With a search active, matching
+// processes keep their ancestors so the tree still reads top-down.
+function buildTree(processes, compare, test, collapsed) {
+  const byPid = new Map(processes.map(p => [p.pid, p]))
+  const children = new Map()
+  for (const p of processes) {
+    const parent = byPid.has(p.ppid) && p.ppid !== p.pid ? p.ppid : 0
+    if (!children.has(parent)) children.set(parent, [])
+    children.get(parent).push(p)
+  }
+
+  let visible = null
+  if (test) {
+    visible = new Set()
+    for (const p of processes) {
+      if (!test(p)) continue
+      for (let node = p; node && !visible.has(node.pid); node = byPid.get(node.ppid)) {
+        visible.add(node.pid)
+      }
+    }
+  }
+
+  const rows = []
+  const walk = (parent, depth) => {
+    const kids = (children.get(parent) || []).filter(p => !visible || visible.has(p.pid)).sort(compare)
+    for (const p of kids) {
+      const hasChildren = children.has(p.pid)
+      rows.push({ ...p, depth, hasChildren, match: !test || test(p) })
+      if (hasChildren && !collapsed.has(p.pid)) walk(p.pid, depth + 1)
+    }
+  }
+  walk(0, 0)
+  return rows
+}
+
+function ProcessExplorer({ processes, error, loading, refresh, control }) {
+  const theme = useTheme()
+  const [sort, setSort] = useState({ key: 'cpu_percent', dir: 'desc' })
+  const [query, setQuery] = useState('')
+  const [treeView, setTreeView] = useState(false)
+  const [collapsed, setCollapsed] = useState(() => new Set())
+  const [scrollTop, setScrollTop] = useState(0)
+  // { type: 'signal' | 'renice', signal, process } awaiting confirmation
+  const [action, setAction] = useState(null)
+
+  const search = useMemo(() => compileSearch(query), [query])
+
+  const rows = useMemo(() => {
+    const list = processes || []
+    const compare = compareBy(sort.key, sort.dir)
+    if (treeView) return buildTree(list, compare, search.test, collapsed)
+    return (search.test ? list.filter(search.test) : list).slice().sort(compare)
+  }, [processes, sort, treeView, search, collapsed])
+
+  const toggleSort = (key) => {
+    setSort(prev => prev.key === key
+      ? { key, dir: prev.dir === 'asc' ? 'desc' : 'asc' }
+      : { key, dir: COLUMNS.find(c => c.key === key).numeric ? 'desc' : 'asc' })
+  }
+
+  const toggleCollapsed = (pid) => {
+    setCollapsed(prev => {
+      const next = new Set(prev)
+      if (next.has(pid)) next.delete(pid)
+      else next.add(pid)
+      return next
+    })
+  }
+
+  const first = Math.max(Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN, 0)
+  const last = Math.min(first + VISIBLE_ROWS + OVERSCAN * 2, rows.length)
+  const muted = theme.muted
+  const strong = theme.text
+  const canControl = control?.canSignal
+  const grid = canControl ? GRID_WITH_ACTIONS : GRID
+
+  if (loading) return <p className={`text-sm py-6 text-center ${muted}`}>Loading processes...</p>
+  if (!processes && error) {
+    return (
+      <p className={`text-sm py-6 text-center ${muted}`}>
+        Process list unavailable: {error}. It needs the collector service (<code>npm run server</code>).
+      </p>
+    )
+  }
+
+  return (
+    <div className="space-y-3">
+      {/* Toolbar */}
+      <div className="flex flex-col md:flex-row md:items-center gap-3">
+        <div className={`flex items-center gap-2 flex-1 px-3 py-2 rounded-lg border ${theme.field} ${search.error ? '!border-red-500/50' : ''}`}>
+          <Search className={`w-4 h-4 ${muted}`} />
+          <input
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            placeholder="Filter by regex, e.g. ^nginx|postgres"
+            className={`flex-1 bg-transparent text-sm font-mono focus:outline-none ${strong}`}
+          />
+        </div>
+        <span className={`text-xs ${muted}`}>
+          {rows.length} of {processes?.length || 0} processes
+        </span>
+        <button
+          onClick={() => setTreeView(!treeView)}
+          className={`flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-medium transition-all ${treeView
+              ? 'bg-blue-500/20 text-blue-400 border border-blue-500/30'
+              : `border ${theme.button}`
+            }`}
+        >
+          {treeView ? <ListTree className="w-4 h-4" /> : <List className="w-4 h-4" />}
+          {treeView ? 'Tree' : 'Flat'}
+        </button>
+      </div>
+      {control && <SessionBar control={control} />}
+      {search.error && <p className="text-xs text-red-400">Invalid regex: {search.error}</p>}
+      {error && <p className="text-xs text-yellow-400">Showing the last list received: {error}</p>}
+
+      {/* Table */}
+      <div className={`rounded-lg border overflow-hidden ${theme.border}`}>
+        <div className={`${grid} h-9 text-xs font-semibold ${theme.tableHead}`}>
+          {COLUMNS.map(column => (
+            <button
+              key={column.key}
+              onClick={() => toggleSort(column.key)}
+              className={`flex items-center gap-1 ${column.numeric ? 'justify-end' : ''} hover:text-blue-400`}
+            >
+              {column.label}
+              {sort.key === column.key && (sort.dir === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+            </button>
+          ))}
+          {canControl && <span />}
+        </div>
+        <div
+          className="overflow-y-auto"
+          style={{ height: ROW_HEIGHT * VISIBLE_ROWS }}
+          onScroll={e => setScrollTop(e.currentTarget.scrollTop)}
+        >
+          <div style={{ height: rows.length * ROW_HEIGHT, position: 'relative' }}>
+            {rows.slice(first, last).map((p, i) => (
+              <div
+                key={p.pid}
+                className={`${grid} absolute inset-x-0 text-xs font-mono border-t ${theme.row} ${p.match === false ? 'opacity-50' : ''}`}
+                style={{ top: (first + i) * ROW_HEIGHT, height: ROW_HEIGHT }}
+              >
+                <span className={`text-right ${strong}`}>{p.pid}</span>
+                <span className={`text-right ${muted}`}>{p.ppid}</span>
+                <span className={`truncate ${muted}`}>{p.user}</span>
+                <span className={`text-right ${p.cpu_percent > 50 ? 'text-red-400' : strong}`}>{p.cpu_percent.toFixed(1)}</span>
+                <span className={`text-right ${p.mem_percent > 20 ? 'text-yellow-400' : strong}`}>{p.mem_percent.toFixed(1)}</span>
+                <span className={`text-right ${muted}`}>{formatBytes(p.rss_bytes)}</span>
+                <span className={muted} title={STATES[p.state] || p.state}>{p.state}</span>
+                <span className={`flex items-center min-w-0 ${strong}`} title={p.command}>
+                  {treeView && (
+                    <span className="shrink-0 flex items-center" style={{ paddingLeft: p.depth * 12 }}>
+                      {p.hasChildren ? (
+                        <button onClick={() => toggleCollapsed(p.pid)} className={`${muted} hover:text-blue-400`}>
+                          {collapsed.has(p.pid) ? <ChevronRight className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+                        </button>
+                      ) : (
+                        <span className="w-3" />
+                      )}
+                    </span>
+                  )}
+                  <span className="truncate ml-1">{p.command}</span>
+                </span>
+                {canControl && (
+                  <span className="flex items-center justify-end gap-1">
+                    <button onClick={() => setAction({ type: 'signal', signal: 'SIGTERM', process: p })} title="Terminate (SIGTERM)" className={`${muted} hover:text-yellow-400`}>
+                      <Square className="w-3.5 h-3.5" />
+                    </button>
+                    <button onClick={() => setAction({ type: 'signal', signal: 'SIGKILL', process: p })} title="Kill (SIGKILL)" className={`${muted} hover:text-red-400`}>
+                      <XOctagon className="w-3.5 h-3.5" />
+                    </button>
+                    <button onClick={() => setAction({ type: 'renice', process: p })} title="Renice" className={`${muted} hover:text-blue-400`}>
+                      <Gauge className="w-3.5 h-3.5" />
+                    </button>
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+          {!rows.length && (
+            <p className={`text-sm py-6 text-center ${muted}`}>
+              {query ? 'No matching processes.' : 'No processes reported.'}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {control?.user && <AuditLog entries={control.audit} />}
+
+      {action && (
+        <ProcessActionDialog
+          action={action}
+          control={control}
+          onDone={refresh}
+          onClose={() => setAction(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default ProcessExplorer
@@ -0,0 +1,131 @@
+import { useState } from 'react'
+import { Play, Pause, Upload, Circle, Square, X, History } from 'lucide-react'
+import { REPLAY_SPEEDS } from '../hooks/useReplay'
+import { fetchRecording } from '../hooks/useRecordings'
+import { parseRecording, readRecordingFile } from '../lib/report'
+import { formatBytes } from '../lib/format'
+import { useTheme } from '../hooks/usePreferences'
+
+// Picks a recording to replay (collector recordings or an uploaded file),
+// then shows the transport controls while it plays through the dashboard.
+function ReplayPanel({ replay, recordings, canRecord, onClose }) {
+  const theme = useTheme()
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(null)
+  const muted = theme.muted
+  const strong = theme.text
+  const button = `flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium border ${theme.button}`
+
+  const open = async (name, read) => {
+    setLoading(name)
+    setError(null)
+    try {
+      const { snapshots, skipped } = await read()
+      if (!snapshots.length) throw new Error(`${name} has no usable snapshots`)
+      replay.load(name, snapshots)
+      if (skipped) setError(`${skipped} unreadable line${skipped === 1 ? '' : 's'} skipped`)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(null)
+    }
+  }
+
+  const toggleRecording = async () => {
+    setError(null)
+    try {
+      await (recordings.recording ? recordings.stop() : recordings.start())
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <div className={`mb-6 p-4 rounded-xl border ${theme.card}`}>
+      <div className="flex items-center justify-between gap-3 mb-3">
+        <h2 className={`flex items-center gap-2 font-semibold ${strong}`}>
+          <History className="w-5 h-5 text-purple-400" />
+          {replay.active ? `Replaying ${replay.name}` : 'Replay a recording'}
+        </h2>
+        <button onClick={replay.active ? replay.exit : onClose} className={`${button}`}>
+          <X className="w-3 h-3" /> {replay.active ? 'Back to live' : 'Close'}
+        </button>
+      </div>
+
+      {replay.active ? (
+        <div className="flex flex-col md:flex-row md:items-center gap-3">
+          <button onClick={replay.playing ? replay.pause : replay.play} className="p-2 rounded-lg bg-purple-600 hover:bg-purple-700 text-white">
+            {replay.playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+          </button>
+          <select
+            value={replay.speed}
+            onChange={e => replay.setSpeed(Number(e.target.value))}
+            className={`px-2 py-1.5 rounded-lg text-xs border ${theme.button}`}
+          >
+            {REPLAY_SPEEDS.map(speed => <option key={speed} value={speed}>{speed}x</option>)}
+          </select>
+          <input
+            type="range"
+            min={0}
+            max={replay.length - 1}
+            value={replay.index}
+            onChange={e => replay.seek(Number(e.target.value))}
+            className="flex-1 accent-purple-500"
+          />
+          <span className={`text-xs font-mono whitespace-nowrap ${muted}`}>
+            {new Date(replay.timestamp).toLocaleString()} • {replay.index + 1}/{replay.length}
+          </span>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {recordings.error && !recordings.files.length ? (
+            <p className={`text-xs ${muted}`}>Collector recordings unavailable: {recordings.error}</p>
+          ) : (
+            <ul className="space-y-1 max-h-48 overflow-y-auto">
+              {recordings.files.map(file => (
+                <li key={file.name} className="flex items-center justify-between gap-3 text-xs">
+                  <span className={`font-mono truncate ${strong}`}>
+                    {file.name}
+                    {file.active && <span className="ml-2 text-red-400">recording</span>}
+                  </span>
+                  <span className="flex items-center gap-3 shrink-0">
+                    <span className={muted}>{formatBytes(file.bytes)}</span>
+                    <button onClick={() => open(file.name, () => fetchRecording(file.name))} disabled={loading !== null} className="text-purple-400 hover:text-purple-300">
+                      {loading === file.name ? 'Loading...' : 'Replay'}
+                    </button>
+                  </span>
+                </li>
+              ))}
+              {!recordings.files.length && <li className={`text-xs ${muted}`}>No recordings on the collector yet.</li>}
+            </ul>
+          )}
+          <div className="flex flex-wrap items-center gap-2">
+            <label className={`${button} cursor-pointer`}>
+              <Upload className="w-3 h-3" /> Open file
+              <input
+                type="file"
+                accept=".json,.ndjson,.jsonl,.gz"
+                className="hidden"
+                onChange={e => {
+                  const file = e.target.files[0]
+                  if (file) open(file.name, async () => parseRecording(await readRecordingFile(file)))
+                  e.target.value = ''
+                }}
+              />
+            </label>
+            {canRecord && (
+              <button onClick={toggleRecording} className={button}>
+                {recordings.recording
+                  ? <><Square className="w-3 h-3 text-red-400" /> Stop recording</>
+                  : <><Circle className="w-3 h-3 text-red-400" /> Start recording</>}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+      {error && <p className="text-xs mt-2 text-yellow-400">{error}</p>}
+    </div>
+  )
+}
+
+export default ReplayPanel
@@ -0,0 +1,89 @@
+import { Line } from 'react-chartjs-2'
+import { formatMetric } from '../lib/format'
+import { findingMarkers } from '../lib/chartMarkers'
+import { useTheme } from '../hooks/usePreferences'
+
+// Drag across the chart to select a range; options.plugins.dragZoom.onZoom
+// receives the first and last selected label indexes.
+const dragZoom = {
+  id: 'dragZoom',
+  afterEvent(chart, args, options) {
+    const { event } = args
+    const area = chart.chartArea
+    const x = Math.min(Math.max(event.x, area.left), area.right)
+    if (event.type === 'mousedown') {
+      chart.$dragZoom = { from: x, to: x }
+    } else if (event.type === 'mousemove' && chart.$dragZoom) {
+      chart.$dragZoom.to = x
+      args.changed = true
+    } else if ((event.type === 'mouseup' || event.type === 'mouseout') && chart.$dragZoom) {
+      const { from, to } = chart.$dragZoom
+      chart.$dragZoom = null
+      args.changed = true
+      // Anything narrower than a few pixels was a click, not a drag
+      if (event.type === 'mouseup' && Math.abs(to - from) > 4) {
+        const scale = chart.scales.x
+        const first = Math.round(scale.getValueForPixel(Math.min(from, to)))
+        const last = Math.round(scale.getValueForPixel(Math.max(from, to)))
+        if (last > first) options.onZoom?.(first, last)
+      }
+    }
+  },
+  afterDraw(chart) {
+    if (!chart.$dragZoom) return
+    const { from, to } = chart.$dragZoom
+    const { ctx, chartArea } = chart
+    ctx.save()
+    ctx.fillStyle = 'rgba(59, 130, 246, 0.15)'
+    ctx.fillRect(Math.min(from, to), chartArea.top, Math.abs(to - from), chartArea.bottom - chartArea.top)
+    ctx.restore()
+  },
+}
+
+// labels and values are already cut to the visible window; onZoom gets
+// indexes relative to that window, and markers come from markersFor
+function ReportChart({ labels, values, unit, color = '59, 130, 246', markers = [], onZoom }) {
+  const theme = useTheme()
+  const tick = theme.chart.tick
+  const data = {
+    labels,
+    datasets: [{
+      data: values,
+      borderColor: `rgb(${color})`,
+      backgroundColor: `rgba(${color}, 0.1)`,
+      borderWidth: 1.5,
+      fill: true,
+      tension: 0.2,
+      pointRadius: 0,
+      spanGaps: false,
+    }],
+  }
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    events: ['mousedown', 'mousemove', 'mouseup', 'mouseout'],
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { display: false },
+      tooltip: { callbacks: { label: (ctx) => formatMetric(ctx.parsed.y, unit) } },
+      dragZoom: { onZoom },
+      findingMarkers: { markers },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        max: unit === 'percent' ? 100 : undefined,
+        grid: { color: theme.chart.grid },
+        ticks: { color: tick, maxTicksLimit: 4, callback: (v) => formatMetric(v, unit) },
+      },
+      x: {
+        grid: { display: false },
+        ticks: { color: tick, maxTicksLimit: 6, maxRotation: 0 },
+      },
+    },
+  }
+  return <Line data={data} options={options} plugins={[dragZoom, findingMarkers]} />
+}
+
+export default ReportChart
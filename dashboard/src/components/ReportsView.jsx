@@ -0,0 +1,266 @@
+import { useState, useMemo } from 'react'
+import { Database, Upload, FileDown, Printer, ZoomOut, History } from 'lucide-react'
+import ReportChart from './ReportChart'
+import FindingsList from './FindingsList'
+import { apiRequest } from '../lib/api'
+import { METRICS, METRIC_INFO } from '../lib/metrics'
+import { formatMetric } from '../lib/format'
+import { parseRecording, readRecordingFile, sessionFromSnapshots, sessionFromHistory, summarizeValues, downsample } from '../lib/report'
+import { renderReportHtml } from '../lib/reportHtml'
+import { analyzeSession } from '../lib/analysis'
+import { markersFor } from '../lib/chartMarkers'
+import { useRecordings, fetchRecording } from '../hooks/useRecordings'
+import { useTheme } from '../hooks/usePreferences'
+
+// Points drawn per chart; statistics always use every sample
+const CHART_POINTS = 500
+
+const STORED_RANGES = [
+  { id: '1h', label: 'Last hour', seconds: 60 * 60 },
+  { id: '24h', label: 'Last 24h', seconds: 24 * 60 * 60 },
+  { id: '7d', label: 'Last 7 days', seconds: 7 * 24 * 60 * 60 },
+  { id: '30d', label: 'Last 30 days', seconds: 30 * 24 * 60 * 60 },
+]
+
+const timeLabel = (t, spanMs) => new Date(t).toLocaleString([], spanMs > 24 * 60 * 60 * 1000
+  ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+  : { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+
+const fileStamp = (t) => new Date(t).toISOString().slice(0, 16).replace(/[-:T]/g, '')
+
+function downloadFile(name, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = name
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Loads a recorded session (the collector's stored history, one of its
+// recordings, or an uploaded snapshot file) and charts every metric in it.
+function ReportsView({ hostname }) {
+  const theme = useTheme()
+  const [report, setReport] = useState(null)
+  const [zoom, setZoom] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [recordingName, setRecordingName] = useState('')
+  const recordings = useRecordings({ enabled: true })
+  const muted = theme.muted
+  const strong = theme.text
+  const panel = `p-4 rounded-xl border ${theme.card}`
+  const button = `flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-medium transition-all border ${theme.button}`
+
+  const load = async (describe, fetchSession) => {
+    setLoading(true)
+    setError(null)
+    try {
+      const { session, note } = await fetchSession()
+      if (session.times.length < 2) throw new Error('The recording has fewer than two samples')
+      setReport({ session, source: describe, note })
+      setZoom(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadStored = (range) => load(`${range.label} from the collector`, async () => {
+    const to = Date.now()
+    const params = new URLSearchParams({ metric: Object.keys(METRICS).join(','), from: to - range.seconds * 1000, to })
+    const body = await apiRequest(`/api/history?${params}`)
+    return { session: sessionFromHistory(body, hostname) }
+  })
+
+  const fromSnapshots = ({ snapshots, skipped }) => ({
+    session: sessionFromSnapshots(snapshots),
+    note: skipped ? `${skipped} line${skipped === 1 ? '' : 's'} skipped as unreadable or invalid` : null,
+  })
+
+  const loadRecording = (name) => load(name, async () => fromSnapshots(await fetchRecording(name)))
+
+  const loadFile = (file) => load(file.name, async () => fromSnapshots(parseRecording(await readRecordingFile(file))))
+
+  const view = useMemo(() => {
+    if (!report) return null
+    const { times, series } = report.session
+    const start = zoom?.start ?? 0
+    const end = zoom?.end ?? times.length - 1
+    const windowTimes = times.slice(start, end + 1)
+    const span = windowTimes[windowTimes.length - 1] - windowTimes[0]
+    const windowSeries = Object.fromEntries(Object.entries(series).map(([name, values]) => [name, values.slice(start, end + 1)]))
+    const findings = analyzeSession({ times: windowTimes, series: windowSeries })
+    const metrics = Object.entries(windowSeries).map(([name, windowValues]) => {
+      const sampled = downsample(windowTimes, windowValues, CHART_POINTS)
+      return {
+        name,
+        ...(METRIC_INFO[name] || { label: name, unit: 'count' }),
+        stats: summarizeValues(windowValues),
+        labels: sampled.times.map(t => timeLabel(t, span)),
+        values: sampled.values,
+        size: sampled.size,
+        markers: markersFor(findings, sampled.times, [name]),
+      }
+    })
+    return { start, end, windowTimes, metrics, findings }
+  }, [report, zoom])
+
+  const zoomTo = (size) => (first, last) => {
+    setZoom({
+      start: view.start + first * size,
+      end: Math.min(view.start + last * size + size - 1, view.end),
+    })
+  }
+
+  const html = () => renderReportHtml(report.session, { start: view.start, end: view.end, source: report.source, findings: view.findings })
+
+  const exportHtml = () => {
+    downloadFile(`report-${report.session.hostname || 'host'}-${fileStamp(view.windowTimes[0])}.html`, html(), 'text/html')
+  }
+
+  // The browser's print dialog turns the same offline page into a PDF
+  const exportPdf = () => {
+    const win = window.open('', '_blank')
+    if (!win) {
+      setError('The browser blocked the print window; allow pop-ups for this page')
+      return
+    }
+    win.document.write(html())
+    win.document.close()
+    win.focus()
+    win.print()
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Source */}
+      <div className={panel}>
+        <h2 className={`text-lg font-semibold mb-3 ${strong}`}>Reports</h2>
+        <div className="flex flex-col md:flex-row md:items-center gap-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <Database className={`w-4 h-4 ${muted}`} />
+            {STORED_RANGES.map(range => (
+              <button key={range.id} onClick={() => loadStored(range)} disabled={loading} className={button}>
+                {range.label}
+              </button>
+            ))}
+          </div>
+          {recordings.files.length > 0 && (
+            <div className="flex items-center gap-2">
+              <History className={`w-4 h-4 ${muted}`} />
+              <select
+                value={recordingName || recordings.files[0].name}
+                onChange={e => setRecordingName(e.target.value)}
+                className={`px-2 py-2 rounded-lg text-xs border font-mono ${theme.button}`}
+              >
+                {recordings.files.map(file => <option key={file.name} value={file.name}>{file.name}</option>)}
+              </select>
+              <button onClick={() => loadRecording(recordingName || recordings.files[0].name)} disabled={loading} className={button}>
+                Open
+              </button>
+            </div>
+          )}
+          <label className={`${button} cursor-pointer md:ml-auto`}>
+            <Upload className="w-4 h-4" />
+            Open recording (.json, .ndjson, .gz)
+            <input
+              type="file"
+              accept=".json,.ndjson,.jsonl,.gz"
+              className="hidden"
+              onChange={e => {
+                if (e.target.files[0]) loadFile(e.target.files[0])
+                e.target.value = ''
+              }}
+            />
+          </label>
+        </div>
+        {loading && <p className={`text-sm mt-3 ${muted}`}>Loading...</p>}
+        {error && <p className="text-sm mt-3 text-red-400">{error}</p>}
+        {!report && !loading && !error && (
+          <p className={`text-sm mt-3 ${muted}`}>
+            Load the collector's stored history or a snapshot recording to chart every metric it contains.
+          </p>
+        )}
+      </div>
+
+      {view && (
+        <>
+          {/* Summary */}
+          <div className={panel}>
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-4">
+              <div>
+                <p className={`font-medium ${strong}`}>{report.session.hostname || 'Unknown host'} • {report.source}</p>
+                <p className={`text-xs ${muted}`}>
+                  {new Date(view.windowTimes[0]).toLocaleString()} to {new Date(view.windowTimes[view.windowTimes.length - 1]).toLocaleString()} • {view.windowTimes.length} samples
+                  {zoom && ' (zoomed)'}
+                </p>
+                {report.note && <p className="text-xs text-yellow-400">{report.note}</p>}
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {zoom && (
+                  <button onClick={() => setZoom(null)} className={button}>
+                    <ZoomOut className="w-4 h-4" /> Reset zoom
+                  </button>
+                )}
+                <button onClick={exportHtml} className={button}>
+                  <FileDown className="w-4 h-4" /> Export HTML
+                </button>
+                <button onClick={exportPdf} className={button}>
+                  <Printer className="w-4 h-4" /> Export PDF
+                </button>
+              </div>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className={`text-xs ${muted}`}>
+                    <th className="text-left font-semibold py-2">Metric</th>
+                    <th className="text-right font-semibold py-2">Avg</th>
+                    <th className="text-right font-semibold py-2">p95</th>
+                    <th className="text-right font-semibold py-2">Max</th>
+                  </tr>
+                </thead>
+                <tbody className="font-mono">
+                  {view.metrics.filter(m => m.stats.count).map(m => (
+                    <tr key={m.name} className={`border-t ${theme.border}`}>
+                      <td className={`py-1.5 font-sans ${muted}`}>{m.label}</td>
+                      <td className={`py-1.5 text-right ${strong}`}>{formatMetric(m.stats.avg, m.unit)}</td>
+                      <td className={`py-1.5 text-right ${strong}`}>{formatMetric(m.stats.p95, m.unit)}</td>
+                      <td className={`py-1.5 text-right ${strong}`}>{formatMetric(m.stats.max, m.unit)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Findings */}
+          <div className={panel}>
+            <p className={`text-sm font-medium mb-3 ${strong}`}>Findings</p>
+            <FindingsList
+              findings={view.findings}
+              empty="No spikes, trends or sustained I/O wait in this period."
+            />
+          </div>
+
+          {/* Charts */}
+          <p className={`text-xs ${muted}`}>Drag across any chart to zoom all of them to that period.</p>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {view.metrics.map(m => (
+              <div key={m.name} className={panel}>
+                <p className={`text-sm font-medium mb-2 ${strong}`}>{m.label}</p>
+                <div className="h-40">
+                  <ReportChart labels={m.labels} values={m.values} unit={m.unit} markers={m.markers} onZoom={zoomTo(m.size)} />
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ReportsView
@@ -0,0 +1,48 @@
+import { useState } from 'react'
+import { FileWarning, ChevronDown, ChevronUp } from 'lucide-react'
+import { useTheme } from '../hooks/usePreferences'
+
+// Lists the problems found in the last snapshot. `fatal` means the payload
+// could not be used at all and the dashboard is still showing older data.
+function SchemaBanner({ validation }) {
+  const theme = useTheme()
+  const [expanded, setExpanded] = useState(false)
+  const { errors, fatal } = validation
+
+  return (
+    <div className={`mb-6 p-4 rounded-xl border ${fatal
+        ? 'bg-red-500/10 border-red-500/50'
+        : 'bg-yellow-500/10 border-yellow-500/50'
+      }`}>
+      <div className="flex items-center gap-3">
+        <FileWarning className={`w-6 h-6 shrink-0 ${fatal ? 'text-red-400' : 'text-yellow-400'}`} />
+        <div className="flex-1 min-w-0">
+          <p className={`font-medium ${theme.text}`}>
+            {fatal ? 'Snapshot rejected' : 'Snapshot failed validation'}
+          </p>
+          <p className={`text-xs ${theme.muted}`}>
+            {errors.length} problem{errors.length === 1 ? '' : 's'} in system_data.json
+            {fatal ? ' • showing the last valid snapshot' : ' • affected values may be missing'}
+          </p>
+        </div>
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className={`flex items-center gap-1 text-xs ${theme.subtle} hover:opacity-80`}
+        >
+          Details {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        </button>
+      </div>
+      {expanded && (
+        <ul className={`mt-3 space-y-1 text-xs font-mono ${theme.subtle}`}>
+          {errors.map((error, idx) => (
+            <li key={idx}>
+              <span className={fatal ? 'text-red-400' : 'text-yellow-400'}>{error.path}</span> {error.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default SchemaBanner
@@ -0,0 +1,144 @@
+import { Fan, Thermometer } from 'lucide-react'
+import { useTheme } from '../hooks/usePreferences'
+import { Sparkline } from './ui'
+import { formatTemp } from '../lib/format'
+
+// Used for colouring when a driver publishes no thresholds
+const DEFAULT_HIGH = 80
+// Within this many degrees of "high" counts as warm
+const WARM_MARGIN = 10
+
+const LEVELS = {
+  normal: { text: 'text-green-400', stroke: 'stroke-green-500', line: 'rgb(34, 197, 94)' },
+  warm: { text: 'text-yellow-400', stroke: 'stroke-yellow-500', line: 'rgb(234, 179, 8)' },
+  high: { text: 'text-orange-400', stroke: 'stroke-orange-500', line: 'rgb(249, 115, 22)' },
+  critical: { text: 'text-red-400', stroke: 'stroke-red-500', line: 'rgb(239, 68, 68)' },
+}
+
+const sensorLevel = ({ celsius, high_celsius: high, critical_celsius: critical }) => {
+  if (critical !== null && critical !== undefined && celsius >= critical) return 'critical'
+  const limit = high ?? DEFAULT_HIGH
+  if (celsius >= limit) return 'high'
+  return celsius >= limit - WARM_MARGIN ? 'warm' : 'normal'
+}
+
+// The gauge runs from 0 to the critical limit, or a bit past "high"
+const gaugeMax = (t) => t.critical_celsius ?? Math.max((t.high_celsius ?? DEFAULT_HIGH) + 20, 100)
+
+function Gauge({ sensor, trackClass }) {
+  const level = LEVELS[sensorLevel(sensor)]
+  const fill = Math.min(Math.max(sensor.celsius / gaugeMax(sensor), 0), 1) * 100
+  const arc = 'M 8 40 A 32 32 0 0 1 72 40'
+  return (
+    <svg width="80" height="46" viewBox="0 0 80 46" className="shrink-0">
+      <path d={arc} pathLength="100" fill="none" strokeWidth="7" strokeLinecap="round" className={trackClass} />
+      <path d={arc} pathLength="100" fill="none" strokeWidth="7" strokeLinecap="round" strokeDasharray={`${fill} 100`} className={level.stroke} />
+      <text x="40" y="40" textAnchor="middle" className={`text-sm font-bold fill-current ${level.text}`}>
+        {formatTemp(sensor.celsius)}
+      </text>
+    </svg>
+  )
+}
+
+// Groups items by chip, keeping the collector's order
+const byChip = (items) => {
+  const groups = new Map()
+  for (const item of items) groups.set(item.chip, [...(groups.get(item.chip) || []), item])
+  return [...groups]
+}
+
+// Every hwmon sensor, thermal zone and fan from the collector's sensors
+// section. history maps sensor id -> recent readings in °C.
+function ThermalsPanel({ sensors, history }) {
+  const theme = useTheme()
+
+  if (!sensors) {
+    return <p className={`text-sm ${theme.muted}`}>Sensor readings come from the collector service (npm run server).</p>
+  }
+  if (!sensors.temperatures.length && !sensors.fans.length) {
+    return (
+      <div className={`flex flex-col items-center justify-center h-32 ${theme.faint}`}>
+        <Thermometer className="w-12 h-12 mb-2 opacity-50" />
+        <p>No temperature sensors or fans found</p>
+        <p className="text-xs mt-1">Virtual machines often have none. In Docker, mount the host /sys and set HOST_SYS.</p>
+      </div>
+    )
+  }
+
+  const trackClass = theme.stroke
+  const hottest = sensors.temperatures.reduce((best, t) => (!best || t.celsius > best.celsius ? t : best), null)
+
+  return (
+    <div className="space-y-4">
+      {hottest && (
+        <p className={`text-xs ${theme.muted}`}>
+          {sensors.temperatures.length} sensor{sensors.temperatures.length === 1 ? '' : 's'}, hottest{' '}
+          <span className={LEVELS[sensorLevel(hottest)].text}>{hottest.chip} {hottest.label} at {formatTemp(hottest.celsius)}</span>
+          {sensors.fans.length > 0 && `, ${sensors.fans.length} fan${sensors.fans.length === 1 ? '' : 's'}`}
+        </p>
+      )}
+
+      {/* Temperatures, one block per chip or zone */}
+      {byChip(sensors.temperatures).map(([chip, readings]) => (
+        <div key={chip}>
+          <h4 className={`text-xs font-semibold uppercase tracking-wide mb-2 ${theme.muted}`}>{chip}</h4>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+            {readings.map(t => {
+              const samples = history[t.id] || []
+              return (
+                <div key={t.id} className={`flex items-center gap-3 p-3 rounded-lg ${theme.inset}`}>
+                  <Gauge sensor={t} trackClass={trackClass} />
+                  <div className="min-w-0 flex-1 space-y-1">
+                    <p className={`text-sm truncate ${theme.text}`} title={`${t.id} (${t.source})`}>{t.label}</p>
+                    <p className={`text-xs ${theme.faint}`}>
+                      {t.high_celsius !== null && `high ${formatTemp(t.high_celsius)}`}
+                      {t.high_celsius !== null && t.critical_celsius !== null && ' • '}
+                      {t.critical_celsius !== null && `crit ${formatTemp(t.critical_celsius)}`}
+                      {t.high_celsius === null && t.critical_celsius === null && 'no thresholds'}
+                    </p>
+                    {samples.length > 1 && (
+                      <Sparkline
+                        series={[{ color: LEVELS[sensorLevel(t)].line, values: samples }]}
+                        width={100}
+                        height={20}
+                        min={Math.max(Math.min(...samples) - 5, 0)}
+                      />
+                    )}
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      ))}
+
+      {/* Fans */}
+      {sensors.fans.length > 0 && (
+        <div>
+          <h4 className={`text-xs font-semibold uppercase tracking-wide mb-2 ${theme.muted}`}>Fans</h4>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+            {sensors.fans.map(fan => {
+              const stopped = fan.rpm === 0
+              const low = fan.min_rpm !== null && fan.rpm < fan.min_rpm
+              return (
+                <div key={fan.id} className={`flex items-center gap-3 p-3 rounded-lg ${theme.inset}`}>
+                  <Fan className={`w-5 h-5 shrink-0 ${stopped ? theme.faint : low ? 'text-red-400' : 'text-blue-400'}`} />
+                  <div className="min-w-0 flex-1">
+                    <p className={`text-sm truncate ${theme.text}`} title={fan.id}>{fan.chip} {fan.label}</p>
+                    <p className={`text-xs font-mono ${low ? 'text-red-400' : theme.muted}`}>
+                      {fan.rpm} RPM
+                      {fan.max_rpm !== null && ` of ${fan.max_rpm}`}
+                      {low && ` (min ${fan.min_rpm})`}
+                    </p>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ThermalsPanel
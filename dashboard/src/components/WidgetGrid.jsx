@@ -0,0 +1,75 @@
+import { useState } from 'react'
+import { GripVertical, Minus, Plus, X } from 'lucide-react'
+import { WIDGETS } from '../lib/layout'
+import { useTheme } from '../hooks/usePreferences'
+
+// Column spans per layout width. Narrow widgets pair up on small screens;
+// everything else takes the full row until the large breakpoint.
+const SPAN_CLASSES = {
+  2: 'col-span-6 md:col-span-4 lg:col-span-2',
+  3: 'col-span-6 md:col-span-4 lg:col-span-3',
+  4: 'col-span-12 md:col-span-6 lg:col-span-4',
+  6: 'col-span-12 lg:col-span-6',
+  8: 'col-span-12 lg:col-span-8',
+  12: 'col-span-12',
+}
+
+// Places the layout's widgets on a 12-column grid. In editing mode each
+// one can be dragged onto another to move it there, resized or removed.
+// widgets maps ids to elements; ids without one (e.g. collector-only
+// widgets on a remote host) are skipped.
+function WidgetGrid({ layout, widgets, editing, onMove, onResize, onRemove }) {
+  const theme = useTheme()
+  const [dragging, setDragging] = useState(null)
+  const [over, setOver] = useState(null)
+  const tool = `p-1 rounded ${theme.subtle} ${theme.cardHover}`
+
+  return (
+    <div className="grid grid-cols-12 gap-4 md:gap-6 mb-6 items-start">
+      {layout.widgets.filter(w => widgets[w.id]).map(w => (
+        <div
+          key={w.id}
+          className={`${SPAN_CLASSES[w.w]} ${editing ? `rounded-xl outline-dashed outline-2 outline-offset-2 ${over === w.id && dragging !== w.id ? 'outline-blue-500' : theme.outline}` : ''}`}
+          draggable={editing}
+          onDragStart={e => {
+            e.dataTransfer.effectAllowed = 'move'
+            setDragging(w.id)
+          }}
+          onDragOver={e => {
+            if (!dragging) return
+            e.preventDefault()
+            setOver(w.id)
+          }}
+          onDrop={e => {
+            e.preventDefault()
+            if (dragging) onMove(dragging, w.id)
+            setDragging(null)
+            setOver(null)
+          }}
+          onDragEnd={() => {
+            setDragging(null)
+            setOver(null)
+          }}
+        >
+          {editing && (
+            <div className={`flex items-center justify-between gap-1 px-2 py-1 text-xs ${theme.muted}`}>
+              <span className="flex items-center gap-1 min-w-0 cursor-move">
+                <GripVertical className="w-4 h-4 shrink-0" />
+                <span className="truncate">{WIDGETS[w.id].title}</span>
+              </span>
+              <span className="flex items-center shrink-0">
+                <button onClick={() => onResize(w.id, -1)} className={tool} title="Narrower"><Minus className="w-3 h-3" /></button>
+                <span className="w-8 text-center font-mono">{w.w}/12</span>
+                <button onClick={() => onResize(w.id, 1)} className={tool} title="Wider"><Plus className="w-3 h-3" /></button>
+                <button onClick={() => onRemove(w.id)} className={`${tool} ml-1`} title="Remove"><X className="w-3 h-3" /></button>
+              </span>
+            </div>
+          )}
+          {widgets[w.id]}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default WidgetGrid
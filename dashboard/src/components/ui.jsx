@@ -0,0 +1,150 @@
+import { TrendingUp, TrendingDown, ChevronDown, ChevronUp } from 'lucide-react'
+import { useTheme } from '../hooks/usePreferences'
+
+// Shared building blocks for dashboard cards. Colours come from the
+// theme in PreferencesProvider.
+export function QuickStat({ icon, label, value, color, trend, onClick, selected }) {
+  const theme = useTheme()
+  const colorClasses = {
+    blue: 'from-blue-500/20 to-blue-600/20 border-blue-500/30 hover:border-blue-500',
+    purple: 'from-purple-500/20 to-purple-600/20 border-purple-500/30 hover:border-purple-500',
+    cyan: 'from-cyan-500/20 to-cyan-600/20 border-cyan-500/30 hover:border-cyan-500',
+    red: 'from-red-500/20 to-red-600/20 border-red-500/30 hover:border-red-500',
+    green: 'from-green-500/20 to-green-600/20 border-green-500/30 hover:border-green-500',
+    orange: 'from-orange-500/20 to-orange-600/20 border-orange-500/30 hover:border-orange-500',
+  }
+
+  return (
+    <div
+      onClick={onClick}
+      className={`p-4 rounded-xl bg-gradient-to-br ${colorClasses[color]} border backdrop-blur-sm cursor-pointer transition-all hover:scale-105 ${selected ? `ring-2 ring-offset-2 ${theme.ring} ring-blue-500` : ''
+        }`}
+    >
+      <div className={`flex items-center gap-2 ${theme.muted} mb-2`}>
+        {icon}
+        <span className="text-xs font-medium">{label}</span>
+        {trend && (
+          trend === 'up'
+            ? <TrendingUp className="w-3 h-3 text-red-400 ml-auto" />
+            : <TrendingDown className="w-3 h-3 text-green-400 ml-auto" />
+        )}
+      </div>
+      <p className={`text-xl font-bold ${theme.text}`}>{value}</p>
+    </div>
+  )
+}
+
+export function CollapsibleCard({ title, icon, color, expanded, onToggle, children }) {
+  const theme = useTheme()
+  const colorClasses = {
+    blue: 'bg-blue-500/20',
+    purple: 'bg-purple-500/20',
+    cyan: 'bg-cyan-500/20',
+    green: 'bg-green-500/20',
+    orange: 'bg-orange-500/20',
+    slate: 'bg-slate-500/20',
+    red: 'bg-red-500/20',
+    yellow: 'bg-yellow-500/20',
+  }
+
+  return (
+    <div className={`rounded-2xl ${theme.card} border overflow-hidden transition-all`}>
+      <div
+        className={`flex items-center justify-between p-4 cursor-pointer ${theme.cardHover} transition-colors`}
+        onClick={onToggle}
+      >
+        <div className="flex items-center gap-3">
+          <div className={`p-2 ${colorClasses[color]} rounded-lg`}>
+            {icon}
+          </div>
+          <h2 className={`text-lg font-semibold ${theme.text}`}>
+            {title}
+          </h2>
+        </div>
+        {expanded ? <ChevronUp className={`w-5 h-5 ${theme.muted}`} /> : <ChevronDown className={`w-5 h-5 ${theme.muted}`} />}
+      </div>
+      {expanded && (
+        <div className="p-4 pt-0">
+          {children}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export function ProgressBar({ value, color, showPercent }) {
+  const theme = useTheme()
+  const colorClasses = {
+    blue: 'bg-blue-500',
+    purple: 'bg-purple-500',
+    cyan: 'bg-cyan-500',
+    green: 'bg-green-500',
+    orange: 'bg-orange-500',
+    red: 'bg-red-500',
+    yellow: 'bg-yellow-500',
+  }
+
+  return (
+    <div className="relative">
+      <div className={`h-2 ${theme.track} rounded-full overflow-hidden`}>
+        <div
+          className={`h-full ${colorClasses[color]} rounded-full transition-all duration-500`}
+          style={{ width: `${Math.min(value, 100)}%` }}
+        />
+      </div>
+      {showPercent && (
+        <span className={`absolute right-0 -top-5 text-xs ${theme.muted}`}>
+          {value}%
+        </span>
+      )}
+    </div>
+  )
+}
+
+export function MiniStat({ label, value }) {
+  const theme = useTheme()
+  return (
+    <div className={`p-2 ${theme.inset} rounded-lg text-center`}>
+      <p className={`text-xs ${theme.muted} uppercase`}>{label}</p>
+      <p className={`font-bold text-sm ${theme.text}`}>{value}</p>
+    </div>
+  )
+}
+
+export function InfoCard({ label, value }) {
+  const theme = useTheme()
+  return (
+    <div className={`p-3 ${theme.well} rounded-lg`}>
+      <p className={`text-xs ${theme.faint} uppercase mb-1`}>{label}</p>
+      <p className={`text-sm font-medium truncate ${theme.text}`} title={value}>
+        {value}
+      </p>
+    </div>
+  )
+}
+
+export function LegendItem({ color, label }) {
+  const theme = useTheme()
+  return (
+    <div className="flex items-center gap-2">
+      <span className="w-3 h-3 rounded-full" style={{ backgroundColor: color }}></span>
+      <span className={`text-sm ${theme.muted}`}>{label}</span>
+    </div>
+  )
+}
+
+// Tiny line chart; every series shares the same y scale starting at min
+// (zero unless given, e.g. for temperatures that never get near it)
+export function Sparkline({ series, width = 120, height = 28, min = 0 }) {
+  const max = Math.max(min + 1, ...series.flatMap(s => s.values))
+  const points = (values) => values
+    .map((v, i) => `${values.length > 1 ? (i / (values.length - 1)) * width : 0},${height - ((v - min) / (max - min)) * (height - 2) - 1}`)
+    .join(' ')
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className="shrink-0">
+      {series.map(s => (
+        <polyline key={s.color} points={points(s.values)} fill="none" stroke={s.color} strokeWidth="1.5" strokeLinejoin="round" />
+      ))}
+    </svg>
+  )
+}
@@ -0,0 +1,74 @@
+import { useState, useEffect, useCallback } from 'react'
+import { apiRequest } from '../lib/api'
+
+const RULES_URL = '/api/alerts/rules'
+const EVENTS_URL = '/api/alerts/events'
+// Safety net for when the stream is down and pushed events are missed
+const REFRESH_MS = 30000
+
+// Alert rules and events from the collector. `receive` takes events pushed
+// over the snapshot stream so the drawer updates without waiting to poll.
+export function useAlerts() {
+  const [rules, setRules] = useState([])
+  const [events, setEvents] = useState([])
+  const [error, setError] = useState(null)
+
+  const refresh = useCallback(async () => {
+    try {
+      const [nextRules, nextEvents] = await Promise.all([
+        apiRequest(RULES_URL),
+        apiRequest(EVENTS_URL),
+      ])
+      setRules(nextRules)
+      setEvents(nextEvents)
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [])
+
+  useEffect(() => {
+    // Deferred so the first load is not a synchronous setState in the effect
+    const initial = setTimeout(refresh, 0)
+    const timer = setInterval(refresh, REFRESH_MS)
+    return () => {
+      clearTimeout(initial)
+      clearInterval(timer)
+    }
+  }, [refresh])
+
+  const receive = useCallback((event) => {
+    setEvents(prev => [event, ...prev.filter(e => e.id !== event.id)])
+    setRules(prev => prev.map(rule => (
+      rule.id === event.rule_id ? { ...rule, firing: event.status === 'firing' } : rule
+    )))
+  }, [])
+
+  // Runs a mutation, then reloads so local state matches the server
+  const mutate = useCallback(async (path, method, body) => {
+    try {
+      await apiRequest(path, { method, body })
+      await refresh()
+    } catch (err) {
+      setError(err.message)
+      throw err
+    }
+  }, [refresh])
+
+  const unacknowledged = events.filter(e => e.status === 'firing' && !e.acknowledged && !e.silenced).length
+
+  return {
+    rules,
+    events,
+    error,
+    unacknowledged,
+    refresh,
+    receive,
+    createRule: (rule) => mutate(RULES_URL, 'POST', rule),
+    updateRule: (id, changes) => mutate(`${RULES_URL}/${id}`, 'PUT', changes),
+    deleteRule: (id) => mutate(`${RULES_URL}/${id}`, 'DELETE'),
+    silenceRule: (id, minutes) => mutate(`${RULES_URL}/${id}/silence`, 'POST', { minutes }),
+    acknowledge: (id) => mutate(`${EVENTS_URL}/${id}/ack`, 'POST'),
+    acknowledgeAll: () => mutate(`${EVENTS_URL}/ack`, 'POST'),
+  }
+}
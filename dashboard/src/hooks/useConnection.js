@@ -0,0 +1,25 @@
+import { useState, useEffect } from 'react'
+import { connectionState, staleAfterMs } from '../lib/freshness'
+
+// How often staleness is re-checked while no new snapshot arrives
+const CHECK_MS = 1000
+
+// Classifies the host view's data as connected, stale, disconnected or demo
+// (see lib/freshness). sampleTime is the last good snapshot's own timestamp
+// in ms. Staleness is only tracked while `enabled`, so a paused dashboard or
+// a replay is not flagged.
+export function useConnection({ enabled, demo, failures, sampleTime, interval }) {
+  const [stale, setStale] = useState(false)
+
+  useEffect(() => {
+    const check = () => setStale(enabled && (sampleTime === null || Date.now() - sampleTime > staleAfterMs(interval)))
+    const first = setTimeout(check, 0)
+    const timer = setInterval(check, CHECK_MS)
+    return () => {
+      clearTimeout(first)
+      clearInterval(timer)
+    }
+  }, [enabled, sampleTime, interval])
+
+  return connectionState({ demo, failures, stale })
+}
@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react'
+import { apiRequest } from '../lib/api'
+
+// Matching sockets to owners reads every process's fd table; never refresh
+// faster than this
+const MIN_REFRESH_MS = 2000
+
+// Polls the collector's /api/connections while enabled.
+export function useConnections({ enabled, interval }) {
+  const [state, setState] = useState({ connections: null, complete: true, timestamp: null, error: null })
+
+  useEffect(() => {
+    if (!enabled) return
+    let cancelled = false
+
+    const load = async () => {
+      try {
+        const body = await apiRequest('/api/connections')
+        if (!cancelled) setState({ connections: body.connections, complete: body.complete, timestamp: body.timestamp, error: null })
+      } catch (err) {
+        if (!cancelled) setState(prev => ({ ...prev, error: err.message }))
+      }
+    }
+
+    load()
+    const timer = setInterval(load, Math.max(interval * 1000, MIN_REFRESH_MS))
+    return () => {
+      cancelled = true
+      clearInterval(timer)
+    }
+  }, [enabled, interval])
+
+  return { ...state, loading: enabled && state.connections === null && !state.error }
+}
@@ -0,0 +1,77 @@
+import { useState, useEffect, useCallback } from 'react'
+import { apiRequest } from '../lib/api'
+
+const AUDIT_LIMIT = 20
+
+// Session state and the guarded process/service actions of the collector.
+// The session lives in an HttpOnly cookie, so the token never stays in the page.
+export function useControl() {
+  const [user, setUser] = useState(null)
+  const [settings, setSettings] = useState({ enabled: false, units: [] })
+  const [audit, setAudit] = useState([])
+  const [error, setError] = useState(null)
+
+  const refreshAudit = useCallback(async () => {
+    try {
+      setAudit(await apiRequest(`/api/audit?limit=${AUDIT_LIMIT}`))
+    } catch {
+      setAudit([])
+    }
+  }, [])
+
+  const refresh = useCallback(async () => {
+    try {
+      const me = await apiRequest('/api/auth/me')
+      setUser(me.user)
+      setSettings(me.control)
+      setError(null)
+      if (me.user) await refreshAudit()
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [refreshAudit])
+
+  useEffect(() => {
+    // Deferred so the first load is not a synchronous setState in the effect
+    const initial = setTimeout(refresh, 0)
+    return () => clearTimeout(initial)
+  }, [refresh])
+
+  const login = useCallback(async (token) => {
+    setUser(await apiRequest('/api/auth/login', { method: 'POST', body: { token } }))
+    await refreshAudit()
+  }, [refreshAudit])
+
+  const logout = useCallback(async () => {
+    await apiRequest('/api/auth/logout', { method: 'POST' })
+    setUser(null)
+    setAudit([])
+  }, [])
+
+  // Errors are rethrown for the confirmation dialog to show; the audit log
+  // is reloaded either way since refused attempts are recorded too
+  const act = useCallback(async (path, body) => {
+    try {
+      return await apiRequest(path, { method: 'POST', body })
+    } finally {
+      refreshAudit()
+    }
+  }, [refreshAudit])
+
+  return {
+    user,
+    enabled: settings.enabled,
+    units: settings.units,
+    canControl: Boolean(user?.permissions.includes('control')),
+    // Refused by the collector when it lists another PID namespace's processes
+    canSignal: Boolean(user?.permissions.includes('control')) && settings.processes?.allowed !== false,
+    processRefusal: settings.processes?.reason ?? null,
+    audit,
+    error,
+    login,
+    logout,
+    signal: (pid, signal) => act(`/api/processes/${pid}/signal`, { signal }),
+    renice: (pid, nice) => act(`/api/processes/${pid}/renice`, { nice }),
+    restartUnit: (unit) => act(`/api/services/${encodeURIComponent(unit)}/restart`),
+  }
+}
@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react'
+import { apiRequest } from '../lib/api'
+
+// Findings change slowly; history rolls up by the minute
+const REFRESH_MS = 60000
+
+// Rule-based findings from the collector over the last `seconds`.
+export function useFindings({ enabled, seconds }) {
+  const [state, setState] = useState({ findings: [], error: null, loaded: false })
+
+  useEffect(() => {
+    if (!enabled) return
+    let cancelled = false
+    const load = async () => {
+      const to = Date.now()
+      try {
+        const body = await apiRequest(`/api/findings?${new URLSearchParams({ from: to - seconds * 1000, to })}`)
+        if (!cancelled) setState({ findings: body.findings, error: null, loaded: true })
+      } catch (err) {
+        if (!cancelled) setState(prev => ({ ...prev, error: err.message, loaded: true }))
+      }
+    }
+    const initial = setTimeout(load, 0)
+    const timer = setInterval(load, REFRESH_MS)
+    return () => {
+      cancelled = true
+      clearTimeout(initial)
+      clearInterval(timer)
+    }
+  }, [enabled, seconds])
+
+  return state
+}
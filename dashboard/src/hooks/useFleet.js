@@ -0,0 +1,107 @@
+import { useState, useEffect, useCallback } from 'react'
+import { normalizeSnapshot } from '../lib/schema'
+import { staleAfterMs } from '../lib/freshness'
+
+export const LOCAL_AGENT = { name: 'This host', url: '/data/system_data.json', local: true }
+
+// Optional deployment-wide list of agents: [{ "name": "...", "url": "..." }]
+const AGENTS_URL = '/data/agents.json'
+const STORAGE_KEY = 'fleet-agents'
+const FETCH_TIMEOUT_MS = 5000
+// Older than this by its own timestamp (generous, to tolerate clock skew)
+const MAX_SNAPSHOT_AGE_MS = 5 * 60 * 1000
+
+// Accepts either an agent's base URL or the full path to its JSON
+export function agentSnapshotUrl(url) {
+  const trimmed = url.trim().replace(/\/+$/, '')
+  return trimmed.endsWith('.json') ? trimmed : `${trimmed}/data/system_data.json`
+}
+
+function loadSavedAgents() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || []
+  } catch {
+    return []
+  }
+}
+
+// Polls every agent's system_data.json and classifies each host as
+// ok, stale (its timestamp stopped advancing) or unreachable.
+export function useFleet({ enabled, interval }) {
+  const [sharedAgents, setSharedAgents] = useState([])
+  const [savedAgents, setSavedAgents] = useState(loadSavedAgents)
+  const [hosts, setHosts] = useState({})
+
+  useEffect(() => {
+    fetch(AGENTS_URL)
+      .then(response => (response.ok ? response.json() : []))
+      .then(list => setSharedAgents(Array.isArray(list) ? list : []))
+      .catch(() => setSharedAgents([]))
+  }, [])
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(savedAgents))
+  }, [savedAgents])
+
+  const agents = [
+    LOCAL_AGENT,
+    ...sharedAgents.map(agent => ({ ...agent, url: agentSnapshotUrl(agent.url), shared: true })),
+    ...savedAgents,
+  ]
+  const agentKey = agents.map(agent => agent.url).join('|')
+  // Treat a snapshot as stale once it has not changed for a few refreshes
+  const staleAfter = staleAfterMs(interval)
+
+  useEffect(() => {
+    if (!enabled) return
+    const urls = agentKey.split('|')
+
+    const pollOne = async (url) => {
+      const checkedAt = Date.now()
+      try {
+        const response = await fetch(`${url}${url.includes('?') ? '&' : '?'}${checkedAt}`, {
+          signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+        })
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+        const { snapshot: data, errors } = normalizeSnapshot(await response.json())
+        if (!data) throw new Error(errors[0].message)
+        setHosts(prev => {
+          const before = prev[url]
+          const changedAt = before?.data?.timestamp === data.timestamp ? before.changedAt : checkedAt
+          const age = checkedAt - Date.parse(data.timestamp)
+          const stale = checkedAt - changedAt > staleAfter || age > MAX_SNAPSHOT_AGE_MS
+          return {
+            ...prev,
+            [url]: { status: stale ? 'stale' : 'ok', data, changedAt, checkedAt, error: null, schemaErrors: errors },
+          }
+        })
+      } catch (err) {
+        setHosts(prev => ({
+          ...prev,
+          [url]: {
+            ...prev[url],
+            status: 'unreachable',
+            checkedAt,
+            error: err.name === 'TimeoutError' ? 'Timed out' : err.message,
+          },
+        }))
+      }
+    }
+
+    const pollAll = () => urls.forEach(pollOne)
+    pollAll()
+    const timer = setInterval(pollAll, interval * 1000)
+    return () => clearInterval(timer)
+  }, [enabled, interval, agentKey, staleAfter])
+
+  const addAgent = useCallback((name, url) => {
+    const agent = { name: name.trim() || url.trim(), url: agentSnapshotUrl(url) }
+    setSavedAgents(prev => [...prev.filter(a => a.url !== agent.url), agent])
+  }, [])
+
+  const removeAgent = useCallback((url) => {
+    setSavedAgents(prev => prev.filter(a => a.url !== url))
+  }, [])
+
+  return { agents, hosts, addAgent, removeAgent }
+}
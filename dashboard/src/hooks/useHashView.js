@@ -0,0 +1,29 @@
+import { useState, useEffect, useCallback } from 'react'
+
+// Views with their own URL, e.g. #/reports; the host view is the bare page
+const VIEWS = ['fleet', 'reports']
+
+const viewFromHash = () => {
+  const name = window.location.hash.replace(/^#\/?/, '')
+  return VIEWS.includes(name) ? name : 'host'
+}
+
+// The current view, kept in the URL hash so views can be bookmarked and
+// the browser's back button works
+export function useHashView() {
+  const [view, setViewState] = useState(viewFromHash)
+
+  useEffect(() => {
+    const onPop = () => setViewState(viewFromHash())
+    window.addEventListener('popstate', onPop)
+    return () => window.removeEventListener('popstate', onPop)
+  }, [])
+
+  const setView = useCallback((next) => {
+    const { pathname, search } = window.location
+    if (viewFromHash() !== next) window.history.pushState(null, '', next === 'host' ? `${pathname}${search}` : `#/${next}`)
+    setViewState(next)
+  }, [])
+
+  return [view, setView]
+}
@@ -0,0 +1,37 @@
+import { useState, useEffect, useCallback } from 'react'
+import { apiRequest } from '../lib/api'
+
+// AI insights from the collector: which provider it is set up for, and the
+// latest analysis. Nothing is requested from the model until analyze().
+export function useInsights({ enabled }) {
+  const [info, setInfo] = useState(null)
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    if (!enabled) return
+    const timer = setTimeout(async () => {
+      try {
+        setInfo(await apiRequest('/api/insights'))
+      } catch (err) {
+        setError(err.message)
+      }
+    }, 0)
+    return () => clearTimeout(timer)
+  }, [enabled])
+
+  const analyze = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      setResult(await apiRequest('/api/insights', { method: 'POST', body: {} }))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  return { info, result, error, loading, analyze }
+}
@@ -0,0 +1,146 @@
+import { useState, useEffect, useCallback } from 'react'
+import { apiRequest } from '../lib/api'
+import { WIDGETS, DEFAULT_LAYOUT, normalizeLayout, resizeWidth, encodeLayout, decodeLayout } from '../lib/layout'
+
+// Named layouts kept in this browser, and the layout in use (including
+// which cards are collapsed) so it survives a reload
+const SAVED_KEY = 'dashboard-layouts'
+const CURRENT_KEY = 'dashboard-layout'
+// Share links carry the layout in ?layout=...
+const SHARE_PARAM = 'layout'
+
+function loadJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback
+  } catch {
+    return fallback
+  }
+}
+
+// A layout opened from a share link wins over the stored one
+function initialLayout() {
+  const code = new URLSearchParams(window.location.search).get(SHARE_PARAM)
+  const shared = code && decodeLayout(code)
+  if (shared) return { ...shared, source: 'shared' }
+  const stored = loadJson(CURRENT_KEY, null)
+  const layout = normalizeLayout(stored)
+  return layout ? { ...layout, source: stored.source || 'unsaved' } : { ...DEFAULT_LAYOUT, source: 'default' }
+}
+
+// { source, name } identifies where a layout came from: the built-in
+// default, this browser, the collector, a share link, or nowhere (unsaved)
+export function useLayouts() {
+  const [layout, setLayout] = useState(initialLayout)
+  const [saved, setSaved] = useState(() => loadJson(SAVED_KEY, []).map(normalizeLayout).filter(Boolean))
+  const [server, setServer] = useState([])
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    localStorage.setItem(CURRENT_KEY, JSON.stringify(layout))
+  }, [layout])
+
+  useEffect(() => {
+    localStorage.setItem(SAVED_KEY, JSON.stringify(saved))
+  }, [saved])
+
+  // Drop the share parameter once read, so a reload keeps later edits
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search)
+    if (!params.has(SHARE_PARAM)) return
+    params.delete(SHARE_PARAM)
+    const search = params.toString()
+    window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`)
+  }, [])
+
+  const refreshServer = useCallback(async () => {
+    try {
+      setServer(await apiRequest('/api/layouts'))
+    } catch {
+      // No collector: layouts can still be kept in the browser
+      setServer([])
+    }
+  }, [])
+
+  useEffect(() => {
+    const timer = setTimeout(refreshServer, 0)
+    return () => clearTimeout(timer)
+  }, [refreshServer])
+
+  const sources = { local: saved, server, default: [DEFAULT_LAYOUT] }
+
+  const updateWidgets = (change) => setLayout(prev => ({ ...prev, widgets: change(prev.widgets) }))
+
+  const select = (source, name) => {
+    const chosen = sources[source]?.find(l => l.name === name)
+    if (chosen) setLayout({ name: chosen.name, widgets: chosen.widgets, source })
+  }
+
+  const saveLocal = (name) => {
+    setError(null)
+    const entry = normalizeLayout({ ...layout, name })
+    if (!entry) {
+      setError('A layout needs a name and at least one known widget')
+      return
+    }
+    setSaved(prev => [...prev.filter(l => l.name !== entry.name), entry])
+    setLayout({ ...entry, source: 'local' })
+  }
+
+  const saveServer = async (name) => {
+    setError(null)
+    try {
+      const entry = await apiRequest(`/api/layouts/${encodeURIComponent(name)}`, { method: 'PUT', body: { widgets: layout.widgets } })
+      setLayout({ name: entry.name, widgets: entry.widgets, source: 'server' })
+      await refreshServer()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const removeSaved = async (source, name) => {
+    setError(null)
+    if (source === 'local') {
+      setSaved(prev => prev.filter(l => l.name !== name))
+    } else {
+      try {
+        await apiRequest(`/api/layouts/${encodeURIComponent(name)}`, { method: 'DELETE' })
+        await refreshServer()
+      } catch (err) {
+        setError(err.message)
+        return
+      }
+    }
+    if (layout.source === source && layout.name === name) setLayout(prev => ({ ...prev, source: 'unsaved' }))
+  }
+
+  const original = sources[layout.source]?.find(l => l.name === layout.name)
+  // Changed since it was picked or saved
+  const modified = Boolean(original) && JSON.stringify(original.widgets) !== JSON.stringify(layout.widgets)
+
+  return {
+    layout,
+    modified,
+    saved,
+    server,
+    error,
+    select,
+    saveLocal,
+    saveServer,
+    removeSaved,
+    reset: () => setLayout({ ...DEFAULT_LAYOUT, source: 'default' }),
+    shareUrl: () => `${window.location.origin}${window.location.pathname}?${SHARE_PARAM}=${encodeLayout(layout)}`,
+
+    toggleCollapsed: (id) => updateWidgets(widgets => widgets.map(w => (w.id === id ? { ...w, collapsed: !w.collapsed } : w))),
+    add: (id) => updateWidgets(widgets => [...widgets, { id, w: WIDGETS[id].w, collapsed: false }]),
+    remove: (id) => updateWidgets(widgets => widgets.filter(w => w.id !== id)),
+    resize: (id, step) => updateWidgets(widgets => widgets.map(w => (w.id === id ? { ...w, w: resizeWidth(w.w, step) } : w))),
+    // Moves a widget to just before another one
+    move: (id, beforeId) => updateWidgets(widgets => {
+      if (id === beforeId) return widgets
+      const moving = widgets.find(w => w.id === id)
+      const rest = widgets.filter(w => w.id !== id)
+      const index = rest.findIndex(w => w.id === beforeId)
+      return index === -1 ? [...rest, moving] : [...rest.slice(0, index), moving, ...rest.slice(index)]
+    }),
+  }
+}
@@ -0,0 +1,54 @@
+import { useState, useEffect } from 'react'
+import { apiRequest } from '../lib/api'
+
+export const TIME_RANGES = [
+  { id: 'live', label: 'Live' },
+  { id: '15m', label: '15m', seconds: 15 * 60 },
+  { id: '1h', label: '1h', seconds: 60 * 60 },
+  { id: '24h', label: '24h', seconds: 24 * 60 * 60 },
+  { id: '7d', label: '7d', seconds: 7 * 24 * 60 * 60 },
+]
+
+// Roughly one refetch per new point, but never more often than this
+const MIN_REFRESH_MS = 15000
+
+// Loads rolled-up history for the given metrics from the collector's
+// /api/history endpoint. Returns null series for the 'live' range.
+export function useMetricHistory(rangeId, metrics) {
+  const [result, setResult] = useState({ key: null, series: null, error: null })
+  const range = TIME_RANGES.find(r => r.id === rangeId)
+  const metricList = metrics.join(',')
+  const key = `${rangeId}:${metricList}`
+
+  useEffect(() => {
+    if (!range?.seconds) return
+    let cancelled = false
+
+    const load = async () => {
+      const to = Date.now()
+      const params = new URLSearchParams({
+        metric: metricList,
+        from: to - range.seconds * 1000,
+        to,
+      })
+      try {
+        const body = await apiRequest(`/api/history?${params}`)
+        if (!cancelled) setResult({ key, series: body.series, error: null })
+      } catch (err) {
+        if (!cancelled) setResult({ key, series: null, error: err.message })
+      }
+    }
+
+    load()
+    const timer = setInterval(load, Math.max(range.seconds * 2, MIN_REFRESH_MS))
+    return () => {
+      cancelled = true
+      clearInterval(timer)
+    }
+  }, [range, metricList, key])
+
+  if (!range?.seconds) return { series: null, loading: false, error: null }
+  // Ignore results left over from a previous range until the new one loads
+  if (result.key !== key) return { series: null, loading: true, error: null }
+  return { series: result.series, loading: false, error: result.error }
+}
@@ -0,0 +1,15 @@
+import { createContext, useContext } from 'react'
+import { THEMES } from '../lib/theme'
+
+// Provided by PreferencesProvider:
+// { preferences, setPreference(key, value), reset(), theme }
+export const PreferencesContext = createContext(null)
+
+export function usePreferences() {
+  return useContext(PreferencesContext)
+}
+
+// The resolved theme's class set; dark outside a provider
+export function useTheme() {
+  return useContext(PreferencesContext)?.theme || THEMES.dark
+}
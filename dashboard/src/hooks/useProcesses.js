@@ -0,0 +1,37 @@
+import { useState, useEffect, useCallback } from 'react'
+import { apiRequest } from '../lib/api'
+
+// Walking /proc is not free; never refresh the table faster than this
+const MIN_REFRESH_MS = 2000
+
+// Polls the collector's /api/processes while enabled.
+export function useProcesses({ enabled, interval }) {
+  const [state, setState] = useState({ processes: null, timestamp: null, error: null })
+  // Bumped to reload at once, e.g. right after killing a process
+  const [reloads, setReloads] = useState(0)
+
+  useEffect(() => {
+    if (!enabled) return
+    let cancelled = false
+
+    const load = async () => {
+      try {
+        const body = await apiRequest('/api/processes')
+        if (!cancelled) setState({ processes: body.processes, timestamp: body.timestamp, error: null })
+      } catch (err) {
+        if (!cancelled) setState(prev => ({ ...prev, error: err.message }))
+      }
+    }
+
+    load()
+    const timer = setInterval(load, Math.max(interval * 1000, MIN_REFRESH_MS))
+    return () => {
+      cancelled = true
+      clearInterval(timer)
+    }
+  }, [enabled, interval, reloads])
+
+  const refresh = useCallback(() => setReloads(n => n + 1), [])
+
+  return { ...state, refresh, loading: enabled && state.processes === null && !state.error }
+}
@@ -0,0 +1,42 @@
+import { useState, useEffect, useCallback } from 'react'
+import { apiRequest } from '../lib/api'
+import { parseRecording, readRecordingFile } from '../lib/report'
+
+// Session recordings kept by the collector, and the recorder's state.
+export function useRecordings({ enabled }) {
+  const [state, setState] = useState({ recording: false, name: null, files: [], error: null })
+
+  const refresh = useCallback(async () => {
+    try {
+      const body = await apiRequest('/api/recordings')
+      setState({ recording: body.recording, name: body.name || null, files: body.files, error: null })
+    } catch (err) {
+      setState(prev => ({ ...prev, error: err.message }))
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!enabled) return
+    const timer = setTimeout(refresh, 0)
+    return () => clearTimeout(timer)
+  }, [enabled, refresh])
+
+  const start = useCallback(async () => {
+    await apiRequest('/api/recordings/start', { method: 'POST', body: {} })
+    await refresh()
+  }, [refresh])
+
+  const stop = useCallback(async () => {
+    await apiRequest('/api/recordings/stop', { method: 'POST', body: {} })
+    await refresh()
+  }, [refresh])
+
+  return { ...state, refresh, start, stop }
+}
+
+// Downloads one recording and parses it into snapshots
+export async function fetchRecording(name) {
+  const response = await fetch(`/api/recordings/${encodeURIComponent(name)}`)
+  if (!response.ok) throw new Error(`Could not load ${name} (${response.status})`)
+  return parseRecording(await readRecordingFile(await response.blob(), name))
+}
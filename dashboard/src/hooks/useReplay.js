@@ -0,0 +1,72 @@
+import { useState, useEffect, useCallback } from 'react'
+
+export const REPLAY_SPEEDS = [1, 2, 5, 10, 30]
+
+// Frames fed in when seeking, so the live charts show the lead-up too
+const LEAD_IN = 30
+// Keeps long gaps in a recording (collector restarts) from stalling playback
+const MAX_FRAME_MS = 5000
+
+// Plays a recording back through the normal snapshot handling: onFrame gets
+// each snapshot in turn, onReset clears the charts before a seek.
+export function useReplay({ onFrame, onReset }) {
+  const [replay, setReplay] = useState(null)
+
+  const seek = useCallback((snapshots, index) => {
+    onReset()
+    for (let i = Math.max(index - LEAD_IN + 1, 0); i <= index; i++) onFrame(snapshots[i])
+  }, [onFrame, onReset])
+
+  const load = useCallback((name, snapshots) => {
+    if (!snapshots.length) return
+    seek(snapshots, 0)
+    setReplay({ name, snapshots, index: 0, playing: false, speed: 1 })
+  }, [seek])
+
+  useEffect(() => {
+    if (!replay?.playing) return
+    const { snapshots, index, speed } = replay
+    if (index >= snapshots.length - 1) return
+    const gap = Date.parse(snapshots[index + 1].timestamp) - Date.parse(snapshots[index].timestamp)
+    const timer = setTimeout(() => {
+      onFrame(snapshots[index + 1])
+      setReplay(prev => prev && {
+        ...prev,
+        index: index + 1,
+        // Stop at the end rather than looping
+        playing: index + 1 < snapshots.length - 1 && prev.playing,
+      })
+    }, Math.min(Math.max(gap, 0), MAX_FRAME_MS) / speed)
+    return () => clearTimeout(timer)
+  }, [replay, onFrame])
+
+  const controls = {
+    active: replay !== null,
+    name: replay?.name,
+    index: replay?.index ?? 0,
+    length: replay?.snapshots.length ?? 0,
+    playing: replay?.playing ?? false,
+    speed: replay?.speed ?? 1,
+    timestamp: replay ? replay.snapshots[replay.index].timestamp : null,
+    load,
+    play: () => {
+      if (!replay) return
+      // Playing again from the end starts over
+      const restart = replay.index >= replay.snapshots.length - 1
+      if (restart) seek(replay.snapshots, 0)
+      setReplay({ ...replay, index: restart ? 0 : replay.index, playing: true })
+    },
+    pause: () => setReplay(prev => prev && { ...prev, playing: false }),
+    setSpeed: (speed) => setReplay(prev => prev && { ...prev, speed }),
+    seek: (index) => {
+      if (!replay) return
+      seek(replay.snapshots, index)
+      setReplay({ ...replay, index })
+    },
+    exit: () => {
+      setReplay(null)
+      onReset()
+    },
+  }
+  return controls
+}
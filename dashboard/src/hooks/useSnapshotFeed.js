@@ -0,0 +1,137 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { backoffDelay } from '../lib/freshness'
+import { demoSnapshot } from '../lib/demo'
+
+const STREAM_URL = '/api/stream'
+const SNAPSHOT_URL = '/data/system_data.json'
+// First pause before trying the stream again; doubles while it stays down
+const STREAM_RETRY_MS = 10000
+
+// Subscribes to the collector's SSE stream and falls back to polling
+// system_data.json whenever the stream is not reachable. Alert events pushed
+// on the same stream are handed to onAlert. Pass streamUrl: null to only poll,
+// e.g. for a remote agent's snapshot URL. With demo set, generated snapshots
+// are fed instead and nothing is fetched.
+//
+// Failed polls back off exponentially; `failures` counts them (0 once a
+// snapshot arrives) and `retryAt` says when the next attempt is due.
+export function useSnapshotFeed({
+  enabled,
+  interval,
+  snapshotUrl = SNAPSHOT_URL,
+  streamUrl = STREAM_URL,
+  demo = false,
+  onSnapshot,
+  onError,
+  onAlert,
+}) {
+  const [streaming, setStreaming] = useState(false)
+  // Keyed by URL so switching hosts starts from a clean slate
+  const [failed, setFailed] = useState({ url: snapshotUrl, count: 0, retryAt: null })
+  const failures = useRef({ url: snapshotUrl, count: 0 })
+  const handlers = useRef({ onSnapshot, onError, onAlert })
+
+  useEffect(() => {
+    handlers.current = { onSnapshot, onError, onAlert }
+  })
+
+  const succeeded = useCallback(() => {
+    failures.current = { url: snapshotUrl, count: 0 }
+    setFailed({ url: snapshotUrl, count: 0, retryAt: null })
+  }, [snapshotUrl])
+
+  const failedOnce = useCallback(() => {
+    const count = failures.current.url === snapshotUrl ? failures.current.count + 1 : 1
+    failures.current = { url: snapshotUrl, count }
+    setFailed(prev => ({ url: snapshotUrl, count, retryAt: prev.url === snapshotUrl ? prev.retryAt : null }))
+  }, [snapshotUrl])
+
+  // Resolves to whether a snapshot was delivered
+  const poll = useCallback(async () => {
+    if (demo) {
+      handlers.current.onSnapshot(demoSnapshot())
+      return true
+    }
+    try {
+      const separator = snapshotUrl.includes('?') ? '&' : '?'
+      const response = await fetch(snapshotUrl + separator + Date.now())
+      if (!response.ok) throw new Error(`Data not found (HTTP ${response.status})`)
+      handlers.current.onSnapshot(await response.json())
+      succeeded()
+      return true
+    } catch (err) {
+      failedOnce()
+      handlers.current.onError(err)
+      return false
+    }
+  }, [snapshotUrl, demo, succeeded, failedOnce])
+
+  // Stream: reconnect with growing pauses whenever it drops or never opens
+  useEffect(() => {
+    if (!enabled || demo || !streamUrl || typeof EventSource === 'undefined') return
+    let source
+    let retryTimer
+    let attempts = 0
+
+    const connect = () => {
+      source = new EventSource(streamUrl)
+      source.addEventListener('open', () => {
+        attempts = 0
+        setStreaming(true)
+      })
+      source.addEventListener('snapshot', (event) => {
+        try {
+          handlers.current.onSnapshot(JSON.parse(event.data))
+          succeeded()
+        } catch (err) {
+          handlers.current.onError(err)
+        }
+      })
+      source.addEventListener('alert', (event) => {
+        try {
+          handlers.current.onAlert?.(JSON.parse(event.data))
+        } catch (err) {
+          handlers.current.onError(err)
+        }
+      })
+      source.addEventListener('error', () => {
+        source.close()
+        setStreaming(false)
+        retryTimer = setTimeout(connect, backoffDelay(STREAM_RETRY_MS, attempts++))
+      })
+    }
+
+    connect()
+    return () => {
+      clearTimeout(retryTimer)
+      source?.close()
+      setStreaming(false)
+    }
+  }, [enabled, demo, streamUrl, succeeded])
+
+  // Polling: only while the stream is down. Each poll schedules the next,
+  // waiting longer after every consecutive failure.
+  useEffect(() => {
+    if (!enabled || streaming) return
+    let timer
+    let stopped = false
+
+    const next = async () => {
+      const ok = await poll()
+      if (stopped) return
+      const delay = ok ? interval * 1000 : backoffDelay(interval * 1000, failures.current.count)
+      if (!ok) setFailed(prev => ({ ...prev, retryAt: Date.now() + delay }))
+      timer = setTimeout(next, delay)
+    }
+
+    next()
+    return () => {
+      stopped = true
+      clearTimeout(timer)
+    }
+  }, [enabled, streaming, interval, poll])
+
+  const current = failed.url === snapshotUrl ? failed : { count: 0, retryAt: null }
+  const transport = !enabled ? 'paused' : demo ? 'demo' : streaming ? 'stream' : 'polling'
+  return { transport, refresh: poll, failures: current.count, retryAt: current.retryAt }
+}
@@ -0,0 +1,241 @@
+// Offline health analysis over a session ({ times, series } as built by
+// report.js): spikes against an EWMA baseline, linear trends heading for a
+// limit, and sustained I/O wait. Runs in the collector and the browser
+// alike, with no model or network involved.
+import { METRIC_INFO } from './metrics.js'
+import { formatMetric, formatDuration } from './format.js'
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+// EWMA baseline: smoothing factor, points before it is trusted, and how far
+// above it (in standard deviations) a point counts as a spike
+const EWMA_ALPHA = 0.1
+const EWMA_WARMUP = 20
+const SPIKE_Z = 4
+// Spikes further out than this are critical
+const SPIKE_Z_CRITICAL = 8
+// Smallest deviation treated as noise, per unit, so a flat series does not
+// turn every wobble into a spike. Rates and counts use a share of the mean.
+const NOISE_FLOOR = { percent: 2, celsius: 1.5, watts: 5 }
+const NOISE_SHARE = 0.1
+// Spikes reported per metric, largest first
+const MAX_SPIKES = 5
+
+// Metrics watched for spikes. Only rises are reported; a drop in load is
+// rarely a problem.
+const SPIKE_METRICS = [
+  'cpu', 'cpu_iowait', 'cpu_steal', 'cpu_temp', 'memory', 'swap_used',
+  'network_rx_rate', 'network_tx_rate', 'gpu', 'gpu_temp', 'processes',
+]
+
+// Metrics fitted with a straight line. limit is where the resource runs
+// out (null when unknown), horizon how far ahead an ETA is worth
+// reporting, and minRise the smallest change over the window that counts.
+const TRENDS = [
+  { metric: 'disk', limit: 100, horizon: 30 * DAY, minRise: 1, title: 'Root filesystem filling up' },
+  { metric: 'memory', limit: 100, horizon: 7 * DAY, minRise: 5, title: 'Memory climbing steadily (possible leak)' },
+  { metric: 'swap_used', limit: null, horizon: null, minRise: 256 * 1024 * 1024, title: 'Swap use growing' },
+]
+// Trends need this much history and a fit at least this good (r²)
+const TREND_MIN_SPAN = 30 * MINUTE
+const TREND_MIN_POINTS = 10
+const TREND_MIN_R2 = 0.8
+
+// I/O wait at or above this share of CPU time for this long is reported
+const IOWAIT_PERCENT = 20
+const IOWAIT_CRITICAL_PERCENT = 40
+const IOWAIT_MIN_DURATION = 5 * MINUTE
+
+// Every metric the analysis reads, for fetching history
+export const ANALYZED_METRICS = [...new Set([...SPIKE_METRICS, ...TRENDS.map(t => t.metric), 'cpu_iowait'])]
+
+const SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 }
+
+const infoFor = (metric) => METRIC_INFO[metric] || { label: metric, unit: 'count' }
+
+// 3.2 days -> "~3 days", 5 hours -> "~5 hours"
+function roughly(ms) {
+  if (ms >= 2 * DAY) return `~${Math.round(ms / DAY)} days`
+  if (ms >= 2 * HOUR) return `~${Math.round(ms / HOUR)} hours`
+  return `~${Math.max(Math.round(ms / MINUTE), 1)} minutes`
+}
+
+// Points with a value, as [{ t, v }]
+function present(times, values) {
+  const points = []
+  values.forEach((v, i) => {
+    if (v !== null && v !== undefined && Number.isFinite(v)) points.push({ t: times[i], v })
+  })
+  return points
+}
+
+// Rises more than SPIKE_Z deviations above an exponentially weighted
+// baseline. Consecutive outliers form one episode.
+function detectSpikes(metric, points) {
+  const { label, unit } = infoFor(metric)
+  const episodes = []
+  let mean = null
+  let variance = 0
+  let seen = 0
+  let episode = null
+
+  for (const { t, v } of points) {
+    if (seen >= EWMA_WARMUP) {
+      const floor = NOISE_FLOOR[unit] ?? Math.abs(mean) * NOISE_SHARE
+      const deviation = Math.max(Math.sqrt(variance), floor, Number.EPSILON)
+      const z = (v - mean) / deviation
+      if (z >= SPIKE_Z) {
+        if (!episode) episode = { start: t, end: t, peak: v, z, baseline: mean, deviation, points: 0 }
+        episode.end = t
+        episode.points++
+        if (v > episode.peak) Object.assign(episode, { peak: v, z })
+      } else if (episode) {
+        episodes.push(episode)
+        episode = null
+      }
+    }
+    // Standard EWMA mean and variance update. Outliers are left out so a
+    // spike does not raise its own baseline, unless they last long enough
+    // to be the new normal.
+    if (mean === null) {
+      mean = v
+    } else if (!episode || episode.points >= EWMA_WARMUP) {
+      const diff = v - mean
+      mean += EWMA_ALPHA * diff
+      variance = (1 - EWMA_ALPHA) * (variance + EWMA_ALPHA * diff * diff)
+    }
+    seen++
+  }
+  if (episode) episodes.push(episode)
+
+  return episodes
+    .sort((a, b) => b.z - a.z)
+    .slice(0, MAX_SPIKES)
+    .map(e => ({
+      id: `spike:${metric}:${e.start}`,
+      kind: 'spike',
+      severity: e.z >= SPIKE_Z_CRITICAL ? 'critical' : 'warning',
+      metric,
+      start: e.start,
+      end: e.end,
+      title: `${label} spike`,
+      detail: `${label} peaked at ${formatMetric(e.peak, unit)} against a typical ${formatMetric(e.baseline, unit)} `
+        + `(±${formatMetric(e.deviation, unit)}), ${e.z.toFixed(1)} standard deviations above normal`
+        + `${e.end > e.start ? ` for ${formatDuration((e.end - e.start) / 1000)}` : ''}.`,
+    }))
+}
+
+// Least-squares line through the points: value = intercept + slope * (t - t0)
+function fitLine(points) {
+  const t0 = points[0].t
+  const n = points.length
+  let sx = 0, sy = 0, sxx = 0, sxy = 0, syy = 0
+  for (const { t, v } of points) {
+    const x = t - t0
+    sx += x
+    sy += v
+    sxx += x * x
+    sxy += x * v
+    syy += v * v
+  }
+  const varX = n * sxx - sx * sx
+  const varY = n * syy - sy * sy
+  if (varX === 0) return null
+  const slope = (n * sxy - sx * sy) / varX
+  const intercept = (sy - slope * sx) / n
+  // A flat series fits perfectly but has no trend worth reporting
+  const r2 = varY === 0 ? 0 : ((n * sxy - sx * sy) ** 2) / (varX * varY)
+  return { t0, slope, intercept, r2, at: (t) => intercept + slope * (t - t0) }
+}
+
+function detectTrend(trend, points) {
+  if (points.length < TREND_MIN_POINTS) return null
+  const start = points[0].t
+  const end = points[points.length - 1].t
+  if (end - start < TREND_MIN_SPAN) return null
+  const fit = fitLine(points)
+  if (!fit || fit.slope <= 0 || fit.r2 < TREND_MIN_R2) return null
+  const from = fit.at(start)
+  const to = fit.at(end)
+  if (to - from < trend.minRise) return null
+
+  const { label, unit } = infoFor(trend.metric)
+  const perHour = formatMetric(fit.slope * HOUR, unit)
+  const finding = {
+    id: `trend:${trend.metric}`,
+    kind: 'trend',
+    severity: 'info',
+    metric: trend.metric,
+    start,
+    end,
+    // Fitted values at both ends, for drawing the line
+    from,
+    to,
+    title: trend.title,
+    detail: `${label} rose by ${perHour} per hour over the last ${formatDuration((end - start) / 1000)} (r² ${fit.r2.toFixed(2)}).`,
+  }
+
+  if (trend.limit === null) return finding
+  const eta = (trend.limit - to) / fit.slope
+  if (eta > trend.horizon) return null
+  finding.eta = end + eta
+  finding.severity = eta <= DAY ? 'critical' : eta <= 7 * DAY ? 'warning' : 'info'
+  finding.title = trend.metric === 'disk' ? `Root filesystem full in ${roughly(eta)}` : `${trend.title}: full in ${roughly(eta)}`
+  finding.detail += ` At this rate it reaches ${formatMetric(trend.limit, unit)} in ${roughly(eta)}.`
+  return finding
+}
+
+// Runs of I/O wait above IOWAIT_PERCENT lasting at least IOWAIT_MIN_DURATION
+function detectIowait(points) {
+  const findings = []
+  let run = []
+  const close = () => {
+    if (run.length && run[run.length - 1].t - run[0].t >= IOWAIT_MIN_DURATION) {
+      const avg = run.reduce((sum, p) => sum + p.v, 0) / run.length
+      const peak = Math.max(...run.map(p => p.v))
+      const start = run[0].t
+      const end = run[run.length - 1].t
+      findings.push({
+        id: `iowait:${start}`,
+        kind: 'sustained',
+        severity: avg >= IOWAIT_CRITICAL_PERCENT ? 'critical' : 'warning',
+        metric: 'cpu_iowait',
+        start,
+        end,
+        title: 'Sustained high I/O wait',
+        detail: `I/O wait averaged ${formatMetric(avg, 'percent')} (peak ${formatMetric(peak, 'percent')}) for `
+          + `${formatDuration((end - start) / 1000)}, so processes spent that time stalled on storage. `
+          + 'Check device utilisation and await in the Disk card.',
+      })
+    }
+    run = []
+  }
+  for (const point of points) {
+    if (point.v >= IOWAIT_PERCENT) run.push(point)
+    else close()
+  }
+  close()
+  return findings
+}
+
+// -> [{ id, kind: spike|trend|sustained, severity, metric, start, end,
+//       title, detail, from?, to?, eta? }], most severe first
+export function analyzeSession({ times, series }) {
+  const findings = []
+  const points = (metric) => (series[metric] ? present(times, series[metric]) : [])
+
+  const iowait = detectIowait(points('cpu_iowait'))
+  // An I/O wait spike inside a sustained stretch says the same thing twice
+  const within = (spike) => spike.metric === 'cpu_iowait' && iowait.some(f => spike.start <= f.end && spike.end >= f.start)
+
+  for (const metric of SPIKE_METRICS) findings.push(...detectSpikes(metric, points(metric)).filter(f => !within(f)))
+  for (const trend of TRENDS) {
+    const finding = detectTrend(trend, points(trend.metric))
+    if (finding) findings.push(finding)
+  }
+  findings.push(...iowait)
+
+  return findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || b.end - a.end)
+}
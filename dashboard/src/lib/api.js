@@ -0,0 +1,18 @@
+// Thin wrapper around fetch for the collector's JSON API.
+export async function apiRequest(path, { method = 'GET', body } = {}) {
+  const response = await fetch(path, {
+    method,
+    headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  })
+  let payload = null
+  try {
+    payload = await response.json()
+  } catch {
+    // Not JSON: most likely the collector is not running behind this server
+  }
+  if (!response.ok || payload === null) {
+    throw new Error(payload?.error || `Collector API unavailable (${response.status})`)
+  }
+  return payload
+}
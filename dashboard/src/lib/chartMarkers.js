@@ -0,0 +1,72 @@
+// Chart.js plugin that draws findings from analysis.js over a line chart:
+// spikes and sustained episodes as shaded bands, trends as a dashed fitted
+// line. Pass the output of markersFor as options.plugins.findingMarkers.markers.
+
+export const SEVERITY_COLORS = {
+  critical: '239, 68, 68',
+  warning: '234, 179, 8',
+  info: '59, 130, 246',
+}
+
+const BAND_LABELS = { spike: 'spike', sustained: 'I/O wait' }
+
+// Index of the last time at or before t, i.e. the point whose bucket holds t
+function indexAt(times, t) {
+  let index = -1
+  for (let i = 0; i < times.length && times[i] <= t; i++) index = i
+  return index
+}
+
+// Maps findings for the given metrics onto a chart's time axis. Findings
+// outside the axis are dropped.
+export function markersFor(findings, times, metrics) {
+  if (!findings?.length || !times.length) return []
+  const markers = []
+  for (const f of findings) {
+    if (!metrics.includes(f.metric)) continue
+    if (f.end < times[0] || f.start > times[times.length - 1]) continue
+    const first = Math.max(indexAt(times, f.start), 0)
+    const last = Math.max(indexAt(times, f.end), first)
+    markers.push(f.kind === 'trend'
+      ? { id: f.id, severity: f.severity, first, last, from: f.from, to: f.to }
+      : { id: f.id, severity: f.severity, first, last, label: BAND_LABELS[f.kind] })
+  }
+  return markers
+}
+
+export const findingMarkers = {
+  id: 'findingMarkers',
+  afterDatasetsDraw(chart, args, options) {
+    const markers = options.markers || []
+    if (!markers.length) return
+    const { ctx, chartArea, scales: { x, y } } = chart
+    ctx.save()
+    ctx.beginPath()
+    ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top)
+    ctx.clip()
+    ctx.font = '10px sans-serif'
+    for (const marker of markers) {
+      const color = SEVERITY_COLORS[marker.severity]
+      const left = x.getPixelForValue(marker.first)
+      const right = x.getPixelForValue(marker.last)
+      if (marker.label === undefined) {
+        ctx.strokeStyle = `rgba(${color}, 0.9)`
+        ctx.lineWidth = 1.5
+        ctx.setLineDash([5, 4])
+        ctx.beginPath()
+        ctx.moveTo(left, y.getPixelForValue(marker.from))
+        ctx.lineTo(right, y.getPixelForValue(marker.to))
+        ctx.stroke()
+        ctx.setLineDash([])
+      } else {
+        // At least a few pixels wide, so one-sample spikes stay visible
+        const narrow = right - left < 4
+        ctx.fillStyle = `rgba(${color}, 0.18)`
+        ctx.fillRect(narrow ? left - 2 : left, chartArea.top, narrow ? 4 : right - left, chartArea.bottom - chartArea.top)
+        ctx.fillStyle = `rgb(${color})`
+        ctx.fillText(`▼ ${marker.label}`, left - 4, chartArea.top + 10)
+      }
+    }
+    ctx.restore()
+  },
+}
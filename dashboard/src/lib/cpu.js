@@ -0,0 +1,10 @@
+// CPU time bands in the breakdown chart, each with its history metric.
+// Stacked in this order, busiest kinds of work at the bottom.
+export const CPU_BANDS = [
+  { key: 'user', metric: 'cpu_user', label: 'User', color: '59, 130, 246' },
+  { key: 'nice', metric: 'cpu_nice', label: 'Nice', color: '14, 165, 233' },
+  { key: 'system', metric: 'cpu_system', label: 'System', color: '139, 92, 246' },
+  { key: 'iowait', metric: 'cpu_iowait', label: 'I/O wait', color: '234, 179, 8' },
+  { key: 'irq', metric: 'cpu_irq', label: 'IRQ', color: '249, 115, 22' },
+  { key: 'steal', metric: 'cpu_steal', label: 'Steal', color: '239, 68, 68' },
+]
@@ -0,0 +1,153 @@
+import { SCHEMA_VERSION } from './schema.js'
+
+// Opt-in flag: /?demo or /?demo=1
+export function isDemoMode() {
+  const value = new URLSearchParams(window.location.search).get('demo')
+  return value !== null && value !== '0' && value !== 'false'
+}
+
+// Made-up numbers for trying the dashboard without a collector. Only used
+// when the page is opened with ?demo, never as a fallback for real data.
+export function demoSnapshot() {
+  const GB = 1024 ** 3
+  const MB = 1024 ** 2
+  return {
+    schema_version: SCHEMA_VERSION,
+    timestamp: new Date().toISOString(),
+    hostname: 'localhost',
+    kernel: '5.15.0-generic',
+    uptime_seconds: 183600,
+    load_avg: [0.52, 0.48, 0.45],
+    health: 'Good',
+    cpu: {
+      usage_percent: Math.floor(Math.random() * 30) + 10,
+      model: 'Intel Core i7',
+      temperature_celsius: 45,
+      cores: 8,
+    },
+    memory: {
+      total_bytes: 16 * GB,
+      used_bytes: 8.5 * GB,
+      available_bytes: 7.5 * GB,
+      cached_bytes: 3.2 * GB,
+      usage_percent: 53,
+      swap_total_bytes: 2 * GB,
+      swap_used_bytes: 128 * 1024 ** 2,
+      breakdown: {
+        free_bytes: 4.3 * GB,
+        anon_bytes: (6.2 + Math.random() * 0.4) * GB,
+        page_cache_bytes: 2.9 * GB,
+        shmem_bytes: 0.3 * GB,
+        buffers_bytes: 0.2 * GB,
+        slab_reclaimable_bytes: 0.6 * GB,
+        slab_unreclaimable_bytes: 0.2 * GB,
+        kernel_stack_bytes: 24 * MB,
+        page_tables_bytes: 96 * MB,
+        mapped_bytes: 1.1 * GB,
+        dirty_bytes: 12 * MB,
+        writeback_bytes: 0,
+        swap_cached_bytes: 16 * MB,
+        committed_bytes: 11.4 * GB,
+        commit_limit_bytes: 10 * GB,
+        hugepages_total: 0,
+        hugepages_free: 0,
+        hugepage_size_bytes: 2 * MB,
+      },
+      swap_in_pages: 5120,
+      swap_out_pages: 32768,
+      swap_in_pages_per_sec: 0,
+      swap_out_pages_per_sec: Math.round(Math.random() * 20),
+      oom_kills: 0,
+      top_processes: [
+        { pid: 2241, name: 'firefox', rss_bytes: 1.8 * GB, swap_bytes: 64 * MB },
+        { pid: 1873, name: 'code', rss_bytes: 1.1 * GB, swap_bytes: 0 },
+        { pid: 902, name: 'postgres', rss_bytes: 620 * MB, swap_bytes: 0 },
+        { pid: 1420, name: 'gnome-shell', rss_bytes: 410 * MB, swap_bytes: 12 * MB },
+        { pid: 1, name: 'systemd', rss_bytes: 14 * MB, swap_bytes: 0 },
+      ],
+    },
+    pressure: {
+      cpu: { some: { avg10: 2.1, avg60: 1.4, avg300: 0.9, total_us: 81234567 }, full: { avg10: 0, avg60: 0, avg300: 0, total_us: 0 } },
+      memory: {
+        some: { avg10: Math.round(Math.random() * 80) / 10, avg60: 3.2, avg300: 1.1, total_us: 4512345 },
+        full: { avg10: 0.8, avg60: 0.5, avg300: 0.2, total_us: 1203456 },
+      },
+      io: { some: { avg10: 12.4, avg60: 8.7, avg300: 4.3, total_us: 98765432 }, full: { avg10: 6.1, avg60: 4.2, avg300: 2, total_us: 45678901 } },
+    },
+    disk: {
+      total_bytes: 256 * GB,
+      used_bytes: 128 * GB,
+      available_bytes: 128 * GB,
+      usage_percent: 50,
+      read_bytes: 1024 * 1024 ** 2,
+      written_bytes: 512 * 1024 ** 2,
+      filesystems: [
+        { mount: '/', total_bytes: 256 * GB, used_bytes: 128 * GB, usage_percent: 50 },
+        { mount: '/home', total_bytes: 500 * GB, used_bytes: 175 * GB, usage_percent: 35 },
+      ],
+    },
+    network: {
+      rx_bytes: 1.5 * GB,
+      tx_bytes: 256 * 1024 ** 2,
+      interfaces: [
+        { name: 'eth0', status: 'up' },
+        { name: 'wlan0', status: 'down' },
+      ],
+      sockets: {
+        tcp: {
+          established: 38 + Math.round(Math.random() * 6),
+          syn_sent: 0,
+          syn_recv: 0,
+          fin_wait1: 0,
+          fin_wait2: 1,
+          time_wait: 12 + Math.round(Math.random() * 8),
+          close: 0,
+          close_wait: 2,
+          last_ack: 0,
+          listen: 9,
+          closing: 0,
+          new_syn_recv: 0,
+        },
+        udp: 14,
+        unix: 412,
+      },
+    },
+    gpu: [],
+    sensors: {
+      temperatures: [
+        { id: 'hwmon1/temp1', chip: 'coretemp', label: 'Package id 0', celsius: 45 + Math.round(Math.random() * 6), high_celsius: 80, critical_celsius: 100, source: 'hwmon' },
+        { id: 'hwmon1/temp2', chip: 'coretemp', label: 'Core 0', celsius: 43 + Math.round(Math.random() * 6), high_celsius: 80, critical_celsius: 100, source: 'hwmon' },
+        { id: 'hwmon2/temp1', chip: 'nvme', label: 'Composite', celsius: 38, high_celsius: 84, critical_celsius: 85, source: 'hwmon' },
+        { id: 'thermal_zone0', chip: 'acpitz', label: 'acpitz', celsius: 27.8, high_celsius: null, critical_celsius: 119, source: 'thermal' },
+      ],
+      fans: [
+        { id: 'hwmon3/fan1', chip: 'thinkpad', label: 'fan1', rpm: 2400 + Math.round(Math.random() * 200), min_rpm: null, max_rpm: null },
+      ],
+    },
+    power: {
+      source: 'sysfs',
+      ac_online: false,
+      adapters: [{ id: 'AC', type: 'Mains', online: false }],
+      batteries: [
+        {
+          id: 'BAT0',
+          model: 'SMP 5B10W13975',
+          percent: 72,
+          status: 'discharging',
+          health: null,
+          power_watts: 7.5 + Math.round(Math.random() * 30) / 10,
+          energy_wh: 37.4,
+          energy_full_wh: 52,
+          energy_full_design_wh: 57,
+          time_remaining_seconds: 17400,
+          temperature_celsius: null,
+          cycle_count: 214,
+        },
+      ],
+    },
+    processes: {
+      total: 245,
+      running: 3,
+    },
+  }
+}
@@ -0,0 +1,82 @@
+// Display helpers for the base units used by the snapshot schema
+
+// Binary multiples match df and free; decimal ones match disk vendors
+const BYTE_SCALES = {
+  iec: { base: 1024, units: ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'] },
+  si: { base: 1000, units: ['B', 'kB', 'MB', 'GB', 'TB', 'PB'] },
+}
+
+// Display units from the user's preferences. The collector keeps the defaults.
+let units = { bytes: 'iec', temperature: 'celsius' }
+
+export function setUnits(next) {
+  units = { ...units, ...next }
+}
+
+// 1536 -> "1.5 KiB", or "1.5 kB" with decimal units
+export function formatBytes(bytes, digits = 1) {
+  if (bytes === null || bytes === undefined || !Number.isFinite(bytes)) return 'N/A'
+  const scale = BYTE_SCALES[units.bytes] || BYTE_SCALES.iec
+  let value = bytes
+  let unit = 0
+  while (Math.abs(value) >= scale.base && unit < scale.units.length - 1) {
+    value /= scale.base
+    unit++
+  }
+  return `${unit === 0 ? value : value.toFixed(digits)} ${scale.units[unit]}`
+}
+
+// 183840 -> "2d 3h 4m"
+export function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined || !Number.isFinite(seconds)) return 'N/A'
+  const days = Math.floor(seconds / 86400)
+  const hours = Math.floor((seconds % 86400) / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  const parts = []
+  if (days) parts.push(`${days}d`)
+  if (hours) parts.push(`${hours}h`)
+  if (minutes || !parts.length) parts.push(`${minutes}m`)
+  return parts.join(' ')
+}
+
+// 42 -> "42s", 3725 -> "1h 2m"; for "... ago" labels
+export function formatAge(seconds) {
+  if (seconds === null || seconds === undefined || !Number.isFinite(seconds)) return 'N/A'
+  return seconds < 60 ? `${Math.max(Math.floor(seconds), 0)}s` : formatDuration(seconds)
+}
+
+export function formatTemp(celsius) {
+  if (celsius === null || celsius === undefined || !Number.isFinite(celsius)) return 'N/A'
+  return units.temperature === 'fahrenheit' ? `${Math.round(celsius * 9 / 5 + 32)}°F` : `${Math.round(celsius)}°C`
+}
+
+// Renders nulls from the snapshot as N/A instead of "null%"
+export function formatValue(value, suffix = '') {
+  return value === null || value === undefined ? 'N/A' : `${value}${suffix}`
+}
+
+// 1536 -> "1.5 KiB/s"
+export function formatRate(bytesPerSec) {
+  if (bytesPerSec === null || bytesPerSec === undefined || !Number.isFinite(bytesPerSec)) return 'N/A'
+  return `${formatBytes(Math.round(bytesPerSec))}/s`
+}
+
+const compact = new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 })
+
+// 16777216 -> "16.8M"
+export function formatCount(value) {
+  return value === null || value === undefined || !Number.isFinite(value) ? 'N/A' : compact.format(value)
+}
+
+// Formats a value by the unit kinds in METRIC_INFO
+export function formatMetric(value, unit) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return 'N/A'
+  switch (unit) {
+    case 'percent': return `${value.toFixed(1)}%`
+    case 'bytes': return formatBytes(value)
+    case 'bytes_per_sec': return formatRate(value)
+    case 'celsius': return formatTemp(value)
+    case 'watts': return `${value.toFixed(1)} W`
+    default: return formatCount(value)
+  }
+}
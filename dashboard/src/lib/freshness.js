@@ -0,0 +1,22 @@
+// How fresh the host view's data is. A snapshot counts as stale once its
+// own timestamp is a few refresh intervals old, which assumes the host's
+// clock is roughly in sync with the browser's (NTP).
+
+// Refresh intervals a snapshot may lag before it is stale, and a floor so
+// fast polling does not flag every slow collector cycle
+const STALE_INTERVALS = 3
+const MIN_STALE_MS = 15 * 1000
+// Longest pause between retries once requests keep failing
+const MAX_BACKOFF_MS = 60 * 1000
+
+export const staleAfterMs = (interval) => Math.max(interval * STALE_INTERVALS * 1000, MIN_STALE_MS)
+
+// 1st retry after 2x the base delay, then 4x, 8x... capped at a minute
+export const backoffDelay = (baseMs, failures) => Math.min(baseMs * 2 ** failures, MAX_BACKOFF_MS)
+
+// -> connected | stale | disconnected | demo
+export function connectionState({ demo, failures, stale }) {
+  if (demo) return 'demo'
+  if (failures > 0) return 'disconnected'
+  return stale ? 'stale' : 'connected'
+}
@@ -0,0 +1,83 @@
+// Dashboard layouts: which widgets the host view shows, in what order, how
+// wide each one is on the 12-column grid, and whether its card is
+// collapsed. Shared by the dashboard and the collector's layout store.
+
+export const WIDGET_SIZES = [2, 3, 4, 6, 8, 12]
+
+// Every widget the host view can show, with its default width
+export const WIDGETS = {
+  'quick-cpu': { title: 'CPU stat', w: 2 },
+  'quick-memory': { title: 'Memory stat', w: 2 },
+  'quick-disk': { title: 'Disk stat', w: 2 },
+  'quick-temp': { title: 'CPU temperature stat', w: 2 },
+  'quick-network': { title: 'Network stat', w: 2 },
+  'quick-processes': { title: 'Processes stat', w: 2 },
+  performance: { title: 'Live Performance chart', w: 12 },
+  cpu: { title: 'CPU Utilization', w: 6 },
+  memory: { title: 'Memory Usage', w: 6 },
+  disk: { title: 'Disk Storage', w: 4 },
+  network: { title: 'Network', w: 4 },
+  gpu: { title: 'GPU', w: 4 },
+  thermals: { title: 'Thermals', w: 12 },
+  power: { title: 'Power', w: 6 },
+  system: { title: 'System Information', w: 12 },
+  processes: { title: 'Processes', w: 12 },
+  connections: { title: 'Connections', w: 12 },
+  containers: { title: 'Containers', w: 12 },
+  findings: { title: 'Findings', w: 12 },
+  insights: { title: 'AI Insights', w: 12 },
+}
+
+export const DEFAULT_LAYOUT = {
+  name: 'Default',
+  widgets: Object.entries(WIDGETS).map(([id, widget]) => ({ id, w: widget.w, collapsed: false })),
+}
+
+const MAX_NAME_LENGTH = 60
+
+// Snaps to the nearest allowed width
+const snapWidth = (w) => WIDGET_SIZES.reduce((best, size) => (Math.abs(size - w) < Math.abs(best - w) ? size : best))
+
+// Cleans a layout from storage, a URL or a request: unknown widgets and
+// duplicates are dropped and widths snapped to the grid. Returns null if
+// nothing usable is left.
+export function normalizeLayout(input) {
+  if (!input || !Array.isArray(input.widgets)) return null
+  const seen = new Set()
+  const widgets = []
+  for (const item of input.widgets) {
+    if (!item || !WIDGETS[item.id] || seen.has(item.id)) continue
+    seen.add(item.id)
+    const w = Number(item.w)
+    widgets.push({ id: item.id, w: Number.isFinite(w) ? snapWidth(w) : WIDGETS[item.id].w, collapsed: item.collapsed === true })
+  }
+  if (!widgets.length) return null
+  const name = typeof input.name === 'string' && input.name.trim() ? input.name.trim().slice(0, MAX_NAME_LENGTH) : 'Untitled'
+  return { name, widgets }
+}
+
+// One step wider or narrower on the WIDGET_SIZES scale
+export function resizeWidth(w, step) {
+  const index = WIDGET_SIZES.indexOf(snapWidth(w)) + step
+  return WIDGET_SIZES[Math.min(Math.max(index, 0), WIDGET_SIZES.length - 1)]
+}
+
+// Layouts travel in share links as base64url JSON: { n, w: [[id, width, collapsed]] }
+export function encodeLayout(layout) {
+  const compact = { n: layout.name, w: layout.widgets.map(({ id, w, collapsed }) => (collapsed ? [id, w, 1] : [id, w])) }
+  const bytes = new TextEncoder().encode(JSON.stringify(compact))
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+export function decodeLayout(code) {
+  try {
+    const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'))
+    const compact = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))))
+    return normalizeLayout({
+      name: compact.n,
+      widgets: (compact.w || []).map(([id, w, collapsed]) => ({ id, w, collapsed: collapsed === 1 })),
+    })
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,84 @@
+// A small markdown subset for model output: headings, paragraphs, bullet
+// and numbered lists, and inline **bold**, *italic* and `code`. It builds a
+// plain tree rather than HTML, so nothing from the response is ever
+// injected as markup.
+
+// "a **b** `c`" -> [{ type: 'text', text: 'a ' }, { type: 'bold', text: 'b' }, ...]
+export function parseInline(text) {
+  const parts = []
+  const pattern = /(\*\*[^*]+\*\*|__[^_]+__|`[^`]+`|\*[^*\s][^*]*\*|_[^_\s][^_]*_)/g
+  let last = 0
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > last) parts.push({ type: 'text', text: text.slice(last, match.index) })
+    const token = match[0]
+    if (token.startsWith('**') || token.startsWith('__')) parts.push({ type: 'bold', text: token.slice(2, -2) })
+    else if (token.startsWith('`')) parts.push({ type: 'code', text: token.slice(1, -1) })
+    else parts.push({ type: 'italic', text: token.slice(1, -1) })
+    last = match.index + token.length
+  }
+  if (last < text.length) parts.push({ type: 'text', text: text.slice(last) })
+  return parts
+}
+
+// -> [{ type: 'heading', level, text } | { type: 'paragraph', text } | { type: 'list', ordered, items }]
+export function parseMarkdown(markdown) {
+  const blocks = []
+  let paragraph = []
+  let list = null
+
+  const flush = () => {
+    if (paragraph.length) blocks.push({ type: 'paragraph', text: paragraph.join(' ') })
+    if (list) blocks.push(list)
+    paragraph = []
+    list = null
+  }
+
+  for (const raw of markdown.split('\n')) {
+    const line = raw.trim()
+    const heading = line.match(/^(#{1,6})\s+(.*)$/)
+    const bullet = line.match(/^[-*+]\s+(.*)$/)
+    const numbered = line.match(/^\d+[.)]\s+(.*)$/)
+
+    if (!line) {
+      flush()
+    } else if (heading) {
+      flush()
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2].replace(/#+$/, '').trim() })
+    } else if (bullet || numbered) {
+      const ordered = Boolean(numbered)
+      if (paragraph.length || (list && list.ordered !== ordered)) flush()
+      if (!list) list = { type: 'list', ordered, items: [] }
+      list.items.push((bullet || numbered)[1])
+    } else if (list && /^\s{2,}/.test(raw)) {
+      // Indented continuation of the previous list item
+      list.items[list.items.length - 1] += ` ${line}`
+    } else {
+      if (list) flush()
+      paragraph.push(line)
+    }
+  }
+  flush()
+  return blocks
+}
+
+// Splits into [{ title, blocks }] at the shallowest heading level used more
+// than once, so a lone "# Report" title above the "##" sections does not
+// swallow them. Text before the first heading becomes an untitled section.
+export function splitSections(markdown) {
+  const blocks = parseMarkdown(markdown)
+  const levels = blocks.filter(b => b.type === 'heading').map(b => b.level)
+  const repeated = levels.filter((level, i) => levels.indexOf(level) !== i)
+  const top = Math.min(...(repeated.length ? repeated : levels))
+  const sections = []
+  let current = { title: null, blocks: [] }
+  for (const block of blocks) {
+    if (block.type === 'heading' && block.level === top) {
+      if (current.title || current.blocks.length) sections.push(current)
+      current = { title: block.text, blocks: [] }
+    } else {
+      current.blocks.push(block)
+    }
+  }
+  if (current.title || current.blocks.length) sections.push(current)
+  return sections
+}
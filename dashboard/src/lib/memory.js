@@ -0,0 +1,28 @@
+// Memory composition bands in the Memory card's chart, each with its history
+// metric. Stacked in this order, what applications hold at the bottom.
+export const MEMORY_BANDS = [
+  { key: 'anon', metric: 'memory_anon', label: 'Apps', color: '139, 92, 246' },
+  { key: 'shmem', metric: 'memory_shmem', label: 'Shared', color: '236, 72, 153' },
+  { key: 'slab', metric: 'memory_slab', label: 'Slab', color: '249, 115, 22' },
+  { key: 'other', metric: 'memory_other', label: 'Kernel & other', color: '239, 68, 68' },
+  { key: 'buffers', metric: 'memory_buffers', label: 'Buffers', color: '14, 165, 233' },
+  { key: 'page_cache', metric: 'memory_page_cache', label: 'Page cache', color: '59, 130, 246' },
+]
+
+// Bytes per band from a snapshot's memory section, or null without the
+// collector's breakdown. "other" is whatever meminfo does not itemise:
+// page tables, kernel stacks, vmalloc, huge pages and driver memory.
+export function memoryBands(memory) {
+  const b = memory?.breakdown
+  if (!b || !memory.total_bytes) return null
+  const bands = {
+    anon: b.anon_bytes,
+    shmem: b.shmem_bytes,
+    slab: b.slab_reclaimable_bytes + b.slab_unreclaimable_bytes,
+    buffers: b.buffers_bytes,
+    page_cache: b.page_cache_bytes,
+  }
+  const itemised = Object.values(bands).reduce((a, v) => a + v, 0)
+  bands.other = Math.max(memory.total_bytes - b.free_bytes - itemised, 0)
+  return bands
+}
@@ -0,0 +1,138 @@
+// Numeric metrics read from a snapshot, shared by the collector's history
+// store and the dashboard's reports.
+import { parseNumber as toNumber } from './schema.js'
+import { MEMORY_BANDS, memoryBands } from './memory.js'
+import { CONNECTION_BANDS, connectionBands } from './sockets.js'
+
+// Hard and soft interrupts are charted as one band
+const cpuIrq = (b) => (b ? toNumber(b.irq) + toNumber(b.softirq) : null)
+
+// Hottest hwmon or thermal zone reading, whichever sensor it comes from
+const hottest = (sensors) => {
+  const readings = (sensors?.temperatures || []).map(t => toNumber(t.celsius)).filter(v => v !== null)
+  return readings.length ? Math.max(...readings) : null
+}
+
+// One figure across every GPU: the busiest or hottest card, or the sum
+const gpuValue = (key, combine) => (s) => {
+  const values = (Array.isArray(s.gpu) ? s.gpu : []).map(g => toNumber(g[key])).filter(v => v !== null)
+  return values.length ? combine(values) : null
+}
+const sum = (values) => values.reduce((a, b) => a + b, 0)
+
+const memoryBand = (key) => (s) => toNumber(memoryBands(s.memory)?.[key])
+const connectionBand = (key) => (s) => toNumber(connectionBands(s.network?.sockets)?.[key])
+
+// Share of the last 10 seconds some task waited on the resource
+const stalled = (resource) => (s) => toNumber(s.pressure?.[resource]?.some?.avg10)
+
+const batteries = (s) => (Array.isArray(s.power?.batteries) ? s.power.batteries : [])
+
+// Charge across every battery; several are weighted by capacity when all of
+// them report it
+const batteryPercent = (s) => {
+  const list = batteries(s).filter(b => toNumber(b.percent) !== null)
+  if (!list.length) return null
+  if (list.length > 1 && list.every(b => toNumber(b.energy_wh) !== null && toNumber(b.energy_full_wh) > 0)) {
+    return Math.round((sum(list.map(b => b.energy_wh)) / sum(list.map(b => b.energy_full_wh))) * 1000) / 10
+  }
+  return Math.round((sum(list.map(b => toNumber(b.percent))) / list.length) * 10) / 10
+}
+
+// Watts flowing into the batteries, negative while they discharge
+const batteryPower = (s) => {
+  const flows = batteries(s)
+    .filter(b => toNumber(b.power_watts) !== null && (b.status === 'charging' || b.status === 'discharging'))
+    .map(b => (b.status === 'charging' ? 1 : -1) * toNumber(b.power_watts))
+  return flows.length ? Math.round(sum(flows) * 10) / 10 : null
+}
+
+// Everything the snapshot reports as a number, keyed by history metric name.
+// Units follow the snapshot schema: percent, bytes, °C, watts.
+export const METRICS = {
+  cpu: (s) => toNumber(s.cpu?.usage_percent),
+  cpu_user: (s) => toNumber(s.cpu?.breakdown?.user),
+  cpu_nice: (s) => toNumber(s.cpu?.breakdown?.nice),
+  cpu_system: (s) => toNumber(s.cpu?.breakdown?.system),
+  cpu_iowait: (s) => toNumber(s.cpu?.breakdown?.iowait),
+  cpu_irq: (s) => cpuIrq(s.cpu?.breakdown),
+  cpu_steal: (s) => toNumber(s.cpu?.breakdown?.steal),
+  cpu_temp: (s) => toNumber(s.cpu?.temperature_celsius),
+  temp_max: (s) => hottest(s.sensors),
+  memory: (s) => toNumber(s.memory?.usage_percent),
+  memory_used: (s) => toNumber(s.memory?.used_bytes),
+  swap_used: (s) => toNumber(s.memory?.swap_used_bytes),
+  ...Object.fromEntries(MEMORY_BANDS.map(band => [band.metric, memoryBand(band.key)])),
+  swap_in_rate: (s) => toNumber(s.memory?.swap_in_pages_per_sec),
+  swap_out_rate: (s) => toNumber(s.memory?.swap_out_pages_per_sec),
+  oom_kills: (s) => toNumber(s.memory?.oom_kills),
+  pressure_cpu: stalled('cpu'),
+  pressure_memory: stalled('memory'),
+  pressure_io: stalled('io'),
+  disk: (s) => toNumber(s.disk?.usage_percent),
+  disk_read: (s) => toNumber(s.disk?.read_bytes),
+  disk_written: (s) => toNumber(s.disk?.written_bytes),
+  network_rx: (s) => toNumber(s.network?.rx_bytes),
+  network_tx: (s) => toNumber(s.network?.tx_bytes),
+  network_rx_rate: (s) => toNumber(s.network?.rx_bytes_per_sec),
+  network_tx_rate: (s) => toNumber(s.network?.tx_bytes_per_sec),
+  ...Object.fromEntries(CONNECTION_BANDS.map(band => [band.metric, connectionBand(band.key)])),
+  udp_sockets: (s) => toNumber(s.network?.sockets?.udp),
+  unix_sockets: (s) => toNumber(s.network?.sockets?.unix),
+  gpu: gpuValue('utilization_percent', values => Math.max(...values)),
+  gpu_memory: gpuValue('memory_used_bytes', sum),
+  gpu_temp: gpuValue('temperature_celsius', values => Math.max(...values)),
+  gpu_power: gpuValue('power_watts', sum),
+  battery: batteryPercent,
+  battery_power: batteryPower,
+  processes: (s) => toNumber(s.processes?.total),
+}
+
+// Display name and unit kind for each metric, for charts and reports
+export const METRIC_INFO = {
+  cpu: { label: 'CPU usage', unit: 'percent' },
+  cpu_user: { label: 'CPU user', unit: 'percent' },
+  cpu_nice: { label: 'CPU nice', unit: 'percent' },
+  cpu_system: { label: 'CPU system', unit: 'percent' },
+  cpu_iowait: { label: 'CPU I/O wait', unit: 'percent' },
+  cpu_irq: { label: 'CPU IRQ', unit: 'percent' },
+  cpu_steal: { label: 'CPU steal', unit: 'percent' },
+  cpu_temp: { label: 'CPU temperature', unit: 'celsius' },
+  temp_max: { label: 'Hottest sensor', unit: 'celsius' },
+  memory: { label: 'Memory usage', unit: 'percent' },
+  memory_used: { label: 'Memory used', unit: 'bytes' },
+  swap_used: { label: 'Swap used', unit: 'bytes' },
+  ...Object.fromEntries(MEMORY_BANDS.map(band => [band.metric, { label: `Memory: ${band.label.toLowerCase()}`, unit: 'bytes' }])),
+  swap_in_rate: { label: 'Swap-ins (pages/s)', unit: 'count' },
+  swap_out_rate: { label: 'Swap-outs (pages/s)', unit: 'count' },
+  oom_kills: { label: 'OOM kills (since boot)', unit: 'count' },
+  pressure_cpu: { label: 'CPU pressure (some, 10s)', unit: 'percent' },
+  pressure_memory: { label: 'Memory pressure (some, 10s)', unit: 'percent' },
+  pressure_io: { label: 'I/O pressure (some, 10s)', unit: 'percent' },
+  disk: { label: 'Disk usage', unit: 'percent' },
+  disk_read: { label: 'Disk read (since boot)', unit: 'bytes' },
+  disk_written: { label: 'Disk written (since boot)', unit: 'bytes' },
+  network_rx: { label: 'Network received (since boot)', unit: 'bytes' },
+  network_tx: { label: 'Network sent (since boot)', unit: 'bytes' },
+  network_rx_rate: { label: 'Download rate', unit: 'bytes_per_sec' },
+  network_tx_rate: { label: 'Upload rate', unit: 'bytes_per_sec' },
+  ...Object.fromEntries(CONNECTION_BANDS.map(band => [band.metric, { label: `TCP: ${band.label.toLowerCase()}`, unit: 'count' }])),
+  udp_sockets: { label: 'UDP sockets', unit: 'count' },
+  unix_sockets: { label: 'Unix sockets', unit: 'count' },
+  gpu: { label: 'GPU usage (busiest)', unit: 'percent' },
+  gpu_memory: { label: 'GPU memory used (all)', unit: 'bytes' },
+  gpu_temp: { label: 'GPU temperature (hottest)', unit: 'celsius' },
+  gpu_power: { label: 'GPU power (all)', unit: 'watts' },
+  battery: { label: 'Battery charge', unit: 'percent' },
+  battery_power: { label: 'Battery charge rate (negative on battery)', unit: 'watts' },
+  processes: { label: 'Processes', unit: 'count' },
+}
+
+export function extractMetrics(snapshot) {
+  const values = {}
+  for (const [name, read] of Object.entries(METRICS)) {
+    const value = read(snapshot)
+    if (value !== null) values[name] = value
+  }
+  return values
+}
@@ -0,0 +1,48 @@
+// Dashboard preferences kept in the browser: theme, display units, and how
+// the host view refreshes. Which cards are shown lives in the layout.
+
+export const THEME_OPTIONS = [
+  { id: 'dark', label: 'Dark' },
+  { id: 'light', label: 'Light' },
+  { id: 'high-contrast', label: 'High contrast' },
+  { id: 'system', label: 'Follow OS' },
+]
+
+export const BYTE_UNIT_OPTIONS = [
+  { id: 'iec', label: 'GiB (1024)' },
+  { id: 'si', label: 'GB (1000)' },
+]
+
+export const TEMPERATURE_OPTIONS = [
+  { id: 'celsius', label: '°C' },
+  { id: 'fahrenheit', label: '°F' },
+]
+
+// Seconds between snapshots when polling
+export const REFRESH_INTERVALS = [1, 3, 5, 10]
+
+export const DEFAULT_PREFERENCES = {
+  theme: 'dark',
+  bytes: 'iec',
+  temperature: 'celsius',
+  autoRefresh: true,
+  refreshInterval: 3,
+  // Time range the Live Performance chart opens with
+  defaultRange: 'live',
+}
+
+const oneOf = (options, value, fallback) => (options.some(o => o.id === value) ? value : fallback)
+
+// Fills in defaults and drops values from older or hand-edited storage
+export function normalizePreferences(input) {
+  const p = { ...DEFAULT_PREFERENCES, ...(input && typeof input === 'object' ? input : {}) }
+  const d = DEFAULT_PREFERENCES
+  return {
+    theme: oneOf(THEME_OPTIONS, p.theme, d.theme),
+    bytes: oneOf(BYTE_UNIT_OPTIONS, p.bytes, d.bytes),
+    temperature: oneOf(TEMPERATURE_OPTIONS, p.temperature, d.temperature),
+    autoRefresh: typeof p.autoRefresh === 'boolean' ? p.autoRefresh : d.autoRefresh,
+    refreshInterval: REFRESH_INTERVALS.includes(p.refreshInterval) ? p.refreshInterval : d.refreshInterval,
+    defaultRange: typeof p.defaultRange === 'string' ? p.defaultRange : d.defaultRange,
+  }
+}
@@ -0,0 +1,103 @@
+// Turns a recorded session into per-metric series and summary statistics.
+// A session is either a list of snapshots (an uploaded JSON or NDJSON file)
+// or the collector's stored history for a time range.
+import { normalizeSnapshot } from './schema.js'
+import { METRICS, extractMetrics } from './metrics.js'
+
+// Accepts a JSON array of snapshots, a single snapshot, or NDJSON with one
+// snapshot per line. Lines that fail validation are skipped and counted.
+export function parseRecording(text) {
+  const trimmed = text.trim()
+  let payloads
+  if (trimmed.startsWith('[')) {
+    payloads = JSON.parse(trimmed)
+  } else {
+    payloads = []
+    for (const line of trimmed.split('\n')) {
+      if (!line.trim()) continue
+      try {
+        payloads.push(JSON.parse(line))
+      } catch {
+        payloads.push(null)
+      }
+    }
+  }
+
+  const snapshots = []
+  let skipped = 0
+  for (const payload of payloads) {
+    const { snapshot } = payload ? normalizeSnapshot(payload) : { snapshot: null }
+    if (snapshot && !Number.isNaN(Date.parse(snapshot.timestamp))) snapshots.push(snapshot)
+    else skipped++
+  }
+  snapshots.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+  return { snapshots, skipped }
+}
+
+// Reads an uploaded File or downloaded Blob, un-gzipping .gz files in the
+// browser
+export async function readRecordingFile(file, name = file.name) {
+  if (!name.endsWith('.gz')) return file.text()
+  const stream = file.stream().pipeThrough(new DecompressionStream('gzip'))
+  return new Response(stream).text()
+}
+
+// -> { times: [ms], series: { metric: [value|null] }, hostname }
+export function sessionFromSnapshots(snapshots) {
+  const times = snapshots.map(s => Date.parse(s.timestamp))
+  const series = {}
+  for (const name of Object.keys(METRICS)) series[name] = []
+  snapshots.forEach((snapshot, i) => {
+    const values = extractMetrics(snapshot)
+    for (const name of Object.keys(METRICS)) series[name][i] = values[name] ?? null
+  })
+  return { times, series: dropEmpty(series), hostname: snapshots[0]?.hostname || null }
+}
+
+// /api/history buckets are aligned to the same step for every metric, so
+// they merge onto one shared time axis
+export function sessionFromHistory(body, hostname) {
+  const stamps = new Set()
+  for (const points of Object.values(body.series)) points.forEach(p => stamps.add(p.t))
+  const times = [...stamps].sort((a, b) => a - b)
+  const index = new Map(times.map((t, i) => [t, i]))
+  const series = {}
+  for (const [name, points] of Object.entries(body.series)) {
+    series[name] = new Array(times.length).fill(null)
+    for (const p of points) series[name][index.get(p.t)] = p.avg
+  }
+  return { times, series: dropEmpty(series), hostname }
+}
+
+function dropEmpty(series) {
+  return Object.fromEntries(Object.entries(series).filter(([, values]) => values.some(v => v !== null)))
+}
+
+// Nearest-rank percentile; values must already be sorted
+const percentile = (sorted, p) => sorted[Math.min(Math.ceil((p / 100) * sorted.length) - 1, sorted.length - 1)]
+
+export function summarizeValues(values) {
+  const present = values.filter(v => v !== null && Number.isFinite(v))
+  if (!present.length) return { avg: null, p95: null, max: null, min: null, count: 0 }
+  const sorted = present.slice().sort((a, b) => a - b)
+  return {
+    avg: present.reduce((sum, v) => sum + v, 0) / present.length,
+    p95: percentile(sorted, 95),
+    max: sorted[sorted.length - 1],
+    min: sorted[0],
+    count: present.length,
+  }
+}
+
+// Averages runs of `size` points so a chart never draws more than maxPoints
+export function downsample(times, values, maxPoints) {
+  if (times.length <= maxPoints) return { times, values, size: 1 }
+  const size = Math.ceil(times.length / maxPoints)
+  const out = { times: [], values: [], size }
+  for (let i = 0; i < times.length; i += size) {
+    const chunk = values.slice(i, i + size).filter(v => v !== null)
+    out.times.push(times[i])
+    out.values.push(chunk.length ? chunk.reduce((sum, v) => sum + v, 0) / chunk.length : null)
+  }
+  return out
+}
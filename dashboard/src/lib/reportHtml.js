@@ -0,0 +1,103 @@
+// Builds a self-contained HTML report (inline CSS and SVG, no scripts or
+// CDN assets) so it can be archived, mailed, or printed to PDF offline.
+import { METRIC_INFO } from './metrics.js'
+import { formatMetric } from './format.js'
+import { summarizeValues, downsample } from './report.js'
+
+const CHART_WIDTH = 720
+const CHART_HEIGHT = 160
+const CHART_POINTS = 360
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+function chartSvg(times, values, unit) {
+  const sampled = downsample(times, values, CHART_POINTS)
+  const present = sampled.values.filter(v => v !== null)
+  const max = unit === 'percent' ? 100 : Math.max(...present, 1)
+  const first = sampled.times[0]
+  const span = Math.max(sampled.times[sampled.times.length - 1] - first, 1)
+  const x = (t) => (((t - first) / span) * CHART_WIDTH).toFixed(1)
+  const y = (v) => (CHART_HEIGHT - (v / max) * (CHART_HEIGHT - 4) - 2).toFixed(1)
+
+  // Gaps in the data break the line rather than being bridged
+  const segments = []
+  let current = []
+  sampled.values.forEach((v, i) => {
+    if (v === null) {
+      if (current.length) segments.push(current)
+      current = []
+    } else {
+      current.push(`${x(sampled.times[i])},${y(v)}`)
+    }
+  })
+  if (current.length) segments.push(current)
+
+  const lines = segments.map(points => `<polyline points="${points.join(' ')}" />`).join('')
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none">
+<line x1="0" y1="${CHART_HEIGHT - 1}" x2="${CHART_WIDTH}" y2="${CHART_HEIGHT - 1}" class="axis" />${lines}</svg>
+<div class="scale"><span>${escapeHtml(new Date(first).toLocaleString())}</span><span>max ${escapeHtml(formatMetric(max, unit))}</span><span>${escapeHtml(new Date(first + span).toLocaleString())}</span></div>`
+}
+
+// session: { times, series, hostname }; start/end are indexes into times and
+// findings come from analyzeSession over the same window
+export function renderReportHtml(session, { start = 0, end = session.times.length - 1, source = '', findings = [] } = {}) {
+  const times = session.times.slice(start, end + 1)
+  const from = new Date(times[0]).toLocaleString()
+  const to = new Date(times[times.length - 1]).toLocaleString()
+  const title = `System report: ${session.hostname || 'unknown host'}`
+
+  const rows = []
+  const charts = []
+  for (const [name, allValues] of Object.entries(session.series)) {
+    const values = allValues.slice(start, end + 1)
+    const stats = summarizeValues(values)
+    if (!stats.count) continue
+    const { label, unit } = METRIC_INFO[name] || { label: name, unit: 'count' }
+    rows.push(`<tr><td>${escapeHtml(label)}</td><td>${formatMetric(stats.avg, unit)}</td><td>${formatMetric(stats.p95, unit)}</td><td>${formatMetric(stats.max, unit)}</td></tr>`)
+    charts.push(`<section><h2>${escapeHtml(label)}</h2>${chartSvg(times, values, unit)}</section>`)
+  }
+
+  const findingItems = findings.map(f => `<li class="${f.severity}"><strong>${escapeHtml(f.title)}</strong> ${escapeHtml(f.detail)}</li>`)
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #0f172a; margin: 2rem auto; max-width: 760px; padding: 0 1rem; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 0.95rem; margin: 1.5rem 0 0.5rem; }
+  .meta { color: #475569; font-size: 0.85rem; margin: 0; }
+  table { border-collapse: collapse; width: 100%; margin-top: 1.5rem; font-size: 0.85rem; }
+  th, td { border-bottom: 1px solid #e2e8f0; padding: 0.4rem 0.5rem; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  svg { width: 100%; height: ${CHART_HEIGHT}px; background: #f8fafc; }
+  polyline { fill: none; stroke: #2563eb; stroke-width: 1.5; vector-effect: non-scaling-stroke; }
+  .axis { stroke: #cbd5e1; vector-effect: non-scaling-stroke; }
+  .scale { display: flex; justify-content: space-between; color: #64748b; font-size: 0.75rem; }
+  section { break-inside: avoid; }
+  ul { padding-left: 1.25rem; font-size: 0.85rem; }
+  li { margin-bottom: 0.4rem; }
+  li.critical strong { color: #dc2626; }
+  li.warning strong { color: #ca8a04; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${escapeHtml(from)} to ${escapeHtml(to)} • ${times.length} samples${source ? ` • ${escapeHtml(source)}` : ''}</p>
+<p class="meta">Generated ${escapeHtml(new Date().toLocaleString())}</p>
+<table>
+<thead><tr><th>Metric</th><th>Avg</th><th>p95</th><th>Max</th></tr></thead>
+<tbody>${rows.join('\n')}</tbody>
+</table>
+${findingItems.length ? `<h2>Findings</h2>\n<ul>${findingItems.join('\n')}</ul>` : ''}
+${charts.join('\n')}
+</body>
+</html>
+`
+}
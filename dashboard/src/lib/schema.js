@@ -0,0 +1,636 @@
+// Versioned schema for system_data.json snapshots, with a validator and a
+// migration layer for older payloads. Shared by the dashboard and the
+// collector service, so it must stay free of browser- or Node-only APIs.
+//
+// Version history:
+//   1  unversioned output of generate_json.sh before schema_version existed:
+//      sizes as strings ("1007G", "41.3 MB"), memory in GB, temperatures
+//      like "45°C" or "N/A°C", fabricated cpu.avg/max/min/history
+//   2  numbers in base units (bytes, seconds, percent, °C, watts) with
+//      unit-suffixed keys; null where a reading is unavailable
+//   3  gpu is an array with one entry per card of any vendor (empty when
+//      there is none) instead of a single NVIDIA object with `available`
+//
+// Sections only the collector service can measure (they need two readings
+// in a row, or read sources the script does not) are optional within a
+// version, e.g. cpu.breakdown, memory.breakdown, network.rx_bytes_per_sec,
+// network.sockets, disk.devices, containers, sensors, pressure, power and
+// collector.
+
+import { TCP_STATES } from './sockets.js'
+
+export const SCHEMA_VERSION = 3
+
+const number = { type: 'number' }
+const nullableNumber = { type: ['number', 'null'] }
+const percent = { type: 'number', minimum: 0, maximum: 100 }
+const nullablePercent = { type: ['number', 'null'], minimum: 0, maximum: 100 }
+const bytes = { type: 'number', minimum: 0 }
+const nullableBytes = { type: ['number', 'null'], minimum: 0 }
+const string = { type: 'string' }
+
+// Share of time per /proc/stat mode over the last interval
+const cpuModes = {
+  user: percent,
+  nice: percent,
+  system: percent,
+  idle: percent,
+  iowait: percent,
+  irq: percent,
+  softirq: percent,
+  steal: percent,
+}
+
+const nullableRate = { type: ['number', 'null'], minimum: 0 }
+const nullableCount = { type: ['number', 'null'], minimum: 0 }
+
+// Interface counters since it came up, plus per-second rates over the last
+// interval (null until the collector has two readings)
+const netCounters = {}
+for (const counter of ['rx_bytes', 'tx_bytes', 'rx_packets', 'tx_packets', 'rx_errors', 'tx_errors', 'rx_dropped', 'tx_dropped']) {
+  netCounters[counter] = { type: 'number', minimum: 0 }
+  netCounters[`${counter}_per_sec`] = nullableRate
+}
+
+const socketCount = { type: 'integer', minimum: 0 }
+// Open TCP sockets (IPv4 and IPv6) per state
+const tcpStates = Object.fromEntries(Object.values(TCP_STATES).map(state => [state, socketCount]))
+
+const pressureAverages = {
+  type: ['object', 'null'],
+  required: ['avg10', 'avg60', 'avg300'],
+  properties: {
+    avg10: percent,
+    avg60: percent,
+    avg300: percent,
+    total_us: { type: 'number', minimum: 0 },
+  },
+}
+const pressureResource = {
+  type: ['object', 'null'],
+  required: ['some'],
+  properties: { some: pressureAverages, full: pressureAverages },
+}
+
+// JSON Schema (draft 2020-12 subset) for the current version
+export const SNAPSHOT_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'system_data.v3.schema.json',
+  title: 'System monitor snapshot',
+  type: 'object',
+  required: ['schema_version', 'timestamp', 'hostname', 'cpu', 'memory', 'disk', 'network', 'processes'],
+  properties: {
+    schema_version: { type: 'integer', enum: [SCHEMA_VERSION] },
+    timestamp: { type: 'string', format: 'date-time' },
+    hostname: string,
+    kernel: string,
+    uptime_seconds: { type: 'number', minimum: 0 },
+    load_avg: { type: 'array', items: number },
+    health: { type: 'string', enum: ['Good', 'Warning', 'Critical'] },
+    cpu: {
+      type: 'object',
+      required: ['usage_percent', 'cores'],
+      properties: {
+        usage_percent: percent,
+        model: string,
+        cores: { type: 'integer', minimum: 1 },
+        temperature_celsius: nullableNumber,
+        breakdown: { type: 'object', properties: cpuModes },
+        per_core: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['core', 'usage_percent'],
+            properties: { core: { type: 'integer', minimum: 0 }, usage_percent: percent, ...cpuModes },
+          },
+        },
+      },
+    },
+    memory: {
+      type: 'object',
+      required: ['total_bytes', 'used_bytes', 'usage_percent'],
+      properties: {
+        total_bytes: bytes,
+        used_bytes: bytes,
+        available_bytes: bytes,
+        cached_bytes: bytes,
+        usage_percent: percent,
+        swap_total_bytes: bytes,
+        swap_used_bytes: bytes,
+        // Where the memory is, from /proc/meminfo
+        breakdown: {
+          type: 'object',
+          required: ['free_bytes', 'anon_bytes', 'page_cache_bytes', 'shmem_bytes', 'buffers_bytes'],
+          properties: {
+            free_bytes: bytes,
+            anon_bytes: bytes,
+            // Cached minus shared memory, which cannot be dropped
+            page_cache_bytes: bytes,
+            shmem_bytes: bytes,
+            buffers_bytes: bytes,
+            slab_reclaimable_bytes: bytes,
+            slab_unreclaimable_bytes: bytes,
+            kernel_stack_bytes: bytes,
+            page_tables_bytes: bytes,
+            mapped_bytes: bytes,
+            dirty_bytes: bytes,
+            writeback_bytes: bytes,
+            swap_cached_bytes: bytes,
+            committed_bytes: bytes,
+            commit_limit_bytes: bytes,
+            hugepages_total: { type: 'integer', minimum: 0 },
+            hugepages_free: { type: 'integer', minimum: 0 },
+            hugepage_size_bytes: bytes,
+          },
+        },
+        // Pages swapped in and out since boot (/proc/vmstat), and per second
+        swap_in_pages: nullableCount,
+        swap_out_pages: nullableCount,
+        swap_in_pages_per_sec: nullableRate,
+        swap_out_pages_per_sec: nullableRate,
+        oom_kills: nullableCount,
+        // Largest resident set first
+        top_processes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['pid', 'name', 'rss_bytes'],
+            properties: {
+              pid: { type: 'integer', minimum: 1 },
+              name: string,
+              rss_bytes: bytes,
+              swap_bytes: bytes,
+            },
+          },
+        },
+      },
+    },
+    disk: {
+      type: 'object',
+      required: ['usage_percent', 'filesystems'],
+      properties: {
+        total_bytes: bytes,
+        used_bytes: bytes,
+        available_bytes: bytes,
+        usage_percent: percent,
+        read_bytes: nullableBytes,
+        written_bytes: nullableBytes,
+        filesystems: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['mount', 'total_bytes', 'used_bytes', 'usage_percent'],
+            properties: {
+              mount: string,
+              device: string,
+              total_bytes: bytes,
+              used_bytes: bytes,
+              available_bytes: bytes,
+              usage_percent: percent,
+              inodes_total: nullableCount,
+              inodes_used: nullableCount,
+              inodes_usage_percent: nullablePercent,
+            },
+          },
+        },
+        devices: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              name: string,
+              read_bytes: bytes,
+              written_bytes: bytes,
+              read_bytes_per_sec: nullableRate,
+              write_bytes_per_sec: nullableRate,
+              read_iops: nullableRate,
+              write_iops: nullableRate,
+              await_ms: nullableRate,
+              util_percent: nullablePercent,
+            },
+          },
+        },
+      },
+    },
+    network: {
+      type: 'object',
+      required: ['rx_bytes', 'tx_bytes', 'interfaces'],
+      properties: {
+        rx_bytes: bytes,
+        tx_bytes: bytes,
+        rx_bytes_per_sec: nullableRate,
+        tx_bytes_per_sec: nullableRate,
+        interfaces: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'status'],
+            properties: { name: string, status: string, ...netCounters },
+          },
+        },
+        sockets: {
+          type: 'object',
+          required: ['tcp', 'udp', 'unix'],
+          properties: {
+            tcp: { type: 'object', properties: tcpStates },
+            udp: socketCount,
+            unix: socketCount,
+          },
+        },
+      },
+    },
+    gpu: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['index', 'vendor', 'name'],
+        properties: {
+          index: { type: 'integer', minimum: 0 },
+          vendor: { type: 'string', enum: ['nvidia', 'amd', 'intel'] },
+          name: string,
+          driver: { type: ['string', 'null'] },
+          // "0000:01:00.0"
+          pci_slot: string,
+          utilization_percent: nullablePercent,
+          temperature_celsius: nullableNumber,
+          memory_used_bytes: nullableBytes,
+          memory_total_bytes: nullableBytes,
+          fan_percent: nullablePercent,
+          power_watts: nullableNumber,
+          frequency_mhz: nullableRate,
+          max_frequency_mhz: nullableRate,
+        },
+      },
+    },
+    // cgroup v2 groups and containers; groups is empty on other versions
+    containers: {
+      type: 'object',
+      required: ['cgroup_version', 'groups'],
+      properties: {
+        cgroup_version: { type: ['integer', 'null'], enum: [1, 2, null] },
+        groups: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['path', 'name', 'kind'],
+            properties: {
+              path: string,
+              name: string,
+              kind: { type: 'string', enum: ['container', 'slice', 'scope', 'service', 'group'] },
+              runtime: string,
+              id: string,
+              image: { type: ['string', 'null'] },
+              // Can exceed 100 on several cores
+              cpu_percent: nullableRate,
+              cpu_limit_cores: nullableRate,
+              memory_bytes: nullableBytes,
+              memory_limit_bytes: nullableBytes,
+              io_read_bytes_per_sec: nullableRate,
+              io_write_bytes_per_sec: nullableRate,
+              pids: nullableCount,
+              pids_limit: nullableCount,
+            },
+          },
+        },
+      },
+    },
+    // Every hwmon and thermal zone reading; empty arrays on machines without sensors
+    sensors: {
+      type: 'object',
+      required: ['temperatures', 'fans'],
+      properties: {
+        temperatures: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'chip', 'label', 'celsius'],
+            properties: {
+              id: string,
+              chip: string,
+              label: string,
+              celsius: number,
+              high_celsius: nullableNumber,
+              critical_celsius: nullableNumber,
+              source: { type: 'string', enum: ['hwmon', 'thermal'] },
+            },
+          },
+        },
+        fans: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'chip', 'label', 'rpm'],
+            properties: {
+              id: string,
+              chip: string,
+              label: string,
+              rpm: { type: 'number', minimum: 0 },
+              min_rpm: nullableCount,
+              max_rpm: nullableCount,
+            },
+          },
+        },
+      },
+    },
+    // Pressure stall information: share of time some (or all) non-idle tasks
+    // waited for the resource over the last 10, 60 and 300 seconds. Absent
+    // on kernels without PSI.
+    pressure: {
+      type: 'object',
+      properties: {
+        cpu: pressureResource,
+        memory: pressureResource,
+        io: pressureResource,
+      },
+    },
+    // Batteries and AC adapters from /sys/class/power_supply, or from
+    // termux-battery-status on Android; source is null when there are none
+    power: {
+      type: 'object',
+      required: ['source', 'ac_online', 'batteries'],
+      properties: {
+        source: { type: ['string', 'null'], enum: ['sysfs', 'termux', null] },
+        ac_online: { type: ['boolean', 'null'] },
+        adapters: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'type', 'online'],
+            properties: {
+              id: string,
+              type: string,
+              online: { type: 'boolean' },
+            },
+          },
+        },
+        batteries: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'percent', 'status'],
+            properties: {
+              id: string,
+              model: { type: ['string', 'null'] },
+              percent: nullablePercent,
+              status: { type: 'string', enum: ['charging', 'discharging', 'full', 'not_charging', 'unknown'] },
+              health: { type: ['string', 'null'] },
+              // Always positive; status tells the direction
+              power_watts: nullableRate,
+              energy_wh: nullableRate,
+              energy_full_wh: nullableRate,
+              energy_full_design_wh: nullableRate,
+              // Until empty while discharging, until full while charging
+              time_remaining_seconds: nullableRate,
+              temperature_celsius: nullableNumber,
+              cycle_count: nullableCount,
+            },
+          },
+        },
+      },
+    },
+    // What producing this snapshot cost the collector service
+    collector: {
+      type: 'object',
+      required: ['source', 'duration_ms', 'cpu_ms'],
+      properties: {
+        source: { type: 'string', enum: ['native', 'script'] },
+        duration_ms: { type: 'number', minimum: 0 },
+        cpu_ms: { type: 'number', minimum: 0 },
+        // Share of one core since the previous cycle; null on the first
+        cpu_percent: nullableRate,
+        rss_bytes: bytes,
+        budget_cpu_ms: { type: 'number', minimum: 0 },
+        over_budget_cycles: { type: 'integer', minimum: 0 },
+      },
+    },
+    processes: {
+      type: 'object',
+      required: ['total'],
+      properties: {
+        total: { type: 'integer', minimum: 0 },
+        running: { type: 'integer', minimum: 0 },
+      },
+    },
+  },
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value)
+  return actual === type || (type === 'number' && actual === 'integer')
+}
+
+// Walks the subset of JSON Schema used above; returns [{ path, message }]
+export function validate(value, schema = SNAPSHOT_SCHEMA, path = '') {
+  const errors = []
+  const at = path || '(root)'
+  const types = [].concat(schema.type || [])
+
+  if (types.length && !types.some(type => matchesType(value, type))) {
+    errors.push({ path: at, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` })
+    return errors
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` })
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) errors.push({ path: at, message: 'must be a finite number' })
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}` })
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}` })
+    }
+  }
+  if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+    errors.push({ path: at, message: 'must be an ISO 8601 date-time' })
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' })
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validate(value[key], child, path ? `${path}.${key}` : key))
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}.${i}`)))
+  }
+  return errors
+}
+
+// ---- Migration from version 1 ----
+
+const SIZE_POWERS = { B: 0, K: 1, M: 2, G: 3, T: 4, P: 5 }
+
+export function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  const n = parseFloat(value)
+  return Number.isFinite(n) ? n : null
+}
+
+// "1007G", "532M", "41.3 MB", "0" -> bytes (binary multiples, as df -h uses)
+export function parseSize(value) {
+  if (typeof value === 'number') return value
+  const match = /^\s*([\d.]+)\s*([BKMGTP])?i?B?\s*$/i.exec(String(value ?? ''))
+  if (!match) return null
+  return Math.round(parseFloat(match[1]) * 1024 ** SIZE_POWERS[(match[2] || 'B').toUpperCase()])
+}
+
+const scaled = (value, factor) => {
+  const n = parseNumber(value)
+  return n === null ? null : Math.round(n * factor)
+}
+
+const GIB = 1024 ** 3
+const MIB = 1024 ** 2
+
+// "2 days, 3 hours, 4 minutes" (uptime -p) -> seconds
+function parseUptime(text) {
+  const units = { week: 604800, day: 86400, hour: 3600, minute: 60, second: 1 }
+  let seconds = 0
+  for (const [, amount, unit] of String(text || '').matchAll(/(\d+)\s*(week|day|hour|minute|second)s?/g)) {
+    seconds += Number(amount) * units[unit]
+  }
+  return seconds
+}
+
+function migrateV1(old) {
+  const cpu = old.cpu || {}
+  const memory = old.memory || {}
+  const disk = old.disk || {}
+  const network = old.network || {}
+  const gpu = old.gpu || {}
+  const memTotal = scaled(memory.total, GIB)
+
+  return {
+    schema_version: 2,
+    timestamp: old.timestamp,
+    hostname: old.hostname,
+    kernel: old.kernel,
+    uptime_seconds: parseUptime(old.uptime),
+    load_avg: String(old.load_avg || '').split(/\s+/).filter(Boolean).map(parseNumber),
+    health: old.health,
+    cpu: {
+      usage_percent: parseNumber(cpu.current),
+      model: cpu.model,
+      cores: parseNumber(cpu.cores),
+      temperature_celsius: parseNumber(cpu.temperature),
+    },
+    memory: {
+      total_bytes: memTotal,
+      used_bytes: scaled(memory.used, GIB),
+      available_bytes: scaled(memory.available, GIB),
+      cached_bytes: scaled(memory.cached, GIB),
+      usage_percent: parseNumber(memory.percent),
+      swap_used_bytes: scaled(memory.swap_used, MIB),
+    },
+    disk: {
+      total_bytes: parseSize(disk.total),
+      used_bytes: parseSize(disk.used),
+      available_bytes: parseSize(disk.available),
+      usage_percent: parseNumber(disk.percent),
+      read_bytes: scaled(disk.read, MIB),
+      written_bytes: scaled(disk.written, MIB),
+      filesystems: (disk.filesystems || []).map(fs => ({
+        mount: fs.mount,
+        device: fs.device,
+        total_bytes: parseSize(fs.total),
+        used_bytes: parseSize(fs.used),
+        available_bytes: parseSize(fs.available),
+        usage_percent: parseNumber(fs.percent),
+      })),
+    },
+    network: {
+      rx_bytes: parseSize(network.rx_total),
+      tx_bytes: parseSize(network.tx_total),
+      interfaces: network.interfaces || [],
+    },
+    gpu: gpu.available
+      ? {
+        available: true,
+        name: gpu.name,
+        utilization_percent: parseNumber(gpu.utilization),
+        temperature_celsius: parseNumber(gpu.temperature),
+        memory_used_bytes: scaled(gpu.memory_used, MIB),
+        memory_total_bytes: scaled(gpu.memory_total, MIB),
+        fan_percent: parseNumber(gpu.fan),
+        power_watts: parseNumber(gpu.power),
+      }
+      : { available: false },
+    processes: {
+      total: parseNumber(old.processes?.total),
+      running: parseNumber(old.processes?.running),
+    },
+  }
+}
+
+// ---- Migration from version 2 ----
+
+// Version 2 only ever described the first NVIDIA card
+function migrateV2(old) {
+  const { available, ...gpu } = old.gpu || {}
+  return {
+    ...old,
+    schema_version: 3,
+    gpu: available ? [{ index: 0, vendor: 'nvidia', driver: 'nvidia', ...gpu, name: gpu.name || 'NVIDIA GPU' }] : [],
+  }
+}
+
+const MIGRATIONS = { 1: migrateV1, 2: migrateV2 }
+
+// Rewrites an old metric path (as used in alert rules) to its current
+// equivalent, applying each version's renames in turn
+const LEGACY_PATHS = [
+  // v1 -> v2
+  [/^cpu\.current$/, 'cpu.usage_percent'],
+  [/^cpu\.temperature$/, 'cpu.temperature_celsius'],
+  [/^(memory|disk)\.percent$/, '$1.usage_percent'],
+  [/^disk\.filesystems\.(\d+)\.percent$/, 'disk.filesystems.$1.usage_percent'],
+  [/^gpu\.utilization$/, 'gpu.utilization_percent'],
+  [/^gpu\.temperature$/, 'gpu.temperature_celsius'],
+  // v2 -> v3
+  [/^gpu\.(?!\d+(\.|$))/, 'gpu.0.'],
+]
+
+export function migratePath(path) {
+  return LEGACY_PATHS.reduce((current, [pattern, replacement]) => current.replace(pattern, replacement), path)
+}
+
+// Brings any supported payload up to SCHEMA_VERSION and validates it.
+// Returns { snapshot, errors, migratedFrom }; snapshot is null only when the
+// payload is unusable (not an object, or from an unknown future version).
+export function normalizeSnapshot(payload) {
+  if (typeOf(payload) !== 'object') {
+    return { snapshot: null, errors: [{ path: '(root)', message: 'snapshot is not a JSON object' }], migratedFrom: null }
+  }
+
+  let version = payload.schema_version ?? 1
+  if (version > SCHEMA_VERSION) {
+    return {
+      snapshot: null,
+      errors: [{ path: 'schema_version', message: `version ${version} is newer than this dashboard understands (${SCHEMA_VERSION})` }],
+      migratedFrom: null,
+    }
+  }
+
+  const migratedFrom = version < SCHEMA_VERSION ? version : null
+  let snapshot = payload
+  while (version < SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version]
+    if (!migrate) {
+      return { snapshot: null, errors: [{ path: 'schema_version', message: `unsupported version ${version}` }], migratedFrom }
+    }
+    snapshot = migrate(snapshot)
+    version = snapshot.schema_version
+  }
+
+  return { snapshot, errors: validate(snapshot), migratedFrom }
+}
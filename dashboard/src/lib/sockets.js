@@ -0,0 +1,39 @@
+// Socket states, shared by the collector's /proc/net parsers, the snapshot
+// schema and the Connections panel.
+
+// The "st" column of /proc/net/tcp and tcp6 (include/net/tcp_states.h)
+export const TCP_STATES = {
+  '01': 'established',
+  '02': 'syn_sent',
+  '03': 'syn_recv',
+  '04': 'fin_wait1',
+  '05': 'fin_wait2',
+  '06': 'time_wait',
+  '07': 'close',
+  '08': 'close_wait',
+  '09': 'last_ack',
+  '0A': 'listen',
+  '0B': 'closing',
+  '0C': 'new_syn_recv',
+}
+
+// Lines in the Connections panel's chart, each with its history metric.
+// The handshake and teardown states are grouped.
+export const CONNECTION_BANDS = [
+  { key: 'established', metric: 'tcp_established', label: 'Established', color: '34, 197, 94', states: ['established'] },
+  { key: 'listen', metric: 'tcp_listen', label: 'Listening', color: '59, 130, 246', states: ['listen'] },
+  { key: 'time_wait', metric: 'tcp_time_wait', label: 'Time wait', color: '234, 179, 8', states: ['time_wait'] },
+  { key: 'close_wait', metric: 'tcp_close_wait', label: 'Close wait', color: '239, 68, 68', states: ['close_wait'] },
+  { key: 'opening', metric: 'tcp_opening', label: 'Opening', color: '14, 165, 233', states: ['syn_sent', 'syn_recv', 'new_syn_recv'] },
+  { key: 'closing', metric: 'tcp_closing', label: 'Closing', color: '168, 85, 247', states: ['fin_wait1', 'fin_wait2', 'last_ack', 'closing', 'close'] },
+]
+
+// TCP socket counts per band from a snapshot's network.sockets, or null
+// without the collector
+export function connectionBands(sockets) {
+  if (!sockets?.tcp) return null
+  return Object.fromEntries(CONNECTION_BANDS.map(band => [
+    band.key,
+    band.states.reduce((total, state) => total + (sockets.tcp[state] || 0), 0),
+  ]))
+}
@@ -0,0 +1,89 @@
+// Class sets for each theme, read through useTheme(). `dark` says whether
+// the theme sits on a dark background, for accent colours that need a
+// lighter or darker shade; greys, borders and chart colours come from the
+// tokens so the high-contrast theme can replace them.
+export const THEMES = {
+  dark: {
+    name: 'dark',
+    dark: true,
+    page: 'bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900',
+    card: 'bg-slate-800/50 border-slate-700',
+    cardHover: 'hover:bg-slate-700/30',
+    text: 'text-white',
+    muted: 'text-slate-400',
+    faint: 'text-slate-500',
+    inset: 'bg-slate-700/50',
+    well: 'bg-slate-700/30',
+    track: 'bg-slate-700',
+    ring: 'ring-offset-slate-900',
+    subtle: 'text-slate-300',
+    border: 'border-slate-700',
+    divide: 'divide-slate-700',
+    field: 'bg-slate-800 border-slate-600',
+    button: 'bg-slate-700 text-slate-300 border-slate-600 hover:bg-slate-600',
+    panel: 'bg-slate-900 border-slate-700',
+    tableHead: 'bg-slate-900/60 text-slate-400',
+    row: 'border-slate-800 hover:bg-slate-700/40',
+    outline: 'outline-slate-600',
+    stroke: 'stroke-slate-700',
+    chart: { tick: 'rgba(255,255,255,0.5)', grid: 'rgba(255,255,255,0.05)' },
+  },
+  light: {
+    name: 'light',
+    dark: false,
+    page: 'bg-gradient-to-br from-slate-100 via-white to-slate-100',
+    card: 'bg-white shadow-lg border-slate-200',
+    cardHover: 'hover:bg-slate-100',
+    text: 'text-slate-900',
+    muted: 'text-slate-600',
+    faint: 'text-slate-400',
+    inset: 'bg-slate-100',
+    well: 'bg-slate-50',
+    track: 'bg-slate-200',
+    ring: 'ring-offset-white',
+    subtle: 'text-slate-700',
+    border: 'border-slate-200',
+    divide: 'divide-slate-200',
+    field: 'bg-white border-slate-300',
+    button: 'bg-white text-slate-700 border-slate-300 hover:bg-slate-100',
+    panel: 'bg-white border-slate-200',
+    tableHead: 'bg-slate-100 text-slate-600',
+    row: 'border-slate-100 hover:bg-slate-50',
+    outline: 'outline-slate-300',
+    stroke: 'stroke-slate-200',
+    chart: { tick: 'rgba(0,0,0,0.5)', grid: 'rgba(0,0,0,0.05)' },
+  },
+  // Pure black and white with solid borders
+  'high-contrast': {
+    name: 'high-contrast',
+    dark: true,
+    page: 'bg-black theme-high-contrast',
+    card: 'bg-black border-white',
+    cardHover: 'hover:bg-slate-800',
+    text: 'text-white',
+    muted: 'text-slate-100',
+    faint: 'text-slate-200',
+    inset: 'bg-black border border-slate-400',
+    well: 'bg-black border border-slate-500',
+    track: 'bg-slate-600',
+    ring: 'ring-offset-black',
+    subtle: 'text-white',
+    border: 'border-white',
+    divide: 'divide-slate-400',
+    field: 'bg-black border-white',
+    button: 'bg-black text-white border-white hover:bg-slate-800',
+    panel: 'bg-black border-white',
+    tableHead: 'bg-black text-white',
+    row: 'border-slate-500 hover:bg-slate-800',
+    outline: 'outline-white',
+    stroke: 'stroke-slate-500',
+    chart: { tick: 'rgba(255,255,255,0.9)', grid: 'rgba(255,255,255,0.25)' },
+  },
+}
+
+// "system" follows the OS colour scheme, and its contrast setting
+export function resolveTheme(preference, os) {
+  if (preference !== 'system') return THEMES[preference] || THEMES.dark
+  if (os.moreContrast) return THEMES['high-contrast']
+  return os.dark ? THEMES.dark : THEMES.light
+}
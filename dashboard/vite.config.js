@@ -7,5 +7,9 @@ export default defineConfig({
   server: {
     port: 3000,
     open: true,
+    // Collector service (npm run server)
+    proxy: {
+      '/api': 'http://localhost:3001',
+    },
   },
 })
@@ -11,15 +11,11 @@ echo "[1/3] Starting web server (nginx)..."
 nginx
 echo "      Web dashboard: http://localhost:8080"
 
-# Start data generator in background
-echo "[2/3] Starting data generator..."
-(
-    while true; do
-        /app/generate_json.sh /var/www/html/data > /dev/null 2>&1
-        sleep 3
-    done
-) &
-echo "      Data updates every 3 seconds"
+# Start collector service in background
+echo "[2/3] Starting collector service..."
+DATA_DIR=/var/www/html/data STATE_DIR=/var/lib/system-monitor GENERATOR=/app/generate_json.sh COLLECTOR_INTERVAL=3 \
+    node /app/dashboard/server/index.js > /var/log/collector.log 2>&1 &
+echo "      Live stream at /api/stream, data updates every 3 seconds"
 
 echo "[3/3] Starting System Monitor CLI..."
 echo ""
@@ -1,9 +1,21 @@
 #!/usr/bin/env bash
 # Generate JSON data for the React dashboard
-# This script collects system metrics and outputs them as JSON
+# This script collects system metrics and outputs them as JSON.
+# Output follows snapshot schema v3 (dashboard/src/lib/schema.js): plain
+# numbers in base units (bytes, seconds, percent, °C, watts), null when a
+# reading is unavailable.
 
 OUTPUT_DIR="${1:-./dashboard/public/data}"
 OUTPUT_FILE="$OUTPUT_DIR/system_data.json"
+SCHEMA_VERSION=3
+
+# Host filesystems when running in a container (see docker-compose.yml):
+# HOST_PROC and HOST_SYS point at the host's /proc and /sys, HOST_ROOT at
+# its root filesystem for disk usage and the hostname
+PROC="${HOST_PROC:-/proc}"
+SYS="${HOST_SYS:-/sys}"
+ROOT="${HOST_ROOT:-/}"
+ROOT="${ROOT%/}"
 
 # Ensure output directory exists
 mkdir -p "$OUTPUT_DIR"
@@ -15,17 +27,54 @@ NC='\033[0m'
 
 echo "Generating system data..."
 
-# Get hostname
-HOSTNAME=$(hostname 2>/dev/null || echo "localhost")
+# Quote a value as a JSON string
+json_str() {
+    local s=${1//\\/\\\\}
+    s=${s//\"/\\\"}
+    s=${s//$'\t'/ }
+    s=${s//$'\r'/}
+    s=${s//$'\n'/ }
+    printf '"%s"' "$s"
+}
+
+# Print a value as a JSON number, or the fallback (null) if it is not one
+json_num() {
+    if [[ "$1" =~ ^-?[0-9]+(\.[0-9]+)?$ ]]; then
+        printf '%s' "$1"
+    else
+        printf '%s' "${2:-null}"
+    fi
+}
+
+trim() {
+    local v="${1#"${1%%[![:space:]]*}"}"
+    printf '%s' "${v%"${v##*[![:space:]]}"}"
+}
+
+# Mount point as the host sees it; empty for mounts outside HOST_ROOT
+host_mount() {
+    if [ -z "$ROOT" ]; then
+        printf '%s' "$1"
+    elif [ "$1" = "$ROOT" ]; then
+        printf '/'
+    elif [[ "$1" == "$ROOT"/* ]]; then
+        printf '%s' "${1#"$ROOT"}"
+    fi
+}
 
-# Get kernel
-KERNEL=$(uname -r 2>/dev/null || echo "Unknown")
+# Get hostname (the container's own unless the host root is mounted)
+HOSTNAME=""
+[ -n "$ROOT" ] && HOSTNAME=$(trim "$(cat "$ROOT/etc/hostname" 2>/dev/null)")
+[ -z "$HOSTNAME" ] && HOSTNAME=$(hostname 2>/dev/null || echo "localhost")
 
-# Get uptime
-UPTIME=$(uptime -p 2>/dev/null | sed 's/up //' || echo "Unknown")
+# Get kernel (containers share the host's)
+KERNEL=$(cat "$PROC/sys/kernel/osrelease" 2>/dev/null || uname -r 2>/dev/null || echo "Unknown")
+
+# Get uptime (seconds)
+UPTIME_SECONDS=$(awk '{print int($1)}' "$PROC/uptime" 2>/dev/null)
 
 # Get load average
-LOAD_AVG=$(cat /proc/loadavg 2>/dev/null | awk '{print $1, $2, $3}' || echo "0 0 0")
+read -r LOAD_1 LOAD_5 LOAD_15 _ < "$PROC/loadavg" 2>/dev/null
 
 # ==========================================
 # CPU Data
@@ -47,95 +96,90 @@ get_cpu_percent() {
         fi
     fi
     # Fallback to load average
-    local load=$(awk '{print $1}' /proc/loadavg 2>/dev/null)
+    local load=$(awk '{print $1}' "$PROC/loadavg" 2>/dev/null)
     local cores=$(nproc 2>/dev/null || echo 1)
     awk -v l="$load" -v c="$cores" 'BEGIN {p=int(l/c*100); if(p>100)p=100; print p}'
 }
 
 CPU_CURRENT=$(get_cpu_percent)
-CPU_MODEL=$(grep -m1 "model name" /proc/cpuinfo 2>/dev/null | cut -d: -f2- | sed 's/^[ \t]*//' | cut -c1-40)
-CPU_CORES=$(nproc 2>/dev/null || echo 1)
+CPU_CURRENT=${CPU_CURRENT:-0}
+CPU_MODEL=$(grep -m1 "model name" "$PROC/cpuinfo" 2>/dev/null | cut -d: -f2- | sed 's/^[ \t]*//' | cut -c1-40)
+CPU_CORES=$(grep -c '^processor' "$PROC/cpuinfo" 2>/dev/null)
+[ "${CPU_CORES:-0}" -gt 0 ] 2>/dev/null || CPU_CORES=$(nproc 2>/dev/null || echo 1)
 
-# CPU temperature
-CPU_TEMP="N/A"
+# CPU temperature (empty when no sensor is readable)
+CPU_TEMP=""
 if command -v sensors &>/dev/null; then
     CPU_TEMP=$(sensors 2>/dev/null | grep -iE 'Core 0|Package|CPU|Tctl' | head -1 | grep -oE '[0-9]+\.[0-9]+' | head -1)
 fi
-if [ -z "$CPU_TEMP" ] && [ -d /sys/class/thermal ]; then
-    for zone in /sys/class/thermal/thermal_zone*/temp; do
+if [ -z "$CPU_TEMP" ] && [ -d "$SYS/class/thermal" ]; then
+    for zone in "$SYS"/class/thermal/thermal_zone*/temp; do
         [ -r "$zone" ] && CPU_TEMP=$(cat "$zone" 2>/dev/null) && [ -n "$CPU_TEMP" ] && CPU_TEMP=$((CPU_TEMP / 1000)) && break
     done
 fi
-[ -z "$CPU_TEMP" ] && CPU_TEMP="N/A"
-
-# Generate CPU history (simulated from current + random variation for demo)
-CPU_HISTORY="["
-CPU_TIMESTAMPS="["
-for i in {1..20}; do
-    variation=$((RANDOM % 10 - 5))
-    val=$((CPU_CURRENT + variation))
-    [ $val -lt 0 ] && val=0
-    [ $val -gt 100 ] && val=100
-    CPU_HISTORY+="$val"
-    CPU_TIMESTAMPS+="\"$(date -d "-$((20-i)) minutes" +%H:%M 2>/dev/null || echo "$i:00")\""
-    [ $i -lt 20 ] && CPU_HISTORY+="," && CPU_TIMESTAMPS+=","
-done
-CPU_HISTORY+="]"
-CPU_TIMESTAMPS+="]"
 
 # ==========================================
-# Memory Data
+# Memory Data (KiB from meminfo)
 # ==========================================
-MEM_INFO=$(cat /proc/meminfo 2>/dev/null)
+MEM_INFO=$(cat "$PROC/meminfo" 2>/dev/null)
 MEM_TOTAL_KB=$(echo "$MEM_INFO" | awk '/^MemTotal:/ {print $2}')
 MEM_AVAIL_KB=$(echo "$MEM_INFO" | awk '/^MemAvailable:/ {print $2}')
 MEM_CACHED_KB=$(echo "$MEM_INFO" | awk '/^Cached:/ {print $2}')
 SWAP_TOTAL_KB=$(echo "$MEM_INFO" | awk '/^SwapTotal:/ {print $2}')
 SWAP_FREE_KB=$(echo "$MEM_INFO" | awk '/^SwapFree:/ {print $2}')
 
-MEM_TOTAL_GB=$(awk "BEGIN {printf \"%.1f\", ${MEM_TOTAL_KB:-0}/1048576}")
+MEM_TOTAL_KB=${MEM_TOTAL_KB:-0}
+MEM_AVAIL_KB=${MEM_AVAIL_KB:-0}
 MEM_USED_KB=$((MEM_TOTAL_KB - MEM_AVAIL_KB))
-MEM_USED_GB=$(awk "BEGIN {printf \"%.1f\", ${MEM_USED_KB:-0}/1048576}")
-MEM_AVAIL_GB=$(awk "BEGIN {printf \"%.1f\", ${MEM_AVAIL_KB:-0}/1048576}")
-MEM_CACHED_GB=$(awk "BEGIN {printf \"%.1f\", ${MEM_CACHED_KB:-0}/1048576}")
-MEM_PERCENT=$((MEM_USED_KB * 100 / MEM_TOTAL_KB))
-
-SWAP_USED_KB=$((SWAP_TOTAL_KB - SWAP_FREE_KB))
-SWAP_USED_MB=$((SWAP_USED_KB / 1024))
+MEM_PERCENT=0
+[ "$MEM_TOTAL_KB" -gt 0 ] && MEM_PERCENT=$((MEM_USED_KB * 100 / MEM_TOTAL_KB))
+SWAP_USED_KB=$((${SWAP_TOTAL_KB:-0} - ${SWAP_FREE_KB:-0}))
 
 # ==========================================
 # Disk Data
 # ==========================================
-DISK_INFO=$(df -h / 2>/dev/null | tail -1)
-DISK_TOTAL=$(echo "$DISK_INFO" | awk '{print $2}')
-DISK_USED=$(echo "$DISK_INFO" | awk '{print $3}')
-DISK_AVAIL=$(echo "$DISK_INFO" | awk '{print $4}')
-DISK_PERCENT=$(echo "$DISK_INFO" | awk '{gsub(/%/,""); print $5}')
-
-# Disk I/O
-DISK_READ="0"
-DISK_WRITTEN="0"
-ROOT_DEV=$(df / 2>/dev/null | tail -1 | awk '{print $1}' | sed 's|/dev/||' | sed 's/[0-9]*$//')
-if [ -f "/sys/block/$ROOT_DEV/stat" ]; then
-    STAT=$(cat "/sys/block/$ROOT_DEV/stat" 2>/dev/null)
-    READ_SECTORS=$(echo "$STAT" | awk '{print $3}')
-    WRITE_SECTORS=$(echo "$STAT" | awk '{print $7}')
-    DISK_READ=$(awk "BEGIN {printf \"%.0f\", ${READ_SECTORS:-0} * 512 / 1048576}")
-    DISK_WRITTEN=$(awk "BEGIN {printf \"%.0f\", ${WRITE_SECTORS:-0} * 512 / 1048576}")
+# POSIX format in 1K blocks: device, size, used, available, capacity, mount
+read -r _ DISK_TOTAL_KB DISK_USED_KB DISK_AVAIL_KB DISK_PERCENT _ < <(df -Pk "${ROOT:-/}" 2>/dev/null | tail -1)
+DISK_PERCENT=${DISK_PERCENT%\%}
+DISK_PERCENT=${DISK_PERCENT:-0}
+
+# Disk I/O since boot (sectors are always 512 bytes here)
+DISK_READ=""
+DISK_WRITTEN=""
+# A partition's sysfs entry sits inside its disk's, which covers nvme0n1p2
+# and mmcblk0p1 as well as sda1; whole devices (dm-0, sda) are used as-is
+ROOT_DEV=$(basename "$(readlink -f "$(df -P "${ROOT:-/}" 2>/dev/null | tail -1 | awk '{print $1}')")")
+if [ -f "$SYS/class/block/$ROOT_DEV/partition" ]; then
+    ROOT_DEV=$(basename "$(dirname "$(readlink -f "$SYS/class/block/$ROOT_DEV")")")
+fi
+if [ -n "$ROOT_DEV" ] && [ -f "$SYS/block/$ROOT_DEV/stat" ]; then
+    read -r _ _ READ_SECTORS _ _ _ WRITE_SECTORS _ < "$SYS/block/$ROOT_DEV/stat"
+    DISK_READ=$((${READ_SECTORS:-0} * 512))
+    DISK_WRITTEN=$((${WRITE_SECTORS:-0} * 512))
 fi
 
+# Inode usage by mount point; filesystems without fixed inode tables
+# (btrfs, some FUSE mounts) report 0 and are left as null
+declare -A INODES
+while read -r _ itotal iused _ ipct imount; do
+    imount=$(host_mount "$imount")
+    [ -z "$imount" ] && continue
+    if [ "${itotal:-0}" -gt 0 ] 2>/dev/null; then
+        INODES[$imount]="\"inodes_total\":$itotal,\"inodes_used\":$iused,\"inodes_usage_percent\":$(json_num "${ipct%\%}" null)"
+    else
+        INODES[$imount]="\"inodes_total\":null,\"inodes_used\":null,\"inodes_usage_percent\":null"
+    fi
+done < <(df -Pi 2>/dev/null | grep "^/dev/")
+
 # All filesystems
-FILESYSTEMS="["
-first=true
-df -h 2>/dev/null | grep "^/dev/" | while read -r fs size used avail pct mount; do
-    pct_num=${pct%\%}
-    [ "$first" = "true" ] || echo ","
-    first=false
-    echo "{\"mount\":\"$mount\",\"device\":\"$fs\",\"total\":\"$size\",\"used\":\"$used\",\"available\":\"$avail\",\"percent\":$pct_num}"
-done > /tmp/fs_$$.json
-FILESYSTEMS=$(cat /tmp/fs_$$.json 2>/dev/null | tr '\n' ' ')
-rm -f /tmp/fs_$$.json
-[ -z "$FILESYSTEMS" ] && FILESYSTEMS="{\"mount\":\"/\",\"total\":\"$DISK_TOTAL\",\"used\":\"$DISK_USED\",\"available\":\"$DISK_AVAIL\",\"percent\":$DISK_PERCENT}"
+FILESYSTEMS=""
+while read -r fs size used avail pct mount; do
+    mount=$(host_mount "$mount")
+    [ -z "$mount" ] && continue
+    [ -n "$FILESYSTEMS" ] && FILESYSTEMS+=","
+    FILESYSTEMS+="{\"mount\":$(json_str "$mount"),\"device\":$(json_str "$fs"),\"total_bytes\":$((size * 1024)),\"used_bytes\":$((used * 1024)),\"available_bytes\":$((avail * 1024)),\"usage_percent\":$(json_num "${pct%\%}" 0)${INODES[$mount]:+,${INODES[$mount]}}}"
+done < <(df -Pk 2>/dev/null | grep "^/dev/")
+[ -z "$FILESYSTEMS" ] && FILESYSTEMS="{\"mount\":\"/\",\"total_bytes\":$((${DISK_TOTAL_KB:-0} * 1024)),\"used_bytes\":$((${DISK_USED_KB:-0} * 1024)),\"available_bytes\":$((${DISK_AVAIL_KB:-0} * 1024)),\"usage_percent\":$DISK_PERCENT}"
 FILESYSTEMS="[$FILESYSTEMS]"
 
 # ==========================================
@@ -143,61 +187,120 @@ FILESYSTEMS="[$FILESYSTEMS]"
 # ==========================================
 NET_RX_TOTAL=0
 NET_TX_TOTAL=0
-INTERFACES="["
-first=true
+INTERFACES=""
 
-for iface in /sys/class/net/*; do
+for iface in "$SYS"/class/net/*; do
     name=$(basename "$iface")
     [ "$name" = "lo" ] && continue
-    
+
     rx=$(cat "$iface/statistics/rx_bytes" 2>/dev/null || echo 0)
     tx=$(cat "$iface/statistics/tx_bytes" 2>/dev/null || echo 0)
     state=$(cat "$iface/operstate" 2>/dev/null || echo "unknown")
-    
+
     NET_RX_TOTAL=$((NET_RX_TOTAL + rx))
     NET_TX_TOTAL=$((NET_TX_TOTAL + tx))
-    
-    [ "$first" = "true" ] || INTERFACES+=","
-    first=false
-    INTERFACES+="{\"name\":\"$name\",\"status\":\"$state\"}"
-done
-INTERFACES+="]"
 
-NET_RX_MB=$(awk "BEGIN {printf \"%.1f\", $NET_RX_TOTAL/1048576}")
-NET_TX_MB=$(awk "BEGIN {printf \"%.1f\", $NET_TX_TOTAL/1048576}")
-NET_RX_GB=$(awk "BEGIN {printf \"%.2f\", $NET_RX_TOTAL/1073741824}")
-NET_TX_GB=$(awk "BEGIN {printf \"%.2f\", $NET_TX_TOTAL/1073741824}")
+    [ -n "$INTERFACES" ] && INTERFACES+=","
+    INTERFACES+="{\"name\":$(json_str "$name"),\"status\":$(json_str "$state")}"
+done
+INTERFACES="[$INTERFACES]"
 
 # ==========================================
 # GPU Data
 # ==========================================
-GPU_AVAILABLE=false
-GPU_NAME=""
-GPU_UTIL=0
-GPU_TEMP="N/A"
-GPU_MEM_USED=0
-GPU_MEM_TOTAL=0
-GPU_FAN="N/A"
-GPU_POWER="N/A"
+# One entry per card: every NVIDIA card from a single nvidia-smi query, then
+# AMD and Intel cards (and NVIDIA ones nvidia-smi missed) from their DRM
+# device in sysfs
+GPUS=""
+GPU_INDEX=0
+NVIDIA_SLOTS=" "
+
+add_gpu() {
+    [ -n "$GPUS" ] && GPUS+=","
+    GPUS+="{\"index\":$GPU_INDEX,$1}"
+    GPU_INDEX=$((GPU_INDEX + 1))
+}
+
+# Microwatts or millidegrees as a number with one decimal
+scaled() {
+    [[ "$1" =~ ^[0-9]+$ ]] || return
+    printf '%d.%d' $(($1 / $2)) $(((($1 * 10) / $2) % 10))
+}
 
 if command -v nvidia-smi &>/dev/null; then
-    GPU_NAME=$(nvidia-smi --query-gpu=name --format=csv,noheader 2>/dev/null | head -1)
-    if [ -n "$GPU_NAME" ]; then
-        GPU_AVAILABLE=true
-        GPU_UTIL=$(nvidia-smi --query-gpu=utilization.gpu --format=csv,noheader 2>/dev/null | tr -d ' %')
-        GPU_TEMP=$(nvidia-smi --query-gpu=temperature.gpu --format=csv,noheader 2>/dev/null)
-        GPU_MEM_USED=$(nvidia-smi --query-gpu=memory.used --format=csv,noheader 2>/dev/null | tr -d ' MiB')
-        GPU_MEM_TOTAL=$(nvidia-smi --query-gpu=memory.total --format=csv,noheader 2>/dev/null | tr -d ' MiB')
-        GPU_FAN=$(nvidia-smi --query-gpu=fan.speed --format=csv,noheader 2>/dev/null | tr -d ' %')
-        GPU_POWER=$(nvidia-smi --query-gpu=power.draw --format=csv,noheader 2>/dev/null | awk '{printf "%.0f", $1}')
-    fi
+    # "nounits" leaves bare numbers or "[N/A]"; memory is in MiB
+    while IFS=',' read -r slot name util temp mem_used mem_total fan power clock max_clock; do
+        slot=$(trim "$slot")
+        slot=${slot,,}
+        slot=${slot: -12}
+        mem_used=$(trim "$mem_used")
+        mem_total=$(trim "$mem_total")
+        [[ "$mem_used" =~ ^[0-9]+$ ]] && mem_used=$((mem_used * 1048576))
+        [[ "$mem_total" =~ ^[0-9]+$ ]] && mem_total=$((mem_total * 1048576))
+        NVIDIA_SLOTS+="$slot "
+        add_gpu "\"vendor\":\"nvidia\",\"name\":$(json_str "$(trim "$name")"),\"driver\":\"nvidia\",\"pci_slot\":$(json_str "$slot"),\"utilization_percent\":$(json_num "$(trim "$util")"),\"temperature_celsius\":$(json_num "$(trim "$temp")"),\"memory_used_bytes\":$(json_num "$mem_used"),\"memory_total_bytes\":$(json_num "$mem_total"),\"fan_percent\":$(json_num "$(trim "$fan")"),\"power_watts\":$(json_num "$(trim "$power")"),\"frequency_mhz\":$(json_num "$(trim "$clock")"),\"max_frequency_mhz\":$(json_num "$(trim "$max_clock")")"
+    done < <(nvidia-smi --query-gpu=pci.bus_id,name,utilization.gpu,temperature.gpu,memory.used,memory.total,fan.speed,power.draw,clocks.gr,clocks.max.gr \
+        --format=csv,noheader,nounits 2>/dev/null)
 fi
 
+for card in "$SYS"/class/drm/card*; do
+    [[ "${card##*/}" =~ ^card[0-9]+$ ]] || continue
+    dev="$card/device"
+    vendor_id=$(cat "$dev/vendor" 2>/dev/null)
+    case "$vendor_id" in
+        0x10de) vendor=nvidia; vendor_name=NVIDIA ;;
+        0x1002) vendor=amd; vendor_name=AMD ;;
+        0x8086) vendor=intel; vendor_name=Intel ;;
+        *) continue ;;
+    esac
+    slot=$(readlink -f "$dev")
+    slot=${slot##*/}
+    [[ "$NVIDIA_SLOTS" == *" $slot "* ]] && continue
+    driver=$(readlink -f "$dev/driver")
+    driver=${driver##*/}
+    device_id=$(cat "$dev/device" 2>/dev/null)
+    hwmon=("$dev"/hwmon/hwmon*)
+    hwmon=${hwmon[0]}
+    [ -d "$hwmon" ] || hwmon=""
+
+    util="" mem_used="" mem_total="" fan="" clock="" max_clock="" temp="" power=""
+    if [ -n "$hwmon" ]; then
+        temp=$(scaled "$(cat "$hwmon/temp1_input" 2>/dev/null)" 1000)
+        power=$(cat "$hwmon/power1_average" 2>/dev/null || cat "$hwmon/power1_input" 2>/dev/null)
+        power=$(scaled "$power" 1000000)
+    fi
+    case "$driver" in
+        amdgpu)
+            util=$(cat "$dev/gpu_busy_percent" 2>/dev/null)
+            mem_used=$(cat "$dev/mem_info_vram_used" 2>/dev/null)
+            mem_total=$(cat "$dev/mem_info_vram_total" 2>/dev/null)
+            pwm=$(cat "$hwmon/pwm1" 2>/dev/null)
+            [[ "$pwm" =~ ^[0-9]+$ ]] && fan=$((pwm * 100 / 255))
+            # Clock levels, the current one marked with "*"
+            while read -r line; do
+                [[ "$line" =~ ([0-9]+)Mhz ]] || continue
+                max_clock=${BASH_REMATCH[1]}
+                [[ "$line" == *"*"* ]] && clock=$max_clock
+            done 2>/dev/null < "$dev/pp_dpm_sclk"
+            ;;
+        i915)
+            clock=$(cat "$card/gt_act_freq_mhz" 2>/dev/null || cat "$card/gt_cur_freq_mhz" 2>/dev/null)
+            max_clock=$(cat "$card/gt_RP0_freq_mhz" 2>/dev/null)
+            ;;
+        xe)
+            clock=$(cat "$dev/tile0/gt0/freq0/act_freq" 2>/dev/null)
+            max_clock=$(cat "$dev/tile0/gt0/freq0/rp0_freq" 2>/dev/null)
+            ;;
+    esac
+    add_gpu "\"vendor\":\"$vendor\",\"name\":$(json_str "$vendor_name GPU ${vendor_id#0x}:${device_id#0x}"),\"driver\":$([ -n "$driver" ] && json_str "$driver" || echo null),\"pci_slot\":$(json_str "$slot"),\"utilization_percent\":$(json_num "$util"),\"temperature_celsius\":$(json_num "$temp"),\"memory_used_bytes\":$(json_num "$mem_used"),\"memory_total_bytes\":$(json_num "$mem_total"),\"fan_percent\":$(json_num "$fan"),\"power_watts\":$(json_num "$power"),\"frequency_mhz\":$(json_num "$clock"),\"max_frequency_mhz\":$(json_num "$max_clock")"
+done
+
 # ==========================================
 # Process Data
 # ==========================================
-PROC_TOTAL=$(ps -e --no-headers 2>/dev/null | wc -l)
-PROC_RUNNING=$(ps -e -o stat --no-headers 2>/dev/null | grep -c '^R')
+# Counted from /proc rather than ps, which only sees its own PID namespace
+PROC_TOTAL=$(find "$PROC" -mindepth 1 -maxdepth 1 -name '[0-9]*' 2>/dev/null | wc -l)
+PROC_RUNNING=$(awk '/^procs_running/ {print $2}' "$PROC/stat" 2>/dev/null)
 
 # ==========================================
 # Health Status
@@ -211,65 +314,53 @@ HEALTH="Good"
 # ==========================================
 # Generate JSON
 # ==========================================
-cat > "$OUTPUT_FILE" << EOF
+# Write then rename so readers never see a half-written file
+cat > "$OUTPUT_FILE.tmp" << EOF
 {
+  "schema_version": $SCHEMA_VERSION,
   "timestamp": "$(date -Iseconds)",
-  "hostname": "$HOSTNAME",
-  "kernel": "$KERNEL",
-  "uptime": "$UPTIME",
-  "load_avg": "$LOAD_AVG",
+  "hostname": $(json_str "$HOSTNAME"),
+  "kernel": $(json_str "$KERNEL"),
+  "uptime_seconds": $(json_num "$UPTIME_SECONDS" 0),
+  "load_avg": [$(json_num "$LOAD_1" 0), $(json_num "$LOAD_5" 0), $(json_num "$LOAD_15" 0)],
   "health": "$HEALTH",
   "cpu": {
-    "current": $CPU_CURRENT,
-    "avg": $CPU_CURRENT,
-    "max": $((CPU_CURRENT + 15)),
-    "min": $((CPU_CURRENT > 10 ? CPU_CURRENT - 10 : 0)),
-    "model": "${CPU_MODEL:-Unknown}",
-    "cores": $CPU_CORES,
-    "temperature": "${CPU_TEMP}°C",
-    "history": $CPU_HISTORY,
-    "timestamps": $CPU_TIMESTAMPS
+    "usage_percent": $(json_num "$CPU_CURRENT" 0),
+    "model": $(json_str "${CPU_MODEL:-Unknown}"),
+    "cores": $(json_num "$CPU_CORES" 1),
+    "temperature_celsius": $(json_num "$CPU_TEMP")
   },
   "memory": {
-    "total": $MEM_TOTAL_GB,
-    "used": $MEM_USED_GB,
-    "available": $MEM_AVAIL_GB,
-    "cached": $MEM_CACHED_GB,
-    "percent": $MEM_PERCENT,
-    "swap_used": $SWAP_USED_MB
+    "total_bytes": $((MEM_TOTAL_KB * 1024)),
+    "used_bytes": $((MEM_USED_KB * 1024)),
+    "available_bytes": $((MEM_AVAIL_KB * 1024)),
+    "cached_bytes": $((${MEM_CACHED_KB:-0} * 1024)),
+    "usage_percent": $MEM_PERCENT,
+    "swap_total_bytes": $((${SWAP_TOTAL_KB:-0} * 1024)),
+    "swap_used_bytes": $((SWAP_USED_KB * 1024))
   },
   "disk": {
-    "total": "$DISK_TOTAL",
-    "used": "$DISK_USED",
-    "available": "$DISK_AVAIL",
-    "percent": ${DISK_PERCENT:-0},
-    "read": $DISK_READ,
-    "written": $DISK_WRITTEN,
+    "total_bytes": $((${DISK_TOTAL_KB:-0} * 1024)),
+    "used_bytes": $((${DISK_USED_KB:-0} * 1024)),
+    "available_bytes": $((${DISK_AVAIL_KB:-0} * 1024)),
+    "usage_percent": $(json_num "$DISK_PERCENT" 0),
+    "read_bytes": $(json_num "$DISK_READ"),
+    "written_bytes": $(json_num "$DISK_WRITTEN"),
     "filesystems": $FILESYSTEMS
   },
   "network": {
-    "rx_total": "${NET_RX_MB} MB",
-    "tx_total": "${NET_TX_MB} MB",
-    "rx_rate": "0",
-    "tx_rate": "0",
+    "rx_bytes": $NET_RX_TOTAL,
+    "tx_bytes": $NET_TX_TOTAL,
     "interfaces": $INTERFACES
   },
-  "gpu": {
-    "available": $GPU_AVAILABLE,
-    "name": "$GPU_NAME",
-    "utilization": ${GPU_UTIL:-0},
-    "temperature": "${GPU_TEMP}",
-    "memory_used": ${GPU_MEM_USED:-0},
-    "memory_total": ${GPU_MEM_TOTAL:-0},
-    "fan": "${GPU_FAN}",
-    "power": "${GPU_POWER}"
-  },
+  "gpu": [$GPUS],
   "processes": {
-    "total": $PROC_TOTAL,
-    "running": $PROC_RUNNING
+    "total": $(json_num "$PROC_TOTAL" 0),
+    "running": $(json_num "$PROC_RUNNING" 0)
   }
 }
 EOF
+mv -f "$OUTPUT_FILE.tmp" "$OUTPUT_FILE"
 
 echo -e "${GREEN}✓${NC} Data generated: $OUTPUT_FILE"
 echo "  Timestamp: $(date)"
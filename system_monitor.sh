@@ -1095,6 +1095,45 @@ start_logging() {
     echo "File size: $(du -h "$LOG_FILE" 2>/dev/null | cut -f1 || echo '?')"
 }
 
+RECORD_FILE="${RECORD_FILE:-./monitor.ndjson}"
+RECORD_MAX_MB="${RECORD_MAX_MB:-64}"
+RECORD_GZIP="${RECORD_GZIP:-1}"
+
+# Structured counterpart of start_logging: one schema v3 snapshot per line,
+# readable by the dashboard's Reports and Replay views
+start_recording() {
+    local delay=2
+    local generator tmp_dir rotated
+    generator="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)/generate_json.sh"
+    if [ ! -f "$generator" ]; then
+        echo "${C_RED}Error:${C_RESET} generate_json.sh not found next to this script."
+        return 1
+    fi
+    tmp_dir=$(mktemp -d) || return 1
+
+    echo "Recording snapshots to $RECORD_FILE (every ${delay}s, NDJSON)."
+    echo "Rotating at ${RECORD_MAX_MB} MB$([ "$RECORD_GZIP" = "1" ] && echo ", gzipping old files")."
+    echo "Press any key to stop recording..."
+    echo
+    while true; do
+        if bash "$generator" "$tmp_dir" >/dev/null 2>&1; then
+            # generate_json.sh never leaves raw newlines inside strings
+            { tr -d '\n' < "$tmp_dir/system_data.json"; echo; } >>"$RECORD_FILE"
+        fi
+        if [ "$(wc -c < "$RECORD_FILE" 2>/dev/null || echo 0)" -ge $((RECORD_MAX_MB * 1024 * 1024)) ]; then
+            rotated="${RECORD_FILE%.ndjson}-$(date +%Y%m%d_%H%M%S).ndjson"
+            mv "$RECORD_FILE" "$rotated"
+            [ "$RECORD_GZIP" = "1" ] && have_cmd gzip && gzip "$rotated"
+        fi
+        read -r -t "$delay" -n 1 _ && break
+    done
+    read -r -t 0.1 _ 2>/dev/null || true
+    rm -rf "$tmp_dir"
+    echo
+    echo "Stopped recording. File: $RECORD_FILE"
+    echo "Open it in the dashboard under Reports or Replay."
+}
+
 #######################################
 # SECTION: REFRESH HELPERS
 #######################################
@@ -2882,6 +2921,7 @@ main_menu() {
         echo "  7) System info"
         echo "  8) Show everything (one-shot)"
         echo "  9) Start logging (FULL snapshots -> monitor.log)"
+        echo "  n) Record structured snapshots (NDJSON -> monitor.ndjson)"
         echo "  s) Search processes"
         echo "  h) Generate HTML report from log"
         echo "  a) ${C_MAGENTA}AI Insights${C_RESET} (Gemini analysis)"
@@ -2949,6 +2989,9 @@ main_menu() {
             9)
                 start_logging
                 ;;
+            n|N)
+                start_recording
+                ;;
             s|S)
                 search_processes
                 echo
@@ -3032,229 +3075,19 @@ main_menu() {
 #######################################
 generate_dashboard_json() {
     local OUTPUT_DIR="./dashboard/public/data"
-    local OUTPUT_FILE="$OUTPUT_DIR/system_data.json"
-    
+    local GENERATOR
+    GENERATOR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)/generate_json.sh"
+
     echo "${C_BOLD}${C_CYAN}========== DASHBOARD DATA GENERATOR ==========${C_RESET}"
-    
-    # Create output directory if needed
-    mkdir -p "$OUTPUT_DIR" 2>/dev/null
-    
-    echo "Collecting system data..."
-    
-    # Get hostname and system info
-    local HOSTNAME=$(hostname 2>/dev/null || echo "localhost")
-    local KERNEL=$(uname -r 2>/dev/null || echo "Unknown")
-    local UPTIME=$(uptime -p 2>/dev/null | sed 's/up //' || echo "Unknown")
-    local LOAD_AVG=$(cat /proc/loadavg 2>/dev/null | awk '{print $1, $2, $3}' || echo "0 0 0")
-    
-    # CPU data
-    local CPU_CURRENT=$(get_cpu_usage_num); CPU_CURRENT=${CPU_CURRENT:-0}
-    local CPU_MODEL=$(grep -m1 "model name" /proc/cpuinfo 2>/dev/null | cut -d: -f2- | sed 's/^[ \t]*//' | cut -c1-40)
-    local CPU_CORES=$(nproc 2>/dev/null || echo 1)
-    
-    # CPU temperature
-    local CPU_TEMP="N/A"
-    if have_cmd sensors; then
-        CPU_TEMP=$(sensors 2>/dev/null | grep -iE 'Core 0|Package|CPU|Tctl' | head -1 | grep -oE '[0-9]+\.[0-9]+' | head -1)
-    fi
-    if [ -z "$CPU_TEMP" ] && [ -d /sys/class/thermal ]; then
-        for zone in /sys/class/thermal/thermal_zone*/temp; do
-            [ -r "$zone" ] && CPU_TEMP=$(cat "$zone" 2>/dev/null) && [ -n "$CPU_TEMP" ] && CPU_TEMP=$((CPU_TEMP / 1000)) && break
-        done
-    fi
-    [ -z "$CPU_TEMP" ] && CPU_TEMP="N/A"
-    
-    # Generate CPU history (current value with variations)
-    local CPU_HISTORY="["
-    local CPU_TIMESTAMPS="["
-    for i in {1..20}; do
-        local variation=$((RANDOM % 10 - 5))
-        local val=$((CPU_CURRENT + variation))
-        [ $val -lt 0 ] && val=0
-        [ $val -gt 100 ] && val=100
-        CPU_HISTORY+="$val"
-        CPU_TIMESTAMPS+="\"$(date -d "-$((20-i)) minutes" +%H:%M 2>/dev/null || echo "$i:00")\""
-        [ $i -lt 20 ] && CPU_HISTORY+="," && CPU_TIMESTAMPS+=","
-    done
-    CPU_HISTORY+="]"
-    CPU_TIMESTAMPS+="]"
-    
-    # Memory data
-    local MEM_INFO=$(cat /proc/meminfo 2>/dev/null)
-    local MEM_TOTAL_KB=$(echo "$MEM_INFO" | awk '/^MemTotal:/ {print $2}')
-    local MEM_AVAIL_KB=$(echo "$MEM_INFO" | awk '/^MemAvailable:/ {print $2}')
-    local MEM_CACHED_KB=$(echo "$MEM_INFO" | awk '/^Cached:/ {print $2}')
-    local SWAP_TOTAL_KB=$(echo "$MEM_INFO" | awk '/^SwapTotal:/ {print $2}')
-    local SWAP_FREE_KB=$(echo "$MEM_INFO" | awk '/^SwapFree:/ {print $2}')
-    
-    local MEM_TOTAL=$(awk "BEGIN {printf \"%.1f\", ${MEM_TOTAL_KB:-0}/1048576}")
-    local MEM_USED_KB=$((MEM_TOTAL_KB - MEM_AVAIL_KB))
-    local MEM_USED=$(awk "BEGIN {printf \"%.1f\", ${MEM_USED_KB:-0}/1048576}")
-    local MEM_AVAIL=$(awk "BEGIN {printf \"%.1f\", ${MEM_AVAIL_KB:-0}/1048576}")
-    local MEM_CACHED=$(awk "BEGIN {printf \"%.1f\", ${MEM_CACHED_KB:-0}/1048576}")
-    local MEM_PERCENT=$((MEM_USED_KB * 100 / MEM_TOTAL_KB))
-    local SWAP_USED_KB=$((SWAP_TOTAL_KB - SWAP_FREE_KB))
-    local SWAP_USED_MB=$((SWAP_USED_KB / 1024))
-    
-    # Disk data
-    local DISK_INFO=$(df -h / 2>/dev/null | tail -1)
-    local DISK_TOTAL=$(echo "$DISK_INFO" | awk '{print $2}')
-    local DISK_USED=$(echo "$DISK_INFO" | awk '{print $3}')
-    local DISK_AVAIL=$(echo "$DISK_INFO" | awk '{print $4}')
-    local DISK_PERCENT=$(echo "$DISK_INFO" | awk '{gsub(/%/,""); print $5}')
-    
-    # Disk I/O
-    local DISK_READ="0"
-    local DISK_WRITTEN="0"
-    local ROOT_DEV=$(df / 2>/dev/null | tail -1 | awk '{print $1}' | sed 's|/dev/||' | sed 's/[0-9]*$//')
-    if [ -f "/sys/block/$ROOT_DEV/stat" ]; then
-        local STAT=$(cat "/sys/block/$ROOT_DEV/stat" 2>/dev/null)
-        local READ_SECTORS=$(echo "$STAT" | awk '{print $3}')
-        local WRITE_SECTORS=$(echo "$STAT" | awk '{print $7}')
-        DISK_READ=$(awk "BEGIN {printf \"%.0f\", ${READ_SECTORS:-0} * 512 / 1048576}")
-        DISK_WRITTEN=$(awk "BEGIN {printf \"%.0f\", ${WRITE_SECTORS:-0} * 512 / 1048576}")
-    fi
-    
-    # Filesystems
-    local FILESYSTEMS="["
-    local first=true
-    while read -r fs size used avail pct mount; do
-        local pct_num=${pct%\%}
-        [ "$first" = "true" ] || FILESYSTEMS+=","
-        first=false
-        FILESYSTEMS+="{\"mount\":\"$mount\",\"device\":\"$fs\",\"total\":\"$size\",\"used\":\"$used\",\"available\":\"$avail\",\"percent\":${pct_num:-0}}"
-    done < <(df -h 2>/dev/null | grep "^/dev/")
-    FILESYSTEMS+="]"
-    
-    # Network data
-    local NET_RX_TOTAL=0
-    local NET_TX_TOTAL=0
-    local INTERFACES="["
-    first=true
-    
-    for iface in /sys/class/net/*; do
-        local name=$(basename "$iface")
-        [ "$name" = "lo" ] && continue
-        
-        local rx=$(cat "$iface/statistics/rx_bytes" 2>/dev/null || echo 0)
-        local tx=$(cat "$iface/statistics/tx_bytes" 2>/dev/null || echo 0)
-        local state=$(cat "$iface/operstate" 2>/dev/null || echo "unknown")
-        
-        NET_RX_TOTAL=$((NET_RX_TOTAL + rx))
-        NET_TX_TOTAL=$((NET_TX_TOTAL + tx))
-        
-        [ "$first" = "true" ] || INTERFACES+=","
-        first=false
-        INTERFACES+="{\"name\":\"$name\",\"status\":\"$state\"}"
-    done
-    INTERFACES+="]"
-    
-    local NET_RX_MB=$(awk "BEGIN {printf \"%.1f\", $NET_RX_TOTAL/1048576}")
-    local NET_TX_MB=$(awk "BEGIN {printf \"%.1f\", $NET_TX_TOTAL/1048576}")
-    
-    # GPU data
-    local GPU_AVAILABLE=false
-    local GPU_NAME=""
-    local GPU_UTIL=0
-    local GPU_TEMP="N/A"
-    local GPU_MEM_USED=0
-    local GPU_MEM_TOTAL=0
-    local GPU_FAN="N/A"
-    local GPU_POWER="N/A"
-    
-    if have_cmd nvidia-smi; then
-        GPU_NAME=$(nvidia-smi --query-gpu=name --format=csv,noheader 2>/dev/null | head -1)
-        if [ -n "$GPU_NAME" ]; then
-            GPU_AVAILABLE=true
-            GPU_UTIL=$(nvidia-smi --query-gpu=utilization.gpu --format=csv,noheader 2>/dev/null | tr -d ' %')
-            GPU_TEMP=$(nvidia-smi --query-gpu=temperature.gpu --format=csv,noheader 2>/dev/null)
-            GPU_MEM_USED=$(nvidia-smi --query-gpu=memory.used --format=csv,noheader 2>/dev/null | tr -d ' MiB')
-            GPU_MEM_TOTAL=$(nvidia-smi --query-gpu=memory.total --format=csv,noheader 2>/dev/null | tr -d ' MiB')
-            GPU_FAN=$(nvidia-smi --query-gpu=fan.speed --format=csv,noheader 2>/dev/null | tr -d ' %')
-            GPU_POWER=$(nvidia-smi --query-gpu=power.draw --format=csv,noheader 2>/dev/null | awk '{printf "%.0f", $1}')
-        fi
+
+    # generate_json.sh owns the snapshot format (schema v3); keep one copy of it
+    if [ ! -f "$GENERATOR" ]; then
+        echo "${C_RED}Error:${C_RESET} generate_json.sh not found next to this script."
+        return 1
     fi
-    
-    # Process data
-    local PROC_TOTAL=$(ps -e --no-headers 2>/dev/null | wc -l)
-    local PROC_RUNNING=$(ps -e -o stat --no-headers 2>/dev/null | grep -c '^R')
-    
-    # Health status
-    local HEALTH="Good"
-    [ "$CPU_CURRENT" -ge 80 ] && HEALTH="Warning"
-    [ "$CPU_CURRENT" -ge 95 ] && HEALTH="Critical"
-    [ "$MEM_PERCENT" -ge 90 ] && HEALTH="Warning"
-    [ "${DISK_PERCENT:-0}" -ge 90 ] && HEALTH="Warning"
-    
-    # Write JSON file
-    cat > "$OUTPUT_FILE" << EOF
-{
-  "timestamp": "$(date -Iseconds)",
-  "hostname": "$HOSTNAME",
-  "kernel": "$KERNEL",
-  "uptime": "$UPTIME",
-  "load_avg": "$LOAD_AVG",
-  "health": "$HEALTH",
-  "cpu": {
-    "current": $CPU_CURRENT,
-    "avg": $CPU_CURRENT,
-    "max": $((CPU_CURRENT + 15)),
-    "min": $((CPU_CURRENT > 10 ? CPU_CURRENT - 10 : 0)),
-    "model": "${CPU_MODEL:-Unknown}",
-    "cores": $CPU_CORES,
-    "temperature": "${CPU_TEMP}°C",
-    "history": $CPU_HISTORY,
-    "timestamps": $CPU_TIMESTAMPS
-  },
-  "memory": {
-    "total": $MEM_TOTAL,
-    "used": $MEM_USED,
-    "available": $MEM_AVAIL,
-    "cached": $MEM_CACHED,
-    "percent": $MEM_PERCENT,
-    "swap_used": $SWAP_USED_MB
-  },
-  "disk": {
-    "total": "$DISK_TOTAL",
-    "used": "$DISK_USED",
-    "available": "$DISK_AVAIL",
-    "percent": ${DISK_PERCENT:-0},
-    "read": $DISK_READ,
-    "written": $DISK_WRITTEN,
-    "filesystems": $FILESYSTEMS
-  },
-  "network": {
-    "rx_total": "${NET_RX_MB} MB",
-    "tx_total": "${NET_TX_MB} MB",
-    "rx_rate": "0",
-    "tx_rate": "0",
-    "interfaces": $INTERFACES
-  },
-  "gpu": {
-    "available": $GPU_AVAILABLE,
-    "name": "$GPU_NAME",
-    "utilization": ${GPU_UTIL:-0},
-    "temperature": "${GPU_TEMP}",
-    "memory_used": ${GPU_MEM_USED:-0},
-    "memory_total": ${GPU_MEM_TOTAL:-0},
-    "fan": "${GPU_FAN}",
-    "power": "${GPU_POWER}"
-  },
-  "processes": {
-    "total": $PROC_TOTAL,
-    "running": $PROC_RUNNING
-  }
-}
-EOF
 
     echo ""
-    echo "${C_GREEN}✓ Dashboard data generated:${C_RESET} $OUTPUT_FILE"
-    echo ""
-    echo "  Timestamp:  $(date)"
-    echo "  CPU:        ${CPU_CURRENT}%"
-    echo "  Memory:     ${MEM_PERCENT}%"
-    echo "  Disk:       ${DISK_PERCENT}%"
-    echo "  Processes:  $PROC_TOTAL"
+    bash "$GENERATOR" "$OUTPUT_DIR" || return 1
     echo ""
     echo "${C_YELLOW}Tip:${C_RESET} Run this continuously to keep dashboard updated:"
     echo "     while true; do ./system_monitor.sh -j; sleep 3; done"
@@ -3287,6 +3120,9 @@ start_dashboard_server() {
 #######################################
 generate_html_report() {
     echo "${C_BOLD}${C_CYAN}========== REPORT GENERATOR ==========${C_RESET}"
+    echo "${C_YELLOW}Tip:${C_RESET} The dashboard's Reports view (#/reports) charts every metric"
+    echo "from the collector's history or a recording, and exports offline HTML/PDF."
+    echo
     
     if [ ! -f "$LOG_FILE" ]; then
         echo "${C_RED}Error:${C_RESET} Log file not found: $LOG_FILE"